@@ -0,0 +1,172 @@
+// 📁 backfill_entitlement_claims.js
+// 🎫 기존 사용자 custom claims(entitlement, premiumUntil) 백필 스크립트 (일회성 실행)
+//
+// users/{uid}.subscriptionData를 읽어 Firebase Auth custom claims에 기록합니다.
+// claims 형식은 functions/src/utils/entitlementClaims.js와 동일하며,
+// 기존 claims(admin 등)는 유지합니다. 백필에서는 refresh token을 폐기하지 않습니다.
+
+const admin = require("firebase-admin");
+
+// ⚠️ 중요: 실제 서비스 계정 키 파일 경로로 수정해야 합니다
+// 또는 환경 변수 사용: process.env.GOOGLE_APPLICATION_CREDENTIALS
+if (!admin.apps.length) {
+  admin.initializeApp({
+    // credential: admin.credential.cert(serviceAccount), // 서비스 계정 키 파일 사용 시
+  });
+}
+
+const db = admin.firestore();
+
+// Auth getUsers() 한 번에 조회 가능한 최대 사용자 수
+const AUTH_LOOKUP_SIZE = 100;
+
+/**
+ * 🎫 구독 데이터로 custom claims 계산
+ * @param {object} subscriptionData - 통합 구독 데이터
+ * @return {object} {entitlement, premiumUntil}
+ */
+function buildEntitlementClaims(subscriptionData) {
+  const entitlement = subscriptionData?.entitlement || "free";
+  if (entitlement === "free") {
+    return {entitlement, premiumUntil: null};
+  }
+
+  const premiumUntil = Math.max(
+    parseInt(subscriptionData.expiresDate) || 0,
+    parseInt(subscriptionData.gracePeriodExpiresDate) || 0);
+  return {entitlement, premiumUntil: premiumUntil || null};
+}
+
+/**
+ * 📋 claims 갱신이 필요한 사용자 목록 계산
+ * @return {Promise<object>} {targets, totalUsers, missingAuthUsers}
+ */
+async function collectClaimTargets() {
+  const snapshot = await db.collection("users").get();
+  console.log(`📊 총 ${snapshot.size}개의 사용자 문서를 검사합니다.`);
+
+  const targets = [];
+  let missingAuthUsers = 0;
+
+  for (let i = 0; i < snapshot.docs.length; i += AUTH_LOOKUP_SIZE) {
+    const docs = snapshot.docs.slice(i, i + AUTH_LOOKUP_SIZE);
+    const result = await admin.auth().getUsers(
+      docs.map((doc) => ({uid: doc.id})));
+    missingAuthUsers += result.notFound.length;
+
+    const authUsers = {};
+    result.users.forEach((userRecord) => {
+      authUsers[userRecord.uid] = userRecord;
+    });
+
+    docs.forEach((doc) => {
+      const userRecord = authUsers[doc.id];
+      if (!userRecord) {
+        return;
+      }
+
+      const currentClaims = userRecord.customClaims || {};
+      const claims = buildEntitlementClaims(doc.data().subscriptionData);
+      if (currentClaims.entitlement === claims.entitlement &&
+          (currentClaims.premiumUntil ?? null) === claims.premiumUntil) {
+        return;
+      }
+
+      targets.push({uid: doc.id, currentClaims, claims});
+    });
+  }
+
+  return {targets, totalUsers: snapshot.size, missingAuthUsers};
+}
+
+/**
+ * 🎫 claims 백필 실행
+ */
+async function backfillEntitlementClaims() {
+  console.log("🚀 custom claims 백필 시작...");
+  console.log("⏰ 시작 시간:", new Date().toISOString());
+
+  const {targets} = await collectClaimTargets();
+  if (targets.length === 0) {
+    console.log("🤷‍♀️ 갱신할 사용자가 없습니다.");
+    return;
+  }
+
+  let updatedCount = 0;
+  let errorCount = 0;
+
+  for (const {uid, currentClaims, claims} of targets) {
+    try {
+      await admin.auth().setCustomUserClaims(uid, {
+        ...currentClaims,
+        ...claims,
+      });
+      updatedCount++;
+    } catch (error) {
+      errorCount++;
+      console.error(`❌ ${uid} claims 갱신 실패:`, error.message);
+    }
+  }
+
+  console.log("\n" + "=".repeat(50));
+  console.log("✅ custom claims 백필 완료!");
+  console.log(`📊 갱신: ${updatedCount}개, 오류: ${errorCount}개`);
+  console.log("⏰ 완료 시간:", new Date().toISOString());
+  console.log("=".repeat(50));
+}
+
+/**
+ * 🔍 백필 미리보기 (실제 변경 없이 확인만)
+ */
+async function previewBackfill() {
+  console.log("🔍 custom claims 백필 미리보기 시작...");
+
+  const {targets, totalUsers, missingAuthUsers} = await collectClaimTargets();
+
+  const byEntitlement = {};
+  targets.forEach(({claims}) => {
+    byEntitlement[claims.entitlement] =
+      (byEntitlement[claims.entitlement] || 0) + 1;
+  });
+
+  console.log("\n" + "=".repeat(50));
+  console.log("🔍 백필 미리보기 결과:");
+  console.log(`📊 전체 사용자 문서: ${totalUsers}개`);
+  console.log(`⚠️ Auth 사용자 없음: ${missingAuthUsers}개`);
+  console.log(`🎫 claims 갱신 필요: ${targets.length}개`);
+  Object.entries(byEntitlement).forEach(([entitlement, count]) => {
+    console.log(`   - ${entitlement}: ${count}개`);
+  });
+  console.log("=".repeat(50));
+}
+
+// 실행 방법 안내
+console.log("🎫 custom claims 백필 스크립트");
+console.log("📋 사용법:");
+console.log("   node backfill_entitlement_claims.js preview   - 미리보기 (변경 없이 확인만)");
+console.log("   node backfill_entitlement_claims.js backfill  - 실제 백필 실행");
+console.log("");
+
+// 명령행 인수 확인
+const command = process.argv[2];
+
+if (command === "preview") {
+  previewBackfill()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("미리보기 실패:", error);
+      process.exit(1);
+    });
+} else if (command === "backfill") {
+  backfillEntitlementClaims()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("백필 실패:", error);
+      process.exit(1);
+    });
+} else {
+  console.log("❌ 올바른 명령어를 입력해주세요:");
+  console.log("   node backfill_entitlement_claims.js preview");
+  console.log("   node backfill_entitlement_claims.js backfill");
+  process.exit(1);
+}
@@ -0,0 +1,180 @@
+// 📁 backfill_transaction_index.js
+// 🗂️ transactions/{originalTransactionId} 인덱스 백필 스크립트 (일회성 실행)
+//
+// 인덱스 도입 이전에 구독한 사용자를 위해 users 문서의
+// subscriptionData(통합 구조) / subscription(레거시 구조)에서
+// originalTransactionId를 읽어 인덱스 문서를 생성합니다.
+// 문서 형식은 functions/src/utils/transactionIndex.js와 동일합니다.
+
+const admin = require("firebase-admin");
+
+// ⚠️ 중요: 실제 서비스 계정 키 파일 경로로 수정해야 합니다
+// 또는 환경 변수 사용: process.env.GOOGLE_APPLICATION_CREDENTIALS
+if (!admin.apps.length) {
+  admin.initializeApp({
+    // credential: admin.credential.cert(serviceAccount), // 서비스 계정 키 파일 사용 시
+  });
+}
+
+const db = admin.firestore();
+
+const TRANSACTION_INDEX_COLLECTION = "transactions";
+const BATCH_SIZE = 400;
+
+/**
+ * 🔍 사용자 문서에서 인덱스 항목 추출
+ * @param {admin.firestore.DocumentSnapshot} doc - 사용자 문서
+ * @return {object|null} {originalTransactionId, userId, environment, productId}
+ */
+function extractIndexEntry(doc) {
+  const userData = doc.data();
+  const subscription = userData.subscriptionData || userData.subscription;
+  const originalTransactionId = subscription?.originalTransactionId;
+
+  if (!originalTransactionId) {
+    return null;
+  }
+
+  return {
+    originalTransactionId: String(originalTransactionId),
+    userId: doc.id,
+    environment: subscription.environment || null,
+    productId: subscription.productId || null,
+    isLegacy: !userData.subscriptionData,
+  };
+}
+
+/**
+ * 📋 전체 사용자에서 인덱스 항목 수집
+ * @return {Promise<Array<object>>} 인덱스 항목 목록
+ */
+async function collectIndexEntries() {
+  const snapshot = await db.collection("users").get();
+  console.log(`📊 총 ${snapshot.size}개의 사용자 문서를 검사합니다.`);
+
+  const entries = [];
+  snapshot.forEach((doc) => {
+    const entry = extractIndexEntry(doc);
+    if (entry) {
+      entries.push(entry);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * 🗂️ 인덱스 백필 실행
+ */
+async function backfillTransactionIndex() {
+  console.log("🚀 트랜잭션 인덱스 백필 시작...");
+  console.log("⏰ 시작 시간:", new Date().toISOString());
+
+  const entries = await collectIndexEntries();
+  if (entries.length === 0) {
+    console.log("🤷‍♀️ 인덱스를 만들 구독이 없습니다.");
+    return;
+  }
+
+  let batch = db.batch();
+  let batchCounter = 0;
+  let writtenCount = 0;
+
+  for (const entry of entries) {
+    const docRef = db.collection(TRANSACTION_INDEX_COLLECTION)
+      .doc(entry.originalTransactionId);
+
+    batch.set(docRef, {
+      originalTransactionId: entry.originalTransactionId,
+      userIds: admin.firestore.FieldValue.arrayUnion(entry.userId),
+      ...(entry.environment && {environment: entry.environment}),
+      ...(entry.productId && {productId: entry.productId}),
+      lastUpdateSource: "backfill",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    batchCounter++;
+    writtenCount++;
+
+    if (batchCounter >= BATCH_SIZE) {
+      await batch.commit();
+      console.log(`✅ ${writtenCount}/${entries.length} 기록`);
+      batch = db.batch();
+      batchCounter = 0;
+    }
+  }
+
+  if (batchCounter > 0) {
+    await batch.commit();
+  }
+
+  console.log("\n" + "=".repeat(50));
+  console.log("✅ 트랜잭션 인덱스 백필 완료!");
+  console.log(`📊 기록한 인덱스 항목: ${writtenCount}개`);
+  console.log("⏰ 완료 시간:", new Date().toISOString());
+  console.log("=".repeat(50));
+}
+
+/**
+ * 🔍 백필 미리보기 (실제 변경 없이 확인만)
+ */
+async function previewBackfill() {
+  console.log("🔍 트랜잭션 인덱스 백필 미리보기 시작...");
+
+  const entries = await collectIndexEntries();
+
+  const existingIds = new Set();
+  const indexSnapshot = await db.collection(TRANSACTION_INDEX_COLLECTION).get();
+  indexSnapshot.forEach((doc) => existingIds.add(doc.id));
+
+  const owners = {};
+  entries.forEach((entry) => {
+    owners[entry.originalTransactionId] =
+      (owners[entry.originalTransactionId] || 0) + 1;
+  });
+
+  const missing = entries.filter(
+    (entry) => !existingIds.has(entry.originalTransactionId));
+  const legacy = entries.filter((entry) => entry.isLegacy);
+  const shared = Object.values(owners).filter((count) => count > 1);
+
+  console.log("\n" + "=".repeat(50));
+  console.log("🔍 백필 미리보기 결과:");
+  console.log(`📊 구독 정보가 있는 사용자: ${entries.length}개`);
+  console.log(`   - 레거시 구조(subscription): ${legacy.length}개`);
+  console.log(`🗂️ 기존 인덱스 문서: ${existingIds.size}개`);
+  console.log(`🆕 인덱스가 없는 구독: ${missing.length}개`);
+  console.log(`👥 여러 사용자가 공유하는 트랜잭션: ${shared.length}개`);
+  console.log("=".repeat(50));
+}
+
+// 실행 방법 안내
+console.log("🗂️ 트랜잭션 인덱스 백필 스크립트");
+console.log("📋 사용법:");
+console.log("   node backfill_transaction_index.js preview   - 미리보기 (변경 없이 확인만)");
+console.log("   node backfill_transaction_index.js backfill  - 실제 백필 실행");
+console.log("");
+
+// 명령행 인수 확인
+const command = process.argv[2];
+
+if (command === "preview") {
+  previewBackfill()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("미리보기 실패:", error);
+      process.exit(1);
+    });
+} else if (command === "backfill") {
+  backfillTransactionIndex()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("백필 실패:", error);
+      process.exit(1);
+    });
+} else {
+  console.log("❌ 올바른 명령어를 입력해주세요:");
+  console.log("   node backfill_transaction_index.js preview");
+  console.log("   node backfill_transaction_index.js backfill");
+  process.exit(1);
+}
@@ -0,0 +1,101 @@
+// 📁 functions/src/admin/deadLetterAdmin.js
+// 🛠️ 관리자 전용: dead-letter 알림 조회 / 재실행 / 폐기
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const {iapSecrets} = require("../utils/appStoreServerClient");
+const {assertAdmin} = require("../utils/adminAuth");
+const {replayDeadLetter} = require("../webhook/deadLetterRetry");
+const {
+  DEAD_LETTER_COLLECTION,
+  DeadLetterState,
+} = require("../utils/deadLetterQueue");
+
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * 🛠️ dead-letter 알림 관리
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.action - "list" | "replay" | "discard"
+ * @param {string} [request.data.id] - dead-letter 문서 ID (replay, discard)
+ * @param {string} [request.data.state] - 조회할 상태 (list, 기본값 pending)
+ * @param {number} [request.data.limit] - 조회 개수 (list)
+ * @return {Promise<object>} 작업 결과
+ */
+const adminManageDeadLetters = onCall({
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {action, id, state, limit} = request.data || {};
+  const db = admin.firestore();
+  const collection = db.collection(DEAD_LETTER_COLLECTION);
+
+  console.log("🛠️ [Admin] Dead-letter 관리:", {operatorUid, action, id});
+
+  if (action === "list") {
+    const snapshot = await collection
+      .where("state", "==", state || DeadLetterState.PENDING)
+      .limit(Math.min(limit || DEFAULT_LIST_LIMIT, 200))
+      .get();
+
+    return {
+      success: true,
+      items: snapshot.docs.map((doc) => summarizeDeadLetter(doc)),
+    };
+  }
+
+  if (!id) {
+    throw new HttpsError("invalid-argument", "id is required");
+  }
+  const docRef = collection.doc(id);
+
+  if (action === "replay") {
+    const result = await replayDeadLetter(db, docRef, operatorUid);
+    if (!result) {
+      throw new HttpsError("not-found", "Dead-letter not found: " + id);
+    }
+    return {success: true, ...result};
+  }
+
+  if (action === "discard") {
+    const snapshot = await docRef.get();
+    if (!snapshot.exists) {
+      throw new HttpsError("not-found", "Dead-letter not found: " + id);
+    }
+
+    await docRef.update({
+      state: DeadLetterState.DISCARDED,
+      nextAttemptAt: null,
+      discardedBy: operatorUid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {success: true, id, state: DeadLetterState.DISCARDED};
+  }
+
+  throw new HttpsError("invalid-argument", "Unknown action: " + action);
+});
+
+/**
+ * 📋 목록 응답용 dead-letter 요약 (페이로드 원문 제외)
+ * @param {admin.firestore.DocumentSnapshot} doc - dead-letter 문서
+ * @return {object} 요약 정보
+ */
+function summarizeDeadLetter(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    notificationType: data.notificationType,
+    subtype: data.subtype,
+    reason: data.reason,
+    error: data.error,
+    attempts: data.attempts,
+    state: data.state,
+    nextAttemptAt: data.nextAttemptAt?.toDate().toISOString() || null,
+    createdAt: data.createdAt?.toDate().toISOString() || null,
+  };
+}
+
+module.exports = {
+  adminManageDeadLetters,
+};
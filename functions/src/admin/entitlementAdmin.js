@@ -0,0 +1,384 @@
+// 📁 functions/src/admin/entitlementAdmin.js
+// 🛠️ 관리자 전용: 프로모션 권한 부여/회수, 사용자 조회 (고객 지원용)
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const {OrderLookupStatus} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+const {iapClient, iapSecrets} = require("../utils/appStoreServerClient");
+const {assertAdmin} = require("../utils/adminAuth");
+const {recordAuditLog} = require("../utils/auditLog");
+const {updateUnifiedSubscriptionData} =
+  require("../utils/subscriptionDataManager");
+const {getTransactionIndex} = require("../utils/transactionIndex");
+const {findUserByOriginalTransactionId} = require("../utils/userResolver");
+const {resolveSubscriptionState} =
+  require("../utils/subscriptionStateEngine");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PROMOTION_DAYS = 366;
+
+/**
+ * 📄 사용자 문서의 구독 데이터 조회 (없으면 not-found)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 UID
+ * @return {Promise<object>} subscriptionData (없으면 빈 객체)
+ */
+async function getSubscriptionDataOrThrow(db, userId) {
+  if (!userId) {
+    throw new HttpsError("invalid-argument", "userId is required");
+  }
+
+  const userDoc = await db.collection("users").doc(userId).get();
+  if (!userDoc.exists) {
+    throw new HttpsError("not-found", "User not found: " + userId);
+  }
+  return userDoc.get("subscriptionData") || {};
+}
+
+/**
+ * 🎁 기간 한정 프로모션 권한 부여 (SubscriptionStatus.PROMOTION)
+ *
+ * 이미 App Store 구독으로 권한이 있는 사용자에게는 부여하지 않습니다.
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.userId - 대상 사용자 UID
+ * @param {number} request.data.days - 부여 기간 (일)
+ * @param {string} request.data.reason - 부여 사유
+ * @return {Promise<object>} {success, userId, expiresDate}
+ */
+const adminGrantPromotion = onCall({
+  region: "asia-southeast1",
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {userId, days, reason} = request.data || {};
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_PROMOTION_DAYS) {
+    throw new HttpsError("invalid-argument",
+      `days must be an integer between 1 and ${MAX_PROMOTION_DAYS}`);
+  }
+  if (!reason) {
+    throw new HttpsError("invalid-argument", "reason is required");
+  }
+
+  const db = admin.firestore();
+  const subscriptionData = await getSubscriptionDataOrThrow(db, userId);
+  const now = Date.now();
+
+  const hasStoreEntitlement =
+    subscriptionData.entitlement &&
+    subscriptionData.entitlement !== Entitlement.FREE &&
+    subscriptionData.subscriptionStatus !== SubscriptionStatus.PROMOTION &&
+    (parseInt(subscriptionData.expiresDate) || 0) > now;
+  if (hasStoreEntitlement) {
+    throw new HttpsError("failed-precondition",
+      "User already has an active App Store subscription");
+  }
+
+  const expiresDate = now + days * DAY_MS;
+  await updateUnifiedSubscriptionData(db, userId, {
+    ...subscriptionData,
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.PROMOTION,
+    autoRenewEnabled: false,
+    expiresDate,
+    expirationDate: expiresDate.toString(),
+    promotion: {
+      grantedBy: operatorUid,
+      grantedAt: now,
+      expiresDate,
+      reason,
+    },
+  }, "adminPromotion");
+
+  await recordAuditLog(db, {
+    type: "adminAction",
+    action: "grantPromotion",
+    operatorUid,
+    userId,
+    days,
+    expiresDate,
+    reason,
+  });
+
+  return {success: true, userId, expiresDate};
+});
+
+/**
+ * 🚫 프로모션 권한 회수
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.userId - 대상 사용자 UID
+ * @param {string} request.data.reason - 회수 사유
+ * @return {Promise<object>} {success, userId}
+ */
+const adminRevokePromotion = onCall({
+  region: "asia-southeast1",
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {userId, reason} = request.data || {};
+  if (!reason) {
+    throw new HttpsError("invalid-argument", "reason is required");
+  }
+
+  const db = admin.firestore();
+  const subscriptionData = await getSubscriptionDataOrThrow(db, userId);
+  if (subscriptionData.subscriptionStatus !== SubscriptionStatus.PROMOTION) {
+    throw new HttpsError("failed-precondition",
+      "User does not have a promotional entitlement");
+  }
+
+  const now = Date.now();
+  await updateUnifiedSubscriptionData(db, userId, {
+    ...subscriptionData,
+    entitlement: Entitlement.FREE,
+    subscriptionStatus: SubscriptionStatus.EXPIRED,
+    autoRenewEnabled: false,
+    expiresDate: now,
+    expirationDate: now.toString(),
+    promotion: {
+      ...subscriptionData.promotion,
+      revokedBy: operatorUid,
+      revokedAt: now,
+      revokeReason: reason,
+    },
+  }, "adminPromotion");
+
+  await recordAuditLog(db, {
+    type: "adminAction",
+    action: "revokePromotion",
+    operatorUid,
+    userId,
+    reason,
+  });
+
+  return {success: true, userId};
+});
+
+/**
+ * 🔍 사용자 조회 (email / uid / originalTransactionId / Apple Order ID 중 하나)
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} [request.data.email] - 이메일
+ * @param {string} [request.data.uid] - 사용자 UID
+ * @param {string} [request.data.originalTransactionId] - 원본 트랜잭션 ID
+ * @param {string} [request.data.orderId] - 영수증의 Apple Order ID
+ * @return {Promise<object>} {success, users, orderTransactions?,
+ *   orderSummary?} (orderSummary는 Order ID 조회 시 구독별 요약)
+ */
+const adminLookupUser = onCall({
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const query = request.data || {};
+  const keys = ["email", "uid", "originalTransactionId", "orderId"]
+    .filter((key) => query[key]);
+  if (keys.length !== 1) {
+    throw new HttpsError("invalid-argument",
+      "Exactly one of email, uid, originalTransactionId, orderId is required");
+  }
+
+  const db = admin.firestore();
+  let userIds = [];
+  let orderTransactions;
+  const linkedUserIds = {}; // originalTransactionId → 연결된 사용자 UID 목록
+
+  if (query.uid) {
+    userIds = [query.uid];
+  } else if (query.email) {
+    try {
+      const userRecord = await admin.auth().getUserByEmail(query.email);
+      userIds = [userRecord.uid];
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") {
+        throw error;
+      }
+    }
+  } else if (query.originalTransactionId) {
+    userIds = await findUsersByOriginalTransactionId(
+      db, query.originalTransactionId);
+  } else {
+    orderTransactions = await lookUpOrderTransactions(query.orderId);
+    const originalTransactionIds = [...new Set(orderTransactions.map(
+      (transaction) => transaction.originalTransactionId))];
+    for (const originalTransactionId of originalTransactionIds) {
+      linkedUserIds[originalTransactionId] =
+        await findUsersByOriginalTransactionId(db, originalTransactionId);
+      userIds.push(...linkedUserIds[originalTransactionId]);
+    }
+  }
+
+  const users = [];
+  for (const userId of [...new Set(userIds)]) {
+    const summary = await buildUserSummary(db, userId);
+    if (summary) {
+      users.push(summary);
+    }
+  }
+
+  await recordAuditLog(db, {
+    type: "adminAction",
+    action: "lookupUser",
+    operatorUid,
+    query: {[keys[0]]: query[keys[0]]},
+    resultUserIds: users.map((user) => user.uid),
+  });
+
+  return {
+    success: true,
+    users,
+    ...(orderTransactions && {
+      orderTransactions,
+      orderSummary: buildOrderSummary(
+        query.orderId, orderTransactions, linkedUserIds, users),
+    }),
+  };
+});
+
+/**
+ * 🧾 Order ID 조회 결과를 구독별로 묶은 고객 지원용 요약
+ *
+ * 현재 상태는 연결된 사용자의 subscriptionData를 우선 사용하고,
+ * 연결된 사용자가 없으면 주문의 최신 거래로 계산합니다.
+ *
+ * @param {string} orderId - 영수증의 Order ID
+ * @param {Array<object>} orderTransactions - lookUpOrderTransactions 결과
+ * @param {object} linkedUserIds - originalTransactionId → 사용자 UID 목록
+ * @param {Array<object>} users - buildUserSummary 결과 목록
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {object} {orderId, subscriptions: [...]}
+ */
+function buildOrderSummary(orderId, orderTransactions, linkedUserIds, users,
+  now = Date.now()) {
+  const groups = new Map();
+  for (const transaction of orderTransactions) {
+    const key = String(transaction.originalTransactionId);
+    groups.set(key, [...(groups.get(key) || []), transaction]);
+  }
+
+  const subscriptions = [...groups].map(([originalTransactionId, items]) => {
+    const latest = items.reduce((a, b) =>
+      (b.purchaseDate || 0) > (a.purchaseDate || 0) ? b : a);
+    const userIds = linkedUserIds[originalTransactionId] || [];
+    const stored = users.map((user) => user.subscriptionData)
+      .find((data) => data && userIds.length > 0 &&
+        String(data.originalTransactionId) === originalTransactionId);
+    const current = stored ||
+      resolveSubscriptionState({transaction: latest, now});
+
+    return {
+      originalTransactionId,
+      productId: latest.productId,
+      environment: latest.environment,
+      linkedUserIds: userIds,
+      entitlement: current.entitlement,
+      subscriptionStatus: current.subscriptionStatus,
+      expiresDate: current.expiresDate ?? null,
+      statusSource: stored ? "subscriptionData" : "order",
+      refunds: items.filter((item) => item.revocationDate).map((item) => ({
+        transactionId: item.transactionId,
+        revocationDate: item.revocationDate,
+        revocationReason: item.revocationReason ?? null,
+      })),
+    };
+  });
+
+  return {orderId, subscriptions};
+}
+
+/**
+ * 🔍 originalTransactionId에 연결된 모든 사용자 (인덱스 우선)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @return {Promise<Array<string>>} 사용자 UID 목록
+ */
+async function findUsersByOriginalTransactionId(db, originalTransactionId) {
+  const index = await getTransactionIndex(db, originalTransactionId);
+  if (index?.userIds?.length) {
+    return index.userIds;
+  }
+
+  const userId =
+    await findUserByOriginalTransactionId(db, originalTransactionId);
+  return userId ? [userId] : [];
+}
+
+/**
+ * 🧾 Apple Order ID로 거래 목록 조회 및 검증
+ * @param {string} orderId - 영수증의 Order ID
+ * @return {Promise<Array<object>>} 디코딩된 거래 요약 목록
+ */
+async function lookUpOrderTransactions(orderId) {
+  const lookupResult = await iapClient.lookUpOrderId(orderId);
+  if (!lookupResult.success) {
+    throw new HttpsError("unavailable", lookupResult.error);
+  }
+  if (lookupResult.data.status !== OrderLookupStatus.VALID) {
+    throw new HttpsError("not-found", "Invalid order ID: " + orderId);
+  }
+
+  const transactions = [];
+  for (const signedTransaction of lookupResult.data.signedTransactions || []) {
+    const verificationResult = await iapClient.verifyJWS(signedTransaction);
+    if (!verificationResult.success) continue;
+
+    const transaction = verificationResult.data;
+    transactions.push({
+      transactionId: transaction.transactionId,
+      originalTransactionId: transaction.originalTransactionId,
+      productId: transaction.productId,
+      purchaseDate: transaction.purchaseDate,
+      expiresDate: transaction.expiresDate,
+      revocationDate: transaction.revocationDate,
+      revocationReason: transaction.revocationReason,
+      offerType: transaction.offerType,
+      environment: transaction.environment,
+    });
+  }
+  return transactions;
+}
+
+/**
+ * 📋 고객 지원용 사용자 요약
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 UID
+ * @return {Promise<object|null>} 요약 (Auth/Firestore 어디에도 없으면 null)
+ */
+async function buildUserSummary(db, userId) {
+  const userDoc = await db.collection("users").doc(userId).get();
+
+  let userRecord = null;
+  try {
+    userRecord = await admin.auth().getUser(userId);
+  } catch (error) {
+    if (error.code !== "auth/user-not-found") {
+      throw error;
+    }
+  }
+
+  if (!userDoc.exists && !userRecord) {
+    return null;
+  }
+
+  return {
+    uid: userId,
+    email: userRecord?.email || null,
+    disabled: userRecord?.disabled || false,
+    createdAt: userRecord?.metadata.creationTime || null,
+    claims: {
+      entitlement: userRecord?.customClaims?.entitlement || null,
+      premiumUntil: userRecord?.customClaims?.premiumUntil || null,
+    },
+    appAccountToken: userDoc.exists ? userDoc.get("appAccountToken") : null,
+    subscriptionData: userDoc.exists ?
+      userDoc.get("subscriptionData") || null : null,
+    refundStats: userDoc.exists ? userDoc.get("refundStats") || null : null,
+  };
+}
+
+module.exports = {
+  adminGrantPromotion,
+  adminRevokePromotion,
+  adminLookupUser,
+  buildOrderSummary,
+};
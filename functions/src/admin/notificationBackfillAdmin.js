@@ -0,0 +1,65 @@
+// 📁 functions/src/admin/notificationBackfillAdmin.js
+// 🛠️ 관리자 전용: 기간을 지정한 App Store 알림 내역 복구
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const {Environment} = require("@apple/app-store-server-library");
+const {iapSecrets} = require("../utils/appStoreServerClient");
+const {assertAdmin} = require("../utils/adminAuth");
+const {
+  backfillNotificationHistory,
+  validateBackfillRange,
+} = require("../webhook/notificationBackfill");
+
+/**
+ * 📥 웹훅 장애 기간의 알림 복구
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string|number} request.data.startDate - 시작 시각 (ISO 또는 ms)
+ * @param {string|number} [request.data.endDate] - 종료 시각 (기본값 현재)
+ * @param {string} [request.data.environment] - "Production" | "Sandbox"
+ *   (없으면 설정된 모든 환경)
+ * @param {boolean} [request.data.onlyFailures] - 전송 실패한 알림만 조회
+ * @return {Promise<object>} 복구 보고서
+ */
+const adminBackfillNotifications = onCall({
+  region: "asia-southeast1",
+  timeoutSeconds: 540,
+  secrets: iapSecrets,
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {environment, onlyFailures} = request.data || {};
+  const startDate = new Date(request.data?.startDate).getTime();
+  const endDate = request.data?.endDate ?
+    new Date(request.data.endDate).getTime() : Date.now();
+
+  const rangeError = validateBackfillRange(startDate, endDate);
+  if (rangeError) {
+    throw new HttpsError("invalid-argument", rangeError);
+  }
+  if (environment && !Object.values(Environment).includes(environment)) {
+    throw new HttpsError("invalid-argument",
+      "Unknown environment: " + environment);
+  }
+
+  console.log("🛠️ [Admin] 알림 내역 복구:", {
+    operatorUid,
+    startDate: new Date(startDate).toISOString(),
+    endDate: new Date(endDate).toISOString(),
+    environment,
+    onlyFailures: !!onlyFailures,
+  });
+
+  const report = await backfillNotificationHistory(admin.firestore(), {
+    startDate,
+    endDate,
+    environments: environment ? [environment] : undefined,
+    onlyFailures: !!onlyFailures,
+    trigger: operatorUid,
+  });
+
+  return {success: true, ...report};
+});
+
+module.exports = {
+  adminBackfillNotifications,
+};
@@ -0,0 +1,249 @@
+// 📁 functions/src/admin/renewalExtensionAdmin.js
+// 🛠️ 관리자 전용: 서비스 장애 보상을 위한 구독 갱신일 연장
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const {Environment} = require("@apple/app-store-server-library");
+const {iapClient, iapSecrets} = require("../utils/appStoreServerClient");
+const {assertAdmin} = require("../utils/adminAuth");
+const {recordAuditLog} = require("../utils/auditLog");
+const {
+  RENEWAL_EXTENSION_COLLECTION,
+  RenewalExtensionType,
+  RenewalExtensionState,
+  validateExtensionRequest,
+  recordExtensionRequest,
+  applyMassExtensionStatus,
+} = require("../utils/renewalExtensions");
+
+/**
+ * ✅ 연장 일수 / 사유 코드 검증 (잘못되면 invalid-argument)
+ * @param {object} data - 요청 데이터 ({days, reasonCode})
+ * @return {object} {extendByDays, extendReasonCode}
+ */
+function parseExtensionRequest(data) {
+  const {extendByDays, extendReasonCode, error} =
+    validateExtensionRequest(data?.days, data?.reasonCode);
+  if (error) {
+    throw new HttpsError("invalid-argument", error);
+  }
+  return {extendByDays, extendReasonCode};
+}
+
+/**
+ * 📅 사용자 한 명의 구독 갱신일 연장
+ *
+ * 연장 결과는 RENEWAL_EXTENDED 알림으로 subscriptionData에 반영됩니다.
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.userId - 대상 사용자 UID
+ * @param {number} request.data.days - 연장 일수 (1~90)
+ * @param {number|string} request.data.reasonCode - ExtendReasonCode
+ *   (예: "SERVICE_ISSUE_OR_OUTAGE" 또는 3)
+ * @param {string} [request.data.note] - 내부 메모 (장애 ID 등)
+ * @return {Promise<object>} {success, requestIdentifier, effectiveDate}
+ */
+const adminExtendRenewalDate = onCall({
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {userId, note} = request.data || {};
+  const {extendByDays, extendReasonCode} =
+    parseExtensionRequest(request.data);
+  if (!userId) {
+    throw new HttpsError("invalid-argument", "userId is required");
+  }
+
+  const db = admin.firestore();
+  const userDoc = await db.collection("users").doc(userId).get();
+  if (!userDoc.exists) {
+    throw new HttpsError("not-found", "User not found: " + userId);
+  }
+  const subscriptionData = userDoc.get("subscriptionData") || {};
+  const originalTransactionId = subscriptionData.originalTransactionId;
+  if (!originalTransactionId) {
+    throw new HttpsError("failed-precondition",
+      "User has no App Store subscription");
+  }
+
+  const requestIdentifier = crypto.randomUUID();
+  const result = await iapClient.extendSubscriptionRenewalDate(
+    String(originalTransactionId),
+    {extendByDays, extendReasonCode, requestIdentifier},
+    {environment: subscriptionData.environment});
+  const extended = result.success && result.data.success === true;
+
+  await recordExtensionRequest(db, requestIdentifier, {
+    type: RenewalExtensionType.SINGLE,
+    state: extended ?
+      RenewalExtensionState.COMPLETED : RenewalExtensionState.FAILED,
+    userId,
+    originalTransactionId: String(originalTransactionId),
+    extendByDays,
+    extendReasonCode,
+    note,
+    environment: result.environment || subscriptionData.environment,
+    effectiveDate: result.data?.effectiveDate,
+    webOrderLineItemId: result.data?.webOrderLineItemId,
+    error: result.error,
+    requestedBy: operatorUid,
+  });
+  await recordAuditLog(db, {
+    type: "adminAction",
+    action: "extendRenewalDate",
+    operatorUid,
+    userId,
+    originalTransactionId: String(originalTransactionId),
+    days: extendByDays,
+    reasonCode: extendReasonCode,
+    requestIdentifier,
+    extended,
+  });
+
+  if (!extended) {
+    throw new HttpsError("failed-precondition",
+      result.error || "App Store did not extend the renewal date");
+  }
+
+  return {
+    success: true,
+    requestIdentifier,
+    effectiveDate: result.data.effectiveDate,
+  };
+});
+
+/**
+ * 📅 제품의 모든 활성 구독자 갱신일 연장
+ *
+ * Apple이 비동기로 처리하므로 요청 ID를 기록해 두고
+ * adminGetRenewalExtensionStatus 또는 RENEWAL_EXTENSION(SUMMARY) 알림으로
+ * 완료 여부를 확인합니다.
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.productId - 대상 제품 ID
+ * @param {number} request.data.days - 연장 일수 (1~90)
+ * @param {number|string} request.data.reasonCode - ExtendReasonCode
+ * @param {Array<string>} [request.data.storefrontCountryCodes] - 대상 국가
+ * @param {string} [request.data.environment] - "Production" | "Sandbox"
+ *   (기본값 배포 환경)
+ * @param {string} [request.data.note] - 내부 메모 (장애 ID 등)
+ * @return {Promise<object>} {success, requestIdentifier}
+ */
+const adminExtendRenewalDateForAll = onCall({
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {productId, storefrontCountryCodes, environment, note} =
+    request.data || {};
+  const {extendByDays, extendReasonCode} =
+    parseExtensionRequest(request.data);
+  if (!productId) {
+    throw new HttpsError("invalid-argument", "productId is required");
+  }
+  if (environment && !Object.values(Environment).includes(environment)) {
+    throw new HttpsError("invalid-argument",
+      "Unknown environment: " + environment);
+  }
+
+  const requestIdentifier = crypto.randomUUID();
+  const result = await iapClient.extendRenewalDateForAllActiveSubscribers({
+    extendByDays,
+    extendReasonCode,
+    requestIdentifier,
+    productId,
+    ...(storefrontCountryCodes && {storefrontCountryCodes}),
+  }, {environment});
+  if (!result.success) {
+    throw new HttpsError("failed-precondition", result.error);
+  }
+
+  const db = admin.firestore();
+  await recordExtensionRequest(db, requestIdentifier, {
+    type: RenewalExtensionType.MASS,
+    state: RenewalExtensionState.PENDING,
+    productId,
+    storefrontCountryCodes,
+    extendByDays,
+    extendReasonCode,
+    note,
+    environment: result.environment,
+    requestedBy: operatorUid,
+  });
+  await recordAuditLog(db, {
+    type: "adminAction",
+    action: "extendRenewalDateForAll",
+    operatorUid,
+    productId,
+    days: extendByDays,
+    reasonCode: extendReasonCode,
+    requestIdentifier,
+  });
+
+  return {success: true, requestIdentifier};
+});
+
+/**
+ * 🔍 갱신일 연장 요청 상태 조회
+ * 진행 중인 전체 구독자 연장은 Apple에 상태를 다시 조회하여 기록을 갱신합니다.
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.requestIdentifier - 연장 요청 ID
+ * @return {Promise<object>} {success, extension}
+ */
+const adminGetRenewalExtensionStatus = onCall({
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async (request) => {
+  assertAdmin(request);
+  const {requestIdentifier} = request.data || {};
+  if (!requestIdentifier) {
+    throw new HttpsError("invalid-argument", "requestIdentifier is required");
+  }
+
+  const db = admin.firestore();
+  const docRef = db.collection(RENEWAL_EXTENSION_COLLECTION)
+    .doc(requestIdentifier);
+  let snapshot = await docRef.get();
+  if (!snapshot.exists) {
+    throw new HttpsError("not-found",
+      "Renewal extension not found: " + requestIdentifier);
+  }
+
+  const extension = snapshot.data();
+  if (extension.type === RenewalExtensionType.MASS &&
+      extension.state === RenewalExtensionState.PENDING) {
+    const result = await iapClient.getStatusOfSubscriptionRenewalDateExtensions(
+      requestIdentifier, extension.productId,
+      {environment: extension.environment});
+    if (!result.success) {
+      throw new HttpsError("unavailable", result.error);
+    }
+
+    await applyMassExtensionStatus(db, requestIdentifier, result.data, "poll");
+    snapshot = await docRef.get();
+  }
+
+  return {success: true, extension: summarizeExtension(snapshot)};
+});
+
+/**
+ * 📋 응답용 연장 요청 요약 (Timestamp → ISO 문자열)
+ * @param {admin.firestore.DocumentSnapshot} snapshot - 연장 요청 문서
+ * @return {object} 요약 정보
+ */
+function summarizeExtension(snapshot) {
+  const data = snapshot.data();
+  return {
+    ...data,
+    createdAt: data.createdAt?.toDate().toISOString() || null,
+    updatedAt: data.updatedAt?.toDate().toISOString() || null,
+  };
+}
+
+module.exports = {
+  adminExtendRenewalDate,
+  adminExtendRenewalDateForAll,
+  adminGetRenewalExtensionStatus,
+};
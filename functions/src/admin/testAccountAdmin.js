@@ -0,0 +1,179 @@
+// 📁 functions/src/admin/testAccountAdmin.js
+// 🛠️ 관리자 전용: 내부 테스트 계정 시나리오 조회 / 수정 / 알림 시뮬레이션
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const {assertAdmin} = require("../utils/adminAuth");
+const {recordAuditLog} = require("../utils/auditLog");
+const {
+  TEST_ACCOUNT_COLLECTION,
+  DEFAULT_TEST_ACCOUNT_SCENARIOS,
+  normalizeTestAccountEmail,
+  buildTestAccountSubscription,
+  validateTestAccountScenario,
+  clearTestAccountCache,
+  simulateTestAccountNotification,
+} = require("../utils/testAccounts");
+
+/**
+ * 🛠️ 테스트 계정 시나리오 관리
+ *
+ * - list: 전체 시나리오와 현재 시점의 구독 상태 미리보기
+ * - upsert: 시나리오 저장 (scenario 전체를 덮어씀)
+ * - delete: 시나리오 삭제 (일반 계정으로 동작)
+ * - seed: 기본 시나리오 중 아직 없는 것만 등록
+ * - simulateNotification: 알림 규칙표로 상태 전이를 적용하여 시나리오 갱신
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.action - 위 작업 중 하나
+ * @param {string} [request.data.email] - 테스트 계정 이메일
+ * @param {object} [request.data.scenario] - 시나리오 (upsert)
+ * @param {string} [request.data.notificationType] - 알림 유형 (simulate)
+ * @param {string} [request.data.subtype] - 알림 하위 유형 (simulate)
+ * @return {Promise<object>} 작업 결과
+ */
+const adminManageTestAccounts = onCall({
+  region: "asia-southeast1",
+}, async (request) => {
+  const operatorUid = assertAdmin(request);
+  const {action, scenario, notificationType, subtype} = request.data || {};
+  const email = normalizeTestAccountEmail(request.data?.email);
+  const db = admin.firestore();
+  const collection = db.collection(TEST_ACCOUNT_COLLECTION);
+
+  console.log("🛠️ [Admin] 테스트 계정 관리:", {operatorUid, action, email});
+
+  if (action === "list") {
+    const snapshot = await collection.get();
+    return {
+      success: true,
+      items: snapshot.docs.map((doc) => ({
+        email: doc.id,
+        scenario: doc.data(),
+        preview: buildTestAccountSubscription(doc.id, doc.data()),
+      })),
+    };
+  }
+
+  if (action === "seed") {
+    const created = [];
+    for (const [seedEmail, seedScenario] of
+      Object.entries(DEFAULT_TEST_ACCOUNT_SCENARIOS)) {
+      const docRef = collection.doc(seedEmail);
+      if ((await docRef.get()).exists) continue;
+
+      await docRef.set({
+        ...seedScenario,
+        enabled: true,
+        updatedBy: operatorUid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      created.push(seedEmail);
+    }
+
+    clearTestAccountCache();
+    await recordAuditLog(db, {
+      type: "adminAction",
+      action: "seedTestAccounts",
+      operatorUid,
+      emails: created,
+    });
+    return {success: true, created};
+  }
+
+  if (!email) {
+    throw new HttpsError("invalid-argument", "email is required");
+  }
+  const docRef = collection.doc(email);
+
+  if (action === "upsert") {
+    const errors = validateTestAccountScenario(scenario);
+    if (errors.length > 0) {
+      throw new HttpsError("invalid-argument", errors.join("; "));
+    }
+
+    await docRef.set({
+      enabled: true,
+      ...scenario,
+      updatedBy: operatorUid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    clearTestAccountCache(email);
+
+    await recordAuditLog(db, {
+      type: "adminAction",
+      action: "upsertTestAccount",
+      operatorUid,
+      email,
+    });
+    return {
+      success: true,
+      email,
+      preview: buildTestAccountSubscription(email, scenario),
+    };
+  }
+
+  const snapshot = await docRef.get();
+  if (!snapshot.exists) {
+    throw new HttpsError("not-found", "Test account not found: " + email);
+  }
+
+  if (action === "delete") {
+    await docRef.delete();
+    clearTestAccountCache(email);
+
+    await recordAuditLog(db, {
+      type: "adminAction",
+      action: "deleteTestAccount",
+      operatorUid,
+      email,
+    });
+    return {success: true, email};
+  }
+
+  if (action === "simulateNotification") {
+    let simulation;
+    try {
+      simulation = simulateTestAccountNotification(
+        snapshot.data(), notificationType, subtype);
+    } catch (error) {
+      throw new HttpsError("invalid-argument", error.message);
+    }
+
+    const nextScenario = {
+      ...snapshot.data(),
+      ...simulation.scenarioUpdates,
+      lastSimulatedNotification: {
+        notificationType,
+        subtype: subtype || null,
+        simulatedAt: Date.now(),
+      },
+    };
+    await docRef.set({
+      ...nextScenario,
+      updatedBy: operatorUid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    clearTestAccountCache(email);
+
+    await recordAuditLog(db, {
+      type: "adminAction",
+      action: "simulateTestAccountNotification",
+      operatorUid,
+      email,
+      notificationType,
+      subtype: subtype || null,
+    });
+    return {
+      success: true,
+      email,
+      action: simulation.action,
+      preview: buildTestAccountSubscription(email, nextScenario),
+    };
+  }
+
+  throw new HttpsError("invalid-argument", "Unknown action: " + action);
+});
+
+module.exports = {
+  adminManageTestAccounts,
+};
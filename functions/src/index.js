@@ -7,10 +7,57 @@ admin.initializeApp();
 const {subCheckSubscriptionStatus} = require("./subscription/checkSubscriptionStatus");
 const {appStoreNotifications} = require("./webhook/appStoreNotifications");
 const {syncPurchaseInfo} = require("./subscription/syncPurchaseInfo");
+const {registerAppAccountToken} =
+  require("./subscription/registerAppAccountToken");
+const {reconcileSubscriptions} =
+  require("./subscription/reconcileSubscriptions");
+const {createPromotionalOfferSignature} =
+  require("./subscription/createPromotionalOfferSignature");
+const {
+  checkFeatureAccess,
+  consumeQuota,
+} = require("./subscription/featureAccess");
+const {retryDeadLetterNotifications} = require("./webhook/deadLetterRetry");
+const {adminManageDeadLetters} = require("./admin/deadLetterAdmin");
+const {backfillMissedNotifications} =
+  require("./webhook/notificationBackfill");
+const {adminBackfillNotifications} =
+  require("./admin/notificationBackfillAdmin");
+const {
+  adminGrantPromotion,
+  adminRevokePromotion,
+  adminLookupUser,
+} = require("./admin/entitlementAdmin");
+const {adminManageTestAccounts} = require("./admin/testAccountAdmin");
+const {
+  adminExtendRenewalDate,
+  adminExtendRenewalDateForAll,
+  adminGetRenewalExtensionStatus,
+} = require("./admin/renewalExtensionAdmin");
 
 // 🎯 구독 관련 함수들
 exports.subCheckSubscriptionStatus = subCheckSubscriptionStatus;
 exports.syncPurchaseInfo = syncPurchaseInfo;
+exports.registerAppAccountToken = registerAppAccountToken;
+exports.reconcileSubscriptions = reconcileSubscriptions;
+exports.createPromotionalOfferSignature = createPromotionalOfferSignature;
+
+// 🚦 기능 접근/사용량 함수들
+exports.checkFeatureAccess = checkFeatureAccess;
+exports.consumeQuota = consumeQuota;
 
 // 웹훅 함수들
 exports.appStoreNotifications = appStoreNotifications;
+exports.retryDeadLetterNotifications = retryDeadLetterNotifications;
+exports.backfillMissedNotifications = backfillMissedNotifications;
+
+// 🛠️ 관리자 함수들
+exports.adminManageDeadLetters = adminManageDeadLetters;
+exports.adminBackfillNotifications = adminBackfillNotifications;
+exports.adminGrantPromotion = adminGrantPromotion;
+exports.adminRevokePromotion = adminRevokePromotion;
+exports.adminLookupUser = adminLookupUser;
+exports.adminManageTestAccounts = adminManageTestAccounts;
+exports.adminExtendRenewalDate = adminExtendRenewalDate;
+exports.adminExtendRenewalDateForAll = adminExtendRenewalDateForAll;
+exports.adminGetRenewalExtensionStatus = adminGetRenewalExtensionStatus;
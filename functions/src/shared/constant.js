@@ -38,10 +38,39 @@ const SubscriptionStatus = {
   UNVERIFIED: 13, // 🔥 구매 정보 미확인 (JWS 전송 필요)
 };
 
+/**
+ * 🎯 사용량 제한 대상 기능
+ */
+const PlanFeature = {
+  NOTES: "notes",
+  OCR_PAGES: "ocrPages",
+};
+
+/**
+ * 📋 entitlement별 기본 사용량 한도 (구독 기간당, null = 무제한)
+ * Firestore config/planLimits 문서의 같은 키로 덮어쓸 수 있습니다.
+ */
+const DEFAULT_PLAN_LIMITS = {
+  [Entitlement.FREE]: {
+    [PlanFeature.NOTES]: 3,
+    [PlanFeature.OCR_PAGES]: 30,
+  },
+  [Entitlement.TRIAL]: {
+    [PlanFeature.NOTES]: 30,
+    [PlanFeature.OCR_PAGES]: 300,
+  },
+  [Entitlement.PREMIUM]: {
+    [PlanFeature.NOTES]: null,
+    [PlanFeature.OCR_PAGES]: 1000,
+  },
+};
+
 const APP_STORE_SERVER_API_URL = "https://api.storekit.itunes.apple.com";
 
 module.exports = {
   Entitlement,
   SubscriptionStatus,
+  PlanFeature,
+  DEFAULT_PLAN_LIMITS,
   APP_STORE_SERVER_API_URL,
 };
@@ -1,10 +1,32 @@
 // 📁 functions/subscription/checkSubscriptionStatus.js
 // 🎯 설정 화면 전용: App Store Server API + 캐시 조합
 const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const {defineSecret} = require("firebase-functions/params");
 const admin = require("firebase-admin");
 const {Entitlement, SubscriptionStatus} = require("../shared/constant");
 const {checkInternalTestAccount} = require("../utils/testAccounts");
-const {getUnifiedSubscriptionData} = require("../utils/subscriptionDataManager");
+const {applyConfiguredEnvironmentPolicy} =
+  require("../utils/environmentPolicy");
+const {applyConfiguredRefundPolicy} = require("../utils/refundPolicy");
+const {
+  getUnifiedSubscriptionData,
+  updateUnifiedSubscriptionData,
+} = require("../utils/subscriptionDataManager");
+const {iapClient} = require("../utils/appStoreServerClient");
+const {
+  isActivePromotion,
+  resolveSubscriptionState,
+} = require("../utils/subscriptionStateEngine");
+
+// Secret Manager에서 환경 변수 정의
+const iapKeyId = defineSecret("APP_STORE_KEY_ID");
+const iapIssuerId = defineSecret("APP_STORE_ISSUER_ID");
+const iapBundleId = defineSecret("APP_STORE_BUNDLE_ID");
+const iapPrivateKeyBase64 = defineSecret("APP_STORE_PRIVATE_KEY_BASE64");
+const iapEnvironment = defineSecret("APP_STORE_ENVIRONMENT");
+const appleRootCert1 = defineSecret("APPLE_ROOT_CA_G1_BASE64");
+const appleRootCert2 = defineSecret("APPLE_ROOT_CA_G2_BASE64");
+const appleRootCert3 = defineSecret("APPLE_ROOT_CA_G3_BASE64");
 
 // 🎯 캐시 유효 시간 (10분)
 const CACHE_DURATION_MS = 10 * 60 * 1000;
@@ -24,6 +46,16 @@ const kDebugMode = process.env.NODE_ENV === "development" || process.env.DEBUG =
  */
 const subCheckSubscriptionStatus = onCall({
   region: "asia-southeast1",
+  secrets: [
+    iapKeyId,
+    iapIssuerId,
+    iapBundleId,
+    iapPrivateKeyBase64,
+    iapEnvironment,
+    appleRootCert1,
+    appleRootCert2,
+    appleRootCert3,
+  ],
 }, async (request) => {
   try {
     console.log("🎯 [Settings] Firestore 기반 구독 상태 조회 시작");
@@ -43,7 +75,8 @@ const subCheckSubscriptionStatus = onCall({
     });
 
     // 🎯 Step 1: 내부 테스트 계정 확인 (최우선)
-    const testAccountResult = checkInternalTestAccount(email);
+    const testAccountResult =
+      await checkInternalTestAccount(admin.firestore(), email);
     if (testAccountResult) {
       console.log("🧪 내부 테스트 계정으로 구독 상태 반환: " +
         testAccountResult.entitlement);
@@ -56,8 +89,31 @@ const subCheckSubscriptionStatus = onCall({
     }
 
     // 🎯 Step 2: Firestore에서 구독 상태 조회
+    const db = admin.firestore();
     const subscriptionData = await getCachedSubscriptionStatus(userId);
 
+    // 🎯 Step 3: 데이터가 오래되었거나 강제 새로고침이면 App Store에서 갱신
+    // (유효한 프로모션은 App Store 상태로 덮어쓰지 않음)
+    const isStale = subscriptionData ? isCacheExpired(subscriptionData) : false;
+    if (subscriptionData?.originalTransactionId &&
+        !isActivePromotion(subscriptionData) && (forceRefresh || isStale)) {
+      const refreshResult = await refreshSubscriptionFromAppStore(
+        db, userId, subscriptionData);
+
+      if (refreshResult.success) {
+        return {
+          success: true,
+          subscription: refreshResult.subscription,
+          dataSource: "app-store-api",
+          isStale: false,
+          version: "firestore-only-v3",
+        };
+      }
+
+      console.warn("⚠️ App Store 갱신 실패, Firestore 데이터 반환:",
+        refreshResult.error);
+    }
+
     if (subscriptionData) {
       console.log("⚡️ Firestore에서 구독 상태 반환:", {
         entitlement: subscriptionData.entitlement,
@@ -69,12 +125,12 @@ const subCheckSubscriptionStatus = onCall({
         success: true,
         subscription: subscriptionData,
         dataSource: "firestore",
-        isStale: isCacheExpired(subscriptionData), // 데이터가 오래되었는지 여부 플래그
+        isStale: isStale, // 갱신 실패 시에도 오래된 데이터임을 알림
         version: "firestore-only-v3",
       };
     }
 
-    // 🎯 Step 3: 구독 정보가 없는 경우 (신규 사용자 등)
+    // 🎯 Step 4: 구독 정보가 없는 경우 (신규 사용자 등)
     const unverifiedData = {
       entitlement: Entitlement.FREE,
       subscriptionStatus: SubscriptionStatus.UNVERIFIED,
@@ -128,6 +184,104 @@ async function getCachedSubscriptionStatus(userId) {
   }
 }
 
+/**
+ * 🔄 App Store Server API(Get All Subscription Statuses)로 구독 상태 갱신
+ *
+ * Apple의 상태 응답을 기준으로 entitlement를 다시 계산하고
+ * updateUnifiedSubscriptionData로 Firestore에 기록합니다.
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 ID
+ * @param {object} cachedData - 현재 저장된 구독 데이터
+ * @param {string} [source] - lastUpdateSource로 기록할 갱신 주체
+ * @return {Promise<object>} 갱신 결과 ({success, subscription?, error?})
+ */
+async function refreshSubscriptionFromAppStore(
+  db, userId, cachedData, source = "checkSubscriptionStatus") {
+  const originalTransactionId = cachedData.originalTransactionId;
+  console.log("🔄 App Store 구독 상태 갱신 시작:", originalTransactionId);
+
+  try {
+    const statusResult = await iapClient.getAllSubscriptionStatuses(
+      originalTransactionId, {environment: cachedData.environment});
+    if (!statusResult.success) {
+      return {success: false, error: statusResult.error};
+    }
+
+    const lastTransaction = findLastTransaction(
+      statusResult.data, originalTransactionId);
+    if (!lastTransaction?.signedTransactionInfo) {
+      return {success: false, error: "No subscription status found"};
+    }
+
+    const transactionResult =
+      await iapClient.verifyJWS(lastTransaction.signedTransactionInfo);
+    if (!transactionResult.success) {
+      return {success: false, error: transactionResult.error};
+    }
+
+    let renewalInfo = null;
+    if (lastTransaction.signedRenewalInfo) {
+      const renewalResult =
+        await iapClient.verifyRenewalInfo(lastTransaction.signedRenewalInfo);
+      if (!renewalResult.success) {
+        return {success: false, error: renewalResult.error};
+      }
+      renewalInfo = renewalResult.data;
+    }
+
+    // 🌍 검증된 환경 기록 및 샌드박스 권한 정책 적용
+    // 💸 이어서 환불 이력 기반 정책 적용
+    const subscriptionUpdates = await applyConfiguredRefundPolicy(
+      db, userId, applyConfiguredEnvironmentPolicy(
+        resolveSubscriptionState({
+          transaction: transactionResult.data,
+          renewalInfo,
+          appleStatus: lastTransaction.status,
+        }), transactionResult.environment));
+
+    // subscriptionData 전체가 교체되므로 기존 필드와 병합하여 저장
+    await updateUnifiedSubscriptionData(db, userId, {
+      ...cachedData,
+      ...subscriptionUpdates,
+    }, source, {
+      signedDate: transactionResult.data.signedDate,
+    });
+
+    const refreshedData = await getCachedSubscriptionStatus(userId);
+
+    console.log("✅ App Store 구독 상태 갱신 완료:", {
+      userId: userId,
+      appleStatus: lastTransaction.status,
+      entitlement: subscriptionUpdates.entitlement,
+      status: subscriptionUpdates.subscriptionStatus,
+    });
+
+    return {
+      success: true,
+      subscription: refreshedData || subscriptionUpdates,
+    };
+  } catch (error) {
+    console.error("❌ App Store 구독 상태 갱신 실패:", error.message);
+    return {success: false, error: error.message};
+  }
+}
+
+/**
+ * 🔍 상태 응답에서 originalTransactionId에 해당하는 최신 트랜잭션 찾기
+ * @param {object} statusResponse - Get All Subscription Statuses 응답
+ * @param {string} originalTransactionId - 저장된 originalTransactionId
+ * @return {object|null} LastTransactionsItem (일치하는 항목이 없으면 null)
+ */
+function findLastTransaction(statusResponse, originalTransactionId) {
+  const lastTransactions = (statusResponse?.data || [])
+    .flatMap((group) => group.lastTransactions || []);
+
+  return lastTransactions.find((item) =>
+    String(item.originalTransactionId) === String(originalTransactionId)) ||
+    null;
+}
+
 /**
  * ⏰ 캐시 만료 여부 확인
  * @param {object} cachedData - 캐시된 데이터
@@ -155,4 +309,6 @@ function isCacheExpired(cachedData) {
 
 module.exports = {
   subCheckSubscriptionStatus,
+  refreshSubscriptionFromAppStore,
+  findLastTransaction,
 };
@@ -0,0 +1,107 @@
+// 📁 functions/src/subscription/createPromotionalOfferSignature.js
+// 🎟️ StoreKit 프로모션 오퍼 서명 발급 (윈백 / 리텐션)
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const {iapClient, iapSecrets} = require("../utils/appStoreServerClient");
+const {
+  PROMOTIONAL_OFFER_COLLECTION,
+  PromotionalOfferState,
+  evaluateOfferEligibility,
+  getPromotionalOffer,
+} = require("../utils/promotionalOffers");
+
+/**
+ * 🎟️ 프로모션 오퍼 서명 발급
+ *
+ * 앱은 응답 값으로 `Product.PurchaseOption.promotionalOffer(...)`를 만들고,
+ * 같은 appAccountToken으로 구매해야 합니다. 서명은 24시간 동안 유효합니다.
+ *
+ * - 오퍼는 config/promotionalOffers에 등록된 것만 발급
+ * - subscriptionData로 자격 확인 (예: 만료된 프리미엄 사용자만)
+ * - 이미 사용한 오퍼는 다시 발급하지 않음 (구매 전 재요청은 새 nonce로 재발급)
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.offerId - 프로모션 오퍼 ID
+ * @param {string} request.data.productId - 구독 상품 ID
+ * @return {Promise<object>} {success, offerId, productId, appAccountToken,
+ *   keyIdentifier, nonce, timestamp, signature}
+ */
+const createPromotionalOfferSignature = onCall({
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const userId = request.auth.uid;
+  const {offerId, productId} = request.data || {};
+  if (!offerId || !productId) {
+    throw new HttpsError("invalid-argument",
+      "offerId and productId are required");
+  }
+
+  const db = admin.firestore();
+  const offer = await getPromotionalOffer(db, offerId);
+  if (!offer) {
+    throw new HttpsError("not-found", "Unknown promotional offer: " + offerId);
+  }
+  if (offer.productIds && !offer.productIds.includes(productId)) {
+    throw new HttpsError("invalid-argument",
+      `Offer ${offerId} is not available for ${productId}`);
+  }
+
+  const userRef = db.collection("users").doc(userId);
+  const offerRef = userRef.collection(PROMOTIONAL_OFFER_COLLECTION)
+    .doc(offerId);
+
+  // 발급 기록 확인과 갱신을 한 트랜잭션에서 처리 (동시 요청 대비)
+  const issued = await db.runTransaction(async (transaction) => {
+    const [userDoc, offerDoc] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(offerRef),
+    ]);
+
+    const {eligible, reason} = evaluateOfferEligibility(
+      userDoc.exists ? userDoc.get("subscriptionData") : null,
+      offer.eligibility);
+    if (!eligible) {
+      throw new HttpsError("failed-precondition",
+        "Not eligible for offer: " + reason);
+    }
+    if (offerDoc.get("state") === PromotionalOfferState.REDEEMED) {
+      throw new HttpsError("already-exists",
+        "Promotional offer already redeemed: " + offerId);
+    }
+
+    const appAccountToken = userDoc.get("appAccountToken") || "";
+    const signatureResult = iapClient.createPromotionalOfferSignature(
+      productId, offerId, appAccountToken);
+    if (!signatureResult.success) {
+      throw new HttpsError("internal", signatureResult.error);
+    }
+
+    const {nonce, timestamp} = signatureResult.data;
+    transaction.set(offerRef, {
+      offerId,
+      productId,
+      eligibility: offer.eligibility,
+      state: PromotionalOfferState.ISSUED,
+      nonce,
+      timestamp,
+      issueCount: admin.firestore.FieldValue.increment(1),
+      ...(!offerDoc.exists &&
+        {firstIssuedAt: admin.firestore.FieldValue.serverTimestamp()}),
+      issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    return {appAccountToken, ...signatureResult.data};
+  });
+
+  console.log("🎟️ 프로모션 오퍼 서명 발급:", {userId, offerId, productId});
+  return {success: true, offerId, productId, ...issued};
+});
+
+module.exports = {
+  createPromotionalOfferSignature,
+};
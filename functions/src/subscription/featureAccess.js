@@ -0,0 +1,78 @@
+// 📁 functions/src/subscription/featureAccess.js
+// 🚦 entitlement별 기능 접근/사용량 확인 (서버 기준 한도 적용)
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const {PlanFeature} = require("../shared/constant");
+const {checkUsageQuota} = require("../utils/usageQuota");
+
+/**
+ * 🔍 요청 파라미터 검증
+ * @param {object} request - Firebase Functions 요청
+ * @return {object} {userId, feature, amount}
+ */
+function parseQuotaRequest(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const {feature, amount = 1} = request.data || {};
+  if (!Object.values(PlanFeature).includes(feature)) {
+    throw new HttpsError("invalid-argument", "Unknown feature: " + feature);
+  }
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw new HttpsError("invalid-argument",
+      "amount must be a positive integer");
+  }
+
+  return {userId: request.auth.uid, feature, amount};
+}
+
+/**
+ * 🚦 기능 사용 가능 여부 확인 (사용량 변경 없음)
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.feature - PlanFeature 값
+ * @param {number} [request.data.amount] - 사용할 양 (기본값 1)
+ * @return {Promise<object>} {success, allowed, used, limit, remaining, ...}
+ */
+const checkFeatureAccess = onCall({
+  region: "asia-southeast1",
+}, async (request) => {
+  const {userId, feature, amount} = parseQuotaRequest(request);
+  const result = await checkUsageQuota(
+    admin.firestore(), userId, feature, amount);
+
+  return {success: true, ...result};
+});
+
+/**
+ * 📉 기능 사용량 차감 (한도 초과 시 차감하지 않고 allowed: false)
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} request.data.feature - PlanFeature 값
+ * @param {number} [request.data.amount] - 사용할 양 (기본값 1)
+ * @return {Promise<object>} {success, allowed, used, limit, remaining, ...}
+ */
+const consumeQuota = onCall({
+  region: "asia-southeast1",
+}, async (request) => {
+  const {userId, feature, amount} = parseQuotaRequest(request);
+  const result = await checkUsageQuota(
+    admin.firestore(), userId, feature, amount, {consume: true});
+
+  if (!result.allowed) {
+    console.log("🚫 사용량 한도 초과:", {
+      userId,
+      feature,
+      used: result.used,
+      limit: result.limit,
+    });
+  }
+
+  return {success: true, ...result};
+});
+
+module.exports = {
+  checkFeatureAccess,
+  consumeQuota,
+};
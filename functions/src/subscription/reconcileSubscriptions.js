@@ -0,0 +1,202 @@
+// 📁 functions/src/subscription/reconcileSubscriptions.js
+// 🌙 만료(임박) 구독 야간 재확인
+//
+// 알림이 유실되면 subscriptionData는 expiresDate가 지나도 PREMIUM으로 남습니다.
+// 만료되었거나 24시간 안에 만료되는 권한 보유 사용자를 Apple 상태 API로
+// 다시 확인하여 어긋난 상태를 바로잡고, 결과를 보고서 문서로 남깁니다.
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const {Entitlement} = require("../shared/constant");
+const {iapSecrets} = require("../utils/appStoreServerClient");
+const {
+  isActivePromotion,
+  normalizeEntitlement,
+} = require("../utils/subscriptionStateEngine");
+const {refreshSubscriptionFromAppStore} =
+  require("./checkSubscriptionStatus");
+
+const RECONCILIATION_REPORT_COLLECTION = "reconciliationReports";
+
+// 만료 24시간 전부터 재확인 대상
+const EXPIRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+// 조회 대상 권한 (FREE로 반영된 과거 만료 사용자는 쿼리 단계에서 제외)
+// 초기 syncPurchaseInfo가 기록한 대문자 값("PREMIUM")도 함께 조회
+// firestore.indexes.json의 (entitlement, expiresDate) 복합 색인 사용
+const RECONCILE_ENTITLEMENTS = [Entitlement.TRIAL, Entitlement.PREMIUM]
+  .flatMap((entitlement) => [entitlement, entitlement.toUpperCase()]);
+// 사용자 문서 조회 페이지 크기
+const QUERY_PAGE_SIZE = 200;
+// Apple API 동시 호출 수
+const RECONCILE_CONCURRENCY = 5;
+// 보고서에 남길 사용자별 상세 기록 최대 수
+const MAX_REPORT_DETAILS = 100;
+
+// 어긋남(drift) 판단에 사용하는 필드
+const DRIFT_FIELDS = ["entitlement", "subscriptionStatus", "expiresDate"];
+
+/**
+ * 🔍 재확인 전후 구독 데이터에서 달라진 필드
+ * @param {object} before - 재확인 전 subscriptionData
+ * @param {object} after - 재확인 후 subscriptionData
+ * @return {object} {필드: {from, to}} (같으면 빈 객체)
+ */
+function detectDrift(before, after) {
+  const drift = {};
+  for (const field of DRIFT_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (from !== to) {
+      drift[field] = {from, to};
+    }
+  }
+  return drift;
+}
+
+/**
+ * 🎯 재확인 대상 여부 (App Store 구독으로 권한을 가진 사용자)
+ * originalTransactionId가 없거나 유효한 프로모션 중인 사용자는 제외합니다.
+ * @param {object} subscriptionData - 저장된 구독 데이터
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {boolean} 대상 여부
+ */
+function isReconcileCandidate(subscriptionData, now = Date.now()) {
+  return !!subscriptionData?.originalTransactionId &&
+    normalizeEntitlement(subscriptionData.entitlement) !== Entitlement.FREE &&
+    !isActivePromotion(subscriptionData, now);
+}
+
+/**
+ * 🚦 동시 실행 수를 제한하여 작업 실행
+ * @param {Array<*>} items - 작업 대상
+ * @param {number} limit - 최대 동시 실행 수
+ * @param {function(*): Promise<void>} worker - 대상별 작업
+ * @return {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  const runners = Array.from({length: Math.min(limit, items.length)},
+    async () => {
+      while (nextIndex < items.length) {
+        await worker(items[nextIndex++]);
+      }
+    });
+  await Promise.all(runners);
+}
+
+/**
+ * 🌙 만료(임박) 구독 재확인 후 보고서 저장
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} [options] - 실행 옵션
+ * @param {number} [options.now] - 기준 시간 (ms)
+ * @param {number} [options.concurrency] - Apple API 동시 호출 수
+ * @return {Promise<object>} 보고서 ({id, scanned, candidates, fixed, ...})
+ */
+async function reconcileExpiringSubscriptions(db, {
+  now = Date.now(),
+  concurrency = RECONCILE_CONCURRENCY,
+} = {}) {
+  const threshold = now + EXPIRY_WINDOW_MS;
+  const report = {
+    threshold,
+    scanned: 0,
+    candidates: 0,
+    fixed: 0,
+    unchanged: 0,
+    failed: 0,
+    fixes: [],
+    failures: [],
+  };
+
+  let lastDoc = null;
+  do {
+    let query = db.collection("users")
+      .where("subscriptionData.entitlement", "in", RECONCILE_ENTITLEMENTS)
+      .where("subscriptionData.expiresDate", "<=", threshold)
+      .orderBy("subscriptionData.expiresDate")
+      .limit(QUERY_PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    lastDoc = snapshot.size === QUERY_PAGE_SIZE ?
+      snapshot.docs[snapshot.size - 1] : null;
+    report.scanned += snapshot.size;
+
+    const candidates = snapshot.docs.filter((doc) =>
+      isReconcileCandidate(doc.get("subscriptionData"), now));
+    report.candidates += candidates.length;
+
+    await runWithConcurrency(candidates, concurrency, (doc) =>
+      reconcileUser(db, doc, report));
+  } while (lastDoc);
+
+  const docRef = await db.collection(RECONCILIATION_REPORT_COLLECTION).add({
+    ...report,
+    fixes: report.fixes.slice(0, MAX_REPORT_DETAILS),
+    failures: report.failures.slice(0, MAX_REPORT_DETAILS),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log("🌙 구독 재확인 완료:", {
+    id: docRef.id,
+    scanned: report.scanned,
+    candidates: report.candidates,
+    fixed: report.fixed,
+    unchanged: report.unchanged,
+    failed: report.failed,
+  });
+  return {id: docRef.id, ...report};
+}
+
+/**
+ * 🔄 사용자 한 명을 Apple 상태로 재확인하고 보고서에 집계
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {admin.firestore.DocumentSnapshot} doc - 사용자 문서
+ * @param {object} report - 집계할 보고서
+ * @return {Promise<void>}
+ */
+async function reconcileUser(db, doc, report) {
+  const userId = doc.id;
+  const before = doc.get("subscriptionData");
+
+  const result = await refreshSubscriptionFromAppStore(
+    db, userId, before, "reconciliation");
+  if (!result.success) {
+    report.failed++;
+    report.failures.push({userId, error: result.error});
+    return;
+  }
+
+  const drift = detectDrift(before, result.subscription);
+  if (Object.keys(drift).length === 0) {
+    report.unchanged++;
+    return;
+  }
+
+  report.fixed++;
+  report.fixes.push({userId, drift});
+  console.log("🔧 구독 상태 보정:", userId, drift);
+}
+
+/**
+ * ⏰ 매일 새벽 만료(임박) 구독 재확인
+ */
+const reconcileSubscriptions = onSchedule({
+  schedule: "every day 03:00",
+  timeZone: "Asia/Seoul",
+  region: "asia-southeast1",
+  timeoutSeconds: 540,
+  secrets: iapSecrets,
+}, async () => {
+  await reconcileExpiringSubscriptions(admin.firestore());
+});
+
+module.exports = {
+  RECONCILIATION_REPORT_COLLECTION,
+  RECONCILE_ENTITLEMENTS,
+  reconcileSubscriptions,
+  reconcileExpiringSubscriptions,
+  detectDrift,
+  isReconcileCandidate,
+  runWithConcurrency,
+};
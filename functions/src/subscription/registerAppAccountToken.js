@@ -0,0 +1,110 @@
+// 📁 functions/src/subscription/registerAppAccountToken.js
+// 🔑 사용자별 appAccountToken(UUID) 발급/등록
+const {onCall, HttpsError} = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const {
+  APP_ACCOUNT_TOKEN_COLLECTION,
+  normalizeAppAccountToken,
+} = require("../utils/userResolver");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * 🔑 appAccountToken 발급/등록
+ *
+ * 앱은 구매 시 `Product.PurchaseOption.appAccountToken(uuid)`로 이 값을 전달하고,
+ * 웹훅은 아직 연결되지 않은 트랜잭션의 사용자를 이 토큰으로 찾습니다.
+ *
+ * - 토큰을 전달하지 않으면: 기존 토큰을 반환하거나 새로 발급
+ * - 토큰을 전달하면: 다른 사용자가 사용 중이지 않은 경우 등록
+ * - appAccountTokens/{token} 예약 문서로 같은 토큰의 동시 등록을 막음
+ *
+ * @param {object} request - Firebase Functions 요청
+ * @param {string} [request.data.appAccountToken] - 앱에서 생성한 UUID
+ * @return {Promise<object>} {success, appAccountToken}
+ */
+const registerAppAccountToken = onCall({
+  region: "asia-southeast1",
+}, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  const userId = request.auth.uid;
+  const requestedToken =
+    normalizeAppAccountToken(request.data?.appAccountToken);
+  if (requestedToken && !UUID_PATTERN.test(requestedToken)) {
+    throw new HttpsError("invalid-argument",
+      "appAccountToken must be a UUID");
+  }
+
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+
+  // 소유자 확인과 등록을 한 트랜잭션에서 처리 (동시 요청 대비)
+  const result = await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const currentToken =
+      userDoc.exists ? userDoc.get("appAccountToken") : null;
+
+    // 이미 등록된 토큰 그대로 사용
+    if (currentToken &&
+        (!requestedToken || requestedToken === currentToken)) {
+      return {appAccountToken: currentToken, registered: false};
+    }
+
+    const appAccountToken = requestedToken || crypto.randomUUID();
+    const tokenRef =
+      db.collection(APP_ACCOUNT_TOKEN_COLLECTION).doc(appAccountToken);
+    const [tokenDoc, legacyOwners] = await Promise.all([
+      transaction.get(tokenRef),
+      // 예약 문서가 생기기 전에 등록된 토큰
+      transaction.get(db.collection("users")
+        .where("appAccountToken", "==", appAccountToken)
+        .limit(1)),
+    ]);
+
+    const ownerId = tokenDoc.exists ? tokenDoc.get("userId") :
+      legacyOwners.docs[0]?.id;
+    if (ownerId && ownerId !== userId) {
+      console.warn("🚫 다른 사용자가 사용 중인 appAccountToken:", {
+        userId,
+        ownerId,
+      });
+      throw new HttpsError("already-exists",
+        "appAccountToken is already registered to another user");
+    }
+
+    transaction.set(tokenRef, {
+      userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (currentToken) {
+      transaction.delete(
+        db.collection(APP_ACCOUNT_TOKEN_COLLECTION).doc(currentToken));
+    }
+    transaction.set(userRef, {
+      appAccountToken,
+      appAccountTokenUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    return {appAccountToken, registered: true, replaced: !!currentToken};
+  });
+
+  if (!result.registered) {
+    return {success: true, appAccountToken: result.appAccountToken};
+  }
+
+  console.log("🔑 appAccountToken 등록:", {
+    userId,
+    replaced: result.replaced,
+  });
+
+  return {success: true, appAccountToken: result.appAccountToken};
+});
+
+module.exports = {
+  registerAppAccountToken,
+};
@@ -3,8 +3,13 @@
 const {onCall, HttpsError} = require("firebase-functions/v2/https");
 const {defineSecret} = require("firebase-functions/params");
 const admin = require("firebase-admin");
-const {SubscriptionStatus} = require("../shared/constant");
 const {checkInternalTestAccount} = require("../utils/testAccounts");
+const {assertAdmin} = require("../utils/adminAuth");
+const {applyConfiguredEnvironmentPolicy} =
+  require("../utils/environmentPolicy");
+const {applyConfiguredRefundPolicy} = require("../utils/refundPolicy");
+const {claimTransactionOwnership} =
+  require("../utils/subscriptionOwnership");
 // ⭐️ 수정: `iapClient` 싱글톤 인스턴스를 가져옵니다.
 const {iapClient} = require("../utils/appStoreServerClient");
 
@@ -19,6 +24,16 @@ const appleRootCert2 = defineSecret("APPLE_ROOT_CA_G2_BASE64");
 const appleRootCert3 = defineSecret("APPLE_ROOT_CA_G3_BASE64");
 const {updateUnifiedSubscriptionData} =
   require("../utils/subscriptionDataManager");
+const {
+  resolveSubscriptionState,
+  applyFamilySharedStatus,
+  isFamilySharedTransaction,
+} = require("../utils/subscriptionStateEngine");
+const {upsertTransactionIndex} = require("../utils/transactionIndex");
+const {markPromotionalOfferRedeemed} =
+  require("../utils/promotionalOffers");
+const {applyPendingNotifications} =
+  require("../webhook/pendingNotificationLinker");
 
 /**
  * 🚀 Apple Best Practice: jwsRepresentation 기반 구매 정보 동기화
@@ -29,9 +44,12 @@ const {updateUnifiedSubscriptionData} =
  * 3. appAccountToken으로 사용자 연결
  * 4. 즉시 구독 상태 반환
  *
+ * 🔐 대상 사용자는 인증된 UID이며, 다른 사용자 대상 동기화는 관리자만 가능합니다.
+ * 이미 다른 사용자가 소유한 구독은 OWNERSHIP_CONFLICT_POLICY에 따라 처리합니다.
+ *
  * @param {object} request - Firebase Functions 요청
  * @param {string} request.data.jwsRepresentation - StoreKit 2 트랜잭션 JWS
- * @param {string} request.data.userId - 사용자 UID (앱 계정 연결용)
+ * @param {string} [request.data.userId] - 대상 사용자 UID (관리자 전용)
  * @return {Promise<object>} 구독 상태 정보
  */
 // ⭐️ 수정: Secret Manager의 비밀들을 함수 dependency로 선언합니다.
@@ -55,23 +73,35 @@ const syncPurchaseInfo = onCall({
       throw new HttpsError("unauthenticated", "User must be authenticated");
     }
 
-    const {jwsRepresentation, userId} = request.data;
+    const {jwsRepresentation} = request.data;
     const email = request.auth.token?.email;
 
     // 🔍 입력 검증
-    if (!jwsRepresentation || !userId) {
+    if (!jwsRepresentation) {
       throw new HttpsError("invalid-argument",
-        "jwsRepresentation and userId are required");
+        "jwsRepresentation is required");
+    }
+
+    // 🔐 대상 사용자: 인증된 UID (다른 사용자 지정은 관리자만)
+    let userId = request.auth.uid;
+    let operatorUid = null;
+    if (request.data.userId && request.data.userId !== userId) {
+      operatorUid = assertAdmin(request);
+      userId = request.data.userId;
     }
 
     console.log("📝 입력 데이터:", {
       hasJwsRepresentation: !!jwsRepresentation,
       userId: userId,
       email: email,
+      operatorUid: operatorUid,
     });
 
-    // 🎯 Step 1: 내부 테스트 계정 확인 (최우선)
-    const testAccountResult = checkInternalTestAccount(email);
+    // 🎯 Step 1: 내부 테스트 계정 확인 (최우선, 본인 동기화일 때만)
+    // 시나리오는 응답으로만 반환 (가짜 originalTransactionId를 저장하면
+    // 갱신 / 야간 재확인 / 트랜잭션 인덱스가 Apple에 없는 거래를 다루게 됨)
+    const testAccountResult = operatorUid ? null :
+      await checkInternalTestAccount(admin.firestore(), email);
     if (testAccountResult) {
       console.log("🧪 내부 테스트 계정으로 구독 상태 반환: " +
         testAccountResult.entitlement);
@@ -100,83 +130,65 @@ const syncPurchaseInfo = onCall({
       productId: transaction.productId,
       type: transaction.type,
       appAccountToken: transaction.appAccountToken,
+      environment: transactionInfo.environment,
     });
 
-    // 🎯 Step 3: 구독 정보 해석 및 상태 결정
-    const {
-      productId,
-      expiresDate,
-      purchaseDate,
-      offerType,
-      transactionId,
-      originalTransactionId,
-      appAccountToken,
-      revocationDate,
-      isUpgraded,
-    } = transaction;
-
-    let entitlement = "FREE";
-    let subscriptionType = "none";
-
-    // Product ID 기반으로 구독 유형 및 권한 결정
-    if (productId.includes("monthly")) {
-      subscriptionType = "monthly";
-      entitlement = "PREMIUM";
-    } else if (productId.includes("yearly")) {
-      subscriptionType = "yearly";
-      entitlement = "PREMIUM";
-    }
+    // 🔐 소유권 확인 (다른 계정 소유 구독은 충돌 정책 적용, 거부 시 예외)
+    const db = admin.firestore();
+    const ownership = await claimTransactionOwnership(db, {
+      userId,
+      transaction,
+      source: "syncPurchaseInfo",
+      operatorUid,
+    });
 
-    // 최종 구독 상태 결정
-    const expiresDateMs = expiresDate ? parseInt(expiresDate) : 0;
-    const isExpired = expiresDateMs <= Date.now();
-    let subscriptionStatus = "EXPIRED";
-
-    if (revocationDate) {
-      subscriptionStatus = "REVOKED";
-      entitlement = "FREE";
-    } else if (!isExpired) {
-      subscriptionStatus = "ACTIVE";
-    } else {
-      subscriptionStatus = "EXPIRED";
-      entitlement = "FREE";
+    // 🎯 Step 3: 구독 정보 해석 및 상태 결정 (공통 상태 엔진)
+    let subscriptionUpdates = resolveSubscriptionState({transaction});
+    // 👨‍👩‍👧 가족 공유로 받은 구독이면 구성원 상태(FAMILY_SHARED)로 저장
+    if (isFamilySharedTransaction(transaction)) {
+      subscriptionUpdates = applyFamilySharedStatus(subscriptionUpdates);
     }
-
-    // 이 트랜잭션이 무료 체험이었는지 확인.
-    // isUpgraded가 true이면 이미 구독 경험이 있으므로 신규 체험이 아님.
-    const isTrialTransaction = offerType === 1 && !isUpgraded;
-    if (isTrialTransaction) {
-      entitlement = "PREMIUM"; // 체험도 프리미엄 권한 부여
+    // 🌍 검증된 환경 기록 및 샌드박스 권한 정책 적용
+    subscriptionUpdates = applyConfiguredEnvironmentPolicy(
+      subscriptionUpdates, transactionInfo.environment);
+    // 💸 환불 이력 기반 정책 적용 (예: 환불 후 무료 체험 미부여)
+    subscriptionUpdates = await applyConfiguredRefundPolicy(
+      db, userId, subscriptionUpdates);
+    // Firestore 업데이트 (🎁 유효한 프로모션은 만료된 JWS로 덮어쓰지 않음)
+    const updateResult = await updateUnifiedSubscriptionData(
+      db, userId, subscriptionUpdates, "syncPurchaseInfo", {
+        signedDate: transaction.signedDate,
+        preserveActivePromotion: true,
+      });
+    const {entitlement, subscriptionStatus, expiresDate, productId} =
+      updateResult.decision === "preserved-promotion" ?
+        updateResult.storedData : subscriptionUpdates;
+    await upsertTransactionIndex(db, userId, transaction, "syncPurchaseInfo");
+
+    // 🎟️ 프로모션 오퍼로 구매했으면 발급 기록을 사용 완료로 표시
+    try {
+      await markPromotionalOfferRedeemed(db, userId, transaction);
+    } catch (error) {
+      console.error("❌ 프로모션 오퍼 사용 기록 실패:", error);
     }
 
-    // Firestore에 저장할 데이터 준비
-    const db = admin.firestore();
-    const subscriptionUpdates = {
-      originalTransactionId,
-      lastTransactionId: transactionId,
-      productId,
-      purchaseDate: purchaseDate ? parseInt(purchaseDate) : null,
-      expiresDate: expiresDateMs,
-      entitlement,
-      subscriptionStatus: SubscriptionStatus[subscriptionStatus], // "ACTIVE" -> 1
-      subscriptionType,
-      // isTrialTransaction이 true일 때만 hasUsedTrial을 true로 설정 (덮어쓰지 않음)
-      ...(isTrialTransaction && {hasUsedTrial: true}),
-      ...(offerType && {offerType}),
-      ...(appAccountToken && {appAccountToken}),
-      ...(revocationDate && {revocationDate: parseInt(revocationDate)}),
-    };
-
-    // Firestore 업데이트
-    await updateUnifiedSubscriptionData(db, userId, subscriptionUpdates, "syncPurchaseInfo");
+    // 🔗 Step 4: 연결 전에 도착해 보관된 웹훅 알림 적용
+    // (실패해도 동기화 결과는 그대로 반환하고 알림은 보관 상태 유지)
+    try {
+      await applyPendingNotifications(
+        db, userId, transaction.originalTransactionId);
+    } catch (error) {
+      console.error("❌ 보관 알림 적용 실패:", error);
+    }
 
     // 🔥 Step 5: 클라이언트에 반환할 최종 응답 단순화
     const finalResponse = {
       success: true,
       entitlement,
-      subscriptionStatus: SubscriptionStatus[subscriptionStatus], // "ACTIVE" -> 1
-      expiresDate: expiresDateMs,
+      subscriptionStatus,
+      expiresDate,
       productId,
+      ownership: ownership.decision,
       dataSource: "jws-simplified", // 데이터 출처 명시
       timestamp: new Date().toISOString(),
     };
@@ -0,0 +1,26 @@
+// 📁 functions/src/utils/adminAuth.js
+// 🛡️ 관리자 전용 callable 권한 확인
+const {HttpsError} = require("firebase-functions/v2/https");
+
+/**
+ * 🛡️ 요청자가 관리자(custom claim `admin: true`)인지 확인
+ * @param {object} request - Firebase Functions callable 요청
+ * @return {string} 관리자(operator) UID
+ * @throws {HttpsError} 인증되지 않았거나 관리자가 아닌 경우
+ */
+function assertAdmin(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "User must be authenticated");
+  }
+
+  if (request.auth.token?.admin !== true) {
+    console.warn("🚫 관리자 권한 없음:", request.auth.uid);
+    throw new HttpsError("permission-denied", "Admin privileges required");
+  }
+
+  return request.auth.uid;
+}
+
+module.exports = {
+  assertAdmin,
+};
@@ -1,12 +1,22 @@
 // 📁 functions/src/utils/appStoreServerClient.js
 // Apple 공식 라이브러리 기반 클라이언트
 const {
+  APIError,
   AppStoreServerAPIClient,
   Environment,
+  GetTransactionHistoryVersion,
+  Order,
+  PromotionalOfferSignatureCreator,
   SignedDataVerifier, // ⭐️ SignedDataVerifier import
   VerificationException, // ⭐️ VerificationException import
+  VerificationStatus,
 } = require("@apple/app-store-server-library");
-const {defineSecret} = require("firebase-functions/params");
+const crypto = require("crypto");
+const {
+  defineBoolean,
+  defineSecret,
+  defineString,
+} = require("firebase-functions/params");
 
 // Secret Manager에서 환경 변수 로드
 const iapKeyId = defineSecret("APP_STORE_KEY_ID");
@@ -20,20 +30,101 @@ const appleRootCert1 = defineSecret("APPLE_ROOT_CA_G1_BASE64");
 const appleRootCert2 = defineSecret("APPLE_ROOT_CA_G2_BASE64");
 const appleRootCert3 = defineSecret("APPLE_ROOT_CA_G3_BASE64");
 
+// 프로덕션 SignedDataVerifier에 필요한 앱 Apple ID (샌드박스는 불필요)
+const iapAppAppleId = defineString("APP_STORE_APP_APPLE_ID", {default: ""});
+
+// 🧪 로컬 테스트용 설정 (test/mockAppStore 참고)
+// - APP_STORE_API_BASE_URL: 설정하면 {baseUrl}/{Production|Sandbox}로 API 호출
+// - APP_STORE_ONLINE_CHECKS: false이면 인증서 OCSP 확인 생략 (테스트 CA용)
+const iapApiBaseUrl = defineString("APP_STORE_API_BASE_URL", {default: ""});
+const iapOnlineChecks =
+  defineBoolean("APP_STORE_ONLINE_CHECKS", {default: true});
+
+// 프로덕션에서 찾을 수 없는 거래로 보고 샌드박스로 재시도할 API 오류
+const SANDBOX_FALLBACK_API_ERRORS = [
+  APIError.TRANSACTION_ID_NOT_FOUND,
+  APIError.ORIGINAL_TRANSACTION_ID_NOT_FOUND,
+];
+
 /**
  * 🚀 App Store와 통신하고 JWS를 검증하는 통합 클라이언트
  *
  * 이 클래스는 다음 두 가지 역할을 모두 수행합니다.
  * 1. AppStoreServerAPIClient: 구독 상태, 거래 내역 조회 등 API 통신
  * 2. SignedDataVerifier: 클라이언트로부터 받은 JWS(signedTransaction) 검증
+ *
+ * 🌍 환경별(프로덕션/샌드박스)로 클라이언트와 검증기를 하나씩 두고,
+ * Apple 권장 방식대로 프로덕션을 먼저 시도한 뒤 샌드박스로 재시도합니다.
+ * (TestFlight / App Review 구매는 프로덕션 배포에서도 샌드박스 환경)
+ * APP_STORE_ENVIRONMENT는 배포 환경을 의미하며 샌드박스 권한 정책에 사용됩니다.
  */
 class InAppPurchaseClient {
   constructor() {
-    this._client = null;
-    this._verifier = null; // ⭐️ Verifier 인스턴스를 저장할 속성
+    this._clients = {}; // Environment → AppStoreServerAPIClient
+    this._verifiers = {}; // Environment → SignedDataVerifier
+    this._environments = []; // 시도 순서 (프로덕션 → 샌드박스)
+    this._deploymentEnvironment = null;
+    this._offerSignatureCreator = null; // 프로모션 오퍼 서명 (환경 무관)
+    this._keyId = null;
+    this._config = null; // configure()로 주입된 설정 (없으면 Secret Manager)
     this._isInitialized = false;
   }
 
+  /**
+   * 🧪 Secret Manager 대신 주어진 설정으로 다시 초기화 (테스트/에뮬레이터용)
+   *
+   * 통합 테스트에서 test/mockAppStore의 테스트 CA와 대역 서버를 가리키도록
+   * 사용합니다. 필드는 _loadSecretConfig 결과와 같습니다.
+   *
+   * @param {object|null} config - 클라이언트 설정 (null이면 Secret Manager)
+   */
+  configure(config) {
+    this._config = config;
+    this._clients = {};
+    this._verifiers = {};
+    this._isInitialized = false;
+  }
+
+  /**
+   * 🔑 Secret Manager / 파라미터에서 클라이언트 설정 로드
+   * @return {object} 클라이언트 설정
+   */
+  _loadSecretConfig() {
+    return {
+      keyId: iapKeyId.value(),
+      issuerId: iapIssuerId.value(),
+      bundleId: iapBundleId.value(),
+      privateKeyBase64: iapPrivateKeyBase64.value(),
+      environment: iapEnvironment.value() || "sandbox",
+      appAppleId: parseInt(iapAppAppleId.value()) || undefined,
+      apiBaseUrl: iapApiBaseUrl.value(),
+      enableOnlineChecks: iapOnlineChecks.value(),
+      rootCertificatesBase64: [
+        appleRootCert1.value(),
+        appleRootCert2.value(),
+        appleRootCert3.value(),
+      ],
+    };
+  }
+
+  /**
+   * 🌍 배포 환경 (APP_STORE_ENVIRONMENT, 기본값 샌드박스)
+   * @return {string} Environment 값
+   */
+  get deploymentEnvironment() {
+    this.initialize(); // 초기화 보장
+    return this._deploymentEnvironment;
+  }
+
+  /**
+   * 🌍 조회 가능한 환경 목록 (프로덕션 → 샌드박스)
+   * @return {Array<string>} Environment 값 목록
+   */
+  get environments() {
+    this.initialize(); // 초기화 보장
+    return [...this._environments];
+  }
+
   /**
    * Secret Manager에서 값을 읽어와 클라이언트와 검증기를 초기화합니다.
    * 모든 외부 호출 메서드 시작 부분에서 호출하여 초기화를 보장합니다.
@@ -44,15 +135,18 @@ class InAppPurchaseClient {
     }
 
     try {
-      // Secret 값 로드
-      const keyId = iapKeyId.value();
-      const issuerId = iapIssuerId.value();
-      const bundleId = iapBundleId.value();
-      const privateKeyBase64 = iapPrivateKeyBase64.value();
-      const environment = iapEnvironment.value() || "sandbox";
-      const cert1Base64 = appleRootCert1.value();
-      const cert2Base64 = appleRootCert2.value();
-      const cert3Base64 = appleRootCert3.value();
+      // Secret 값 로드 (configure()로 주입된 설정이 있으면 우선)
+      const {
+        keyId,
+        issuerId,
+        bundleId,
+        privateKeyBase64,
+        environment,
+        appAppleId,
+        apiBaseUrl,
+        enableOnlineChecks,
+        rootCertificatesBase64: [cert1Base64, cert2Base64, cert3Base64],
+      } = this._config || this._loadSecretConfig();
 
       console.log("🔧 In-App Purchase 통합 클라이언트 초기화:");
       console.log("  - Key ID:", keyId ? "✅" : "❌");
@@ -60,6 +154,10 @@ class InAppPurchaseClient {
       console.log("  - Bundle ID:", bundleId ? "✅" : "❌");
       console.log("  - Private Key:", privateKeyBase64 ? "✅" : "❌");
       console.log("  - Environment:", environment ? "✅" : "❌");
+      console.log("  - App Apple ID:", appAppleId ? "✅" : "❌");
+      if (apiBaseUrl || !enableOnlineChecks) {
+        console.warn("🧪 테스트 설정 사용:", {apiBaseUrl, enableOnlineChecks});
+      }
       console.log("  - Apple Root CA G1:", cert1Base64 ? "✅" : "❌");
       console.log("  - Apple Root CA G2:", cert2Base64 ? "✅" : "❌");
       console.log("  - Apple Root CA G3:", cert3Base64 ? "✅" : "❌");
@@ -78,30 +176,58 @@ class InAppPurchaseClient {
         Buffer.from(cert3Base64, "base64"),
       ];
 
-      const appStoreEnvironment = environment === "production" ?
+      this._deploymentEnvironment = environment === "production" ?
         Environment.PRODUCTION : Environment.SANDBOX;
 
-      console.log(`🌍 In-App Purchase 환경: ${environment} (${appStoreEnvironment})`);
+      console.log("🌍 In-App Purchase 배포 환경:",
+        environment, this._deploymentEnvironment);
 
-      // 1. API 클라이언트 초기화
-      this._client = new AppStoreServerAPIClient(
-        privateKey,
-        keyId,
-        issuerId,
-        bundleId,
-        appStoreEnvironment,
-      );
-
-      // 2. ⭐️ JWS Verifier 초기화
-      this._verifier = new SignedDataVerifier(
-        appleRootCerts,
-        true, // enableOnlineChecks
-        appStoreEnvironment,
-        bundleId,
-      );
+      // 프로덕션 검증기는 appAppleId가 있어야 생성 가능
+      // 프로덕션 배포에서 샌드박스만 검증하면 실제 구매가 모두 거부되므로 중단
+      if (!appAppleId &&
+          this._deploymentEnvironment === Environment.PRODUCTION) {
+        throw new Error(
+          "프로덕션 배포에는 APP_STORE_APP_APPLE_ID가 필요합니다.");
+      }
+      this._environments = appAppleId ?
+        [Environment.PRODUCTION, Environment.SANDBOX] :
+        [Environment.SANDBOX];
+      if (!appAppleId) {
+        console.warn("⚠️ APP_STORE_APP_APPLE_ID 미설정: 샌드박스만 검증합니다.");
+      }
+
+      // 프로모션 오퍼 서명은 같은 In-App Purchase 키로 생성
+      this._offerSignatureCreator =
+        new PromotionalOfferSignatureCreator(privateKey, keyId, bundleId);
+      this._keyId = keyId;
+
+      for (const appStoreEnvironment of this._environments) {
+        // 1. API 클라이언트 초기화
+        this._clients[appStoreEnvironment] = new AppStoreServerAPIClient(
+          privateKey,
+          keyId,
+          issuerId,
+          bundleId,
+          appStoreEnvironment,
+        );
+        if (apiBaseUrl) {
+          this._clients[appStoreEnvironment].urlBase =
+            `${apiBaseUrl}/${appStoreEnvironment}`;
+        }
+
+        // 2. ⭐️ JWS Verifier 초기화
+        this._verifiers[appStoreEnvironment] = new SignedDataVerifier(
+          appleRootCerts,
+          enableOnlineChecks,
+          appStoreEnvironment,
+          bundleId,
+          appAppleId,
+        );
+      }
 
       this._isInitialized = true;
-      console.log("✅ In-App Purchase 통합 클라이언트 초기화 완료");
+      console.log("✅ In-App Purchase 통합 클라이언트 초기화 완료:",
+        this._environments);
     } catch (error) {
       console.error("❌ In-App Purchase 통합 클라이언트 초기화 실패:", error.message);
       // 초기화 실패 시에는 에러를 던져서 상위에서 처리하도록 함
@@ -109,29 +235,89 @@ class InAppPurchaseClient {
     }
   }
 
+  /**
+   * 🔐 환경 순서대로 검증 (환경 불일치일 때만 다음 환경으로 재시도)
+   * @param {string} method - SignedDataVerifier 메서드 이름
+   * @param {string} signedData - 검증할 JWS
+   * @return {Promise<object>} {data, environment}
+   */
+  async _verifyWithFallback(method, signedData) {
+    let lastError = null;
+    for (const environment of this._environments) {
+      try {
+        const data = await this._verifiers[environment][method](signedData);
+        return {data, environment};
+      } catch (error) {
+        if (!(error instanceof VerificationException) ||
+            error.status !== VerificationStatus.INVALID_ENVIRONMENT) {
+          throw error;
+        }
+        console.log(`🌍 [IAP] ${environment} 환경 불일치, 다음 환경으로 재시도`);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * 🌍 환경별 API 클라이언트 (설정되지 않은 환경이면 예외)
+   * @param {string} environment - Environment 값
+   * @return {AppStoreServerAPIClient} API 클라이언트
+   */
+  _getClient(environment) {
+    const client = this._clients[environment];
+    if (!client) {
+      throw new Error("Environment not configured: " + environment);
+    }
+    return client;
+  }
+
+  /**
+   * 🌍 API 호출 (환경을 모르면 프로덕션 → 샌드박스 순서로 재시도)
+   * @param {string|null} environment - 알려진 거래 환경 (없으면 자동)
+   * @param {function(AppStoreServerAPIClient): Promise<*>} call - API 호출
+   * @return {Promise<object>} {response, environment}
+   */
+  async _callWithFallback(environment, call) {
+    const environments = environment && this._clients[environment] ?
+      [environment] : this._environments;
+
+    let lastError = null;
+    for (const candidate of environments) {
+      try {
+        const response = await call(this._clients[candidate]);
+        return {response, environment: candidate};
+      } catch (error) {
+        if (!SANDBOX_FALLBACK_API_ERRORS.includes(error.apiError)) {
+          throw error;
+        }
+        console.log(`🌍 [Connect] ${candidate}에 없는 거래, 다음 환경으로 재시도`);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
   /**
    * ⭐️ JWS(signedTransaction)를 검증하고 디코딩합니다.
    * syncPurchaseInfo 함수에서 사용됩니다.
    * @param {string} jwsRepresentation - The signedTransaction from the client.
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @return {Promise<object>} {success, data, environment, error}
    */
   async verifyJWS(jwsRepresentation) {
     try {
       this.initialize(); // 초기화 보장
       console.log("🔐 [IAP] JWS 트랜잭션 검증 및 디코딩 시작");
 
-      if (!this._verifier) {
-        throw new Error("Verifier가 초기화되지 않았습니다. 초기화 로직을 확인하세요.");
-      }
-
-      // ⭐️ _verifier 인스턴스의 메서드 사용
-      const decodedTransaction =
-        await this._verifier.verifyAndDecodeTransaction(jwsRepresentation);
+      // ⭐️ 환경별 verifier로 검증 (프로덕션 → 샌드박스)
+      const {data, environment} = await this._verifyWithFallback(
+        "verifyAndDecodeTransaction", jwsRepresentation);
 
-      console.log("✅ [IAP] JWS 트랜잭션 검증 및 디코딩 성공");
+      console.log("✅ [IAP] JWS 트랜잭션 검증 및 디코딩 성공:", environment);
       return {
         success: true,
-        data: decodedTransaction,
+        data,
+        environment,
       };
     } catch (error) {
       if (error instanceof VerificationException) {
@@ -146,21 +332,43 @@ class InAppPurchaseClient {
     }
   }
 
+  /**
+   * 갱신 정보 JWS(signedRenewalInfo)를 검증하고 디코딩합니다.
+   * webhook 및 구독 상태 갱신에서 사용됩니다.
+   * @param {string} signedRenewalInfo - The signedRenewalInfo field.
+   * @return {Promise<object>} {success, data, environment, error}
+   */
+  async verifyRenewalInfo(signedRenewalInfo) {
+    try {
+      this.initialize(); // 초기화 보장
+
+      const {data, environment} = await this._verifyWithFallback(
+        "verifyAndDecodeRenewalInfo", signedRenewalInfo);
+      return {success: true, data, environment};
+    } catch (error) {
+      if (error instanceof VerificationException) {
+        console.error("❌ [IAP] 갱신 정보 검증 실패:",
+          `${error.message} (Status: ${error.status})`);
+      } else {
+        console.error("❌ [IAP] 갱신 정보 검증 중 알 수 없는 오류:", error.message);
+      }
+      return {success: false, error: error.message};
+    }
+  }
+
   /**
    * App Store 서버 알림(signedPayload)을 검증하고 디코딩합니다.
    * webhook에서 사용됩니다.
    * @param {string} signedPayload - The signedPayload from App Store Server Notification.
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @return {Promise<object>} {success, data, environment, error}
    */
   async verifySignedPayload(signedPayload) {
     try {
       this.initialize(); // 초기화 보장
-      if (!this._verifier) {
-        throw new Error("Verifier가 초기화되지 않았습니다.");
-      }
 
-      const decodedData = await this._verifier.verifyAndDecodeNotification(signedPayload);
-      return {success: true, data: decodedData};
+      const {data, environment} = await this._verifyWithFallback(
+        "verifyAndDecodeNotification", signedPayload);
+      return {success: true, data, environment};
     } catch (error) {
       if (error instanceof VerificationException) {
         console.error(`❌ [IAP] 알림 페이로드 검증 실패: ${error.message} (Status: ${error.status})`);
@@ -174,47 +382,381 @@ class InAppPurchaseClient {
   /**
    * 사용자의 전체 거래 내역을 조회합니다.
    * @param {string} originalTransactionId
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 거래 환경 (없으면 자동 재시도)
+   * @return {Promise<object>} {success, data, environment, error}
    */
-  async getTransactionHistory(originalTransactionId) {
+  async getTransactionHistory(originalTransactionId, {environment} = {}) {
     try {
       this.initialize(); // 초기화 보장
       console.log("🔍 [Connect] Transaction History 조회 시작:", originalTransactionId);
 
-      const response = await this._client.getTransactionHistory(originalTransactionId);
+      // 모든 페이지(revision)를 같은 환경에서 순회하여 signedTransactions를 합칩니다.
+      const result = await this._callWithFallback(environment,
+        async (client) => {
+          const signedTransactions = [];
+          let revision = null;
+          let response;
+          do {
+            response = await client.getTransactionHistory(
+              originalTransactionId,
+              revision,
+              {sort: Order.ASCENDING},
+              GetTransactionHistoryVersion.V2,
+            );
+            signedTransactions.push(...(response.signedTransactions || []));
+            revision = response.revision;
+          } while (response.hasMore);
+          return {...response, signedTransactions};
+        });
 
-      console.log("✅ [Connect] Transaction History 조회 성공");
+      console.log("✅ [Connect] Transaction History 조회 성공:",
+        result.response.signedTransactions.length, result.environment);
       return {
         success: true,
-        data: response,
+        data: result.response,
+        environment: result.environment,
       };
     } catch (error) {
       return this.handleApiError(error, "Transaction History 조회");
     }
   }
 
+  /**
+   * 고객의 환불 내역을 조회합니다. (Get Refund History)
+   * 해당 고객이 이 앱에서 환불받은 모든 거래가 포함됩니다.
+   * @param {string} transactionId - 고객의 아무 거래 ID
+   *   (originalTransactionId 포함)
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 거래 환경 (없으면 자동 재시도)
+   * @return {Promise<object>} {success, data: {signedTransactions},
+   *   environment, error}
+   */
+  async getRefundHistory(transactionId, {environment} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+      console.log("🔍 [Connect] Refund History 조회 시작:", transactionId);
+
+      // 모든 페이지(revision)를 같은 환경에서 순회하여 signedTransactions를 합칩니다.
+      const result = await this._callWithFallback(environment,
+        async (client) => {
+          const signedTransactions = [];
+          let revision = null;
+          let response;
+          do {
+            response = await client.getRefundHistory(transactionId, revision);
+            signedTransactions.push(...(response.signedTransactions || []));
+            revision = response.revision;
+          } while (response.hasMore);
+          return {...response, signedTransactions};
+        });
+
+      console.log("✅ [Connect] Refund History 조회 성공:",
+        result.response.signedTransactions.length, result.environment);
+      return {
+        success: true,
+        data: result.response,
+        environment: result.environment,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "Refund History 조회");
+    }
+  }
+
   /**
    * 특정 거래 정보를 조회합니다.
    * @param {string} transactionId
-   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 거래 환경 (없으면 자동 재시도)
+   * @return {Promise<object>} {success, data, environment, error}
    */
-  async getTransactionInfo(transactionId) {
+  async getTransactionInfo(transactionId, {environment} = {}) {
     try {
       this.initialize(); // 초기화 보장
       console.log("🔍 [Connect] Transaction 정보 조회 시작:", transactionId);
 
-      const response = await this._client.getTransactionInfo(transactionId);
+      const result = await this._callWithFallback(environment,
+        (client) => client.getTransactionInfo(transactionId));
 
       console.log("✅ [Connect] Transaction 정보 조회 성공");
       return {
         success: true,
-        data: response,
+        data: result.response,
+        environment: result.environment,
       };
     } catch (error) {
       return this.handleApiError(error, "Transaction 정보 조회");
     }
   }
 
+  /**
+   * 구독 그룹별 최신 상태를 조회합니다. (Get All Subscription Statuses)
+   * 캐시가 오래되었거나 강제 새로고침 시 사용됩니다.
+   * @param {string} transactionId - originalTransactionId 또는 transactionId
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 거래 환경 (없으면 자동 재시도)
+   * @return {Promise<object>} {success, data, environment, error}
+   */
+  async getAllSubscriptionStatuses(transactionId, {environment} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+      console.log("🔍 [Connect] 구독 상태 조회 시작:", transactionId);
+
+      const result = await this._callWithFallback(environment,
+        (client) => client.getAllSubscriptionStatuses(transactionId));
+
+      console.log("✅ [Connect] 구독 상태 조회 성공:", result.environment);
+      return {
+        success: true,
+        data: result.response,
+        environment: result.environment,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "구독 상태 조회");
+    }
+  }
+
+  /**
+   * 고객의 주문 ID(영수증의 Order ID)로 거래를 조회합니다. (Look Up Order ID)
+   * 고객 지원에서 주문 ID만 알고 있을 때 사용됩니다.
+   * @param {string} orderId - 고객이 받은 영수증의 Order ID
+   * @return {Promise<object>} {success, data: {status, signedTransactions}}
+   */
+  async lookUpOrderId(orderId) {
+    try {
+      this.initialize(); // 초기화 보장
+      console.log("🔍 [Connect] Order ID 조회 시작:", orderId);
+
+      // Order ID는 실제 구매(프로덕션)에만 발급됩니다.
+      const {response} = await this._callWithFallback(null,
+        (client) => client.lookUpOrderId(orderId));
+
+      console.log("✅ [Connect] Order ID 조회 성공:", {
+        status: response.status,
+        transactions: response.signedTransactions?.length || 0,
+      });
+      return {
+        success: true,
+        data: response,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "Order ID 조회");
+    }
+  }
+
+  /**
+   * 구독 한 건의 갱신일을 연장합니다. (Extend a Subscription Renewal Date)
+   * 서비스 장애 보상 등 관리자 작업에서 사용됩니다.
+   * @param {string} originalTransactionId - 연장할 구독
+   * @param {object} request - ExtendRenewalDateRequest
+   * @param {number} request.extendByDays - 연장 일수 (최대 90일)
+   * @param {number} request.extendReasonCode - ExtendReasonCode 값
+   * @param {string} request.requestIdentifier - 요청 ID (UUID)
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 거래 환경 (없으면 자동 재시도)
+   * @return {Promise<object>} {success, data, environment, error}
+   */
+  async extendSubscriptionRenewalDate(originalTransactionId, request,
+    {environment} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+      console.log("📅 [Connect] 구독 갱신일 연장 시작:", {
+        originalTransactionId,
+        extendByDays: request.extendByDays,
+        requestIdentifier: request.requestIdentifier,
+      });
+
+      const result = await this._callWithFallback(environment,
+        (client) => client.extendSubscriptionRenewalDate(
+          originalTransactionId, request));
+
+      console.log("✅ [Connect] 구독 갱신일 연장 응답:", {
+        success: result.response.success,
+        effectiveDate: result.response.effectiveDate,
+      });
+      return {
+        success: true,
+        data: result.response,
+        environment: result.environment,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "구독 갱신일 연장");
+    }
+  }
+
+  /**
+   * 제품의 모든 활성 구독자 갱신일을 연장합니다.
+   * (Extend Subscription Renewal Dates for All Active Subscribers)
+   * Apple이 비동기로 처리하며 결과는 상태 조회 또는 RENEWAL_EXTENSION 알림으로 확인합니다.
+   * @param {object} request - MassExtendRenewalDateRequest
+   * @param {number} request.extendByDays - 연장 일수 (최대 90일)
+   * @param {number} request.extendReasonCode - ExtendReasonCode 값
+   * @param {string} request.requestIdentifier - 요청 ID (UUID)
+   * @param {string} request.productId - 대상 제품 ID
+   * @param {Array<string>} [request.storefrontCountryCodes] - 대상 국가
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 요청 환경 (기본값 배포 환경)
+   * @return {Promise<object>} {success, data, environment, error}
+   */
+  async extendRenewalDateForAllActiveSubscribers(request, {environment} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+      const targetEnvironment = environment || this._deploymentEnvironment;
+      console.log("📅 [Connect] 전체 구독자 갱신일 연장 요청:", {
+        environment: targetEnvironment,
+        productId: request.productId,
+        extendByDays: request.extendByDays,
+        requestIdentifier: request.requestIdentifier,
+      });
+
+      const response = await this._getClient(targetEnvironment)
+        .extendRenewalDateForAllActiveSubscribers(request);
+
+      console.log("✅ [Connect] 전체 구독자 갱신일 연장 접수:",
+        response.requestIdentifier);
+      return {
+        success: true,
+        data: response,
+        environment: targetEnvironment,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "전체 구독자 갱신일 연장");
+    }
+  }
+
+  /**
+   * 전체 구독자 갱신일 연장 요청의 진행 상태를 조회합니다.
+   * (Get Status of Subscription Renewal Date Extensions)
+   * @param {string} requestIdentifier - 연장 요청 ID
+   * @param {string} productId - 대상 제품 ID
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 요청 환경 (기본값 배포 환경)
+   * @return {Promise<object>} {success, data, environment, error}
+   */
+  async getStatusOfSubscriptionRenewalDateExtensions(requestIdentifier,
+    productId, {environment} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+      const targetEnvironment = environment || this._deploymentEnvironment;
+
+      const response = await this._getClient(targetEnvironment)
+        .getStatusOfSubscriptionRenewalDateExtensions(
+          requestIdentifier, productId);
+
+      console.log("✅ [Connect] 갱신일 연장 상태 조회 성공:", {
+        requestIdentifier,
+        complete: response.complete,
+        succeededCount: response.succeededCount,
+        failedCount: response.failedCount,
+      });
+      return {
+        success: true,
+        data: response,
+        environment: targetEnvironment,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "갱신일 연장 상태 조회");
+    }
+  }
+
+  /**
+   * 환불 요청된 거래의 소비 정보를 전송합니다. (Send Consumption Information)
+   * CONSUMPTION_REQUEST 알림을 받은 뒤 12시간 안에 응답해야 합니다.
+   * @param {string} transactionId - 환불 요청된 거래 ID
+   * @param {object} consumptionRequest - ConsumptionRequest
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 거래 환경 (없으면 자동 재시도)
+   * @return {Promise<object>} {success, environment, error}
+   */
+  async sendConsumptionData(transactionId, consumptionRequest,
+    {environment} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+      console.log("📤 [Connect] 소비 정보 전송 시작:", transactionId);
+
+      const result = await this._callWithFallback(environment,
+        (client) => client.sendConsumptionData(
+          transactionId, consumptionRequest));
+
+      console.log("✅ [Connect] 소비 정보 전송 성공:", result.environment);
+      return {success: true, environment: result.environment};
+    } catch (error) {
+      return this.handleApiError(error, "소비 정보 전송");
+    }
+  }
+
+  /**
+   * StoreKit 프로모션 오퍼 구매에 필요한 서명을 생성합니다.
+   * 서명은 timestamp부터 24시간 동안 유효하며, nonce는 매번 새로 만듭니다.
+   * @param {string} productId - 구독 상품 ID
+   * @param {string} offerId - App Store Connect의 프로모션 오퍼 ID
+   * @param {string} appAccountToken - 구매에 사용할 appAccountToken (없으면 "")
+   * @return {object} {success, data: {keyIdentifier, nonce, timestamp,
+   *   signature}, error}
+   */
+  createPromotionalOfferSignature(productId, offerId, appAccountToken) {
+    try {
+      this.initialize(); // 초기화 보장
+
+      const nonce = crypto.randomUUID();
+      const timestamp = Date.now();
+      const signature = this._offerSignatureCreator.createSignature(
+        productId, offerId, appAccountToken, nonce, timestamp);
+
+      console.log("✅ [IAP] 프로모션 오퍼 서명 생성:", {productId, offerId});
+      return {
+        success: true,
+        data: {keyIdentifier: this._keyId, nonce, timestamp, signature},
+      };
+    } catch (error) {
+      console.error("❌ [IAP] 프로모션 오퍼 서명 생성 실패:", error.message);
+      return {success: false, error: error.message};
+    }
+  }
+
+  /**
+   * 지정 기간에 Apple이 보낸 서버 알림 내역을 한 페이지 조회합니다.
+   * (Get Notification History, 최근 180일까지)
+   * 웹훅 장애 기간의 알림을 복구하는 backfill 작업에서 사용됩니다.
+   * @param {object} request - NotificationHistoryRequest
+   * @param {number} request.startDate - 시작 시각 (ms)
+   * @param {number} request.endDate - 종료 시각 (ms)
+   * @param {boolean} [request.onlyFailures] - 전송 실패한 알림만 조회
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.environment] - 조회할 환경 (기본값 배포 환경)
+   * @param {string} [options.paginationToken] - 이전 응답의 paginationToken
+   * @return {Promise<object>} {success, data, environment, error}
+   */
+  async getNotificationHistory(request, {environment, paginationToken} = {}) {
+    try {
+      this.initialize(); // 초기화 보장
+
+      // 알림 내역은 환경별로 따로 저장되므로 재시도 없이 한 환경만 조회
+      const targetEnvironment = environment || this._deploymentEnvironment;
+      const client = this._getClient(targetEnvironment);
+
+      console.log("🔍 [Connect] Notification History 조회 시작:", {
+        environment: targetEnvironment,
+        startDate: new Date(request.startDate).toISOString(),
+        endDate: new Date(request.endDate).toISOString(),
+        onlyFailures: !!request.onlyFailures,
+      });
+
+      const response = await client.getNotificationHistory(
+        paginationToken || null, request);
+
+      console.log("✅ [Connect] Notification History 조회 성공:",
+        response.notificationHistory?.length || 0, response.hasMore);
+      return {
+        success: true,
+        data: response,
+        environment: targetEnvironment,
+      };
+    } catch (error) {
+      return this.handleApiError(error, "Notification History 조회");
+    }
+  }
+
   /**
    * API 호출에서 발생하는 에러를 공통으로 처리합니다.
    * @param {Error} error - The error object.
@@ -240,6 +782,21 @@ class InAppPurchaseClient {
 // 싱글톤 인스턴스를 생성하여 export
 const iapClient = new InAppPurchaseClient();
 
+// iapClient를 사용하는 함수의 secrets 옵션에 그대로 전달할 목록
+// (APP_STORE_APP_APPLE_ID는 defineString 파라미터라 목록에 포함하지 않음)
+const iapSecrets = [
+  iapKeyId,
+  iapIssuerId,
+  iapBundleId,
+  iapPrivateKeyBase64,
+  iapEnvironment,
+  appleRootCert1,
+  appleRootCert2,
+  appleRootCert3,
+];
+
 module.exports = {
+  InAppPurchaseClient,
   iapClient,
+  iapSecrets,
 };
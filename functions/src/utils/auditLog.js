@@ -0,0 +1,45 @@
+// 📁 functions/src/utils/auditLog.js
+// 📜 구독 소유권/권한 변경 감사 기록 (auditLogs 컬렉션)
+
+const admin = require("firebase-admin");
+
+const AUDIT_LOG_COLLECTION = "auditLogs";
+
+/**
+ * 📜 감사 기록 저장
+ *
+ * Firestore 트랜잭션을 전달하면 같은 트랜잭션 안에서 기록하여
+ * 변경과 감사 기록이 함께 커밋되도록 합니다.
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} entry - 기록 내용 ({type, action, userId, ...})
+ * @param {admin.firestore.Transaction} [transaction] - Firestore 트랜잭션
+ * @return {Promise<string>} 감사 기록 문서 ID
+ */
+async function recordAuditLog(db, entry, transaction = null) {
+  const docRef = db.collection(AUDIT_LOG_COLLECTION).doc();
+  const record = {
+    // JSON 직렬화로 undefined 필드 제거 (Firestore 오류 방지)
+    ...JSON.parse(JSON.stringify(entry)),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (transaction) {
+    transaction.set(docRef, record);
+  } else {
+    await docRef.set(record);
+  }
+
+  console.log("📜 감사 기록:", {
+    id: docRef.id,
+    type: entry.type,
+    action: entry.action,
+  });
+
+  return docRef.id;
+}
+
+module.exports = {
+  AUDIT_LOG_COLLECTION,
+  recordAuditLog,
+};
@@ -0,0 +1,142 @@
+// 📁 functions/src/utils/deadLetterQueue.js
+// 📮 처리하지 못한 App Store 알림 보관 (Dead-Letter Queue)
+//
+// History 조회가 실패한 알림은 200으로 응답한 뒤
+// deadLetterNotifications/{notificationUUID}에 디코딩된 페이로드와 함께 저장하고,
+// 스케줄 함수가 지수 백오프로 재시도합니다.
+
+const admin = require("firebase-admin");
+
+const DEAD_LETTER_COLLECTION = "deadLetterNotifications";
+
+// 재시도 간격: 15분 → 30분 → 1시간 ... 최대 24시간
+const BASE_RETRY_DELAY_MS = 15 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+
+/**
+ * 🎯 Dead-letter 상태
+ * - PENDING: 재시도 대기 (nextAttemptAt이 설정됨)
+ * - RESOLVED: 재시도 성공
+ * - EXHAUSTED: 최대 재시도 횟수 초과 (관리자 확인 필요)
+ * - DISCARDED: 관리자가 폐기
+ */
+const DeadLetterState = {
+  PENDING: "pending",
+  RESOLVED: "resolved",
+  EXHAUSTED: "exhausted",
+  DISCARDED: "discarded",
+};
+
+/**
+ * 🔁 재시도 대상 처리 결과 (processNotification의 outcome.result)
+ */
+// (사용자 미발견 알림은 pendingNotifications에 보관되어 sync 시점에 적용됨)
+// 소비 정보 전송 실패는 응답 기한(12시간) 안에서만 다시 전송됨
+const RETRYABLE_RESULTS = ["historyFailed", "consumptionFailed"];
+
+/**
+ * ⛔ 재시도해도 해결되지 않는 처리 결과
+ */
+const PERMANENT_FAILURE_RESULTS = ["invalidTransaction", "invalidRenewalInfo"];
+
+/**
+ * ⏱️ 다음 재시도 시각 계산 (지수 백오프)
+ * @param {number} attempts - 지금까지의 시도 횟수
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {admin.firestore.Timestamp} 다음 재시도 시각
+ */
+function computeNextAttemptAt(attempts, now = Date.now()) {
+  const delay = Math.min(
+    BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)),
+    MAX_RETRY_DELAY_MS);
+  return admin.firestore.Timestamp.fromMillis(now + delay);
+}
+
+/**
+ * 📮 처리하지 못한 알림을 dead-letter 컬렉션에 저장
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @param {object} outcome - 처리 결과 ({result, error?})
+ * @return {Promise<void>}
+ */
+async function enqueueDeadLetter(db, decodedPayload, outcome) {
+  try {
+    const collection = db.collection(DEAD_LETTER_COLLECTION);
+    const docRef = decodedPayload.notificationUUID ?
+      collection.doc(decodedPayload.notificationUUID) :
+      collection.doc();
+
+    await docRef.set({
+      notificationUUID: decodedPayload.notificationUUID || null,
+      notificationType: decodedPayload.notificationType || null,
+      subtype: decodedPayload.subtype || null,
+      // JSON 직렬화로 undefined 필드 제거 (Firestore 오류 방지)
+      decodedPayload: JSON.parse(JSON.stringify(decodedPayload)),
+      reason: outcome.result,
+      error: outcome.error || null,
+      attempts: 1,
+      state: DeadLetterState.PENDING,
+      nextAttemptAt: computeNextAttemptAt(1),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log("📮 Dead-letter 저장:", {
+      id: docRef.id,
+      reason: outcome.result,
+    });
+  } catch (error) {
+    console.error("❌ Dead-letter 저장 실패:", error);
+  }
+}
+
+/**
+ * 📝 재시도 결과를 dead-letter 문서에 기록
+ * @param {admin.firestore.DocumentReference} docRef - dead-letter 문서
+ * @param {object} deadLetter - 현재 dead-letter 데이터
+ * @param {object} outcome - 이번 시도의 처리 결과
+ * @param {string} trigger - 재시도 주체 ("schedule" | 관리자 UID)
+ * @return {Promise<string>} 갱신된 상태 (DeadLetterState)
+ */
+async function recordDeadLetterAttempt(docRef, deadLetter, outcome, trigger) {
+  const attempts = (deadLetter.attempts || 0) + 1;
+  const isRetryable = RETRYABLE_RESULTS.includes(outcome.result) ||
+    outcome.result === "error";
+  // 서명 검증 실패는 재시도해도 결과가 같으므로 바로 관리자 확인 대상
+  const isPermanentFailure = PERMANENT_FAILURE_RESULTS.includes(outcome.result);
+
+  let state = DeadLetterState.RESOLVED;
+  if (isPermanentFailure) {
+    state = DeadLetterState.EXHAUSTED;
+  } else if (isRetryable) {
+    state = attempts >= MAX_ATTEMPTS ?
+      DeadLetterState.EXHAUSTED : DeadLetterState.PENDING;
+  }
+
+  await docRef.update({
+    attempts,
+    state,
+    reason: state === DeadLetterState.RESOLVED ?
+      deadLetter.reason : outcome.result,
+    error: outcome.error || null,
+    lastOutcome: JSON.parse(JSON.stringify(outcome)),
+    lastAttemptBy: trigger,
+    // 재시도 대상이 아니면 nextAttemptAt을 지워 스케줄 쿼리에서 제외
+    nextAttemptAt: state === DeadLetterState.PENDING ?
+      computeNextAttemptAt(attempts) : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return state;
+}
+
+module.exports = {
+  DEAD_LETTER_COLLECTION,
+  MAX_ATTEMPTS,
+  DeadLetterState,
+  RETRYABLE_RESULTS,
+  computeNextAttemptAt,
+  enqueueDeadLetter,
+  recordDeadLetterAttempt,
+};
@@ -0,0 +1,119 @@
+// 📁 functions/src/utils/entitlementClaims.js
+// 🎫 구독 권한을 Firebase Auth custom claims로 미러링
+//
+// 다른 백엔드와 Firestore 보안 규칙이 users 문서를 읽지 않고
+// ID 토큰만으로 프리미엄 기능을 판단할 수 있도록 합니다.
+// - entitlement: "free" | "trial" | "premium"
+// - premiumUntil: 권한 만료 시각 (ms, 무료면 null)
+
+const admin = require("firebase-admin");
+const {Entitlement} = require("../shared/constant");
+
+/**
+ * 🎫 구독 데이터로 custom claims 계산 (순수 함수)
+ *
+ * 유예 기간에는 만료일이 지났어도 gracePeriodExpiresDate까지 권한을 유지합니다.
+ *
+ * @param {object} subscriptionData - 통합 구독 데이터
+ * @return {object} {entitlement, premiumUntil}
+ */
+function buildEntitlementClaims(subscriptionData) {
+  const entitlement = subscriptionData?.entitlement || Entitlement.FREE;
+  if (entitlement === Entitlement.FREE) {
+    return {entitlement, premiumUntil: null};
+  }
+
+  const premiumUntil = Math.max(
+    parseInt(subscriptionData.expiresDate) || 0,
+    parseInt(subscriptionData.gracePeriodExpiresDate) || 0);
+  return {entitlement, premiumUntil: premiumUntil || null};
+}
+
+/**
+ * 🔍 claims 갱신이 필요한지 확인 (순수 함수)
+ * @param {object|null} previousData - 이전 구독 데이터
+ * @param {object} nextData - 새 구독 데이터
+ * @return {object} {changed, downgraded, claims}
+ */
+function diffEntitlementClaims(previousData, nextData) {
+  const previousClaims = buildEntitlementClaims(previousData);
+  const claims = buildEntitlementClaims(nextData);
+
+  return {
+    changed: previousClaims.entitlement !== claims.entitlement ||
+      previousClaims.premiumUntil !== claims.premiumUntil,
+    downgraded: previousClaims.entitlement !== Entitlement.FREE &&
+      claims.entitlement === Entitlement.FREE,
+    claims,
+  };
+}
+
+/**
+ * 🎫 사용자 custom claims에 권한 기록
+ *
+ * 기존 claims(admin 등)는 유지하고 entitlement/premiumUntil만 덮어씁니다.
+ * 권한이 내려가면 refresh token을 폐기하여 기존 세션이 새 토큰을 받도록 합니다.
+ *
+ * @param {string} userId - 사용자 UID
+ * @param {object} claims - buildEntitlementClaims 결과
+ * @param {object} [options] - 추가 옵션
+ * @param {boolean} [options.revokeTokens] - refresh token 폐기 여부
+ * @return {Promise<boolean>} 기록 여부 (Auth 사용자가 없으면 false)
+ */
+async function setEntitlementClaims(userId, claims, {
+  revokeTokens = false,
+} = {}) {
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    await admin.auth().setCustomUserClaims(userId, {
+      ...(userRecord.customClaims || {}),
+      ...claims,
+    });
+
+    if (revokeTokens) {
+      await admin.auth().revokeRefreshTokens(userId);
+      console.log("🔒 권한 하향으로 refresh token 폐기:", userId);
+    }
+
+    console.log("🎫 custom claims 갱신:", {userId, ...claims});
+    return true;
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      console.warn("⚠️ Auth 사용자 없음, claims 생략:", userId);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 🔄 구독 데이터 변경에 맞춰 claims 동기화
+ *
+ * entitlement나 만료 시각이 바뀐 경우에만 Auth를 호출합니다.
+ * claims는 보조 캐시이므로 실패해도 예외를 던지지 않습니다.
+ *
+ * @param {string} userId - 사용자 UID
+ * @param {object|null} previousData - 이전 구독 데이터
+ * @param {object} nextData - 새 구독 데이터
+ * @return {Promise<void>}
+ */
+async function syncEntitlementClaims(userId, previousData, nextData) {
+  const {changed, downgraded, claims} =
+    diffEntitlementClaims(previousData, nextData);
+  if (!changed) {
+    return;
+  }
+
+  try {
+    await setEntitlementClaims(userId, claims, {revokeTokens: downgraded});
+  } catch (error) {
+    console.error("❌ custom claims 갱신 실패:", userId, error);
+  }
+}
+
+module.exports = {
+  buildEntitlementClaims,
+  diffEntitlementClaims,
+  setEntitlementClaims,
+  syncEntitlementClaims,
+};
@@ -0,0 +1,92 @@
+// 📁 functions/src/utils/environmentPolicy.js
+// 🌍 거래 환경(프로덕션/샌드박스)별 권한 정책
+//
+// 프로덕션 배포에서도 TestFlight / App Review 구매는 샌드박스 환경으로 들어옵니다.
+// SANDBOX_ENTITLEMENT_POLICY 파라미터로 처리 방식을 선택합니다.
+// - grant: 샌드박스 구매에도 권한 부여 (App Review 심사용, 기본값)
+// - deny: 프로덕션 배포에서는 샌드박스 구매를 무료로 처리
+// 샌드박스 배포에서는 정책과 무관하게 항상 권한을 부여합니다.
+
+const {defineString} = require("firebase-functions/params");
+const {Environment} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+const {iapClient} = require("./appStoreServerClient");
+
+/**
+ * 🎯 샌드박스 구매 권한 정책
+ */
+const SandboxEntitlementPolicy = {
+  GRANT: "grant",
+  DENY: "deny",
+};
+
+const sandboxEntitlementPolicy = defineString("SANDBOX_ENTITLEMENT_POLICY", {
+  default: SandboxEntitlementPolicy.GRANT,
+});
+
+/**
+ * ⚙️ 설정된 샌드박스 권한 정책 (알 수 없는 값이면 grant)
+ * @return {string} SandboxEntitlementPolicy 값
+ */
+function getSandboxEntitlementPolicy() {
+  const policy = sandboxEntitlementPolicy.value();
+  return Object.values(SandboxEntitlementPolicy).includes(policy) ?
+    policy : SandboxEntitlementPolicy.GRANT;
+}
+
+/**
+ * 🌍 거래 환경을 구독 정보에 기록하고 샌드박스 권한 정책 적용 (순수 함수)
+ * @param {object} subscriptionInfo - 상태 엔진이 계산한 구독 정보
+ * @param {string|null} environment - 검증된 거래 환경 (Environment 값)
+ * @param {object} options - 정책 옵션
+ * @param {string} options.deploymentEnvironment - 배포 환경 (Environment 값)
+ * @param {string} options.policy - SandboxEntitlementPolicy 값
+ * @return {object} environment가 기록된 구독 정보
+ */
+function applyEnvironmentPolicy(subscriptionInfo, environment, {
+  deploymentEnvironment,
+  policy,
+}) {
+  // 기존 데이터와 병합될 때 이전 거부 표시가 남지 않도록 undefined로 초기화
+  const info = {
+    ...subscriptionInfo,
+    ...(environment && {environment}),
+    sandboxEntitlementDenied: undefined,
+  };
+
+  const denied = environment === Environment.SANDBOX &&
+    deploymentEnvironment === Environment.PRODUCTION &&
+    policy === SandboxEntitlementPolicy.DENY &&
+    info.entitlement !== Entitlement.FREE;
+  if (!denied) {
+    return info;
+  }
+
+  console.log("🌍 프로덕션 배포의 샌드박스 구매: 권한 부여하지 않음");
+  return {
+    ...info,
+    entitlement: Entitlement.FREE,
+    subscriptionStatus: SubscriptionStatus.INACTIVE,
+    sandboxEntitlementDenied: true,
+  };
+}
+
+/**
+ * 🌍 현재 배포 환경과 설정된 정책으로 applyEnvironmentPolicy 적용
+ * @param {object} subscriptionInfo - 상태 엔진이 계산한 구독 정보
+ * @param {string|null} environment - 검증된 거래 환경 (Environment 값)
+ * @return {object} environment가 기록된 구독 정보
+ */
+function applyConfiguredEnvironmentPolicy(subscriptionInfo, environment) {
+  return applyEnvironmentPolicy(subscriptionInfo, environment, {
+    deploymentEnvironment: iapClient.deploymentEnvironment,
+    policy: getSandboxEntitlementPolicy(),
+  });
+}
+
+module.exports = {
+  SandboxEntitlementPolicy,
+  getSandboxEntitlementPolicy,
+  applyEnvironmentPolicy,
+  applyConfiguredEnvironmentPolicy,
+};
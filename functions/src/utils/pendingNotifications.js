@@ -0,0 +1,92 @@
+// 📁 functions/src/utils/pendingNotifications.js
+// 🅿️ 아직 사용자와 연결되지 않은 App Store 알림 보관
+//
+// originalTransactionId와 appAccountToken 어느 쪽으로도 사용자를 찾지 못한 알림은
+// pendingNotifications/{notificationUUID}에 보관하고,
+// 이후 syncPurchaseInfo가 해당 트랜잭션을 사용자와 연결하면 순서대로 적용합니다.
+
+const admin = require("firebase-admin");
+
+const PENDING_NOTIFICATIONS_COLLECTION = "pendingNotifications";
+
+/**
+ * 🎯 보관 알림 상태
+ */
+const PendingNotificationState = {
+  PENDING: "pending",
+  APPLIED: "applied",
+};
+
+/**
+ * 🅿️ 사용자를 찾지 못한 알림 보관
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @return {Promise<string>} 보관 문서 ID
+ */
+async function parkPendingNotification(db, decodedPayload, transaction) {
+  const collection = db.collection(PENDING_NOTIFICATIONS_COLLECTION);
+  const docRef = decodedPayload.notificationUUID ?
+    collection.doc(decodedPayload.notificationUUID) :
+    collection.doc();
+
+  await docRef.set({
+    notificationUUID: decodedPayload.notificationUUID || null,
+    notificationType: decodedPayload.notificationType || null,
+    subtype: decodedPayload.subtype || null,
+    signedDate: decodedPayload.signedDate || null,
+    originalTransactionId: transaction.originalTransactionId,
+    appAccountToken: transaction.appAccountToken || null,
+    // JSON 직렬화로 undefined 필드 제거 (Firestore 오류 방지)
+    decodedPayload: JSON.parse(JSON.stringify(decodedPayload)),
+    state: PendingNotificationState.PENDING,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log("🅿️ 사용자 미연결 알림 보관:", {
+    id: docRef.id,
+    originalTransactionId: transaction.originalTransactionId,
+  });
+
+  return docRef.id;
+}
+
+/**
+ * 📋 트랜잭션에 대해 보관 중인 알림 조회 (signedDate 오름차순)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @return {Promise<Array<admin.firestore.QueryDocumentSnapshot>>} 보관 문서
+ */
+async function findPendingNotifications(db, originalTransactionId) {
+  const snapshot = await db.collection(PENDING_NOTIFICATIONS_COLLECTION)
+    .where("originalTransactionId", "==", originalTransactionId)
+    .where("state", "==", PendingNotificationState.PENDING)
+    .get();
+
+  return snapshot.docs.sort((a, b) =>
+    (a.get("signedDate") || 0) - (b.get("signedDate") || 0));
+}
+
+/**
+ * ✅ 보관 알림 적용 완료 기록
+ * @param {admin.firestore.DocumentReference} docRef - 보관 문서
+ * @param {string} userId - 연결된 사용자 ID
+ * @param {object} outcome - 처리 결과
+ * @return {Promise<void>}
+ */
+async function markPendingNotificationApplied(docRef, userId, outcome) {
+  await docRef.update({
+    state: PendingNotificationState.APPLIED,
+    userId,
+    outcome: JSON.parse(JSON.stringify(outcome)),
+    appliedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+module.exports = {
+  PENDING_NOTIFICATIONS_COLLECTION,
+  PendingNotificationState,
+  parkPendingNotification,
+  findPendingNotifications,
+  markPendingNotificationApplied,
+};
@@ -0,0 +1,121 @@
+// 📁 functions/src/utils/processedNotifications.js
+// 🔁 App Store 알림 중복 처리 방지 (notificationUUID 기준)
+//
+// Apple은 200 응답을 받지 못하면 같은 알림을 재전송합니다.
+// processedNotifications/{notificationUUID} 문서로 처리 여부와 결과를 기록하여
+// 재전송된 알림이 subscriptionData를 다시 건드리지 않도록 합니다.
+
+const admin = require("firebase-admin");
+
+const PROCESSED_NOTIFICATIONS_COLLECTION = "processedNotifications";
+
+// 처리 중(processing) 상태가 이 시간보다 오래되면 중단된 것으로 보고 재처리
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * 🎯 알림 처리 상태
+ */
+const NotificationState = {
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+/**
+ * 🔒 알림 처리 시작 기록 (Firestore 트랜잭션)
+ *
+ * - 이미 완료된 알림 → alreadyProcessed
+ * - 다른 요청이 처리 중 → inProgress
+ * - 그 외 (최초 수신, 이전 실패, 중단된 처리) → 처리 권한 획득
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @return {Promise<object>} {claimed, alreadyProcessed, inProgress, record}
+ */
+async function claimNotification(db, decodedPayload) {
+  const notificationUUID = decodedPayload.notificationUUID;
+  if (!notificationUUID) {
+    // UUID가 없으면 중복 여부를 판단할 수 없으므로 그대로 처리
+    console.warn("⚠️ notificationUUID 없음: 중복 검사 생략");
+    return {claimed: true, alreadyProcessed: false, inProgress: false};
+  }
+
+  const docRef = db.collection(PROCESSED_NOTIFICATIONS_COLLECTION)
+    .doc(notificationUUID);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    const record = snapshot.exists ? snapshot.data() : null;
+
+    if (record?.state === NotificationState.COMPLETED) {
+      return {
+        claimed: false, alreadyProcessed: true, inProgress: false, record,
+      };
+    }
+
+    const claimedAtMs = record?.claimedAt?.toMillis?.() || 0;
+    if (record?.state === NotificationState.PROCESSING &&
+        Date.now() - claimedAtMs < PROCESSING_TIMEOUT_MS) {
+      return {
+        claimed: false, alreadyProcessed: false, inProgress: true, record,
+      };
+    }
+
+    transaction.set(docRef, {
+      notificationUUID,
+      notificationType: decodedPayload.notificationType || null,
+      subtype: decodedPayload.subtype || null,
+      signedDate: decodedPayload.signedDate || null,
+      environment: decodedPayload.data?.environment || null,
+      state: NotificationState.PROCESSING,
+      attempts: admin.firestore.FieldValue.increment(1),
+      claimedAt: admin.firestore.Timestamp.now(),
+      ...(!record && {
+        firstReceivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }),
+    }, {merge: true});
+
+    return {claimed: true, alreadyProcessed: false, inProgress: false, record};
+  });
+}
+
+/**
+ * ✅ 알림 처리 결과 기록
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} notificationUUID - 알림 UUID
+ * @param {string} state - NotificationState.COMPLETED | FAILED
+ * @param {object} outcome - 처리 결과 (감사용)
+ * @return {Promise<void>}
+ */
+async function finishNotification(db, notificationUUID, state, outcome) {
+  if (!notificationUUID) {
+    return;
+  }
+
+  try {
+    // undefined 값은 Firestore에 저장할 수 없으므로 제거
+    const cleanOutcome = {};
+    Object.keys(outcome || {}).forEach((key) => {
+      if (outcome[key] !== undefined) {
+        cleanOutcome[key] = outcome[key];
+      }
+    });
+
+    await db.collection(PROCESSED_NOTIFICATIONS_COLLECTION)
+      .doc(notificationUUID)
+      .set({
+        state,
+        outcome: cleanOutcome,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+  } catch (error) {
+    console.error("❌ 알림 처리 결과 기록 실패:", notificationUUID, error);
+  }
+}
+
+module.exports = {
+  NotificationState,
+  PROCESSED_NOTIFICATIONS_COLLECTION,
+  claimNotification,
+  finishNotification,
+};
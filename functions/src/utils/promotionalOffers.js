@@ -0,0 +1,108 @@
+// 📁 functions/src/utils/promotionalOffers.js
+// 🎟️ StoreKit 프로모션 오퍼 (윈백 / 리텐션) 자격 확인과 발급 기록
+//
+// 오퍼 목록은 Firestore config/promotionalOffers 문서에 오퍼 ID별로 둡니다.
+//   {[offerId]: {eligibility: "lapsedPremium", productIds: ["premium"]}}
+// 발급 기록은 users/{uid}/promotionalOffers/{offerId}에 남기며,
+// 오퍼로 구매한 거래가 동기화되면 redeemed로 바뀌어 다시 발급하지 않습니다.
+const admin = require("firebase-admin");
+const {OfferType} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+
+const PROMOTIONAL_OFFERS_DOC = "config/promotionalOffers";
+const PROMOTIONAL_OFFER_COLLECTION = "promotionalOffers";
+
+/**
+ * 🎯 오퍼 자격 조건
+ * - LAPSED_PREMIUM: App Store 구독이 만료된 사용자 (윈백)
+ * - CANCELLED_PREMIUM: 구독 중이지만 자동 갱신을 끈 사용자 (리텐션)
+ */
+const OfferEligibility = {
+  LAPSED_PREMIUM: "lapsedPremium",
+  CANCELLED_PREMIUM: "cancelledPremium",
+};
+
+/**
+ * 🎯 발급 기록 상태
+ */
+const PromotionalOfferState = {
+  ISSUED: "issued",
+  REDEEMED: "redeemed",
+};
+
+/**
+ * ✅ subscriptionData로 오퍼 자격 확인 (순수 함수)
+ * @param {object|null} subscriptionData - 통합 구독 데이터
+ * @param {string} eligibility - OfferEligibility 값
+ * @return {object} {eligible, reason}
+ */
+function evaluateOfferEligibility(subscriptionData, eligibility) {
+  if (!subscriptionData?.originalTransactionId) {
+    return {eligible: false, reason: "App Store 구독 이력 없음"};
+  }
+
+  const {entitlement, subscriptionStatus} = subscriptionData;
+  switch (eligibility) {
+  case OfferEligibility.LAPSED_PREMIUM:
+    return entitlement === Entitlement.FREE &&
+      subscriptionStatus === SubscriptionStatus.EXPIRED ?
+      {eligible: true, reason: null} :
+      {eligible: false, reason: "만료된 구독이 아님"};
+  case OfferEligibility.CANCELLED_PREMIUM:
+    return entitlement === Entitlement.PREMIUM &&
+      subscriptionStatus === SubscriptionStatus.CANCELLED ?
+      {eligible: true, reason: null} :
+      {eligible: false, reason: "자동 갱신을 끈 구독이 아님"};
+  default:
+    return {eligible: false, reason: "알 수 없는 자격 조건: " + eligibility};
+  }
+}
+
+/**
+ * 📋 오퍼 설정 조회 (config/promotionalOffers)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} offerId - 프로모션 오퍼 ID
+ * @return {Promise<object|null>} {eligibility, productIds} (없으면 null)
+ */
+async function getPromotionalOffer(db, offerId) {
+  const snapshot = await db.doc(PROMOTIONAL_OFFERS_DOC).get();
+  const offer = snapshot.exists ? snapshot.get(offerId) : null;
+  return offer?.eligibility ? offer : null;
+}
+
+/**
+ * 🎟️ 오퍼로 구매한 거래를 발급 기록에 사용 완료로 반영
+ * 프로모션 오퍼 거래가 아니면 아무것도 하지 않습니다.
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 ID
+ * @param {object} transaction - 디코딩된 트랜잭션
+ * @return {Promise<boolean>} 반영 여부
+ */
+async function markPromotionalOfferRedeemed(db, userId, transaction) {
+  if (transaction.offerType !== OfferType.PROMOTIONAL_OFFER ||
+      !transaction.offerIdentifier) {
+    return false;
+  }
+
+  await db.collection("users").doc(userId)
+    .collection(PROMOTIONAL_OFFER_COLLECTION)
+    .doc(transaction.offerIdentifier)
+    .set({
+      offerId: transaction.offerIdentifier,
+      state: PromotionalOfferState.REDEEMED,
+      redeemedTransactionId: String(transaction.transactionId),
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+  console.log("🎟️ 프로모션 오퍼 사용:", userId, transaction.offerIdentifier);
+  return true;
+}
+
+module.exports = {
+  PROMOTIONAL_OFFERS_DOC,
+  PROMOTIONAL_OFFER_COLLECTION,
+  OfferEligibility,
+  PromotionalOfferState,
+  evaluateOfferEligibility,
+  getPromotionalOffer,
+  markPromotionalOfferRedeemed,
+};
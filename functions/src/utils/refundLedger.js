@@ -0,0 +1,176 @@
+// 📁 functions/src/utils/refundLedger.js
+// 💸 사용자별 환불 원장 (users/{uid}/refunds/{transactionId})
+//
+// REFUND / REFUND_REVERSED 알림을 받으면 Get Refund History로 고객의 환불 내역을
+// 다시 조회하여 원장을 맞추고, 사용자 문서의 refundStats(환불 횟수)를 갱신합니다.
+// refundStats는 subscriptionData가 통째로 교체되어도 남도록 최상위 필드에 둡니다.
+// 환불 정책(refundPolicy.js)은 refundStats를 기준으로 평가합니다.
+const admin = require("firebase-admin");
+const {iapClient} = require("./appStoreServerClient");
+
+const REFUND_LEDGER_COLLECTION = "refunds";
+
+/**
+ * 📝 디코딩된 환불 거래 → 원장 항목
+ * @param {object} transaction - revocationDate가 있는 디코딩된 트랜잭션
+ * @param {string|null} environment - 검증된 거래 환경
+ * @return {object} 원장 항목
+ */
+function buildRefundEntry(transaction, environment) {
+  return {
+    transactionId: String(transaction.transactionId),
+    originalTransactionId: String(transaction.originalTransactionId),
+    productId: transaction.productId || null,
+    purchaseDate: transaction.purchaseDate ?? null,
+    revocationDate: transaction.revocationDate ?? null,
+    revocationReason: transaction.revocationReason ?? null,
+    environment: environment || transaction.environment || null,
+    reversed: false,
+  };
+}
+
+/**
+ * 🔢 원장 항목으로 환불 통계 계산 (환불 취소된 항목 제외)
+ * @param {Array<object>} entries - 원장 항목 목록
+ * @return {object} {count, lastRefundDate}
+ */
+function summarizeRefunds(entries) {
+  const active = entries.filter((entry) => !entry.reversed);
+  const dates = active.map((entry) => entry.revocationDate)
+    .filter((date) => Number.isFinite(date));
+  return {
+    count: active.length,
+    lastRefundDate: dates.length > 0 ? Math.max(...dates) : null,
+  };
+}
+
+/**
+ * 💾 사용자 원장에 환불 항목 반영 후 refundStats 갱신
+ *
+ * reconcileOriginalTransactionId를 지정하면 해당 구독의 기존 항목 중
+ * 이번 환불 내역에 없는 항목을 환불 취소(reversed)로 표시합니다.
+ * (환불 내역은 고객 단위라 다른 Apple 계정의 항목은 건드리지 않음)
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 ID
+ * @param {Array<object>} refunds - buildRefundEntry 결과 목록
+ * @param {object} options - 반영 옵션
+ * @param {string} options.source - 기록 주체 ("webhook" | ...)
+ * @param {string} [options.reconcileOriginalTransactionId] - 취소 판단 대상 구독
+ * @return {Promise<object>} 갱신된 refundStats ({count, lastRefundDate})
+ */
+async function applyRefundLedger(db, userId, refunds, {
+  source,
+  reconcileOriginalTransactionId = null,
+}) {
+  const userRef = db.collection("users").doc(userId);
+  const ledgerRef = userRef.collection(REFUND_LEDGER_COLLECTION);
+  const existing = await ledgerRef.get();
+
+  const entries = new Map(existing.docs.map((doc) => [doc.id, doc.data()]));
+  const batch = db.batch();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  for (const refund of refunds) {
+    const previous = entries.get(refund.transactionId);
+    entries.set(refund.transactionId, {...previous, ...refund});
+    batch.set(ledgerRef.doc(refund.transactionId), {
+      ...refund,
+      source,
+      ...(!previous && {createdAt: now}),
+      updatedAt: now,
+    }, {merge: true});
+  }
+
+  if (reconcileOriginalTransactionId) {
+    const refundedIds = new Set(refunds.map((refund) => refund.transactionId));
+    for (const [transactionId, entry] of entries) {
+      if (entry.originalTransactionId === reconcileOriginalTransactionId &&
+          !entry.reversed && !refundedIds.has(transactionId)) {
+        entries.set(transactionId, {...entry, reversed: true});
+        batch.set(ledgerRef.doc(transactionId), {
+          reversed: true,
+          source,
+          updatedAt: now,
+        }, {merge: true});
+        console.log("↩️ 환불 취소 반영:", userId, transactionId);
+      }
+    }
+  }
+
+  const refundStats = summarizeRefunds([...entries.values()]);
+  batch.set(userRef, {
+    refundStats: {...refundStats, updatedAt: now},
+  }, {merge: true});
+  await batch.commit();
+
+  return refundStats;
+}
+
+/**
+ * 🔄 Get Refund History로 사용자들의 환불 원장 동기화
+ *
+ * 환불 내역 조회에 실패하면 알림의 트랜잭션만 원장에 기록합니다.
+ * (환불 취소 판단은 하지 않음)
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {Array<string>} userIds - 구독을 구매한 사용자 ID 목록
+ *   (가족 공유 구성원 제외)
+ * @param {object} transaction - 알림의 디코딩된 트랜잭션
+ * @param {string} source - 기록 주체
+ * @return {Promise<object>} {synced, refundCount, error?}
+ */
+async function syncRefundHistory(db, userIds, transaction, source) {
+  const originalTransactionId = String(transaction.originalTransactionId);
+  const historyResult = await iapClient.getRefundHistory(
+    originalTransactionId, {environment: transaction.environment});
+
+  if (!historyResult.success) {
+    console.error("❌ 환불 내역 조회 실패:", historyResult.error);
+    const fallback = transaction.revocationDate ?
+      [buildRefundEntry(transaction, transaction.environment)] : [];
+    for (const userId of userIds) {
+      await applyRefundLedger(db, userId, fallback, {source});
+    }
+    return {
+      synced: false,
+      refundCount: fallback.length,
+      error: historyResult.error,
+    };
+  }
+
+  const refunds = [];
+  for (const signedTransaction of historyResult.data.signedTransactions) {
+    const verifyResult = await iapClient.verifyJWS(signedTransaction);
+    if (!verifyResult.success) {
+      console.warn("⚠️ 환불 거래 검증 실패:", verifyResult.error);
+      continue;
+    }
+    if (verifyResult.data.revocationDate) {
+      refunds.push(
+        buildRefundEntry(verifyResult.data, verifyResult.environment));
+    }
+  }
+
+  for (const userId of userIds) {
+    await applyRefundLedger(db, userId, refunds, {
+      source,
+      reconcileOriginalTransactionId: originalTransactionId,
+    });
+  }
+
+  console.log("💸 환불 원장 동기화 완료:", {
+    originalTransactionId,
+    refundCount: refunds.length,
+    userCount: userIds.length,
+  });
+  return {synced: true, refundCount: refunds.length};
+}
+
+module.exports = {
+  REFUND_LEDGER_COLLECTION,
+  buildRefundEntry,
+  summarizeRefunds,
+  applyRefundLedger,
+  syncRefundHistory,
+};
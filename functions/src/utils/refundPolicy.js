@@ -0,0 +1,92 @@
+// 📁 functions/src/utils/refundPolicy.js
+// 💸 환불 이력 기반 권한 정책
+//
+// REFUND_POLICY_FLAGS 파라미터(쉼표 구분)로 켤 정책을 선택합니다. (기본값: 없음)
+// - noTrialAfterRefund: 환불 이력이 있는 사용자에게 이후 시작한 무료 체험 권한 미부여
+// 환불 횟수는 refundLedger.js가 사용자 문서의 refundStats에 기록합니다.
+
+const {defineString} = require("firebase-functions/params");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+
+/**
+ * 🎯 환불 정책 플래그
+ */
+const RefundPolicyFlag = {
+  NO_TRIAL_AFTER_REFUND: "noTrialAfterRefund",
+};
+
+const refundPolicyFlags = defineString("REFUND_POLICY_FLAGS", {
+  default: "",
+});
+
+/**
+ * ⚙️ 설정된 환불 정책 플래그 (알 수 없는 값은 무시)
+ * @return {Array<string>} RefundPolicyFlag 값 목록
+ */
+function getRefundPolicyFlags() {
+  return (refundPolicyFlags.value() || "").split(",")
+    .map((flag) => flag.trim())
+    .filter((flag) => Object.values(RefundPolicyFlag).includes(flag));
+}
+
+/**
+ * 💸 환불 이력으로 구독 정보에 환불 정책 적용 (순수 함수)
+ * @param {object} subscriptionInfo - 상태 엔진이 계산한 구독 정보
+ * @param {object|null} refundStats - 사용자 환불 통계 ({count, lastRefundDate})
+ * @param {object} options - 정책 옵션
+ * @param {Array<string>} options.flags - 켜진 RefundPolicyFlag 값 목록
+ * @return {object} 정책이 적용된 구독 정보
+ */
+function applyRefundPolicy(subscriptionInfo, refundStats, {flags}) {
+  // 기존 데이터와 병합될 때 이전 거부 표시가 남지 않도록 undefined로 초기화
+  const info = {...subscriptionInfo, refundPolicyDenied: undefined};
+
+  const refundCount = refundStats?.count || 0;
+  const lastRefundDate = refundStats?.lastRefundDate || 0;
+  // 구매일을 모르면 환불 이후 시작한 체험으로 간주
+  const trialStartedAfterRefund =
+    (info.purchaseDate || Infinity) > lastRefundDate;
+
+  const denied = flags.includes(RefundPolicyFlag.NO_TRIAL_AFTER_REFUND) &&
+    refundCount > 0 &&
+    info.entitlement === Entitlement.TRIAL &&
+    trialStartedAfterRefund;
+  if (!denied) {
+    return info;
+  }
+
+  console.log("💸 환불 이력이 있는 사용자의 무료 체험: 권한 부여하지 않음",
+    {refundCount});
+  return {
+    ...info,
+    entitlement: Entitlement.FREE,
+    subscriptionStatus: SubscriptionStatus.INACTIVE,
+    refundPolicyDenied: true,
+  };
+}
+
+/**
+ * 💸 사용자의 refundStats와 설정된 플래그로 applyRefundPolicy 적용
+ * 켜진 플래그가 없으면 사용자 문서를 조회하지 않습니다.
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 ID
+ * @param {object} subscriptionInfo - 상태 엔진이 계산한 구독 정보
+ * @return {Promise<object>} 정책이 적용된 구독 정보
+ */
+async function applyConfiguredRefundPolicy(db, userId, subscriptionInfo) {
+  const flags = getRefundPolicyFlags();
+  if (flags.length === 0) {
+    return applyRefundPolicy(subscriptionInfo, null, {flags});
+  }
+
+  const userDoc = await db.collection("users").doc(userId).get();
+  return applyRefundPolicy(subscriptionInfo,
+    userDoc.get("refundStats") || null, {flags});
+}
+
+module.exports = {
+  RefundPolicyFlag,
+  getRefundPolicyFlags,
+  applyRefundPolicy,
+  applyConfiguredRefundPolicy,
+};
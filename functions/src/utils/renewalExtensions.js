@@ -0,0 +1,120 @@
+// 📁 functions/src/utils/renewalExtensions.js
+// 📅 구독 갱신일 연장 요청 기록 (renewalExtensions 컬렉션)
+//
+// 서비스 장애 보상으로 요청한 연장을 requestIdentifier 단위로 기록하고,
+// 상태 조회(폴링) 결과나 RENEWAL_EXTENSION 알림으로 진행 상황을 갱신합니다.
+const admin = require("firebase-admin");
+const {ExtendReasonCode} = require("@apple/app-store-server-library");
+
+const RENEWAL_EXTENSION_COLLECTION = "renewalExtensions";
+
+// ExtendReasonCode는 숫자 enum이라 이름 ↔ 값 양방향 키를 가짐
+const REASON_CODE_NAMES = Object.keys(ExtendReasonCode)
+  .filter((key) => Number.isNaN(Number(key)));
+
+// Apple이 허용하는 최대 연장 일수
+const MAX_EXTEND_BY_DAYS = 90;
+
+/**
+ * 🎯 연장 요청 종류
+ */
+const RenewalExtensionType = {
+  SINGLE: "single",
+  MASS: "mass",
+};
+
+/**
+ * 🎯 연장 요청 상태
+ */
+const RenewalExtensionState = {
+  PENDING: "pending",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+/**
+ * ✅ 연장 일수 / 사유 코드 검증
+ * @param {number} days - 연장 일수
+ * @param {number|string} reasonCode - ExtendReasonCode 값 또는 이름
+ * @return {object} {extendByDays, extendReasonCode, error}
+ */
+function validateExtensionRequest(days, reasonCode) {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXTEND_BY_DAYS) {
+    return {
+      error: `days must be an integer between 1 and ${MAX_EXTEND_BY_DAYS}`,
+    };
+  }
+
+  const extendReasonCode = REASON_CODE_NAMES.includes(reasonCode) ?
+    ExtendReasonCode[reasonCode] : reasonCode;
+  if (!REASON_CODE_NAMES.some((name) =>
+    ExtendReasonCode[name] === extendReasonCode)) {
+    return {
+      error: "reasonCode must be one of " + REASON_CODE_NAMES.join(", "),
+    };
+  }
+
+  return {extendByDays: days, extendReasonCode, error: null};
+}
+
+/**
+ * 📝 연장 요청 기록
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} requestIdentifier - 연장 요청 ID (문서 ID)
+ * @param {object} record - 요청 내용 ({type, extendByDays, ...})
+ * @return {Promise<void>}
+ */
+async function recordExtensionRequest(db, requestIdentifier, record) {
+  await db.collection(RENEWAL_EXTENSION_COLLECTION).doc(requestIdentifier)
+    .set({
+      // JSON 직렬화로 undefined 필드 제거 (Firestore 오류 방지)
+      ...JSON.parse(JSON.stringify(record)),
+      requestIdentifier,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+/**
+ * 🔄 전체 구독자 연장 진행 상황 반영 (상태 조회 응답 또는 SUMMARY 알림)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} requestIdentifier - 연장 요청 ID
+ * @param {object} status - {complete, succeededCount, failedCount,
+ *   completeDate?}
+ * @param {string} source - 반영 경로 ("poll" | "webhook")
+ * @return {Promise<boolean>} 기록된 요청이 있어 반영했는지 여부
+ */
+async function applyMassExtensionStatus(db, requestIdentifier, status,
+  source) {
+  if (!requestIdentifier) {
+    return false;
+  }
+  const docRef = db.collection(RENEWAL_EXTENSION_COLLECTION)
+    .doc(requestIdentifier);
+  const snapshot = await docRef.get();
+  if (!snapshot.exists) {
+    console.warn("⚠️ 기록되지 않은 갱신일 연장 요청:", requestIdentifier);
+    return false;
+  }
+
+  await docRef.update({
+    state: status.complete ?
+      RenewalExtensionState.COMPLETED : RenewalExtensionState.PENDING,
+    succeededCount: status.succeededCount ?? null,
+    failedCount: status.failedCount ?? null,
+    completeDate: status.completeDate ?? null,
+    lastStatusSource: source,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return true;
+}
+
+module.exports = {
+  RENEWAL_EXTENSION_COLLECTION,
+  MAX_EXTEND_BY_DAYS,
+  RenewalExtensionType,
+  RenewalExtensionState,
+  validateExtensionRequest,
+  recordExtensionRequest,
+  applyMassExtensionStatus,
+};
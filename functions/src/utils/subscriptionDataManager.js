@@ -2,6 +2,41 @@
 // 🎯 구독 데이터 통합 관리 (Single Source of Truth)
 
 const admin = require("firebase-admin");
+const {syncEntitlementClaims} = require("./entitlementClaims");
+const {Entitlement} = require("../shared/constant");
+const {
+  isActivePromotion,
+  normalizeEntitlement,
+} = require("./subscriptionStateEngine");
+
+/**
+ * 🕰️ 오래된 이벤트라도 반영해도 안전한 필드
+ * (한 번 true가 되면 되돌아가지 않거나, 비어 있을 때만 채우는 값)
+ */
+const STALE_MERGEABLE_FIELDS = ["hasUsedTrial", "appAccountToken"];
+
+/**
+ * 🕰️ 덮어쓰지 않는 업데이트에서 안전한 필드만 병합 (비어 있을 때만 채움)
+ * @param {admin.firestore.Transaction} transaction - Firestore 트랜잭션
+ * @param {admin.firestore.DocumentReference} userRef - 사용자 문서
+ * @param {object} cleanData - 업데이트할 구독 데이터
+ * @param {object} storedData - 저장된 구독 데이터
+ * @return {boolean} 병합한 필드가 있는지 여부
+ */
+function mergeSafeFields(transaction, userRef, cleanData, storedData) {
+  const mergeUpdates = {};
+  STALE_MERGEABLE_FIELDS.forEach((field) => {
+    if (cleanData[field] !== undefined && storedData[field] === undefined) {
+      mergeUpdates[`subscriptionData.${field}`] = cleanData[field];
+    }
+  });
+
+  if (Object.keys(mergeUpdates).length === 0) {
+    return false;
+  }
+  transaction.update(userRef, mergeUpdates);
+  return true;
+}
 
 /**
  * 🎯 통합 구독 데이터 업데이트 함수
@@ -11,20 +46,33 @@ const admin = require("firebase-admin");
  * - undefined 값 자동 제거
  * - 메타데이터 일관성 보장
  * - 데이터 버전 관리
+ * - 이벤트 순서 보장: signedDate가 저장된 값보다 오래된 업데이트는
+ *   Firestore 트랜잭션 안에서 거부하고, 안전한 필드만 병합
+ * - entitlement/만료 시각이 바뀌면 Auth custom claims에도 반영
+ * - preserveActivePromotion: 유효한 프로모션은 권한을 주지 않는 App Store
+ *   상태(늦게 도착한 EXPIRED 알림 등)로 덮어쓰지 않음
  *
  * @param {admin.firestore.Firestore} db - Firestore 인스턴스
  * @param {string} userId - 사용자 ID
  * @param {object} updates - 업데이트할 구독 데이터
  * @param {string} source - 업데이트 소스 ("syncPurchaseInfo" | "webhook" | "checkSubscriptionStatus")
- * @return {Promise<void>}
+ * @param {object} [options] - 추가 옵션
+ * @param {number} [options.signedDate] - 이벤트(알림 또는 트랜잭션) 서명 시각 (ms)
+ * @param {boolean} [options.preserveActivePromotion] - 유효한 프로모션 유지
+ * @return {Promise<object>} {applied, decision} - 적용 여부와 판단 결과
+ *   (preserved-promotion이면 유지한 storedData 포함)
  */
-async function updateUnifiedSubscriptionData(db, userId, updates, source) {
+async function updateUnifiedSubscriptionData(
+  db, userId, updates, source, options = {}) {
   try {
     console.log(`🔄 [${source}] 통합 구독 데이터 업데이트 시작:`, userId);
 
+    const signedDate = parseInt(options.signedDate) || null;
+
     // 🎯 기본 메타데이터 추가
     const subscriptionData = {
       ...updates,
+      lastEventSignedDate: signedDate,
       lastUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
       lastUpdateSource: source,
       dataVersion: "v2",
@@ -46,20 +94,66 @@ async function updateUnifiedSubscriptionData(db, userId, updates, source) {
       }
     });
 
-    // 🎯 Firestore 업데이트 (subscriptionData만 업데이트)
-    const updatePayload = {
-      subscriptionData: cleanData,
-    };
+    const userRef = db.collection("users").doc(userId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const storedData = userDoc.exists ?
+        userDoc.data().subscriptionData || {} : {};
+      const storedSignedDate = storedData.lastEventSignedDate || null;
 
-    await db.collection("users").doc(userId).update(updatePayload);
+      // 🎁 유효한 프로모션은 App Store 상태가 권한을 줄 때(구매/갱신)만 대체
+      if (options.preserveActivePromotion &&
+          isActivePromotion(storedData) &&
+          normalizeEntitlement(cleanData.entitlement) === Entitlement.FREE) {
+        mergeSafeFields(transaction, userRef, cleanData, storedData);
+        return {applied: false, decision: "preserved-promotion", storedData};
+      }
+
+      // 🎯 서명 시각이 없는 업데이트는 그대로 적용하되 기존 기준 시각 유지
+      if (!signedDate) {
+        if (storedSignedDate) {
+          cleanData.lastEventSignedDate = storedSignedDate;
+        }
+        transaction.update(userRef, {subscriptionData: cleanData});
+        return {applied: true, decision: "applied-unordered", storedData};
+      }
+
+      if (!storedSignedDate || signedDate >= storedSignedDate) {
+        transaction.update(userRef, {subscriptionData: cleanData});
+        return {applied: true, decision: "applied", storedData};
+      }
+
+      // 🎯 오래된 이벤트: 안전한 필드만 병합
+      return mergeSafeFields(transaction, userRef, cleanData, storedData) ?
+        {applied: false, decision: "merged-stale"} :
+        {applied: false, decision: "rejected-stale"};
+    });
+
+    if (!result.applied) {
+      console.warn(`⏪ [${source}] 구독 데이터 업데이트 무시:`, {
+        userId: userId,
+        decision: result.decision,
+        signedDate: signedDate,
+      });
+      return result;
+    }
+
+    // 🎫 권한 변경 시 custom claims 동기화 (하향 시 refresh token 폐기)
+    await syncEntitlementClaims(userId, result.storedData, cleanData);
+    delete result.storedData;
 
     console.log(`✅ [${source}] 통합 구독 데이터 업데이트 완료:`, {
       userId: userId,
+      decision: result.decision,
+      signedDate: signedDate,
       fieldsUpdated: Object.keys(cleanData).length,
       source: source,
       entitlement: cleanData.entitlement || "unknown",
       subscriptionStatus: cleanData.subscriptionStatus || "unknown",
     });
+
+    return result;
   } catch (error) {
     console.error(`❌ [${source}] 통합 구독 데이터 업데이트 실패:`, error);
     throw error;
@@ -69,6 +163,8 @@ async function updateUnifiedSubscriptionData(db, userId, updates, source) {
 /**
  * 🎯 구독 데이터 조회 함수
  *
+ * entitlement는 소문자 Entitlement 값으로 정규화해서 반환합니다.
+ *
  * @param {admin.firestore.Firestore} db - Firestore 인스턴스
  * @param {string} userId - 사용자 ID
  * @return {Promise<object|null>} 구독 데이터 또는 null
@@ -81,8 +177,16 @@ async function getUnifiedSubscriptionData(db, userId) {
       return null;
     }
 
-    const userData = userDoc.data();
-    return userData.subscriptionData || null;
+    const subscriptionData = userDoc.data().subscriptionData;
+    if (!subscriptionData) {
+      return null;
+    }
+
+    // 레거시 대문자 entitlement("PREMIUM" 등)는 읽을 때 소문자로 정규화
+    return {
+      ...subscriptionData,
+      entitlement: normalizeEntitlement(subscriptionData.entitlement),
+    };
   } catch (error) {
     console.error("❌ 구독 데이터 조회 실패:", error);
     return null;
@@ -142,6 +246,7 @@ const ESSENTIAL_SUBSCRIPTION_FIELDS = [
   "entitlement",
   "subscriptionStatus",
   "expirationDate",
+  "expiresDate",
   "hasUsedTrial",
   "autoRenewEnabled",
   "originalTransactionId",
@@ -165,6 +270,12 @@ const OPTIONAL_SUBSCRIPTION_FIELDS = [
   "hasFamilySharedSubscription",
   "environment",
   "subscriptionStartDate",
+  "revocationDate",
+  "expirationIntent",
+  "isInBillingRetryPeriod",
+  "gracePeriodExpiresDate",
+  "autoRenewProductId",
+  "lastEventSignedDate",
 ];
 
 module.exports = {
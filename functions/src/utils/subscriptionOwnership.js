@@ -0,0 +1,250 @@
+// 📁 functions/src/utils/subscriptionOwnership.js
+// 🔐 구독(originalTransactionId) 소유권 확인 및 충돌 정책
+//
+// 같은 Apple ID의 구독을 다른 앱 계정에서 동기화하면
+// transactions/{originalTransactionId} 인덱스의 소유자와 충돌합니다.
+// OWNERSHIP_CONFLICT_POLICY 파라미터로 처리 방식을 선택합니다.
+// - transfer: 새 계정으로 이전 (기존 소유자의 구독 권한 해제)
+// - reject: 동기화 거부
+// - share: 가족 공유처럼 두 계정 모두 소유자로 등록
+//
+// 가족 공유로 받은 트랜잭션(inAppOwnershipType FAMILY_SHARED)은 정책과 무관하게
+// 구성원(familyMemberIds)으로 추가되며, 구매자 간 충돌 판단에서 제외됩니다.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {defineString} = require("firebase-functions/params");
+const admin = require("firebase-admin");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+const {TRANSACTION_INDEX_COLLECTION} = require("./transactionIndex");
+const {findUserByOriginalTransactionId} = require("./userResolver");
+const {recordAuditLog} = require("./auditLog");
+const {isFamilySharedTransaction} = require("./subscriptionStateEngine");
+const {setEntitlementClaims} = require("./entitlementClaims");
+
+/**
+ * 🎯 소유권 충돌 정책
+ */
+const OwnershipConflictPolicy = {
+  TRANSFER: "transfer",
+  REJECT: "reject",
+  SHARE: "share",
+};
+
+/**
+ * 🎯 소유권 확인 결과
+ * - OWNER: 이미 소유자
+ * - LINKED: 소유자가 없던 트랜잭션을 새로 연결
+ * - TRANSFERRED / SHARED / REJECTED: 충돌 정책 적용 결과
+ */
+const OwnershipDecision = {
+  OWNER: "owner",
+  LINKED: "linked",
+  TRANSFERRED: "transferred",
+  SHARED: "shared",
+  REJECTED: "rejected",
+};
+
+const ownershipConflictPolicy = defineString("OWNERSHIP_CONFLICT_POLICY", {
+  default: OwnershipConflictPolicy.TRANSFER,
+  description: "구독 소유권 충돌 시 정책 (transfer | reject | share)",
+});
+
+/**
+ * ⚙️ 설정된 충돌 정책 조회 (잘못된 값이면 transfer)
+ * @return {string} OwnershipConflictPolicy 값
+ */
+function getOwnershipConflictPolicy() {
+  const policy = ownershipConflictPolicy.value();
+  if (Object.values(OwnershipConflictPolicy).includes(policy)) {
+    return policy;
+  }
+
+  console.warn("⚠️ 알 수 없는 소유권 충돌 정책, transfer 사용:", policy);
+  return OwnershipConflictPolicy.TRANSFER;
+}
+
+/**
+ * 🧭 현재 소유자 목록과 정책으로 처리 방식 결정 (순수 함수)
+ * @param {Array<string>} owners - 현재 소유 사용자 ID 목록 (구성원 포함)
+ * @param {string} userId - 동기화를 요청한 사용자 ID
+ * @param {string} policy - OwnershipConflictPolicy 값
+ * @param {object} [family] - 가족 공유 정보
+ * @param {Array<string>} [family.familyMemberIds] - 가족 공유 구성원 ID 목록
+ * @param {boolean} [family.isFamilyMember] - 요청자가 가족 공유 구성원인지
+ * @return {string} OwnershipDecision 값
+ */
+function decideOwnership(owners, userId, policy, {
+  familyMemberIds = [],
+  isFamilyMember = false,
+} = {}) {
+  if (owners.includes(userId)) {
+    return OwnershipDecision.OWNER;
+  }
+  if (isFamilyMember) {
+    return owners.length === 0 ?
+      OwnershipDecision.LINKED : OwnershipDecision.SHARED;
+  }
+
+  // 구매자 간 충돌만 정책 대상 (가족 공유 구성원은 제외)
+  const purchasers = owners.filter((ownerId) =>
+    !familyMemberIds.includes(ownerId));
+  if (purchasers.length === 0) {
+    return OwnershipDecision.LINKED;
+  }
+
+  switch (policy) {
+  case OwnershipConflictPolicy.REJECT:
+    return OwnershipDecision.REJECTED;
+  case OwnershipConflictPolicy.SHARE:
+    return OwnershipDecision.SHARED;
+  default:
+    return OwnershipDecision.TRANSFERRED;
+  }
+}
+
+/**
+ * 🔐 트랜잭션 소유권 확인 및 정책 적용 (Firestore 트랜잭션)
+ *
+ * 인덱스 갱신, 이전 소유자 권한 해제, 감사 기록을 한 번에 커밋합니다.
+ * REJECTED인 경우 감사 기록만 남기고 HttpsError(already-exists)를 던집니다.
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} params - 파라미터
+ * @param {string} params.userId - 동기화 대상 사용자 ID
+ * @param {object} params.transaction - 디코딩된 트랜잭션 정보
+ * @param {string} params.source - 요청 주체 ("syncPurchaseInfo" 등)
+ * @param {string} [params.operatorUid] - 관리자 대리 실행 시 관리자 UID
+ * @param {string} [params.policy] - 충돌 정책 (기본값: 설정값)
+ * @return {Promise<object>} {decision, previousOwners}
+ */
+async function claimTransactionOwnership(db, {
+  userId,
+  transaction,
+  source,
+  operatorUid = null,
+  policy = getOwnershipConflictPolicy(),
+}) {
+  const originalTransactionId = String(transaction.originalTransactionId);
+  const indexRef = db.collection(TRANSACTION_INDEX_COLLECTION)
+    .doc(originalTransactionId);
+
+  // 인덱스가 없는 기존 구독은 resolver가 쿼리 후 인덱스를 보정
+  const indexDoc = await indexRef.get();
+  if (!indexDoc.exists) {
+    await findUserByOriginalTransactionId(db, originalTransactionId);
+  }
+
+  const isFamilyMember = isFamilySharedTransaction(transaction);
+
+  const result = await db.runTransaction(async (firestoreTransaction) => {
+    const snapshot = await firestoreTransaction.get(indexRef);
+    const owners = snapshot.exists ? snapshot.get("userIds") || [] : [];
+    const familyMemberIds =
+      snapshot.exists ? snapshot.get("familyMemberIds") || [] : [];
+    const decision = decideOwnership(owners, userId, policy, {
+      familyMemberIds,
+      isFamilyMember,
+    });
+    // 이전 소유자 = 다른 구매자 (가족 공유 구성원은 이전 대상이 아님)
+    const previousOwners = owners.filter((ownerId) =>
+      ownerId !== userId && !familyMemberIds.includes(ownerId));
+
+    if (decision === OwnershipDecision.OWNER) {
+      return {decision, previousOwners: []};
+    }
+
+    if (decision === OwnershipDecision.TRANSFERRED) {
+      // 탈퇴 등으로 문서가 없는 이전 소유자는 건너뜀 (update는 NOT_FOUND)
+      // 트랜잭션 안에서는 모든 읽기가 쓰기보다 먼저 와야 함
+      const previousOwnerDocs = await Promise.all(previousOwners.map(
+        (ownerId) => firestoreTransaction.get(
+          db.collection("users").doc(ownerId))));
+
+      firestoreTransaction.set(indexRef, {
+        userIds: [userId, ...familyMemberIds],
+      }, {merge: true});
+
+      // 이전 소유자의 구독 권한 해제 (체험 사용 이력은 유지)
+      previousOwnerDocs.filter((ownerDoc) => ownerDoc.exists)
+        .forEach((ownerDoc) => {
+          firestoreTransaction.update(ownerDoc.ref, {
+            "subscriptionData.entitlement": Entitlement.FREE,
+            "subscriptionData.subscriptionStatus":
+              SubscriptionStatus.INACTIVE,
+            "subscriptionData.autoRenewEnabled": false,
+            "subscriptionData.originalTransactionId":
+              admin.firestore.FieldValue.delete(),
+            "subscriptionData.transferredTo": userId,
+            "subscriptionData.lastUpdateSource": "ownershipTransfer",
+            "subscriptionData.lastUpdatedAt":
+              admin.firestore.FieldValue.serverTimestamp(),
+          });
+        });
+    } else if (decision !== OwnershipDecision.REJECTED) {
+      firestoreTransaction.set(indexRef, {
+        originalTransactionId,
+        userIds: admin.firestore.FieldValue.arrayUnion(userId),
+        ...(isFamilyMember && {
+          familyMemberIds: admin.firestore.FieldValue.arrayUnion(userId),
+        }),
+      }, {merge: true});
+    }
+
+    await recordAuditLog(db, {
+      type: "subscriptionOwnership",
+      action: decision,
+      originalTransactionId,
+      userId,
+      previousOwners,
+      policy,
+      isFamilyMember,
+      source,
+      operatorUid,
+      productId: transaction.productId,
+      environment: transaction.environment,
+    }, firestoreTransaction);
+
+    return {decision, previousOwners};
+  });
+
+  if (result.decision === OwnershipDecision.REJECTED) {
+    console.warn("🚫 다른 사용자가 소유한 구독:", {
+      userId,
+      originalTransactionId,
+      owners: result.previousOwners,
+    });
+    throw new HttpsError("already-exists",
+      "This subscription is linked to another account");
+  }
+
+  // 🎫 구독을 넘겨준 이전 소유자의 claims도 무료로 하향
+  if (result.decision === OwnershipDecision.TRANSFERRED) {
+    for (const ownerId of result.previousOwners) {
+      try {
+        await setEntitlementClaims(ownerId,
+          {entitlement: Entitlement.FREE, premiumUntil: null},
+          {revokeTokens: true});
+      } catch (error) {
+        console.error("❌ 이전 소유자 claims 갱신 실패:", ownerId, error);
+      }
+    }
+  }
+
+  if (result.decision !== OwnershipDecision.OWNER) {
+    console.log("🔐 구독 소유권 변경:", {
+      userId,
+      originalTransactionId,
+      ...result,
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  OwnershipConflictPolicy,
+  OwnershipDecision,
+  getOwnershipConflictPolicy,
+  decideOwnership,
+  claimTransactionOwnership,
+};
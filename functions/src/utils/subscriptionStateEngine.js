@@ -0,0 +1,289 @@
+// 📁 functions/src/utils/subscriptionStateEngine.js
+// 🎯 구독 상태 엔진 (sync / webhook / history 분석 공통)
+//
+// 디코딩된 트랜잭션(+ 선택적 갱신 정보)을 받아 entitlement와
+// subscriptionStatus를 결정하는 순수 함수 모음입니다.
+// Firestore나 App Store API에 접근하지 않으므로 단위 테스트가 가능합니다.
+const {
+  AutoRenewStatus,
+  InAppOwnershipType,
+  OfferType,
+  Status,
+} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+
+/**
+ * 🏷️ Product ID로 구독 유형 결정
+ * @param {string} productId - App Store Product ID
+ * @return {string|null} "monthly" | "yearly" | null
+ */
+function resolveSubscriptionType(productId) {
+  if (productId?.includes("yearly")) {
+    return "yearly";
+  }
+  if (productId?.includes("monthly")) {
+    return "monthly";
+  }
+  return null;
+}
+
+/**
+ * 🧪 무료 체험 트랜잭션 여부
+ * isUpgraded가 true이면 이미 구독 경험이 있으므로 신규 체험이 아님.
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @return {boolean} 무료 체험 여부
+ */
+function isTrialTransaction(transaction) {
+  return transaction.offerType === OfferType.INTRODUCTORY_OFFER &&
+    !transaction.isUpgraded;
+}
+
+/**
+ * 🔢 Apple 날짜 값(ms, 숫자 또는 문자열)을 숫자로 변환
+ * @param {number|string|undefined} value - 날짜 값
+ * @return {number|null} 밀리초 타임스탬프
+ */
+function toMillis(value) {
+  const millis = parseInt(value);
+  return Number.isFinite(millis) && millis > 0 ? millis : null;
+}
+
+/**
+ * 🔁 갱신 정보(signedRenewalInfo)에서 저장할 필드 추출
+ * @param {object|null} renewalInfo - 디코딩된 갱신 정보
+ * @return {object} 갱신 관련 필드 (갱신 정보가 없으면 빈 객체)
+ */
+function extractRenewalFields(renewalInfo) {
+  if (!renewalInfo) {
+    return {};
+  }
+
+  return {
+    autoRenewEnabled: renewalInfo.autoRenewStatus === AutoRenewStatus.ON,
+    isInBillingRetryPeriod: !!renewalInfo.isInBillingRetryPeriod,
+    ...(renewalInfo.expirationIntent &&
+      {expirationIntent: renewalInfo.expirationIntent}),
+    ...(renewalInfo.gracePeriodExpiresDate &&
+      {gracePeriodExpiresDate: toMillis(renewalInfo.gracePeriodExpiresDate)}),
+    ...(renewalInfo.autoRenewProductId &&
+      {autoRenewProductId: renewalInfo.autoRenewProductId}),
+  };
+}
+
+/**
+ * 🎯 단일 트랜잭션 + 갱신 정보로 구독 상태 결정
+ *
+ * 우선순위:
+ * 1. revocationDate → 환불/취소 (REFUNDED)
+ * 2. 유예 기간 → PREMIUM 유지 (GRACE_PERIOD)
+ * 3. 결제 재시도 중 → 권한 없음 (ON_HOLD)
+ * 4. 활성 → 자동 갱신이 꺼져 있으면 만료 예정 (CANCELLED), 아니면 ACTIVE
+ * 5. 그 외 → 만료 (EXPIRED)
+ *
+ * Apple Status(Get All Subscription Statuses 응답)가 있으면 만료일 비교보다
+ * 우선하며, 없으면 expiresDate와 갱신 정보로 판단합니다.
+ *
+ * @param {object} params - 입력값
+ * @param {object} params.transaction - 디코딩된 트랜잭션 정보
+ * @param {object} [params.renewalInfo] - 디코딩된 갱신 정보 (signedRenewalInfo)
+ * @param {number} [params.appleStatus] - Apple Status (1: 활성 ~ 5: 취소됨)
+ * @param {number} [params.now] - 기준 시간 (ms)
+ * @return {object} subscriptionData에 그대로 저장 가능한 구독 정보
+ */
+function resolveSubscriptionState({
+  transaction,
+  renewalInfo = null,
+  appleStatus = null,
+  now = Date.now(),
+}) {
+  const expiresDate = toMillis(transaction.expiresDate);
+  const revocationDate = toMillis(transaction.revocationDate);
+  const isTrial = isTrialTransaction(transaction);
+  const activeEntitlement = isTrial ? Entitlement.TRIAL : Entitlement.PREMIUM;
+  const renewalFields = extractRenewalFields(renewalInfo);
+
+  const isExpired = !expiresDate || expiresDate <= now;
+  const isInBillingRetry = !!renewalInfo?.isInBillingRetryPeriod;
+  const isInGracePeriod = isInBillingRetry &&
+    (toMillis(renewalInfo.gracePeriodExpiresDate) || 0) > now;
+
+  let entitlement = Entitlement.FREE;
+  let subscriptionStatus = SubscriptionStatus.EXPIRED;
+
+  if (revocationDate || appleStatus === Status.REVOKED) {
+    subscriptionStatus = SubscriptionStatus.REFUNDED;
+  } else if (appleStatus === Status.BILLING_GRACE_PERIOD ||
+      (!appleStatus && isExpired && isInGracePeriod)) {
+    entitlement = Entitlement.PREMIUM;
+    subscriptionStatus = SubscriptionStatus.GRACE_PERIOD;
+  } else if (appleStatus === Status.BILLING_RETRY ||
+      (!appleStatus && isExpired && isInBillingRetry)) {
+    subscriptionStatus = SubscriptionStatus.ON_HOLD;
+  } else if (appleStatus === Status.ACTIVE || (!appleStatus && !isExpired)) {
+    entitlement = activeEntitlement;
+    subscriptionStatus = renewalFields.autoRenewEnabled === false ?
+      SubscriptionStatus.CANCELLED :
+      SubscriptionStatus.ACTIVE;
+  }
+
+  return {
+    entitlement,
+    subscriptionStatus,
+    subscriptionType: resolveSubscriptionType(transaction.productId),
+    // 갱신 정보가 없으면 활성 상태일 때 자동 갱신 중으로 간주
+    autoRenewEnabled: entitlement !== Entitlement.FREE,
+    ...renewalFields,
+    expiresDate,
+    expirationDate: expiresDate ? expiresDate.toString() : null,
+    originalTransactionId: transaction.originalTransactionId,
+    lastTransactionId: transaction.transactionId,
+    productId: transaction.productId,
+    purchaseDate: toMillis(transaction.purchaseDate),
+    // 체험 트랜잭션일 때만 true로 설정 (기존 값을 false로 덮어쓰지 않음)
+    ...(isTrial && {hasUsedTrial: true}),
+    ...(transaction.offerType && {offerType: transaction.offerType}),
+    ...(transaction.appAccountToken &&
+      {appAccountToken: transaction.appAccountToken}),
+    ...(transaction.environment && {environment: transaction.environment}),
+    ...(revocationDate && {revocationDate}),
+  };
+}
+
+/**
+ * 📚 전체 거래 내역으로 구독 상태 결정
+ *
+ * 가장 늦게 만료되는 트랜잭션을 현재 상태로 사용하고,
+ * 체험 사용 여부/가족 공유/최초 구독일은 전체 내역에서 계산합니다.
+ *
+ * @param {Array<object>} transactions - 디코딩된 트랜잭션 목록
+ * @param {object} [options] - 추가 입력값
+ * @param {object} [options.renewalInfo] - 디코딩된 갱신 정보
+ * @param {number} [options.now] - 기준 시간 (ms)
+ * @return {object} subscriptionData에 그대로 저장 가능한 구독 정보
+ */
+function summarizeTransactionHistory(transactions, {
+  renewalInfo = null,
+  now = Date.now(),
+} = {}) {
+  let latestTransaction = null;
+  let latestExpiresDate = 0;
+  let hasUsedTrial = false;
+  let hasFamilySharedSubscription = false;
+  let subscriptionStartDate = null;
+
+  for (const transaction of transactions) {
+    const expiresDate = toMillis(transaction.expiresDate) || 0;
+    if (!latestTransaction || expiresDate > latestExpiresDate) {
+      latestExpiresDate = expiresDate;
+      latestTransaction = transaction;
+    }
+
+    // 업그레이드된 체험도 체험 사용 이력으로 간주
+    if (transaction.offerType === OfferType.INTRODUCTORY_OFFER) {
+      hasUsedTrial = true;
+    }
+    if (transaction.inAppOwnershipType ===
+        InAppOwnershipType.FAMILY_SHARED) {
+      hasFamilySharedSubscription = true;
+    }
+
+    const startDate = toMillis(transaction.originalPurchaseDate);
+    if (startDate &&
+        (!subscriptionStartDate || startDate < subscriptionStartDate)) {
+      subscriptionStartDate = startDate;
+    }
+  }
+
+  if (!latestTransaction) {
+    return {
+      entitlement: Entitlement.FREE,
+      subscriptionStatus: SubscriptionStatus.INACTIVE,
+      subscriptionType: null,
+      autoRenewEnabled: false,
+      hasUsedTrial: false,
+      hasFamilySharedSubscription: false,
+    };
+  }
+
+  return {
+    ...resolveSubscriptionState({
+      transaction: latestTransaction,
+      renewalInfo,
+      now,
+    }),
+    hasUsedTrial,
+    hasFamilySharedSubscription,
+    subscriptionStartDate: subscriptionStartDate ?
+      subscriptionStartDate.toString() : null,
+  };
+}
+
+/**
+ * 👨‍👩‍👧 가족 공유 구성원용 구독 정보로 변환
+ *
+ * 구성원은 구매자의 구독으로 권한을 얻으므로 권한이 있으면 FAMILY_SHARED로 표시하고,
+ * 구매자의 체험 사용 이력은 구성원에게 기록하지 않습니다.
+ *
+ * @param {object} subscriptionInfo - 구매자 기준 구독 정보
+ * @return {object} 구성원 기준 구독 정보
+ */
+function applyFamilySharedStatus(subscriptionInfo) {
+  const memberInfo = {...subscriptionInfo};
+  delete memberInfo.hasUsedTrial;
+  if (memberInfo.entitlement === Entitlement.FREE) {
+    return memberInfo;
+  }
+
+  return {
+    ...memberInfo,
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.FAMILY_SHARED,
+  };
+}
+
+/**
+ * 👨‍👩‍👧 가족 공유로 받은 트랜잭션인지 확인
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @return {boolean} 가족 공유 여부
+ */
+function isFamilySharedTransaction(transaction) {
+  return transaction?.inAppOwnershipType === InAppOwnershipType.FAMILY_SHARED;
+}
+
+/**
+ * 🔤 저장된 entitlement 값 정규화
+ * 초기 syncPurchaseInfo가 기록한 대문자 값("FREE" / "PREMIUM")을 소문자로 바꾸고,
+ * 알 수 없는 값은 권한이 없는 것으로 보고 FREE로 처리합니다.
+ * @param {string} entitlement - 저장된 entitlement
+ * @return {string} Entitlement 값
+ */
+function normalizeEntitlement(entitlement) {
+  const normalized = typeof entitlement === "string" ?
+    entitlement.toLowerCase() : entitlement;
+  return Object.values(Entitlement).includes(normalized) ?
+    normalized : Entitlement.FREE;
+}
+
+/**
+ * 🎁 관리자가 부여한 프로모션 권한이 아직 유효한지 확인
+ * 유효한 동안에는 App Store 상태로 덮어쓰지 않습니다. (갱신 / 야간 재확인)
+ * @param {object} subscriptionData - 저장된 구독 데이터
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {boolean} 유효한 프로모션 여부
+ */
+function isActivePromotion(subscriptionData, now = Date.now()) {
+  return subscriptionData?.subscriptionStatus ===
+    SubscriptionStatus.PROMOTION &&
+    (parseInt(subscriptionData.expiresDate) || 0) > now;
+}
+
+module.exports = {
+  resolveSubscriptionState,
+  summarizeTransactionHistory,
+  applyFamilySharedStatus,
+  isFamilySharedTransaction,
+  isActivePromotion,
+  normalizeEntitlement,
+  resolveSubscriptionType,
+  isTrialTransaction,
+};
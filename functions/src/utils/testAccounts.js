@@ -1,209 +1,355 @@
-// 📁 functions/utils/testAccounts.js - 내부 테스트 계정
+// 📁 functions/src/utils/testAccounts.js - 내부 테스트 계정
+//
+// 테스트 시나리오는 testAccountScenarios/{email} 문서에 저장되며
+// adminManageTestAccounts callable로 배포 없이 추가/수정할 수 있습니다.
+// 날짜는 시나리오 시계 기준 상대값(expiresInDays 등)으로 저장하여
+// 언제 조회해도 같은 상황(예: "3일 후 만료")이 재현됩니다.
+const {NotificationTypeV2} = require("@apple/app-store-server-library");
 const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+const {
+  NotificationAction,
+  getNotificationRule,
+  applyNotificationRule,
+} = require("../webhook/notificationRules");
+
+const TEST_ACCOUNT_COLLECTION = "testAccountScenarios";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCENARIO_CACHE_MS = 60 * 1000;
+
+// 갱신 시뮬레이션 시 구독 유형별 기간 (일)
+const PERIOD_DAYS = {
+  monthly: 30,
+  yearly: 365,
+};
 
 /**
- * 📅 날짜 계산 유틸리티 함수들
+ * 📋 기본 시나리오 (adminManageTestAccounts의 seed 액션으로 Firestore에 등록)
+ *
+ * 시나리오 필드:
+ * - expiresInDays: 시나리오 시계 기준 만료까지 남은 일수 (음수 = 이미 만료)
+ * - gracePeriodDays: 시나리오 시계 기준 유예 기간 종료까지 남은 일수
+ * - clockOffsetDays / clockOverrideAt: 계정별 시계 (없으면 현재 시각)
+ * - bannerMetadata: 앱 배너 표시용 메타데이터
  */
+const DEFAULT_TEST_ACCOUNT_SCENARIOS = {
+  // 🟢 프리미엄 활성 계정들
+  "admin@pikabook.com": {
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.ACTIVE,
+    hasUsedTrial: true,
+    expiresInDays: 365,
+    autoRenewEnabled: true,
+    subscriptionType: "yearly",
+    originalTransactionId: "test_admin_transaction_001",
+    productId: "com.pikabook.premium.yearly",
+    bannerMetadata: {bannerType: "premiumStarted", bannerDismissedAt: null},
+  },
+
+  // 🔵 체험 계정들
+  "trial@pikabook.com": {
+    entitlement: Entitlement.TRIAL,
+    subscriptionStatus: SubscriptionStatus.ACTIVE,
+    hasUsedTrial: true,
+    expiresInDays: 7,
+    autoRenewEnabled: true,
+    subscriptionType: "monthly",
+    originalTransactionId: "test_trial_transaction_001",
+    productId: "com.pikabook.premium.monthly",
+    bannerMetadata: {bannerType: "trialStarted", bannerDismissedAt: null},
+  },
+  "trial-cancelled@pikabook.com": {
+    entitlement: Entitlement.TRIAL,
+    subscriptionStatus: SubscriptionStatus.CANCELLED,
+    hasUsedTrial: true,
+    expiresInDays: 3,
+    autoRenewEnabled: false,
+    subscriptionType: "monthly",
+    originalTransactionId: "test_trial_cancelled_transaction_001",
+    productId: "com.pikabook.premium.monthly",
+    bannerMetadata: {bannerType: "trialCancelled", bannerDismissedAt: null},
+  },
+  "trial-to-pre@pikabook.com": {
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.ACTIVE,
+    hasUsedTrial: true,
+    expiresInDays: 29,
+    autoRenewEnabled: true,
+    subscriptionType: "monthly",
+    originalTransactionId: "test_trial_expired_transaction_001",
+    productId: "com.pikabook.premium.monthly",
+    bannerMetadata: {bannerType: "trialCompleted", bannerDismissedAt: null},
+  },
+
+  // 🟡 프리미엄 계정들
+  "premium-cancelled@pikabook.com": {
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.CANCELLED,
+    hasUsedTrial: true,
+    expiresInDays: 15,
+    autoRenewEnabled: false,
+    subscriptionType: "monthly",
+    originalTransactionId: "test_premium_cancelled_transaction_001",
+    productId: "com.pikabook.premium.monthly",
+    bannerMetadata: {bannerType: "premiumCancelled", bannerDismissedAt: null},
+  },
+  "premium-expired@pikabook.com": {
+    entitlement: Entitlement.FREE,
+    subscriptionStatus: SubscriptionStatus.EXPIRED,
+    hasUsedTrial: true,
+    expiresInDays: -3,
+    autoRenewEnabled: false,
+    subscriptionType: null,
+    originalTransactionId: "test_premium_expired_transaction_001",
+    productId: null,
+    bannerMetadata: {bannerType: "premiumExpired", bannerDismissedAt: null},
+  },
+  "premium-grace@pikabook.com": {
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.GRACE_PERIOD,
+    hasUsedTrial: true,
+    expiresInDays: -5,
+    gracePeriodDays: 11,
+    autoRenewEnabled: false,
+    subscriptionType: "monthly",
+    originalTransactionId: "test_premium_grace_transaction_001",
+    productId: "com.pikabook.premium.monthly",
+    bannerMetadata: {bannerType: "premiumGrace", bannerDismissedAt: null},
+  },
+
+  // 🟠 특수 테스트 계정들
+  "refunded@pikabook.com": {
+    entitlement: Entitlement.FREE,
+    subscriptionStatus: SubscriptionStatus.REFUNDED,
+    hasUsedTrial: true,
+    expiresInDays: -1,
+    autoRenewEnabled: false,
+    subscriptionType: null,
+    originalTransactionId: "test_refunded_transaction_001",
+    productId: null,
+  },
+};
+
+const scenarioCache = new Map();
+
 /**
- * 현재 날짜에서 지정된 연도 후의 날짜 계산
- * @param {number} years - 더할 연도 수
- * @return {string} ISO 형식의 날짜 문자열
+ * 📧 시나리오 문서 ID로 사용할 이메일 정규화
+ * @param {string} email - 이메일
+ * @return {string|null} 소문자 이메일
  */
-function getDateAfterYears(years) {
-  const date = new Date();
-  date.setFullYear(date.getFullYear() + years);
-  return date.toISOString();
+function normalizeTestAccountEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
 }
 
 /**
- * 현재 날짜에서 지정된 일수 후의 날짜 계산
- * @param {number} days - 더할 일수
- * @return {string} ISO 형식의 날짜 문자열
+ * ⏰ 시나리오 시계 계산 (계정별 시각 고정 또는 이동)
+ * @param {object} scenario - 테스트 시나리오
+ * @param {number} now - 실제 현재 시각 (ms)
+ * @return {number} 시나리오 기준 현재 시각 (ms)
  */
-function getDateAfterDays(days) {
-  const date = new Date();
-  date.setDate(date.getDate() + days);
-  return date.toISOString();
+function resolveScenarioClock(scenario, now) {
+  if (scenario.clockOverrideAt) {
+    return typeof scenario.clockOverrideAt === "number" ?
+      scenario.clockOverrideAt :
+      new Date(scenario.clockOverrideAt).getTime();
+  }
+  return now + (scenario.clockOffsetDays || 0) * DAY_MS;
 }
 
 /**
- * 현재 날짜에서 지정된 일수 전의 날짜 계산
- * @param {number} days - 뺄 일수
- * @return {string} ISO 형식의 날짜 문자열
+ * 🧪 시나리오로 구독 상태 생성 (순수 함수)
+ * @param {string} email - 테스트 계정 이메일
+ * @param {object} scenario - 테스트 시나리오
+ * @param {number} [now] - 실제 현재 시각 (ms)
+ * @return {object} subscriptionData 형식의 구독 정보
  */
-function getDateBeforeDays(days) {
-  const date = new Date();
-  date.setDate(date.getDate() - days);
-  return date.toISOString();
+function buildTestAccountSubscription(email, scenario, now = Date.now()) {
+  const scenarioNow = resolveScenarioClock(scenario, now);
+  const expiresDate = typeof scenario.expiresInDays === "number" ?
+    scenarioNow + scenario.expiresInDays * DAY_MS : null;
+  const gracePeriodExpiresDate = typeof scenario.gracePeriodDays === "number" ?
+    scenarioNow + scenario.gracePeriodDays * DAY_MS : null;
+
+  return {
+    entitlement: scenario.entitlement,
+    subscriptionStatus: scenario.subscriptionStatus,
+    hasUsedTrial: !!scenario.hasUsedTrial,
+    autoRenewEnabled: !!scenario.autoRenewEnabled,
+    subscriptionType: scenario.subscriptionType || null,
+    originalTransactionId: scenario.originalTransactionId || null,
+    productId: scenario.productId || null,
+    expiresDate,
+    expirationDate: expiresDate ? expiresDate.toString() : null,
+    ...(gracePeriodExpiresDate && {gracePeriodExpiresDate}),
+    ...(scenario.bannerMetadata && {bannerMetadata: scenario.bannerMetadata}),
+    dataSource: "internal_test_account",
+    testAccountType: email.split("@")[0],
+    scenarioNow,
+    lastUpdated: new Date(now).toISOString(),
+  };
 }
 
 /**
- * 내부 테스트 계정 체크
- * @param {string} email
- * @return {object|null}
+ * ✅ 시나리오 입력값 검증 (순수 함수)
+ * @param {object} scenario - 테스트 시나리오
+ * @return {Array<string>} 오류 메시지 목록 (없으면 빈 배열)
  */
-function checkInternalTestAccount(email) {
-  if (!email) return null;
-
-  const INTERNAL_TEST_ACCOUNTS = {
-    // 🟢 프리미엄 활성 계정들
-    "admin@pikabook.com": {
-      entitlement: Entitlement.PREMIUM,
-      subscriptionStatus: SubscriptionStatus.ACTIVE,
-      hasUsedTrial: true,
-      expirationDate: getDateAfterYears(1),
-      autoRenewEnabled: true,
-      subscriptionType: "yearly",
-      originalTransactionId: "test_admin_transaction_001",
-      productId: "com.pikabook.premium.yearly",
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "premiumStarted",
-        bannerDismissedAt: null,
-      },
-    },
-
-    // 🔵 체험 계정들
-    "trial@pikabook.com": {
-      entitlement: Entitlement.TRIAL,
-      subscriptionStatus: SubscriptionStatus.ACTIVE,
-      hasUsedTrial: true,
-      expirationDate: getDateAfterDays(7),
-      autoRenewEnabled: true,
-      subscriptionType: "monthly",
-      originalTransactionId: "test_trial_transaction_001",
-      productId: "com.pikabook.premium.monthly",
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "trialStarted",
-        bannerDismissedAt: null,
-      },
-    },
+function validateTestAccountScenario(scenario) {
+  const errors = [];
+  if (!scenario || typeof scenario !== "object") {
+    return ["scenario must be an object"];
+  }
 
-    "trial-cancelled@pikabook.com": {
-      entitlement: Entitlement.TRIAL,
-      subscriptionStatus: SubscriptionStatus.CANCELLING,
-      hasUsedTrial: true,
-      expirationDate: getDateAfterDays(3),
-      autoRenewEnabled: false,
-      subscriptionType: "monthly",
-      originalTransactionId: "test_trial_cancelled_transaction_001",
-      productId: "com.pikabook.premium.monthly",
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "trialCancelled",
-        bannerDismissedAt: null,
-      },
-    },
+  if (!Object.values(Entitlement).includes(scenario.entitlement)) {
+    errors.push("entitlement must be one of " +
+      Object.values(Entitlement).join(", "));
+  }
+  if (!Object.values(SubscriptionStatus)
+    .includes(scenario.subscriptionStatus)) {
+    errors.push("subscriptionStatus must be a SubscriptionStatus value");
+  }
+  ["expiresInDays", "gracePeriodDays", "clockOffsetDays"].forEach((field) => {
+    if (scenario[field] !== undefined && scenario[field] !== null &&
+        typeof scenario[field] !== "number") {
+      errors.push(`${field} must be a number`);
+    }
+  });
+  if (scenario.clockOverrideAt &&
+      !Number.isFinite(resolveScenarioClock(scenario, 0))) {
+    errors.push("clockOverrideAt must be a timestamp (ms) or ISO date");
+  }
 
-    "trial-to-pre@pikabook.com": {
-      entitlement: Entitlement.PREMIUM,
-      subscriptionStatus: SubscriptionStatus.ACTIVE,
-      hasUsedTrial: true,
-      expirationDate: getDateAfterDays(29),
-      autoRenewEnabled: true,
-      subscriptionType: "monthly",
-      originalTransactionId: "test_trial_expired_transaction_001",
-      productId: "com.pikabook.premium.monthly",
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "trialCompleted",
-        bannerDismissedAt: null,
-      },
-    },
+  return errors;
+}
 
-    // 🟡 프리미엄 계정들
-    "premium-cancelled@pikabook.com": {
-      entitlement: Entitlement.PREMIUM,
-      subscriptionStatus: SubscriptionStatus.CANCELLING,
-      hasUsedTrial: true,
-      expirationDate: getDateAfterDays(15),
-      autoRenewEnabled: false,
-      subscriptionType: "monthly",
-      originalTransactionId: "test_premium_cancelled_transaction_001",
-      productId: "com.pikabook.premium.monthly",
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "premiumCancelled",
-        bannerDismissedAt: null,
-      },
-    },
+/**
+ * 🔍 Firestore에서 시나리오 조회 (1분 캐시)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} email - 이메일
+ * @return {Promise<object|null>} 시나리오 (없거나 비활성화면 null)
+ */
+async function getTestAccountScenario(db, email) {
+  const key = normalizeTestAccountEmail(email);
+  if (!key) {
+    return null;
+  }
 
-    "premium-expired@pikabook.com": {
-      entitlement: Entitlement.FREE,
-      subscriptionStatus: SubscriptionStatus.EXPIRED,
-      hasUsedTrial: true,
-      expirationDate: getDateBeforeDays(3),
-      autoRenewEnabled: false,
-      subscriptionType: null,
-      originalTransactionId: "test_premium_expired_transaction_001",
-      productId: null,
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "premiumExpired",
-        bannerDismissedAt: null,
-      },
-    },
+  const cached = scenarioCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < SCENARIO_CACHE_MS) {
+    return cached.scenario;
+  }
 
-    "premium-grace@pikabook.com": {
-      entitlement: Entitlement.PREMIUM,
-      subscriptionStatus: SubscriptionStatus.ACTIVE,
-      hasUsedTrial: true,
-      expirationDate: getDateBeforeDays(5),
-      gracePeriodEnd: getDateAfterDays(11),
-      autoRenewEnabled: false,
-      subscriptionType: "monthly",
-      originalTransactionId: "test_premium_grace_transaction_001",
-      productId: "com.pikabook.premium.monthly",
-      // 🎯 배너 전용 메타데이터
-      bannerMetadata: {
-        bannerType: "premiumGrace",
-        bannerDismissedAt: null,
-      },
-    },
+  const snapshot = await db.collection(TEST_ACCOUNT_COLLECTION).doc(key).get();
+  const scenario = snapshot.exists && snapshot.get("enabled") !== false ?
+    snapshot.data() : null;
+  scenarioCache.set(key, {scenario, loadedAt: Date.now()});
+  return scenario;
+}
 
-    // 🟠 특수 테스트 계정들
-    "refunded@pikabook.com": {
-      entitlement: Entitlement.FREE,
-      subscriptionStatus: SubscriptionStatus.REFUNDED,
-      hasUsedTrial: true,
-      expirationDate: getDateBeforeDays(1),
-      autoRenewEnabled: false,
-      subscriptionType: null,
-      originalTransactionId: "test_refunded_transaction_001",
-      productId: null,
-    },
+/**
+ * 🧹 시나리오 캐시 비우기 (관리자 수정 직후 반영용)
+ * @param {string} [email] - 특정 이메일만 비우기
+ */
+function clearTestAccountCache(email) {
+  if (email) {
+    scenarioCache.delete(normalizeTestAccountEmail(email));
+  } else {
+    scenarioCache.clear();
+  }
+}
 
-  };
+/**
+ * 내부 테스트 계정 체크
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} email - 로그인 이메일
+ * @param {number} [now] - 실제 현재 시각 (ms)
+ * @return {Promise<object|null>} 시나리오 구독 정보 (테스트 계정이 아니면 null)
+ */
+async function checkInternalTestAccount(db, email, now = Date.now()) {
+  if (!email) return null;
 
-  const accountInfo = INTERNAL_TEST_ACCOUNTS[email];
-  if (!accountInfo) {
+  const scenario = await getTestAccountScenario(db, email);
+  if (!scenario) {
     return null;
   }
 
+  const result = buildTestAccountSubscription(
+    normalizeTestAccountEmail(email), scenario, now);
   console.log(
     `🧪 [내부 계정] ${email}: ` +
-    `${accountInfo.entitlement}/${accountInfo.subscriptionStatus}`);
+    `${result.entitlement}/${result.subscriptionStatus}`);
+  return result;
+}
 
-  // 공통 정보 추가
-  const result = {
-    ...accountInfo,
-    dataSource: "internal_test_account",
-    testAccountType: email.split("@")[0],
-    lastUpdated: new Date().toISOString(),
+/**
+ * 📡 테스트 계정에 App Store 알림이 도착한 상황 시뮬레이션 (순수 함수)
+ *
+ * 웹훅과 같은 알림 규칙표로 상태 전이를 적용하고,
+ * 시나리오 문서에 저장할 변경 사항을 반환합니다.
+ * - 규칙이 상태를 지정하면 그 상태로 전이
+ * - SUBSCRIBED / DID_RENEW는 구독 유형의 한 기간만큼 갱신
+ * - REFUND는 환불, REFUND_REVERSED는 활성으로 복구
+ *
+ * @param {object} scenario - 현재 시나리오
+ * @param {string} notificationType - 알림 유형
+ * @param {string} [subtype] - 알림 하위 유형
+ * @return {object} {action, scenarioUpdates}
+ * @throws {Error} 규칙표에 없는 알림인 경우
+ */
+function simulateTestAccountNotification(scenario, notificationType, subtype) {
+  const rule = getNotificationRule(notificationType, subtype);
+  if (!rule) {
+    throw new Error(`Unknown notification: ${notificationType}/${subtype}`);
+  }
+  if (rule.action === NotificationAction.RECORD_ONLY) {
+    return {action: rule.action, scenarioUpdates: {}};
+  }
+
+  let next = {
+    entitlement: scenario.entitlement,
+    subscriptionStatus: scenario.subscriptionStatus,
+    autoRenewEnabled: !!scenario.autoRenewEnabled,
   };
+  let expiresInDays = scenario.expiresInDays;
 
-  // 날짜를 타임스탬프로 변환
-  if (result.expirationDate) {
-    result.expirationDate = result.expirationDate.getTime().toString();
-  }
-  if (result.gracePeriodEnd) {
-    result.gracePeriodEnd = result.gracePeriodEnd.getTime().toString();
+  if (notificationType === NotificationTypeV2.SUBSCRIBED ||
+      notificationType === NotificationTypeV2.DID_RENEW) {
+    next = {
+      entitlement: Entitlement.PREMIUM,
+      subscriptionStatus: SubscriptionStatus.ACTIVE,
+      autoRenewEnabled: true,
+    };
+    expiresInDays =
+      PERIOD_DAYS[scenario.subscriptionType] || PERIOD_DAYS.monthly;
+  } else if (notificationType === NotificationTypeV2.REFUND) {
+    next = {
+      entitlement: Entitlement.FREE,
+      subscriptionStatus: SubscriptionStatus.REFUNDED,
+      autoRenewEnabled: false,
+    };
+  } else if (notificationType === NotificationTypeV2.REFUND_REVERSED) {
+    next = {...next, entitlement: Entitlement.PREMIUM,
+      subscriptionStatus: SubscriptionStatus.ACTIVE};
+  } else {
+    next = applyNotificationRule(rule, next);
   }
 
-  return result;
+  return {
+    action: rule.action,
+    scenarioUpdates: {
+      ...next,
+      ...(expiresInDays !== undefined && {expiresInDays}),
+    },
+  };
 }
 
 module.exports = {
+  TEST_ACCOUNT_COLLECTION,
+  DEFAULT_TEST_ACCOUNT_SCENARIOS,
+  normalizeTestAccountEmail,
+  buildTestAccountSubscription,
+  validateTestAccountScenario,
+  getTestAccountScenario,
+  clearTestAccountCache,
   checkInternalTestAccount,
+  simulateTestAccountNotification,
 };
@@ -0,0 +1,93 @@
+// 📁 functions/src/utils/transactionIndex.js
+// 🗂️ originalTransactionId → 사용자 인덱스
+//
+// transactions/{originalTransactionId} 문서 하나로 구독 소유자를 찾아
+// 웹훅마다 users 컬렉션 전체를 쿼리하지 않도록 합니다.
+// (sync/webhook이 기록하고, 기존 사용자는 backfill_transaction_index.js로 채움)
+//
+// - userIds: 구독에 연결된 모든 사용자 (구매자 + 가족 공유 구성원)
+// - familyMemberIds: 그중 가족 공유로 권한을 받은 구성원
+
+const admin = require("firebase-admin");
+
+const TRANSACTION_INDEX_COLLECTION = "transactions";
+
+/**
+ * 🗂️ 트랜잭션 인덱스 기록 (소유 사용자 추가 + 환경/상품 갱신)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 소유 사용자 ID
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @param {string} source - 기록 주체 ("syncPurchaseInfo" | "webhook" | ...)
+ * @return {Promise<void>}
+ */
+async function upsertTransactionIndex(db, userId, transaction, source) {
+  const originalTransactionId = transaction.originalTransactionId;
+  if (!userId || !originalTransactionId) {
+    return;
+  }
+
+  try {
+    await db.collection(TRANSACTION_INDEX_COLLECTION)
+      .doc(String(originalTransactionId))
+      .set({
+        originalTransactionId: String(originalTransactionId),
+        userIds: admin.firestore.FieldValue.arrayUnion(userId),
+        ...(transaction.environment && {environment: transaction.environment}),
+        ...(transaction.productId && {productId: transaction.productId}),
+        lastUpdateSource: source,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+  } catch (error) {
+    // 인덱스는 조회 최적화용이므로 실패해도 구독 처리는 계속 진행
+    console.error("❌ 트랜잭션 인덱스 기록 실패:", originalTransactionId, error);
+  }
+}
+
+/**
+ * 🔍 트랜잭션 인덱스 조회
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @return {Promise<object|null>} {userIds, familyMemberIds, environment, ...}
+ */
+async function getTransactionIndex(db, originalTransactionId) {
+  if (!originalTransactionId) {
+    return null;
+  }
+
+  const snapshot = await db.collection(TRANSACTION_INDEX_COLLECTION)
+    .doc(String(originalTransactionId))
+    .get();
+
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+/**
+ * 🗑️ 트랜잭션 인덱스에서 사용자 제거 (가족 공유 회수 등)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @param {Array<string>} userIds - 제거할 사용자 ID 목록
+ * @param {string} source - 기록 주체
+ * @return {Promise<void>}
+ */
+async function removeFromTransactionIndex(
+  db, originalTransactionId, userIds, source) {
+  if (!originalTransactionId || userIds.length === 0) {
+    return;
+  }
+
+  await db.collection(TRANSACTION_INDEX_COLLECTION)
+    .doc(String(originalTransactionId))
+    .set({
+      userIds: admin.firestore.FieldValue.arrayRemove(...userIds),
+      familyMemberIds: admin.firestore.FieldValue.arrayRemove(...userIds),
+      lastUpdateSource: source,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+}
+
+module.exports = {
+  TRANSACTION_INDEX_COLLECTION,
+  upsertTransactionIndex,
+  removeFromTransactionIndex,
+  getTransactionIndex,
+};
@@ -0,0 +1,182 @@
+// 📁 functions/src/utils/usageQuota.js
+// 📊 entitlement별 기능 사용량 집계 (구독 기간 기준 초기화)
+//
+// usageCounters/{uid} 문서에 현재 기간의 사용량을 기록합니다.
+// - 구독 중: 최근 트랜잭션의 purchaseDate ~ expiresDate(유예 기간 포함)
+// - 무료: 마지막 구독 만료일(없으면 epoch)부터 30일 단위
+// 기간 키(periodKey)가 바뀌면 다음 사용 시점에 카운터를 0부터 다시 셉니다.
+
+const admin = require("firebase-admin");
+const {Entitlement, DEFAULT_PLAN_LIMITS} = require("../shared/constant");
+const {buildEntitlementClaims} = require("./entitlementClaims");
+const {normalizeEntitlement} = require("./subscriptionStateEngine");
+
+const USAGE_COLLECTION = "usageCounters";
+const PLAN_LIMITS_DOC = "config/planLimits";
+const FREE_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const PLAN_LIMITS_CACHE_MS = 5 * 60 * 1000;
+
+let planLimitsCache = null;
+
+/**
+ * 📋 사용량 한도 표 조회 (기본값 + config/planLimits 덮어쓰기, 5분 캐시)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @return {Promise<object>} entitlement → feature → 한도
+ */
+async function loadPlanLimits(db) {
+  if (planLimitsCache && Date.now() - planLimitsCache.loadedAt <
+      PLAN_LIMITS_CACHE_MS) {
+    return planLimitsCache.limits;
+  }
+
+  const snapshot = await db.doc(PLAN_LIMITS_DOC).get();
+  const overrides = snapshot.exists ? snapshot.data() : {};
+
+  const limits = {};
+  Object.values(Entitlement).forEach((entitlement) => {
+    limits[entitlement] = {
+      ...DEFAULT_PLAN_LIMITS[entitlement],
+      ...(overrides[entitlement] || {}),
+    };
+  });
+
+  planLimitsCache = {limits, loadedAt: Date.now()};
+  return limits;
+}
+
+/**
+ * 🎫 현재 시점의 유효 entitlement (만료 후 아직 갱신되지 않은 데이터는 무료)
+ * @param {object|null} subscriptionData - 통합 구독 데이터
+ * @param {number} now - 기준 시간 (ms)
+ * @return {string} Entitlement 값
+ */
+function resolveEffectiveEntitlement(subscriptionData, now) {
+  const {entitlement, premiumUntil} = buildEntitlementClaims(subscriptionData);
+  if (entitlement !== Entitlement.FREE && premiumUntil && premiumUntil <= now) {
+    return Entitlement.FREE;
+  }
+  return entitlement;
+}
+
+/**
+ * 📅 사용량 집계 기간 계산 (순수 함수)
+ * @param {object|null} subscriptionData - 통합 구독 데이터
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {object} {entitlement, periodKey, periodStart, periodEnd}
+ */
+function resolveUsagePeriod(subscriptionData, now = Date.now()) {
+  // 레거시 대문자("PREMIUM") / 알 수 없는 entitlement도 한도 표의 키로 정규화
+  if (subscriptionData) {
+    subscriptionData = {
+      ...subscriptionData,
+      entitlement: normalizeEntitlement(subscriptionData.entitlement),
+    };
+  }
+
+  const entitlement = resolveEffectiveEntitlement(subscriptionData, now);
+  const purchaseDate = parseInt(subscriptionData?.purchaseDate) || 0;
+
+  if (entitlement !== Entitlement.FREE && purchaseDate) {
+    const {premiumUntil} = buildEntitlementClaims(subscriptionData);
+    return {
+      entitlement,
+      periodKey: `${entitlement}:${purchaseDate}`,
+      periodStart: purchaseDate,
+      periodEnd: premiumUntil,
+    };
+  }
+
+  // 무료: 마지막 구독 만료일 기준 30일 주기 (달력 월과 무관)
+  const anchor = Math.min(parseInt(subscriptionData?.expiresDate) || 0, now);
+  const periodStart =
+    anchor + Math.floor((now - anchor) / FREE_PERIOD_MS) * FREE_PERIOD_MS;
+  return {
+    entitlement,
+    periodKey: `${entitlement}:${periodStart}`,
+    periodStart,
+    periodEnd: periodStart + FREE_PERIOD_MS,
+  };
+}
+
+/**
+ * ⚖️ 한도 대비 사용 가능 여부 계산 (순수 함수)
+ * @param {number|null} limit - 한도 (null = 무제한)
+ * @param {number} used - 현재 기간 사용량
+ * @param {number} amount - 이번에 사용할 양
+ * @return {object} {allowed, remaining}
+ */
+function evaluateQuota(limit, used, amount) {
+  if (limit === null || limit === undefined) {
+    return {allowed: true, remaining: null};
+  }
+
+  return {
+    allowed: used + amount <= limit,
+    remaining: Math.max(limit - used, 0),
+  };
+}
+
+/**
+ * 📊 기능 사용량 확인 (consume이면 한도 내에서 원자적으로 차감)
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 UID
+ * @param {string} feature - PlanFeature 값
+ * @param {number} amount - 사용할 양
+ * @param {object} [options] - 추가 옵션
+ * @param {boolean} [options.consume] - true이면 사용량 증가
+ * @return {Promise<object>} {allowed, used, limit, remaining, ...period}
+ */
+async function checkUsageQuota(db, userId, feature, amount, {
+  consume = false,
+} = {}) {
+  const limits = await loadPlanLimits(db);
+  const userRef = db.collection("users").doc(userId);
+  const usageRef = db.collection(USAGE_COLLECTION).doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [userDoc, usageDoc] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(usageRef),
+    ]);
+
+    const subscriptionData =
+      userDoc.exists ? userDoc.get("subscriptionData") : null;
+    const period = resolveUsagePeriod(subscriptionData);
+    const usage = usageDoc.exists ? usageDoc.data() : {};
+
+    // 기간이 바뀌었으면 이전 카운터는 무시
+    const counters = usage.periodKey === period.periodKey ?
+      usage.counters || {} : {};
+    const used = counters[feature] || 0;
+    const limit = limits[period.entitlement][feature];
+    const {allowed, remaining} = evaluateQuota(limit, used, amount);
+
+    if (consume && allowed) {
+      transaction.set(usageRef, {
+        ...period,
+        counters: {...counters, [feature]: used + amount},
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    const usedAfter = consume && allowed ? used + amount : used;
+    return {
+      allowed,
+      feature,
+      used: usedAfter,
+      limit: limit ?? null,
+      remaining: remaining === null ? null :
+        Math.max(remaining - (consume && allowed ? amount : 0), 0),
+      ...period,
+    };
+  });
+}
+
+module.exports = {
+  USAGE_COLLECTION,
+  loadPlanLimits,
+  resolveUsagePeriod,
+  evaluateQuota,
+  checkUsageQuota,
+};
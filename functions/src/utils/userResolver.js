@@ -0,0 +1,151 @@
+// 📁 functions/src/utils/userResolver.js
+// 🔍 App Store 트랜잭션 → 사용자 찾기
+//
+// 1. transactions/{originalTransactionId} 인덱스 (단일 문서 읽기, 가족 공유 구성원 포함)
+// 2. 인덱스가 없으면 subscriptionData / 레거시 subscription 쿼리 후 인덱스 보정
+// 3. appAccountToken (앱이 구매 시 전달한 사용자별 UUID)
+//    → syncPurchaseInfo 호출 전 첫 SUBSCRIBED 알림도 사용자와 연결됨
+
+const {
+  getTransactionIndex,
+  upsertTransactionIndex,
+} = require("./transactionIndex");
+const {isFamilySharedTransaction} = require("./subscriptionStateEngine");
+
+/**
+ * 🔑 appAccountToken 예약 문서 (appAccountTokens/{token} → {userId})
+ * 한 토큰을 두 사용자가 동시에 등록하지 못하도록 문서 ID로 유일성을 보장합니다.
+ */
+const APP_ACCOUNT_TOKEN_COLLECTION = "appAccountTokens";
+
+/**
+ * 🔑 appAccountToken 정규화 (Apple은 소문자 UUID로 전달)
+ * @param {string} appAccountToken - UUID 문자열
+ * @return {string|null} 소문자 UUID
+ */
+function normalizeAppAccountToken(appAccountToken) {
+  return appAccountToken ? String(appAccountToken).toLowerCase() : null;
+}
+
+/**
+ * 🔍 originalTransactionId로 사용자 찾기
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @return {Promise<string|null>} 사용자 ID
+ */
+async function findUserByOriginalTransactionId(db, originalTransactionId) {
+  if (!originalTransactionId) {
+    return null;
+  }
+
+  const index = await getTransactionIndex(db, originalTransactionId);
+  if (index?.userIds?.length) {
+    return index.userIds[0];
+  }
+
+  return queryUserByOriginalTransactionId(db, originalTransactionId);
+}
+
+/**
+ * 🔍 인덱스가 아직 없는 구독 (backfill 이전 데이터) → users 쿼리로 검색 후 인덱스 보정
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @return {Promise<string|null>} 사용자 ID
+ */
+async function queryUserByOriginalTransactionId(db, originalTransactionId) {
+  // 통합 구조 검색
+  let usersQuery = await db.collection("users")
+    .where("subscriptionData.originalTransactionId", "==",
+      originalTransactionId)
+    .limit(1)
+    .get();
+
+  // 레거시 구조 검색 (호환성)
+  if (usersQuery.empty) {
+    usersQuery = await db.collection("users")
+      .where("subscription.originalTransactionId", "==", originalTransactionId)
+      .limit(1)
+      .get();
+  }
+
+  if (usersQuery.empty) {
+    return null;
+  }
+
+  const userId = usersQuery.docs[0].id;
+  console.log("🗂️ 인덱스 없는 트랜잭션 발견, 인덱스 보정:", originalTransactionId);
+  await upsertTransactionIndex(db, userId, {originalTransactionId}, "resolver");
+  return userId;
+}
+
+/**
+ * 🔍 appAccountToken으로 사용자 찾기
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} appAccountToken - registerAppAccountToken으로 등록된 UUID
+ * @return {Promise<string|null>} 사용자 ID
+ */
+async function findUserByAppAccountToken(db, appAccountToken) {
+  const token = normalizeAppAccountToken(appAccountToken);
+  if (!token) {
+    return null;
+  }
+
+  const usersQuery = await db.collection("users")
+    .where("appAccountToken", "==", token)
+    .limit(1)
+    .get();
+
+  return usersQuery.empty ? null : usersQuery.docs[0].id;
+}
+
+/**
+ * 🎯 트랜잭션에 연결된 모든 사용자 찾기 (가족 공유 구성원 포함)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @return {Promise<Array<object>>} [{userId, matchedBy, isFamilyMember}]
+ */
+async function resolveUsersForTransaction(db, transaction) {
+  const originalTransactionId = transaction.originalTransactionId;
+
+  const index = await getTransactionIndex(db, originalTransactionId);
+  if (index?.userIds?.length) {
+    const familyMemberIds = index.familyMemberIds || [];
+    return index.userIds.map((userId) => ({
+      userId,
+      matchedBy: "transactionIndex",
+      isFamilyMember: familyMemberIds.includes(userId),
+    }));
+  }
+
+  const byTransactionId = originalTransactionId ?
+    await queryUserByOriginalTransactionId(db, originalTransactionId) :
+    null;
+  if (byTransactionId) {
+    return [{
+      userId: byTransactionId,
+      matchedBy: "originalTransactionId",
+      // 역할 정보가 없으므로 트랜잭션의 소유 유형으로 판단
+      isFamilyMember: isFamilySharedTransaction(transaction),
+    }];
+  }
+
+  const byToken =
+    await findUserByAppAccountToken(db, transaction.appAccountToken);
+  if (byToken) {
+    return [{
+      userId: byToken,
+      matchedBy: "appAccountToken",
+      isFamilyMember: false,
+    }];
+  }
+
+  return [];
+}
+
+module.exports = {
+  APP_ACCOUNT_TOKEN_COLLECTION,
+  normalizeAppAccountToken,
+  findUserByOriginalTransactionId,
+  findUserByAppAccountToken,
+  resolveUsersForTransaction,
+};
@@ -1,12 +1,45 @@
 // Firebase Functions v2 - App Store Server Notifications 웹훅
 const {onRequest} = require("firebase-functions/v2/https");
+const {Subtype} = require("@apple/app-store-server-library");
 const {defineSecret} = require("firebase-functions/params");
 const admin = require("firebase-admin");
-const {Entitlement, SubscriptionStatus} = require("../shared/constant");
 const {updateUnifiedSubscriptionData} =
   require("../utils/subscriptionDataManager");
+const {
+  resolveSubscriptionState,
+  summarizeTransactionHistory,
+  applyFamilySharedStatus,
+} = require("../utils/subscriptionStateEngine");
+const {
+  NotificationAction,
+  getNotificationRule,
+  applyNotificationRule,
+} = require("./notificationRules");
+const {
+  NotificationState,
+  claimNotification,
+  finishNotification,
+} = require("../utils/processedNotifications");
+const {
+  RETRYABLE_RESULTS,
+  enqueueDeadLetter,
+} = require("../utils/deadLetterQueue");
+const {resolveUsersForTransaction} = require("../utils/userResolver");
+const {parkPendingNotification} = require("../utils/pendingNotifications");
+const {
+  upsertTransactionIndex,
+  removeFromTransactionIndex,
+} = require("../utils/transactionIndex");
+const {recordAuditLog} = require("../utils/auditLog");
+const {applyMassExtensionStatus} = require("../utils/renewalExtensions");
+const {syncRefundHistory} = require("../utils/refundLedger");
+const {applyConfiguredRefundPolicy} = require("../utils/refundPolicy");
+const {markPromotionalOfferRedeemed} = require("../utils/promotionalOffers");
+const {respondToConsumptionRequest} = require("./consumptionRequest");
 // ⭐️ 수정: `iapClient` 싱글톤 인스턴스를 가져옵니다.
 const {iapClient} = require("../utils/appStoreServerClient");
+const {applyConfiguredEnvironmentPolicy} =
+  require("../utils/environmentPolicy");
 
 // Secret Manager에서 환경 변수 정의
 const iapKeyId = defineSecret("APP_STORE_KEY_ID");
@@ -21,17 +54,6 @@ const appleRootCert3 = defineSecret("APPLE_ROOT_CA_G3_BASE64");
 // 🎯 디버그 모드 설정
 const kDebugMode = process.env.NODE_ENV === "development" || process.env.DEBUG === "true";
 
-/**
- * 💡 최신 트랜잭션 정보만으로 상태 업데이트가 충분한 알림 유형들
- * 이 경우 getTransactionHistory() API 호출을 생략하여 비용과 시간을 절약합니다.
- */
-const SIMPLE_UPDATE_NOTIFICATIONS = [
-  "SUBSCRIBED",
-  "DID_RENEW",
-  "DID_CHANGE_RENEWAL_STATUS",
-  "PRICE_INCREASE",
-];
-
 /**
  * 🔥 App Store Server Notifications 웹훅 엔드포인트
  */
@@ -50,6 +72,8 @@ exports.appStoreNotifications = onRequest({
     appleRootCert3,
   ],
 }, async (req, res) => {
+  const db = admin.firestore();
+
   try {
     console.log("📡 App Store 웹훅 알림 수신:", req.method);
 
@@ -72,101 +96,396 @@ exports.appStoreNotifications = onRequest({
     }
     const decodedPayload = verificationResult.data;
 
-    const notificationType = decodedPayload.notificationType;
-    const subtype = decodedPayload.subtype;
-    const signedTransactionInfo = decodedPayload.data?.signedTransactionInfo;
+    const result = await processVerifiedNotification(db, decodedPayload);
 
-    if (!signedTransactionInfo) {
-      console.warn("✅ 알림에 트랜잭션 정보가 없습니다. (예: TEST 알림). 처리를 종료합니다.", {notificationType, subtype});
-      return res.status(200).send("OK. No transaction info.");
+    // 🔁 재전송된 알림은 subscriptionData를 건드리지 않고 응답
+    if (result.alreadyProcessed) {
+      console.log("🔁 이미 처리된 알림:", decodedPayload.notificationUUID);
+      return res.status(200).send("OK. Already processed.");
     }
-
-    // ⭐️ 수정: `iapClient`를 사용하여 트랜잭션 JWS 검증
-    const transactionVerificationResult = await iapClient.verifyJWS(signedTransactionInfo);
-    if (!transactionVerificationResult.success) {
-      console.error("❌ 트랜잭션 JWS 검증 실패:", transactionVerificationResult.error);
-      return res.status(401).send("Invalid transaction JWS signature");
+    if (result.inProgress) {
+      console.log("⏳ 처리 중인 알림:", decodedPayload.notificationUUID);
+      return res.status(409).send("Notification is being processed");
     }
-    const decodedTransaction = transactionVerificationResult.data;
-
-    // Bundle ID 검증은 iapClient 내부에서 이미 처리됩니다.
-
-    console.log(`📢 처리: ${notificationType} (${subtype}), 제품: ${decodedTransaction.productId}`);
 
-    // 알림 처리
-    await processNotification(notificationType, subtype, decodedTransaction);
-
-    return res.status(200).send("OK");
+    return res.status(result.httpStatus).send(result.message);
   } catch (error) {
     console.error("💥 웹훅 처리 실패:", error);
     return res.status(500).send("Internal Server Error");
   }
 });
 
+/**
+ * 🔁 검증된 알림을 중복 확인 후 처리하고 결과 기록
+ *
+ * 웹훅과 알림 내역 backfill이 같은 경로로 처리하도록 공유합니다.
+ * processedNotifications에서 이미 완료된 알림은 건너뛰고,
+ * History 조회 실패처럼 재시도 가능한 결과는 dead-letter로 보관합니다.
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @param {object} [extraOutcome] - 처리 기록에 함께 남길 필드
+ * @return {Promise<object>} {alreadyProcessed, inProgress} 또는
+ *   handleDecodedNotification 결과 ({httpStatus, message, outcome})
+ */
+async function processVerifiedNotification(
+  db, decodedPayload, extraOutcome = {}) {
+  const claim = await claimNotification(db, decodedPayload);
+  if (claim.alreadyProcessed || claim.inProgress) {
+    return {
+      alreadyProcessed: claim.alreadyProcessed,
+      inProgress: claim.inProgress,
+    };
+  }
+  const notificationUUID = decodedPayload.notificationUUID;
+
+  try {
+    const result = await handleDecodedNotification(db, decodedPayload);
+
+    // 📮 History 조회 실패는 dead-letter로 보관 후 재시도
+    if (RETRYABLE_RESULTS.includes(result.outcome.result)) {
+      await enqueueDeadLetter(db, decodedPayload, result.outcome);
+    }
+
+    await finishNotification(db, notificationUUID,
+      result.httpStatus === 200 ?
+        NotificationState.COMPLETED : NotificationState.FAILED,
+      {...result.outcome, ...extraOutcome});
+
+    return result;
+  } catch (error) {
+    await finishNotification(db, notificationUUID, NotificationState.FAILED, {
+      result: "error",
+      error: error.message,
+      ...extraOutcome,
+    });
+    throw error;
+  }
+}
+
+/**
+ * 디코딩된 알림 처리 (트랜잭션/갱신 정보 검증 → 상태 반영)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @return {Promise<object>} {httpStatus, message, outcome}
+ */
+async function handleDecodedNotification(db, decodedPayload) {
+  const notificationType = decodedPayload.notificationType;
+  const subtype = decodedPayload.subtype;
+  const signedTransactionInfo = decodedPayload.data?.signedTransactionInfo;
+
+  // 처리 규칙이 없는 알림은 "complex"로 취급하지 않고 기록만 남김
+  const rule = getNotificationRule(notificationType, subtype);
+  if (!rule) {
+    console.warn("⚠️ 알 수 없는 알림 유형:", {notificationType, subtype});
+    await recordUnhandledNotification(db, decodedPayload);
+    return {
+      httpStatus: 200,
+      message: "OK. Unhandled notification recorded.",
+      outcome: {result: "unhandled"},
+    };
+  }
+
+  // 📅 갱신일 연장 결과는 구독 상태와 무관하므로 연장 요청 기록만 갱신
+  if (rule.action === NotificationAction.RENEWAL_EXTENSION) {
+    return {
+      httpStatus: 200,
+      message: "OK",
+      outcome: await recordRenewalExtensionNotification(db, decodedPayload),
+    };
+  }
+
+  if (!signedTransactionInfo) {
+    console.warn("✅ 알림에 트랜잭션 정보가 없습니다. (예: TEST 알림). 처리를 종료합니다.",
+      {notificationType, subtype});
+    return {
+      httpStatus: 200,
+      message: "OK. No transaction info.",
+      outcome: {result: "noTransactionInfo"},
+    };
+  }
+
+  // ⭐️ 수정: `iapClient`를 사용하여 트랜잭션 JWS 검증
+  const transactionVerificationResult =
+    await iapClient.verifyJWS(signedTransactionInfo);
+  if (!transactionVerificationResult.success) {
+    console.error("❌ 트랜잭션 JWS 검증 실패:",
+      transactionVerificationResult.error);
+    return {
+      httpStatus: 401,
+      message: "Invalid transaction JWS signature",
+      outcome: {
+        result: "invalidTransaction",
+        error: transactionVerificationResult.error,
+      },
+    };
+  }
+  const decodedTransaction = transactionVerificationResult.data;
+
+  // 갱신 정보(signedRenewalInfo)가 있으면 함께 검증 및 디코딩
+  let decodedRenewalInfo = null;
+  const signedRenewalInfo = decodedPayload.data?.signedRenewalInfo;
+  if (signedRenewalInfo) {
+    const renewalVerificationResult =
+      await iapClient.verifyRenewalInfo(signedRenewalInfo);
+    if (!renewalVerificationResult.success) {
+      console.error("❌ 갱신 정보 JWS 검증 실패:",
+        renewalVerificationResult.error);
+      return {
+        httpStatus: 401,
+        message: "Invalid renewal info JWS signature",
+        outcome: {
+          result: "invalidRenewalInfo",
+          error: renewalVerificationResult.error,
+        },
+      };
+    }
+    decodedRenewalInfo = renewalVerificationResult.data;
+  }
+
+  // Bundle ID 검증은 iapClient 내부에서 이미 처리됩니다.
+
+  console.log(`📢 처리: ${notificationType} (${subtype}),`,
+    `제품: ${decodedTransaction.productId}`);
+
+  // 알림 처리
+  let outcome = await processNotification(
+    decodedPayload, decodedTransaction, decodedRenewalInfo, rule);
+
+  // 🅿️ 아직 연결되지 않은 구매: syncPurchaseInfo에서 연결될 때까지 보관
+  if (outcome.result === "userNotFound") {
+    await parkPendingNotification(db, decodedPayload, decodedTransaction);
+    outcome = {...outcome, result: "parked"};
+  }
+
+  return {
+    httpStatus: 200,
+    message: "OK",
+    outcome: {
+      ...outcome,
+      originalTransactionId: decodedTransaction.originalTransactionId,
+      transactionId: decodedTransaction.transactionId,
+    },
+  };
+}
+
 /**
  * 알림 처리 (통합 함수 사용)
+ * @param {object} notification - 디코딩된 알림 페이로드 (type, subtype, signedDate)
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @param {object|null} renewalInfo - 디코딩된 갱신 정보
+ * @param {object} rule - notificationRules의 처리 규칙
+ * @return {Promise<object>} 처리 결과 (processedNotifications에 기록)
  */
-async function processNotification(notificationType, subtype, transaction) {
+async function processNotification(
+  notification, transaction, renewalInfo, rule) {
+  const {notificationType, subtype} = notification;
+  if (rule.action === NotificationAction.RECORD_ONLY) {
+    console.log(`📝 기록 전용 알림: ${notificationType} (${subtype})`);
+    return {result: "recordOnly"};
+  }
+
   const db = admin.firestore();
   const originalTransactionId = transaction.originalTransactionId;
 
-  // 사용자 찾기
-  const userId = await findUserByOriginalTransactionId(db, originalTransactionId);
-  if (!userId) {
+  // 사용자 찾기 (인덱스 → originalTransactionId → appAccountToken)
+  // 가족 공유 구독은 연결된 모든 사용자에게 반영
+  const linkedUsers = await resolveUsersForTransaction(db, transaction);
+  if (linkedUsers.length === 0) {
     console.log("❌ 사용자를 찾을 수 없음:", originalTransactionId);
-    return;
+    return {result: "userNotFound"};
   }
 
-  console.log(`✅ 사용자 발견: ${userId}`);
+  // 👨‍👩‍👧 가족 공유 회수(REVOKE)는 구성원에게만 적용하고 구매자는 유지
+  const targetUsers = rule.familyMembersOnly ?
+    linkedUsers.filter((user) => user.isFamilyMember) :
+    linkedUsers;
+  const userIds = targetUsers.map((user) => user.userId);
+
+  console.log(`✅ 사용자 발견: ${linkedUsers.length}명, 대상 ${userIds.length}명`,
+    linkedUsers.map((user) => `${user.userId}(${user.matchedBy})`));
+
+  if (targetUsers.length === 0) {
+    return {result: "noFamilyMembers"};
+  }
 
+  // 🧾 환불 요청: 구매자의 소비 정보로 응답 (구독 상태는 바꾸지 않음)
+  if (rule.action === NotificationAction.CONSUMPTION_REQUEST) {
+    const purchaser = targetUsers.find((user) => !user.isFamilyMember) ||
+      targetUsers[0];
+    const outcome = await respondToConsumptionRequest(
+      db, notification, transaction, purchaser.userId);
+    return {...outcome, userIds: [purchaser.userId]};
+  }
+
+  // 반영을 마친 사용자 (실패 시 이 사용자들은 기본 정보로 덮어쓰지 않음)
+  const handledUserIds = new Set();
   try {
     let subscriptionInfo;
 
     // 💡 최적화: 단순 알림은 History 조회 생략
-    if (SIMPLE_UPDATE_NOTIFICATIONS.includes(notificationType)) {
+    if (rule.action === NotificationAction.APPLY) {
       console.log("⚡️ 단순 알림: getTransactionHistory() 호출 생략");
-      subscriptionInfo = createSubscriptionInfoFromTransaction(transaction);
+      subscriptionInfo =
+        createSubscriptionInfoFromTransaction(transaction, renewalInfo);
     } else {
       //  복잡한 알림은 History 조회
       console.log("📚 복잡한 알림: getTransactionHistory() 호출");
       // ⭐️ 수정: `iapClient` 사용
-      const historyResult = await iapClient.getTransactionHistory(transaction.originalTransactionId);
+      const historyResult = await iapClient.getTransactionHistory(
+        transaction.originalTransactionId,
+        {environment: transaction.environment});
 
       if (!historyResult.success) {
         console.error("❌ History 조회 실패:", historyResult.error);
-        await saveBasicWebhookInfo(db, userId, notificationType, subtype, transaction);
-        return;
+        return {result: "historyFailed", userIds, error: historyResult.error};
       }
-      subscriptionInfo = analyzeTransactionHistory(historyResult.data);
+      subscriptionInfo =
+        await analyzeTransactionHistory(historyResult.data, renewalInfo);
     }
 
-    // 통합 구독 데이터 업데이트
-    const subscriptionUpdates = {
-      ...subscriptionInfo,
-      lastTransactionId: transaction.transactionId,
-      originalTransactionId: transaction.originalTransactionId,
-      productId: transaction.productId,
-      purchaseDate: transaction.purchaseDate ? parseInt(transaction.purchaseDate) : null,
-      notificationType: notificationType,
+    // 알림 유형별 상태 전이 적용
+    subscriptionInfo = applyNotificationRule(rule, subscriptionInfo);
+    // 🌍 거래 환경 기록 및 샌드박스 권한 정책 적용
+    subscriptionInfo = applyConfiguredEnvironmentPolicy(
+      subscriptionInfo, transaction.environment);
+
+    const userResults = [];
+    for (const {userId, matchedBy, isFamilyMember} of targetUsers) {
+      // 한 사용자의 실패가 다른 사용자의 반영 결과에 영향을 주지 않도록 사용자별 처리
+      let updateResult = null;
+      try {
+        // 가족 공유 구성원은 FAMILY_SHARED로 표시 (권한이 없으면 그대로)
+        // 💸 환불 이력은 사용자별이므로 환불 정책도 사용자마다 적용
+        const userInfo = await applyConfiguredRefundPolicy(db, userId,
+          isFamilyMember ?
+            applyFamilySharedStatus(subscriptionInfo) : subscriptionInfo);
+
+        // 통합 구독 데이터 업데이트
+        const subscriptionUpdates = {
+          ...userInfo,
+          notificationType: notificationType,
+
+          // 조건부 필드들
+          ...(subtype && {notificationSubtype: subtype}),
+        };
+
+        // 알림 서명 시각 기준으로 오래된 알림은 데이터 매니저에서 거부됨
+        // 🎁 유효한 프로모션은 늦게 도착한 만료 / 갱신 해제 알림으로 덮어쓰지 않음
+        updateResult = await updateUnifiedSubscriptionData(
+          db, userId, subscriptionUpdates, "webhook",
+          {signedDate: notification.signedDate, preserveActivePromotion: true});
+        handledUserIds.add(userId);
+
+        // 인덱스 밖에서 찾은 사용자는 인덱스에 연결
+        if (matchedBy === "appAccountToken") {
+          await upsertTransactionIndex(db, userId, transaction, "webhook");
+        }
+
+        // 🎟️ 다른 기기에서 오퍼로 구매한 경우도 사용 완료로 표시
+        if (!isFamilyMember) {
+          await markPromotionalOfferRedeemed(db, userId, transaction);
+        }
+
+        userResults.push({
+          userId,
+          isFamilyMember,
+          decision: updateResult.decision,
+          subscriptionStatus: userInfo.subscriptionStatus,
+        });
+        console.log(`✅ 웹훅 처리 완료: ${userId},`,
+          `entitlement: ${userInfo.entitlement},`,
+          `hasUsedTrial: ${userInfo.hasUsedTrial}`);
+      } catch (error) {
+        console.error(`💥 사용자 반영 실패: ${userId}`, error);
+        // 구독 데이터를 반영하기 전에 실패한 경우에만 기본 정보 저장
+        if (!updateResult) {
+          await saveBasicWebhookInfo(db, userId, notification, transaction);
+          handledUserIds.add(userId);
+        }
+        userResults.push({
+          userId,
+          isFamilyMember,
+          decision: updateResult?.decision || "basicInfoSaved",
+          error: error.message,
+        });
+      }
+    }
 
-      // 조건부 필드들
-      ...(subtype && {notificationSubtype: subtype}),
-      ...(transaction.offerType && {offerType: transaction.offerType}),
-    };
+    // 회수된 구성원은 이후 알림 대상에서 제외
+    if (rule.familyMembersOnly) {
+      await removeFamilyMembers(db, originalTransactionId, userIds);
+    }
 
-    await updateUnifiedSubscriptionData(db, userId, subscriptionUpdates, "webhook");
+    // 💸 환불 / 환불 취소: 구매자의 환불 원장과 refundStats 동기화
+    // 가족 공유 구성원은 구매자의 환불 이력을 물려받지 않음 (체험 거부 등)
+    // (구독 상태는 이미 반영되었으므로 실패해도 결과만 기록)
+    let refundLedger;
+    const purchaserIds = targetUsers.filter((user) => !user.isFamilyMember)
+      .map((user) => user.userId);
+    if (rule.syncRefunds && purchaserIds.length > 0) {
+      try {
+        refundLedger =
+          await syncRefundHistory(db, purchaserIds, transaction, "webhook");
+      } catch (error) {
+        console.error("❌ 환불 원장 동기화 실패:", error);
+        refundLedger = {synced: false, error: error.message};
+      }
+    }
 
-    console.log(`✅ 웹훅 처리 완료: ${userId}, entitlement: ${subscriptionInfo.entitlement}, hasUsedTrial: ${subscriptionInfo.hasUsedTrial}`);
+    const anyApplied = userResults.some((result) =>
+      result.decision.startsWith("applied"));
+    return {
+      result: anyApplied ? "updated" : userResults[0].decision,
+      userIds,
+      users: userResults,
+      ...(refundLedger && {refundLedger}),
+      entitlement: subscriptionInfo.entitlement,
+      subscriptionStatus: subscriptionInfo.subscriptionStatus,
+    };
   } catch (error) {
     console.error("💥 알림 처리 실패:", error);
-    await saveBasicWebhookInfo(db, userId, notificationType, subtype, transaction);
+    for (const userId of userIds) {
+      if (!handledUserIds.has(userId)) {
+        await saveBasicWebhookInfo(db, userId, notification, transaction);
+      }
+    }
+    return {result: "basicInfoSaved", userIds, error: error.message};
+  }
+}
+
+/**
+ * 👨‍👩‍👧 가족 공유 권한이 회수된 구성원을 트랜잭션 인덱스에서 제거
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @param {Array<string>} userIds - 회수된 구성원 ID 목록
+ * @return {Promise<void>}
+ */
+async function removeFamilyMembers(db, originalTransactionId, userIds) {
+  await removeFromTransactionIndex(
+    db, originalTransactionId, userIds, "webhook");
+
+  for (const userId of userIds) {
+    await recordAuditLog(db, {
+      type: "subscriptionOwnership",
+      action: "familyRevoked",
+      originalTransactionId: String(originalTransactionId),
+      userId,
+      source: "webhook",
+    });
   }
 }
 
 /**
- * 기본 웹훅 정보 저장 (History 조회 실패 시)
+ * 기본 웹훅 정보 저장 (알림 처리 중 예외 발생 시)
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 사용자 ID
+ * @param {object} notification - 디코딩된 알림 페이로드
+ * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @return {Promise<void>}
  */
-async function saveBasicWebhookInfo(db, userId, notificationType, subtype, transaction) {
+async function saveBasicWebhookInfo(db, userId, notification, transaction) {
+  const {notificationType, subtype} = notification;
   try {
     const basicSubscriptionUpdates = {
       originalTransactionId: transaction.originalTransactionId,
@@ -181,7 +500,11 @@ async function saveBasicWebhookInfo(db, userId, notificationType, subtype, trans
       ...(transaction.offerType && {offerType: transaction.offerType}),
     };
 
-    await updateUnifiedSubscriptionData(db, userId, basicSubscriptionUpdates, "webhook");
+    await updateUnifiedSubscriptionData(db, userId, basicSubscriptionUpdates,
+      "webhook", {
+        signedDate: notification.signedDate,
+        preserveActivePromotion: true,
+      });
 
     console.log(`✅ 기본 웹훅 정보 저장: ${userId}`);
   } catch (error) {
@@ -191,65 +514,92 @@ async function saveBasicWebhookInfo(db, userId, notificationType, subtype, trans
 }
 
 /**
- * 사용자 찾기
+ * 📝 처리 규칙이 없는 알림 기록
+ * notificationUUID를 문서 ID로 사용하여 재전송 시 중복 기록을 방지합니다.
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @return {Promise<void>}
  */
-async function findUserByOriginalTransactionId(db, originalTransactionId) {
-  // 통합 구조 검색
-  let usersQuery = await db.collection("users")
-    .where("subscriptionData.originalTransactionId", "==", originalTransactionId)
-    .limit(1)
-    .get();
-
-  // 레거시 구조 검색 (호환성)
-  if (usersQuery.empty) {
-    usersQuery = await db.collection("users")
-      .where("subscription.originalTransactionId", "==", originalTransactionId)
-      .limit(1)
-      .get();
+async function recordUnhandledNotification(db, decodedPayload) {
+  try {
+    const record = {
+      notificationType: decodedPayload.notificationType || null,
+      subtype: decodedPayload.subtype || null,
+      notificationUUID: decodedPayload.notificationUUID || null,
+      signedDate: decodedPayload.signedDate || null,
+      environment: decodedPayload.data?.environment || null,
+      hasTransactionInfo: !!decodedPayload.data?.signedTransactionInfo,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    const collection = db.collection("unhandledNotifications");
+    if (decodedPayload.notificationUUID) {
+      await collection.doc(decodedPayload.notificationUUID).set(record);
+    } else {
+      await collection.add(record);
+    }
+  } catch (error) {
+    console.error("❌ 알 수 없는 알림 기록 실패:", error);
+  }
+}
+
+/**
+ * 📅 RENEWAL_EXTENSION 알림 기록
+ * - SUMMARY: 전체 구독자 연장 요청(renewalExtensions)을 완료로 갱신
+ * - FAILURE: 개별 구독 연장 실패를 감사 기록으로 남김
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} decodedPayload - 디코딩된 알림 페이로드
+ * @return {Promise<object>} 처리 결과 (processedNotifications에 기록)
+ */
+async function recordRenewalExtensionNotification(db, decodedPayload) {
+  if (decodedPayload.subtype === Subtype.SUMMARY) {
+    const summary = decodedPayload.summary || {};
+    const matched = await applyMassExtensionStatus(db,
+      summary.requestIdentifier, {
+        complete: true,
+        succeededCount: summary.succeededCount,
+        failedCount: summary.failedCount,
+        completeDate: decodedPayload.signedDate,
+      }, "webhook");
+    console.log("📅 갱신일 연장 완료 요약:", {...summary, matched});
+    return {
+      result: "extensionSummary",
+      requestIdentifier: summary.requestIdentifier,
+      matched,
+    };
   }
 
-  return usersQuery.empty ? null : usersQuery.docs[0].id;
+  let transaction = null;
+  const signedTransactionInfo = decodedPayload.data?.signedTransactionInfo;
+  if (signedTransactionInfo) {
+    const verificationResult = await iapClient.verifyJWS(signedTransactionInfo);
+    transaction = verificationResult.success ? verificationResult.data : null;
+  }
+
+  await recordAuditLog(db, {
+    type: "renewalExtension",
+    action: "failed",
+    originalTransactionId: transaction?.originalTransactionId,
+    productId: transaction?.productId,
+    notificationUUID: decodedPayload.notificationUUID,
+    source: "webhook",
+  });
+  console.warn("⚠️ 구독 갱신일 연장 실패:",
+    transaction?.originalTransactionId);
+  return {
+    result: "extensionFailed",
+    originalTransactionId: transaction?.originalTransactionId,
+  };
 }
 
 /**
  * 💡 단일 트랜잭션 정보로 구독 상태 객체를 생성하는 함수
  * @param {object} transaction - 디코딩된 트랜잭션 정보
+ * @param {object|null} renewalInfo - 디코딩된 갱신 정보
  * @return {object} - 구독 정보 객체
  */
-function createSubscriptionInfoFromTransaction(transaction) {
-  const result = {
-    entitlement: Entitlement.FREE,
-    subscriptionStatus: SubscriptionStatus.EXPIRED,
-    autoRenewEnabled: false,
-    subscriptionType: null,
-    expirationDate: null,
-  };
-
-  const now = Date.now();
-  const expiresDate = parseInt(transaction.expiresDate) || 0;
-  const isExpired = expiresDate > 0 && expiresDate < now;
-  const isRevoked = !!transaction.revocationDate;
-
-  result.expirationDate = expiresDate.toString();
-
-  if (isRevoked) {
-    result.entitlement = Entitlement.FREE;
-    result.subscriptionStatus = SubscriptionStatus.REFUNDED;
-  } else if (isExpired) {
-    result.entitlement = Entitlement.FREE;
-    result.subscriptionStatus = SubscriptionStatus.EXPIRED;
-  } else {
-    result.entitlement = Entitlement.PREMIUM;
-    result.subscriptionStatus = SubscriptionStatus.ACTIVE;
-    result.autoRenewEnabled = true; // 만료되지 않았으므로 자동 갱신 중으로 간주
-  }
-
-  // 구독 타입 결정
-  if (transaction.productId?.includes("yearly")) {
-    result.subscriptionType = "yearly";
-  } else if (transaction.productId?.includes("monthly")) {
-    result.subscriptionType = "monthly";
-  }
+function createSubscriptionInfoFromTransaction(transaction, renewalInfo) {
+  const result = resolveSubscriptionState({transaction, renewalInfo});
 
   console.log("📦 단일 트랜잭션으로 구독 정보 생성:", {
     entitlement: result.entitlement,
@@ -261,98 +611,29 @@ function createSubscriptionInfoFromTransaction(transaction) {
 
 
 /**
- * Transaction History 분석 (기존 로직 유지)
+ * Transaction History 분석
+ * 각 signedTransaction을 검증/디코딩한 뒤 공통 상태 엔진으로 요약합니다.
+ * @param {object} historyData - getTransactionHistory 응답
+ * @param {object|null} renewalInfo - 디코딩된 갱신 정보
+ * @return {Promise<object>} 구독 정보 객체
  */
-function analyzeTransactionHistory(historyData) {
-  const result = {
-    entitlement: Entitlement.FREE,
-    subscriptionStatus: SubscriptionStatus.NEVER_SUBSCRIBED,
-    hasUsedTrial: false,
-    autoRenewEnabled: false,
-    subscriptionType: null,
-    expirationDate: null,
-    hasFamilySharedSubscription: false,
-    environment: null,
-    subscriptionStartDate: null,
-  };
-
-  const transactions = historyData.signedTransactions || [];
-  if (transactions.length === 0) return result;
-
-  let latestTransaction = null;
-  let latestExpirationDate = 0;
-
-  // 모든 트랜잭션 분석
-  for (const signedTransaction of transactions) {
-    const decodedTransaction = iapClient.decodeJWS(signedTransaction);
-    if (!decodedTransaction) continue;
-
-    const offerType = decodedTransaction.offerType;
-    const expiresDate = parseInt(decodedTransaction.expiresDate) || 0;
-
-    // Trial 사용 여부 확인
-    if (offerType === 1) {
-      result.hasUsedTrial = true;
-      if (kDebugMode) {
-        console.log(`🎯 Trial 트랜잭션 발견: ${decodedTransaction.productId}`);
-      }
-    }
-
-    // 최신 트랜잭션 찾기
-    if (expiresDate > latestExpirationDate) {
-      latestExpirationDate = expiresDate;
-      latestTransaction = decodedTransaction;
-    }
+async function analyzeTransactionHistory(historyData, renewalInfo) {
+  const decodedTransactions = [];
 
-    // 구독 타입 결정
-    if (decodedTransaction.productId?.includes("yearly")) {
-      result.subscriptionType = "yearly";
-    } else if (decodedTransaction.productId?.includes("monthly")) {
-      result.subscriptionType = "monthly";
-    }
+  for (const signedTransaction of historyData.signedTransactions || []) {
+    const verificationResult = await iapClient.verifyJWS(signedTransaction);
+    if (!verificationResult.success) continue;
 
-    // 추가 정보
-    if (decodedTransaction.inAppOwnershipType === "FAMILY_SHARED") {
-      result.hasFamilySharedSubscription = true;
-    }
-    if (decodedTransaction.environment) {
-      result.environment = decodedTransaction.environment;
-    }
-    if (decodedTransaction.originalPurchaseDate) {
-      const startDate = parseInt(decodedTransaction.originalPurchaseDate);
-      if (!result.subscriptionStartDate || startDate < result.subscriptionStartDate) {
-        result.subscriptionStartDate = startDate.toString();
-      }
+    const decodedTransaction = verificationResult.data;
+    if (kDebugMode && decodedTransaction.offerType === 1) {
+      console.log(`🎯 Trial 트랜잭션 발견: ${decodedTransaction.productId}`);
     }
+    decodedTransactions.push(decodedTransaction);
   }
 
-  // 현재 상태 결정
-  if (latestTransaction) {
-    const now = Date.now();
-    const expiresDate = parseInt(latestTransaction.expiresDate) || 0;
-    const isExpired = expiresDate > 0 && expiresDate < now;
-    const isRevoked = !!latestTransaction.revocationDate;
-    const isCurrentTransactionTrial = latestTransaction.offerType === 1;
-
-    result.expirationDate = expiresDate.toString();
-
-    if (isRevoked) {
-      result.entitlement = Entitlement.FREE;
-      result.subscriptionStatus = SubscriptionStatus.REFUNDED;
-    } else if (isExpired) {
-      result.entitlement = Entitlement.FREE;
-      result.subscriptionStatus = SubscriptionStatus.EXPIRED;
-    } else {
-      if (isCurrentTransactionTrial) {
-        result.entitlement = Entitlement.TRIAL;
-        result.subscriptionStatus = SubscriptionStatus.ACTIVE;
-      } else {
-        result.entitlement = Entitlement.PREMIUM;
-        result.subscriptionStatus = SubscriptionStatus.ACTIVE;
-      }
-      result.autoRenewEnabled = true;
-    }
-  }
-
-  return result;
+  return summarizeTransactionHistory(decodedTransactions, {renewalInfo});
 }
+
+exports.handleDecodedNotification = handleDecodedNotification;
+exports.processVerifiedNotification = processVerifiedNotification;
+exports.analyzeTransactionHistory = analyzeTransactionHistory;
@@ -0,0 +1,255 @@
+// 📁 functions/src/webhook/consumptionRequest.js
+// 🧾 CONSUMPTION_REQUEST 응답 (Send Consumption Information)
+//
+// 고객이 환불을 요청하면 Apple이 CONSUMPTION_REQUEST를 보내고,
+// 12시간 안에 전달한 소비 정보가 환불 결정에 반영됩니다.
+// 사용자 문서 / 사용량 카운터 / Auth 계정에서 정보를 모아 전송하고,
+// 전송 여부와 관계없이 모든 응답을 감사 기록(type: "consumptionResponse")으로 남깁니다.
+//
+// 사용하는 사용자 문서 필드 (앱이 기록)
+// - consumptionDataConsent: 소비 정보 제공 동의 (true가 아니면 전송하지 않음)
+// - playTimeMinutes: 누적 앱 사용 시간 (분, 없으면 UNDECLARED)
+const admin = require("firebase-admin");
+const {
+  AccountTenure,
+  ConsumptionStatus,
+  DeliveryStatus,
+  LifetimeDollarsPurchased,
+  LifetimeDollarsRefunded,
+  Platform,
+  PlayTime,
+  UserStatus,
+} = require("@apple/app-store-server-library");
+const {iapClient} = require("../utils/appStoreServerClient");
+const {recordAuditLog} = require("../utils/auditLog");
+const {USAGE_COLLECTION} = require("../utils/usageQuota");
+
+// Apple이 응답을 받는 기한 (알림 서명 시각 기준)
+const CONSUMPTION_RESPONSE_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// [상한(ms, 미만), 구간] - 계정 생성 후 경과 시간
+const ACCOUNT_TENURE_BUCKETS = [
+  [3 * DAY_MS, AccountTenure.ZERO_TO_THREE_DAYS],
+  [10 * DAY_MS, AccountTenure.THREE_DAYS_TO_TEN_DAYS],
+  [30 * DAY_MS, AccountTenure.TEN_DAYS_TO_THIRTY_DAYS],
+  [90 * DAY_MS, AccountTenure.THIRTY_DAYS_TO_NINETY_DAYS],
+  [180 * DAY_MS, AccountTenure.NINETY_DAYS_TO_ONE_HUNDRED_EIGHTY_DAYS],
+  [365 * DAY_MS,
+    AccountTenure.ONE_HUNDRED_EIGHTY_DAYS_TO_THREE_HUNDRED_SIXTY_FIVE_DAYS],
+];
+
+// [상한(분, 미만), 구간] - 누적 앱 사용 시간
+const PLAY_TIME_BUCKETS = [
+  [5, PlayTime.ZERO_TO_FIVE_MINUTES],
+  [60, PlayTime.FIVE_TO_SIXTY_MINUTES],
+  [6 * 60, PlayTime.ONE_TO_SIX_HOURS],
+  [24 * 60, PlayTime.SIX_HOURS_TO_TWENTY_FOUR_HOURS],
+  [4 * 24 * 60, PlayTime.ONE_DAY_TO_FOUR_DAYS],
+  [16 * 24 * 60, PlayTime.FOUR_DAYS_TO_SIXTEEN_DAYS],
+];
+
+/**
+ * 📏 값이 속한 구간 찾기 (마지막 상한 이상이면 overflow)
+ * @param {number} value - 측정값
+ * @param {Array<Array<number>>} buckets - [상한, 구간] 목록 (오름차순)
+ * @param {number} overflow - 모든 상한 이상일 때의 구간
+ * @return {number} 구간 값
+ */
+function findBucket(value, buckets, overflow) {
+  const bucket = buckets.find(([upperBound]) => value < upperBound);
+  return bucket ? bucket[1] : overflow;
+}
+
+/**
+ * 📅 계정 나이 → AccountTenure (알 수 없으면 UNDECLARED)
+ * @param {number|null} createdAt - 계정 생성 시각 (ms)
+ * @param {number} now - 기준 시간 (ms)
+ * @return {number} AccountTenure 값
+ */
+function bucketAccountTenure(createdAt, now) {
+  if (!Number.isFinite(createdAt) || createdAt > now) {
+    return AccountTenure.UNDECLARED;
+  }
+  return findBucket(now - createdAt, ACCOUNT_TENURE_BUCKETS,
+    AccountTenure.GREATER_THAN_THREE_HUNDRED_SIXTY_FIVE_DAYS);
+}
+
+/**
+ * ⏱️ 누적 사용 시간 → PlayTime (알 수 없으면 UNDECLARED)
+ * @param {number|null} minutes - 누적 사용 시간 (분)
+ * @return {number} PlayTime 값
+ */
+function bucketPlayTime(minutes) {
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return PlayTime.UNDECLARED;
+  }
+  return findBucket(minutes, PLAY_TIME_BUCKETS, PlayTime.OVER_SIXTEEN_DAYS);
+}
+
+/**
+ * 📊 환불 요청된 거래 기간의 사용량 → ConsumptionStatus
+ *
+ * 사용량 카운터는 현재 구독 기간만 보관하므로, 카운터 기간이 거래의
+ * purchaseDate와 다르면 사용량을 알 수 없어 UNDECLARED로 응답합니다.
+ *
+ * @param {object|null} usage - usageCounters 문서 ({periodKey, counters})
+ * @param {object} transaction - 환불 요청된 거래
+ * @param {number} now - 기준 시간 (ms)
+ * @return {number} ConsumptionStatus 값
+ */
+function resolveConsumptionStatus(usage, transaction, now) {
+  const purchaseDate = parseInt(transaction.purchaseDate);
+  if (!usage?.periodKey || !purchaseDate ||
+      !usage.periodKey.endsWith(`:${purchaseDate}`)) {
+    return ConsumptionStatus.UNDECLARED;
+  }
+
+  const used = Object.values(usage.counters || {})
+    .reduce((sum, count) => sum + count, 0);
+  if (used === 0) {
+    return ConsumptionStatus.NOT_CONSUMED;
+  }
+  // 구독 기간이 끝난 뒤의 환불 요청이면 기간 전체를 사용한 것으로 간주
+  const expiresDate = parseInt(transaction.expiresDate);
+  return expiresDate && expiresDate <= now ?
+    ConsumptionStatus.FULLY_CONSUMED : ConsumptionStatus.PARTIALLY_CONSUMED;
+}
+
+/**
+ * 🧾 수집한 정보로 ConsumptionRequest 생성 (순수 함수)
+ * @param {object} params - 입력값
+ * @param {object} params.transaction - 환불 요청된 거래
+ * @param {object} params.user - 사용자 문서 데이터 ({} 가능)
+ * @param {object|null} params.usage - usageCounters 문서 데이터
+ * @param {object|null} params.authUser - Auth 계정 ({createdAt, disabled})
+ * @param {number} params.now - 기준 시간 (ms)
+ * @return {object} ConsumptionRequest
+ */
+function buildConsumptionData({transaction, user, usage, authUser, now}) {
+  let userStatus = UserStatus.TERMINATED; // Auth 계정이 삭제됨
+  if (authUser) {
+    userStatus = authUser.disabled ? UserStatus.SUSPENDED : UserStatus.ACTIVE;
+  }
+
+  return {
+    customerConsented: user.consumptionDataConsent === true,
+    consumptionStatus: resolveConsumptionStatus(usage, transaction, now),
+    platform: Platform.APPLE,
+    // 무료 플랜과 무료 체험으로 구매 전에 기능을 사용해 볼 수 있음
+    sampleContentProvided: true,
+    deliveryStatus: DeliveryStatus.DELIVERED_AND_WORKING_PROPERLY,
+    appAccountToken:
+      transaction.appAccountToken || user.appAccountToken || "",
+    accountTenure: bucketAccountTenure(authUser?.createdAt ?? null, now),
+    playTime: bucketPlayTime(user.playTimeMinutes ?? null),
+    // 금액은 달러 환산 기준이 없어 환불 이력이 없을 때만 0달러로 응답
+    lifetimeDollarsRefunded: user.refundStats?.count > 0 ?
+      LifetimeDollarsRefunded.UNDECLARED :
+      LifetimeDollarsRefunded.ZERO_DOLLARS,
+    lifetimeDollarsPurchased: LifetimeDollarsPurchased.UNDECLARED,
+    userStatus,
+  };
+}
+
+/**
+ * 👤 Auth 계정 정보 (삭제된 계정이면 null)
+ * @param {string} userId - 사용자 UID
+ * @return {Promise<object|null>} {createdAt, disabled}
+ */
+async function getAuthUser(userId) {
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    return {
+      createdAt: new Date(userRecord.metadata.creationTime).getTime(),
+      disabled: userRecord.disabled,
+    };
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 🧾 CONSUMPTION_REQUEST에 소비 정보로 응답하고 감사 기록
+ *
+ * - 응답 기한(12시간)이 지났으면 전송하지 않음 (consumptionWindowExpired)
+ * - 고객 동의가 없으면 전송하지 않음 (consumptionNotConsented)
+ * - 전송 실패는 dead-letter 재시도 대상 (consumptionFailed)
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} notification - 디코딩된 알림 페이로드
+ * @param {object} transaction - 환불 요청된 거래 (디코딩됨)
+ * @param {string} userId - 거래를 구매한 사용자 ID
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {Promise<object>} 처리 결과 ({result, ...})
+ */
+async function respondToConsumptionRequest(
+  db, notification, transaction, userId, now = Date.now()) {
+  const transactionId = String(transaction.transactionId);
+  const deadline = (parseInt(notification.signedDate) || now) +
+    CONSUMPTION_RESPONSE_WINDOW_MS;
+  const audit = {
+    type: "consumptionResponse",
+    userId,
+    transactionId,
+    originalTransactionId: String(transaction.originalTransactionId),
+    notificationUUID: notification.notificationUUID,
+    consumptionRequestReason:
+      notification.data?.consumptionRequestReason || null,
+    deadline,
+  };
+
+  if (now > deadline) {
+    console.warn("⏰ 소비 정보 응답 기한 초과:", transactionId);
+    await recordAuditLog(db, {...audit, action: "windowExpired", sent: false});
+    return {result: "consumptionWindowExpired"};
+  }
+
+  const [userDoc, usageDoc, authUser] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    db.collection(USAGE_COLLECTION).doc(userId).get(),
+    getAuthUser(userId),
+  ]);
+  const consumptionData = buildConsumptionData({
+    transaction,
+    user: userDoc.exists ? userDoc.data() : {},
+    usage: usageDoc.exists ? usageDoc.data() : null,
+    authUser,
+    now,
+  });
+
+  if (!consumptionData.customerConsented) {
+    console.log("🙅 소비 정보 제공 미동의: 전송하지 않음", userId);
+    await recordAuditLog(db, {...audit, action: "notConsented", sent: false});
+    return {result: "consumptionNotConsented"};
+  }
+
+  const sendResult = await iapClient.sendConsumptionData(
+    transactionId, consumptionData, {environment: transaction.environment});
+  await recordAuditLog(db, {
+    ...audit,
+    action: sendResult.success ? "sent" : "sendFailed",
+    sent: sendResult.success,
+    consumptionData,
+    error: sendResult.error,
+  });
+
+  if (!sendResult.success) {
+    return {result: "consumptionFailed", error: sendResult.error};
+  }
+  return {result: "consumptionSent", consumptionData};
+}
+
+module.exports = {
+  CONSUMPTION_RESPONSE_WINDOW_MS,
+  bucketAccountTenure,
+  bucketPlayTime,
+  resolveConsumptionStatus,
+  buildConsumptionData,
+  respondToConsumptionRequest,
+};
@@ -0,0 +1,103 @@
+// 📁 functions/src/webhook/deadLetterRetry.js
+// 🔁 Dead-letter 알림 재처리 (스케줄 + 관리자 재실행 공용)
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const {iapSecrets} = require("../utils/appStoreServerClient");
+const {handleDecodedNotification} = require("./appStoreNotifications");
+const {
+  NotificationState,
+  finishNotification,
+} = require("../utils/processedNotifications");
+const {
+  DEAD_LETTER_COLLECTION,
+  DeadLetterState,
+  recordDeadLetterAttempt,
+} = require("../utils/deadLetterQueue");
+
+// 한 번의 스케줄 실행에서 처리할 최대 문서 수
+const RETRY_BATCH_SIZE = 50;
+
+/**
+ * 🔁 dead-letter 알림 하나를 웹훅과 동일한 파이프라인으로 재처리
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {admin.firestore.DocumentReference} docRef - dead-letter 문서
+ * @param {string} trigger - 재시도 주체 ("schedule" | 관리자 UID)
+ * @return {Promise<object|null>} {id, state, outcome} (문서가 없으면 null)
+ */
+async function replayDeadLetter(db, docRef, trigger) {
+  const snapshot = await docRef.get();
+  if (!snapshot.exists) {
+    return null;
+  }
+
+  const deadLetter = snapshot.data();
+  let outcome;
+  try {
+    const result = await handleDecodedNotification(
+      db, deadLetter.decodedPayload);
+    outcome = result.outcome;
+  } catch (error) {
+    console.error("💥 Dead-letter 재처리 실패:", docRef.id, error);
+    outcome = {result: "error", error: error.message};
+  }
+
+  const state =
+    await recordDeadLetterAttempt(docRef, deadLetter, outcome, trigger);
+
+  // 재처리에 성공하면 중복 처리 기록의 결과도 갱신
+  if (state === DeadLetterState.RESOLVED) {
+    await finishNotification(db, deadLetter.notificationUUID,
+      NotificationState.COMPLETED, {...outcome, replayedBy: trigger});
+  }
+
+  console.log("🔁 Dead-letter 재처리:", {
+    id: docRef.id,
+    state,
+    result: outcome.result,
+    trigger,
+  });
+
+  return {id: docRef.id, state, outcome};
+}
+
+/**
+ * ⏰ 재시도 시각이 지난 dead-letter 알림 재처리 (15분마다)
+ */
+const retryDeadLetterNotifications = onSchedule({
+  schedule: "every 15 minutes",
+  region: "asia-southeast1",
+  secrets: iapSecrets,
+}, async () => {
+  const db = admin.firestore();
+  const now = admin.firestore.Timestamp.now();
+
+  // nextAttemptAt은 PENDING 상태에서만 설정되므로 단일 필드 쿼리로 충분
+  const snapshot = await db.collection(DEAD_LETTER_COLLECTION)
+    .where("nextAttemptAt", "<=", now)
+    .orderBy("nextAttemptAt")
+    .limit(RETRY_BATCH_SIZE)
+    .get();
+
+  if (snapshot.empty) {
+    console.log("📭 재시도할 dead-letter 알림 없음");
+    return;
+  }
+
+  const summary = {};
+  for (const doc of snapshot.docs) {
+    const result = await replayDeadLetter(db, doc.ref, "schedule");
+    if (result) {
+      summary[result.state] = (summary[result.state] || 0) + 1;
+    }
+  }
+
+  console.log("✅ Dead-letter 재시도 완료:", {
+    total: snapshot.size,
+    ...summary,
+  });
+});
+
+module.exports = {
+  retryDeadLetterNotifications,
+  replayDeadLetter,
+};
@@ -0,0 +1,164 @@
+// 📁 functions/src/webhook/notificationBackfill.js
+// 📥 놓친 App Store 알림 복구 (Get Notification History → 웹훅 파이프라인)
+//
+// 웹훅 장애나 설정 오류로 받지 못한 알림을 Apple의 알림 내역에서 다시 받아
+// 웹훅과 같은 processVerifiedNotification 경로로 처리합니다.
+// 이미 처리된 notificationUUID는 processedNotifications 기준으로 건너뜁니다.
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const admin = require("firebase-admin");
+const {iapClient, iapSecrets} = require("../utils/appStoreServerClient");
+const {processVerifiedNotification} = require("./appStoreNotifications");
+
+const NOTIFICATION_BACKFILL_COLLECTION = "notificationBackfills";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Apple은 최근 180일의 알림 내역만 제공
+const MAX_HISTORY_DAYS = 180;
+// 스케줄 실행 시 조회 기간 (하루 주기 + 여유)
+const SCHEDULED_LOOKBACK_MS = 2 * DAY_MS;
+// 환경별 최대 조회 페이지 수 (무한 루프 방지)
+const MAX_PAGES = 100;
+
+/**
+ * 📥 기간 내 알림 내역을 페이지 단위로 받아 처리하고 보고서 저장
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {object} options - 복구 옵션
+ * @param {number} options.startDate - 시작 시각 (ms)
+ * @param {number} options.endDate - 종료 시각 (ms)
+ * @param {Array<string>} [options.environments] - 조회할 환경 (기본값 전체)
+ * @param {boolean} [options.onlyFailures] - 전송 실패한 알림만 조회
+ * @param {string} options.trigger - 실행 주체 ("schedule" | 관리자 UID)
+ * @return {Promise<object>} 보고서 ({id, fetched, processed, ...})
+ */
+async function backfillNotificationHistory(db, {
+  startDate,
+  endDate,
+  environments,
+  onlyFailures = false,
+  trigger,
+}) {
+  const report = {
+    startDate,
+    endDate,
+    onlyFailures,
+    trigger,
+    environments: environments || iapClient.environments,
+    fetched: 0,
+    processed: 0,
+    skipped: 0,
+    invalid: 0,
+    failed: 0,
+    results: {}, // outcome.result별 처리 건수
+    errors: [],
+  };
+
+  for (const environment of report.environments) {
+    let paginationToken = null;
+    let pages = 0;
+    do {
+      const page = await iapClient.getNotificationHistory(
+        {startDate, endDate, onlyFailures},
+        {environment, paginationToken});
+      if (!page.success) {
+        report.errors.push({environment, error: page.error});
+        break;
+      }
+
+      for (const item of page.data.notificationHistory || []) {
+        report.fetched++;
+        await backfillNotification(db, item.signedPayload, trigger, report);
+      }
+
+      paginationToken = page.data.hasMore ? page.data.paginationToken : null;
+      pages++;
+    } while (paginationToken && pages < MAX_PAGES);
+  }
+
+  const docRef = await db.collection(NOTIFICATION_BACKFILL_COLLECTION).add({
+    ...report,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log("📥 알림 내역 복구 완료:", {id: docRef.id, ...report});
+  return {id: docRef.id, ...report};
+}
+
+/**
+ * 🔁 알림 하나를 검증 후 웹훅 파이프라인으로 처리하고 보고서에 집계
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} signedPayload - 알림 내역의 signedPayload
+ * @param {string} trigger - 실행 주체
+ * @param {object} report - 집계할 보고서
+ * @return {Promise<void>}
+ */
+async function backfillNotification(db, signedPayload, trigger, report) {
+  const verificationResult = await iapClient.verifySignedPayload(signedPayload);
+  if (!verificationResult.success) {
+    report.invalid++;
+    return;
+  }
+  const decodedPayload = verificationResult.data;
+
+  try {
+    const result = await processVerifiedNotification(
+      db, decodedPayload, {backfilledBy: trigger});
+    if (result.alreadyProcessed || result.inProgress) {
+      report.skipped++;
+      return;
+    }
+
+    report.processed++;
+    const outcome = result.outcome.result;
+    report.results[outcome] = (report.results[outcome] || 0) + 1;
+  } catch (error) {
+    console.error("💥 알림 복구 처리 실패:",
+      decodedPayload.notificationUUID, error);
+    report.failed++;
+  }
+}
+
+/**
+ * ✅ 복구 기간 검증 (Apple 제공 범위: 최근 180일)
+ * @param {number} startDate - 시작 시각 (ms)
+ * @param {number} endDate - 종료 시각 (ms)
+ * @param {number} [now] - 기준 시간 (ms)
+ * @return {string|null} 오류 메시지 (유효하면 null)
+ */
+function validateBackfillRange(startDate, endDate, now = Date.now()) {
+  if (!Number.isFinite(startDate) || !Number.isFinite(endDate)) {
+    return "startDate and endDate are required";
+  }
+  if (startDate >= endDate) {
+    return "startDate must be before endDate";
+  }
+  if (startDate < now - MAX_HISTORY_DAYS * DAY_MS) {
+    return `startDate must be within the last ${MAX_HISTORY_DAYS} days`;
+  }
+  return null;
+}
+
+/**
+ * ⏰ 최근 이틀간의 알림 내역 복구 (매일)
+ */
+const backfillMissedNotifications = onSchedule({
+  schedule: "every day 04:00",
+  timeZone: "Asia/Seoul",
+  region: "asia-southeast1",
+  timeoutSeconds: 540,
+  secrets: iapSecrets,
+}, async () => {
+  const endDate = Date.now();
+  await backfillNotificationHistory(admin.firestore(), {
+    startDate: endDate - SCHEDULED_LOOKBACK_MS,
+    endDate,
+    trigger: "schedule",
+  });
+});
+
+module.exports = {
+  NOTIFICATION_BACKFILL_COLLECTION,
+  backfillMissedNotifications,
+  backfillNotificationHistory,
+  validateBackfillRange,
+};
@@ -0,0 +1,206 @@
+// 📁 functions/src/webhook/notificationRules.js
+// 📋 App Store Server Notifications V2 유형별 처리 규칙
+//
+// 모든 notificationType/subtype 조합을 명시적으로 나열하고,
+// 각 조합이 어떤 SubscriptionStatus 전이로 이어지는지 정의합니다.
+// 표에 없는 조합은 "알 수 없는 알림"으로 기록됩니다.
+const {
+  NotificationTypeV2,
+  Subtype,
+} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../shared/constant");
+
+/**
+ * 🎯 알림 처리 방식
+ * - APPLY: 알림의 트랜잭션(+ 갱신 정보)으로 상태 결정
+ * - APPLY_HISTORY: 전체 거래 내역(getTransactionHistory)으로 상태 결정
+ * - RECORD_ONLY: 구독 상태 변경 없이 수신 기록만 남김
+ * - RENEWAL_EXTENSION: 갱신일 연장 요청 결과 기록 (구독 상태 변경 없음)
+ * - CONSUMPTION_REQUEST: 환불 요청에 소비 정보로 응답 (구독 상태 변경 없음)
+ */
+const NotificationAction = {
+  APPLY: "apply",
+  APPLY_HISTORY: "applyHistory",
+  RECORD_ONLY: "recordOnly",
+  RENEWAL_EXTENSION: "renewalExtension",
+  CONSUMPTION_REQUEST: "consumptionRequest",
+};
+
+// subtype이 없는 알림을 표에서 찾기 위한 키
+const NO_SUBTYPE = "NONE";
+
+/**
+ * 🎯 강제 전이 상태별 entitlement
+ * 표에 없는 상태(ACTIVE, CANCELLED, IN_UPGRADE)는 엔진이 계산한
+ * entitlement(TRIAL/PREMIUM)를 그대로 유지합니다.
+ */
+const STATUS_ENTITLEMENT = {
+  [SubscriptionStatus.GRACE_PERIOD]: Entitlement.PREMIUM,
+  [SubscriptionStatus.ON_HOLD]: Entitlement.FREE,
+  [SubscriptionStatus.EXPIRED]: Entitlement.FREE,
+  [SubscriptionStatus.REFUNDED]: Entitlement.FREE,
+  [SubscriptionStatus.INACTIVE]: Entitlement.FREE,
+};
+
+const apply = {action: NotificationAction.APPLY};
+const applyHistory = {action: NotificationAction.APPLY_HISTORY};
+const recordOnly = {action: NotificationAction.RECORD_ONLY};
+const renewalExtension = {action: NotificationAction.RENEWAL_EXTENSION};
+const consumptionRequest = {action: NotificationAction.CONSUMPTION_REQUEST};
+
+/**
+ * 📋 notificationType → subtype → 처리 규칙
+ *
+ * 규칙 필드:
+ * - action: NotificationAction
+ * - status: 강제할 SubscriptionStatus (없으면 상태 엔진 결과 사용)
+ * - whenEntitled: true이면 엔진 결과가 권한 있음일 때만 status 적용
+ * - autoRenewEnabled: 강제할 자동 갱신 여부
+ * - familyMembersOnly: true이면 가족 공유 구성원에게만 적용 (구매자는 유지)
+ * - syncRefunds: true이면 처리 후 Get Refund History로 환불 원장 동기화
+ */
+const NOTIFICATION_RULES = {
+  [NotificationTypeV2.SUBSCRIBED]: {
+    [Subtype.INITIAL_BUY]: apply,
+    [Subtype.RESUBSCRIBE]: apply,
+  },
+  [NotificationTypeV2.DID_RENEW]: {
+    [NO_SUBTYPE]: apply,
+    [Subtype.BILLING_RECOVERY]: apply,
+  },
+  [NotificationTypeV2.DID_CHANGE_RENEWAL_STATUS]: {
+    [Subtype.AUTO_RENEW_ENABLED]: {
+      ...apply,
+      status: SubscriptionStatus.ACTIVE,
+      whenEntitled: true,
+      autoRenewEnabled: true,
+    },
+    [Subtype.AUTO_RENEW_DISABLED]: {
+      ...apply,
+      status: SubscriptionStatus.CANCELLED,
+      whenEntitled: true,
+      autoRenewEnabled: false,
+    },
+  },
+  [NotificationTypeV2.DID_CHANGE_RENEWAL_PREF]: {
+    [NO_SUBTYPE]: apply, // 대기 중인 다운그레이드 취소
+    [Subtype.UPGRADE]: apply, // 즉시 적용
+    [Subtype.DOWNGRADE]: {
+      ...apply,
+      status: SubscriptionStatus.IN_UPGRADE, // 다음 갱신 시 적용
+      whenEntitled: true,
+    },
+  },
+  [NotificationTypeV2.OFFER_REDEEMED]: {
+    [NO_SUBTYPE]: apply,
+    [Subtype.INITIAL_BUY]: apply,
+    [Subtype.RESUBSCRIBE]: apply,
+    [Subtype.UPGRADE]: apply,
+    [Subtype.DOWNGRADE]: {
+      ...apply,
+      status: SubscriptionStatus.IN_UPGRADE,
+      whenEntitled: true,
+    },
+  },
+  [NotificationTypeV2.PRICE_INCREASE]: {
+    [Subtype.PENDING]: apply,
+    [Subtype.ACCEPTED]: apply,
+  },
+  [NotificationTypeV2.DID_FAIL_TO_RENEW]: {
+    [NO_SUBTYPE]: {...apply, status: SubscriptionStatus.ON_HOLD},
+    [Subtype.GRACE_PERIOD]: {...apply, status: SubscriptionStatus.GRACE_PERIOD},
+  },
+  [NotificationTypeV2.GRACE_PERIOD_EXPIRED]: {
+    [NO_SUBTYPE]: {...apply, status: SubscriptionStatus.ON_HOLD},
+  },
+  [NotificationTypeV2.EXPIRED]: {
+    [Subtype.VOLUNTARY]: {...apply, status: SubscriptionStatus.EXPIRED},
+    [Subtype.BILLING_RETRY]: {...apply, status: SubscriptionStatus.EXPIRED},
+    [Subtype.PRICE_INCREASE]: {...apply, status: SubscriptionStatus.EXPIRED},
+    [Subtype.PRODUCT_NOT_FOR_SALE]: {
+      ...apply,
+      status: SubscriptionStatus.EXPIRED,
+    },
+  },
+  // 이전 기간 환불일 수 있으므로 전체 내역으로 현재 상태를 다시 계산
+  [NotificationTypeV2.REFUND]: {
+    [NO_SUBTYPE]: {...applyHistory, syncRefunds: true},
+  },
+  [NotificationTypeV2.REFUND_REVERSED]: {
+    [NO_SUBTYPE]: {...applyHistory, syncRefunds: true},
+  },
+  [NotificationTypeV2.REFUND_DECLINED]: {
+    [NO_SUBTYPE]: recordOnly,
+  },
+  // 가족 공유 권한 회수 (구매자의 구독에는 영향 없음)
+  [NotificationTypeV2.REVOKE]: {
+    [NO_SUBTYPE]: {
+      ...apply,
+      status: SubscriptionStatus.INACTIVE,
+      familyMembersOnly: true,
+    },
+  },
+  [NotificationTypeV2.RENEWAL_EXTENDED]: {
+    [NO_SUBTYPE]: apply,
+  },
+  // 전체 구독자 연장의 완료 요약 / 개별 구독 연장 실패
+  [NotificationTypeV2.RENEWAL_EXTENSION]: {
+    [Subtype.SUMMARY]: renewalExtension,
+    [Subtype.FAILURE]: renewalExtension,
+  },
+  [NotificationTypeV2.CONSUMPTION_REQUEST]: {
+    [NO_SUBTYPE]: consumptionRequest,
+  },
+  [NotificationTypeV2.TEST]: {
+    [NO_SUBTYPE]: recordOnly,
+  },
+  [NotificationTypeV2.EXTERNAL_PURCHASE_TOKEN]: {
+    [Subtype.UNREPORTED]: recordOnly,
+  },
+  [NotificationTypeV2.ONE_TIME_CHARGE]: {
+    [NO_SUBTYPE]: recordOnly,
+  },
+};
+
+/**
+ * 🔍 notificationType/subtype에 해당하는 처리 규칙 조회
+ * @param {string} notificationType - 알림 유형
+ * @param {string} [subtype] - 알림 하위 유형
+ * @return {object|null} 처리 규칙 (알 수 없는 조합이면 null)
+ */
+function getNotificationRule(notificationType, subtype) {
+  const subtypeRules = NOTIFICATION_RULES[notificationType];
+  if (!subtypeRules) {
+    return null;
+  }
+  return subtypeRules[subtype || NO_SUBTYPE] || null;
+}
+
+/**
+ * 🔄 상태 엔진 결과에 알림 규칙의 상태 전이를 적용
+ * @param {object} rule - getNotificationRule 결과
+ * @param {object} subscriptionInfo - 상태 엔진이 계산한 구독 정보
+ * @return {object} 전이가 적용된 구독 정보
+ */
+function applyNotificationRule(rule, subscriptionInfo) {
+  const isEntitled = subscriptionInfo.entitlement !== Entitlement.FREE;
+  if (!rule.status || (rule.whenEntitled && !isEntitled)) {
+    return subscriptionInfo;
+  }
+
+  return {
+    ...subscriptionInfo,
+    subscriptionStatus: rule.status,
+    entitlement: STATUS_ENTITLEMENT[rule.status] ||
+      subscriptionInfo.entitlement,
+    ...(rule.autoRenewEnabled !== undefined &&
+      {autoRenewEnabled: rule.autoRenewEnabled}),
+  };
+}
+
+module.exports = {
+  NotificationAction,
+  NOTIFICATION_RULES,
+  getNotificationRule,
+  applyNotificationRule,
+};
@@ -0,0 +1,70 @@
+// 📁 functions/src/webhook/pendingNotificationLinker.js
+// 🔗 트랜잭션이 사용자와 연결된 뒤 보관 중이던 알림 적용
+const {handleDecodedNotification} = require("./appStoreNotifications");
+const {
+  NotificationState,
+  finishNotification,
+} = require("../utils/processedNotifications");
+const {
+  RETRYABLE_RESULTS,
+  enqueueDeadLetter,
+} = require("../utils/deadLetterQueue");
+const {
+  findPendingNotifications,
+  markPendingNotificationApplied,
+} = require("../utils/pendingNotifications");
+
+/**
+ * 🔗 originalTransactionId에 대해 보관된 알림을 서명 시각 순으로 적용
+ *
+ * 호출 전에 subscriptionData.originalTransactionId가 저장되어 있어야
+ * 웹훅과 같은 경로로 사용자를 찾을 수 있습니다.
+ *
+ * @param {admin.firestore.Firestore} db - Firestore 인스턴스
+ * @param {string} userId - 방금 연결된 사용자 ID
+ * @param {string} originalTransactionId - 원본 트랜잭션 ID
+ * @return {Promise<number>} 적용한 알림 수
+ */
+async function applyPendingNotifications(db, userId, originalTransactionId) {
+  if (!originalTransactionId) {
+    return 0;
+  }
+
+  const pendingDocs = await findPendingNotifications(db, originalTransactionId);
+  if (pendingDocs.length === 0) {
+    return 0;
+  }
+
+  console.log(`🔗 보관 알림 ${pendingDocs.length}건 적용 시작:`, {
+    userId,
+    originalTransactionId,
+  });
+
+  let appliedCount = 0;
+  for (const doc of pendingDocs) {
+    const decodedPayload = doc.get("decodedPayload");
+    const {outcome} = await handleDecodedNotification(db, decodedPayload);
+
+    if (outcome.result === "parked") {
+      // 아직 사용자를 찾지 못함 (handleDecodedNotification이 다시 보관)
+      console.warn("⚠️ 보관 알림 연결 실패:", doc.id);
+      continue;
+    }
+
+    if (RETRYABLE_RESULTS.includes(outcome.result)) {
+      await enqueueDeadLetter(db, decodedPayload, outcome);
+    }
+
+    await markPendingNotificationApplied(doc.ref, userId, outcome);
+    await finishNotification(db, decodedPayload.notificationUUID,
+      NotificationState.COMPLETED, {...outcome, linkedBy: "syncPurchaseInfo"});
+    appliedCount++;
+  }
+
+  console.log(`✅ 보관 알림 적용 완료: ${appliedCount}/${pendingDocs.length}`);
+  return appliedCount;
+}
+
+module.exports = {
+  applyPendingNotifications,
+};
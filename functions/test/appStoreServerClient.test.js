@@ -0,0 +1,55 @@
+// 📁 functions/test/appStoreServerClient.test.js
+// 🧪 In-App Purchase 클라이언트 초기화 설정 검증 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Environment} = require("@apple/app-store-server-library");
+const {
+  InAppPurchaseClient,
+} = require("../src/utils/appStoreServerClient");
+const {
+  MockAppStoreSigner,
+  createApiSigningKey,
+} = require("./mockAppStore/signer");
+
+/**
+ * 🔧 테스트 CA / 테스트 키로 설정한 클라이언트
+ * @param {object} overrides - 덮어쓸 설정 필드
+ * @return {InAppPurchaseClient} 초기화 전 클라이언트
+ */
+function createClient(overrides) {
+  const signer = new MockAppStoreSigner();
+  const client = new InAppPurchaseClient();
+  client.configure({
+    keyId: "MOCKKEY123",
+    issuerId: "00000000-0000-0000-0000-000000000000",
+    bundleId: signer.bundleId,
+    privateKeyBase64: createApiSigningKey().privateKeyBase64,
+    environment: "sandbox",
+    appAppleId: signer.appAppleId,
+    enableOnlineChecks: false,
+    rootCertificatesBase64: Array(3).fill(signer.rootCertificateBase64),
+    ...overrides,
+  });
+  return client;
+}
+
+describe("InAppPurchaseClient.initialize", () => {
+  it("프로덕션 배포에 App Apple ID가 없으면 설정 오류", () => {
+    const client = createClient({
+      environment: "production",
+      appAppleId: undefined,
+    });
+    assert.throws(() => client.initialize(), /APP_STORE_APP_APPLE_ID/);
+  });
+
+  it("샌드박스 배포에 App Apple ID가 없으면 샌드박스만 검증", () => {
+    const client = createClient({appAppleId: undefined});
+    assert.deepEqual(client.environments, [Environment.SANDBOX]);
+  });
+
+  it("App Apple ID가 있으면 프로덕션 → 샌드박스 순서로 검증", () => {
+    const client = createClient({environment: "production"});
+    assert.deepEqual(client.environments,
+      [Environment.PRODUCTION, Environment.SANDBOX]);
+  });
+});
@@ -0,0 +1,44 @@
+// 📁 functions/test/checkSubscriptionStatus.test.js
+// 🧪 구독 상태 응답에서 저장된 구독의 최신 트랜잭션 찾기 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findLastTransaction,
+} = require("../src/subscription/checkSubscriptionStatus");
+
+const statusResponse = {
+  data: [
+    {
+      subscriptionGroupIdentifier: "21000000",
+      lastTransactions: [
+        {originalTransactionId: "1000", signedTransactionInfo: "a"},
+      ],
+    },
+    {
+      subscriptionGroupIdentifier: "21000001",
+      lastTransactions: [
+        {originalTransactionId: "2000", signedTransactionInfo: "b"},
+      ],
+    },
+  ],
+};
+
+describe("findLastTransaction", () => {
+  const cases = [
+    ["첫 번째 그룹의 구독", "1000", "a"],
+    ["다른 그룹의 구독", "2000", "b"],
+    ["숫자로 저장된 ID", 2000, "b"],
+    ["일치하는 구독 없음 → null (다른 구독으로 덮어쓰지 않음)", "3000", null],
+  ];
+
+  for (const [name, originalTransactionId, expected] of cases) {
+    it(name, () => {
+      const item = findLastTransaction(statusResponse, originalTransactionId);
+      assert.equal(item?.signedTransactionInfo ?? null, expected);
+    });
+  }
+
+  it("응답이 비어 있으면 null", () => {
+    assert.equal(findLastTransaction({data: []}, "1000"), null);
+  });
+});
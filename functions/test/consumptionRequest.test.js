@@ -0,0 +1,131 @@
+// 📁 functions/test/consumptionRequest.test.js
+// 🧪 CONSUMPTION_REQUEST 소비 정보 구간 / 생성 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AccountTenure,
+  ConsumptionStatus,
+  LifetimeDollarsRefunded,
+  PlayTime,
+  UserStatus,
+} = require("@apple/app-store-server-library");
+const {
+  bucketAccountTenure,
+  bucketPlayTime,
+  resolveConsumptionStatus,
+  buildConsumptionData,
+} = require("../src/webhook/consumptionRequest");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 1);
+
+describe("bucketAccountTenure", () => {
+  const cases = [
+    // [계정 나이(ms), 기대 구간]
+    [DAY_MS, AccountTenure.ZERO_TO_THREE_DAYS],
+    [3 * DAY_MS, AccountTenure.THREE_DAYS_TO_TEN_DAYS],
+    [45 * DAY_MS, AccountTenure.THIRTY_DAYS_TO_NINETY_DAYS],
+    [400 * DAY_MS, AccountTenure.GREATER_THAN_THREE_HUNDRED_SIXTY_FIVE_DAYS],
+  ];
+
+  for (const [age, expected] of cases) {
+    it(`${age / DAY_MS}일 → ${expected}`, () => {
+      assert.equal(bucketAccountTenure(NOW - age, NOW), expected);
+    });
+  }
+
+  it("생성 시각을 모르면 UNDECLARED", () => {
+    assert.equal(bucketAccountTenure(null, NOW), AccountTenure.UNDECLARED);
+  });
+});
+
+describe("bucketPlayTime", () => {
+  const cases = [
+    // [누적 사용 시간(분), 기대 구간]
+    [null, PlayTime.UNDECLARED],
+    [0, PlayTime.ZERO_TO_FIVE_MINUTES],
+    [5, PlayTime.FIVE_TO_SIXTY_MINUTES],
+    [90, PlayTime.ONE_TO_SIX_HOURS],
+    [20 * 24 * 60, PlayTime.OVER_SIXTEEN_DAYS],
+  ];
+
+  for (const [minutes, expected] of cases) {
+    it(`${minutes}분 → ${expected}`, () => {
+      assert.equal(bucketPlayTime(minutes), expected);
+    });
+  }
+});
+
+describe("resolveConsumptionStatus", () => {
+  const transaction = {purchaseDate: NOW - DAY_MS, expiresDate: NOW + DAY_MS};
+  const periodKey = `PREMIUM:${transaction.purchaseDate}`;
+  const cases = [
+    // [설명, 사용량 문서, 거래, 기대 상태]
+    ["사용량 기록 없음", null, transaction, ConsumptionStatus.UNDECLARED],
+    ["다른 기간의 사용량", {periodKey: "PREMIUM:1", counters: {notes: 3}},
+      transaction, ConsumptionStatus.UNDECLARED],
+    ["사용하지 않음", {periodKey, counters: {notes: 0}}, transaction,
+      ConsumptionStatus.NOT_CONSUMED],
+    ["기간 중 사용", {periodKey, counters: {notes: 2, ocrPages: 10}},
+      transaction, ConsumptionStatus.PARTIALLY_CONSUMED],
+    ["기간 종료 후 요청", {periodKey, counters: {notes: 2}},
+      {...transaction, expiresDate: NOW - 1}, ConsumptionStatus.FULLY_CONSUMED],
+  ];
+
+  for (const [name, usage, target, expected] of cases) {
+    it(name, () => {
+      assert.equal(resolveConsumptionStatus(usage, target, NOW), expected);
+    });
+  }
+});
+
+describe("buildConsumptionData", () => {
+  const transaction = {purchaseDate: NOW - DAY_MS, appAccountToken: "token"};
+
+  it("동의 / 계정 상태 / 환불 이력을 반영", () => {
+    const data = buildConsumptionData({
+      transaction,
+      user: {consumptionDataConsent: true, playTimeMinutes: 30},
+      usage: null,
+      authUser: {createdAt: NOW - 5 * DAY_MS, disabled: false},
+      now: NOW,
+    });
+
+    assert.equal(data.customerConsented, true);
+    assert.equal(data.appAccountToken, "token");
+    assert.equal(data.accountTenure, AccountTenure.THREE_DAYS_TO_TEN_DAYS);
+    assert.equal(data.playTime, PlayTime.FIVE_TO_SIXTY_MINUTES);
+    assert.equal(data.userStatus, UserStatus.ACTIVE);
+    assert.equal(data.lifetimeDollarsRefunded,
+      LifetimeDollarsRefunded.ZERO_DOLLARS);
+  });
+
+  const userStatusCases = [
+    // [설명, Auth 계정, 기대 상태]
+    ["비활성화된 계정", {createdAt: NOW, disabled: true}, UserStatus.SUSPENDED],
+    ["삭제된 계정", null, UserStatus.TERMINATED],
+  ];
+
+  for (const [name, authUser, expected] of userStatusCases) {
+    it(`${name} → ${expected}`, () => {
+      const data = buildConsumptionData({
+        transaction, user: {}, usage: null, authUser, now: NOW,
+      });
+      assert.equal(data.userStatus, expected);
+      assert.equal(data.customerConsented, false);
+    });
+  }
+
+  it("환불 이력이 있으면 환불 금액은 UNDECLARED", () => {
+    const data = buildConsumptionData({
+      transaction: {purchaseDate: NOW},
+      user: {refundStats: {count: 1}, appAccountToken: "user-token"},
+      usage: null,
+      authUser: null,
+      now: NOW,
+    });
+    assert.equal(data.lifetimeDollarsRefunded,
+      LifetimeDollarsRefunded.UNDECLARED);
+    assert.equal(data.appAccountToken, "user-token");
+  });
+});
@@ -0,0 +1,66 @@
+// 📁 functions/test/entitlementClaims.test.js
+// 🧪 custom claims 계산 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement} = require("../src/shared/constant");
+const {
+  buildEntitlementClaims,
+  diffEntitlementClaims,
+} = require("../src/utils/entitlementClaims");
+
+const EXPIRES = Date.UTC(2025, 7, 1);
+const GRACE_EXPIRES = Date.UTC(2025, 7, 15);
+
+describe("buildEntitlementClaims", () => {
+  const cases = [
+    ["무료", {entitlement: Entitlement.FREE, expiresDate: EXPIRES},
+      {entitlement: Entitlement.FREE, premiumUntil: null}],
+    ["구독 데이터 없음", null,
+      {entitlement: Entitlement.FREE, premiumUntil: null}],
+    ["프리미엄", {entitlement: Entitlement.PREMIUM, expiresDate: EXPIRES},
+      {entitlement: Entitlement.PREMIUM, premiumUntil: EXPIRES}],
+    ["체험 (문자열 만료일)",
+      {entitlement: Entitlement.TRIAL, expiresDate: String(EXPIRES)},
+      {entitlement: Entitlement.TRIAL, premiumUntil: EXPIRES}],
+    ["유예 기간", {
+      entitlement: Entitlement.PREMIUM,
+      expiresDate: EXPIRES,
+      gracePeriodExpiresDate: GRACE_EXPIRES,
+    }, {entitlement: Entitlement.PREMIUM, premiumUntil: GRACE_EXPIRES}],
+  ];
+
+  for (const [name, subscriptionData, expected] of cases) {
+    it(name, () => {
+      assert.deepEqual(buildEntitlementClaims(subscriptionData), expected);
+    });
+  }
+});
+
+describe("diffEntitlementClaims", () => {
+  const premium = {entitlement: Entitlement.PREMIUM, expiresDate: EXPIRES};
+
+  it("변경 없음", () => {
+    const diff = diffEntitlementClaims(premium, {...premium});
+    assert.equal(diff.changed, false);
+  });
+
+  it("갱신으로 만료일 변경", () => {
+    const diff = diffEntitlementClaims(premium,
+      {...premium, expiresDate: GRACE_EXPIRES});
+    assert.equal(diff.changed, true);
+    assert.equal(diff.downgraded, false);
+  });
+
+  it("프리미엄 → 무료는 하향", () => {
+    const diff = diffEntitlementClaims(premium,
+      {entitlement: Entitlement.FREE});
+    assert.equal(diff.changed, true);
+    assert.equal(diff.downgraded, true);
+  });
+
+  it("신규 구독은 하향이 아님", () => {
+    const diff = diffEntitlementClaims(null, premium);
+    assert.equal(diff.changed, true);
+    assert.equal(diff.downgraded, false);
+  });
+});
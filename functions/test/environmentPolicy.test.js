@@ -0,0 +1,61 @@
+// 📁 functions/test/environmentPolicy.test.js
+// 🧪 거래 환경별 샌드박스 권한 정책 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Environment} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  SandboxEntitlementPolicy,
+  applyEnvironmentPolicy,
+} = require("../src/utils/environmentPolicy");
+
+const premium = {
+  entitlement: Entitlement.PREMIUM,
+  subscriptionStatus: SubscriptionStatus.ACTIVE,
+};
+
+describe("applyEnvironmentPolicy", () => {
+  const cases = [
+    // [거래 환경, 배포 환경, 정책, 기대 entitlement]
+    [Environment.PRODUCTION, Environment.PRODUCTION,
+      SandboxEntitlementPolicy.DENY, Entitlement.PREMIUM],
+    [Environment.SANDBOX, Environment.PRODUCTION,
+      SandboxEntitlementPolicy.GRANT, Entitlement.PREMIUM],
+    [Environment.SANDBOX, Environment.PRODUCTION,
+      SandboxEntitlementPolicy.DENY, Entitlement.FREE],
+    [Environment.SANDBOX, Environment.SANDBOX,
+      SandboxEntitlementPolicy.DENY, Entitlement.PREMIUM],
+  ];
+
+  for (const [environment, deploymentEnvironment, policy, expected] of cases) {
+    it(`${environment} 거래 / ${deploymentEnvironment} 배포 / ${policy}`,
+      () => {
+        const result = applyEnvironmentPolicy(premium, environment, {
+          deploymentEnvironment,
+          policy,
+        });
+        assert.equal(result.entitlement, expected);
+        assert.equal(result.environment, environment);
+      });
+  }
+
+  it("거부되면 INACTIVE로 표시", () => {
+    const result = applyEnvironmentPolicy(premium, Environment.SANDBOX, {
+      deploymentEnvironment: Environment.PRODUCTION,
+      policy: SandboxEntitlementPolicy.DENY,
+    });
+    assert.equal(result.subscriptionStatus, SubscriptionStatus.INACTIVE);
+    assert.equal(result.sandboxEntitlementDenied, true);
+  });
+
+  it("허용되면 이전 거부 표시 제거", () => {
+    const result = applyEnvironmentPolicy({
+      ...premium,
+      sandboxEntitlementDenied: true,
+    }, Environment.SANDBOX, {
+      deploymentEnvironment: Environment.PRODUCTION,
+      policy: SandboxEntitlementPolicy.GRANT,
+    });
+    assert.equal(result.sandboxEntitlementDenied, undefined);
+  });
+});
@@ -0,0 +1,71 @@
+// 📁 functions/test/integration/appAccountToken.test.js
+// 🧪 registerAppAccountToken 통합 테스트 (에뮬레이터)
+const {describe, it, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  SKIP_REASON,
+  functionsTest,
+  clearFirestore,
+  createTestUser,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {registerAppAccountToken} = require("../../src/index");
+const {APP_ACCOUNT_TOKEN_COLLECTION} = require("../../src/utils/userResolver");
+
+describe("integration: registerAppAccountToken", {skip: SKIP_REASON}, () => {
+  const register = functionsTest.wrap(registerAppAccountToken);
+
+  beforeEach(() => clearFirestore());
+
+  it("토큰 없이 호출 → 발급 후 같은 토큰 반환", async () => {
+    const user = await createTestUser();
+    const first = await register({data: {}, auth: user.auth});
+    const second = await register({data: {}, auth: user.auth});
+
+    assert.equal(first.appAccountToken, second.appAccountToken);
+    const reservation = await admin.firestore()
+      .collection(APP_ACCOUNT_TOKEN_COLLECTION)
+      .doc(first.appAccountToken).get();
+    assert.equal(reservation.get("userId"), user.uid);
+  });
+
+  it("두 사용자가 같은 토큰을 동시에 등록 → 한 명만 성공", async () => {
+    const token = crypto.randomUUID();
+    const users = await Promise.all([createTestUser(), createTestUser()]);
+
+    const results = await Promise.allSettled(users.map((user) =>
+      register({data: {appAccountToken: token}, auth: user.auth})));
+    const rejected = results.filter(({status}) => status === "rejected");
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.code, "already-exists");
+
+    const owners = await admin.firestore().collection("users")
+      .where("appAccountToken", "==", token).get();
+    assert.equal(owners.size, 1);
+  });
+
+  it("예약 문서 없이 등록된 기존 토큰 → already-exists", async () => {
+    const token = crypto.randomUUID();
+    const owner = await createTestUser();
+    await admin.firestore().collection("users").doc(owner.uid)
+      .set({appAccountToken: token}, {merge: true});
+
+    const other = await createTestUser();
+    await assert.rejects(
+      register({data: {appAccountToken: token}, auth: other.auth}),
+      {code: "already-exists"});
+  });
+
+  it("토큰 교체 → 이전 예약 문서 삭제", async () => {
+    const user = await createTestUser();
+    const {appAccountToken: previous} =
+      await register({data: {}, auth: user.auth});
+    const next = crypto.randomUUID();
+    await register({data: {appAccountToken: next}, auth: user.auth});
+
+    const tokens = admin.firestore().collection(APP_ACCOUNT_TOKEN_COLLECTION);
+    assert.equal((await tokens.doc(previous).get()).exists, false);
+    assert.equal((await tokens.doc(next).get()).get("userId"), user.uid);
+  });
+});
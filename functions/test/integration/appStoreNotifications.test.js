@@ -0,0 +1,294 @@
+// 📁 functions/test/integration/appStoreNotifications.test.js
+// 🧪 appStoreNotifications 웹훅 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  getSubscriptionData,
+  callWebhook,
+  purchase,
+  functionsTest,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {
+  NotificationTypeV2,
+  Subtype,
+} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../../src/shared/constant");
+const {
+  adminGrantPromotion,
+  appStoreNotifications,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {iapClient} = require("../../src/utils/appStoreServerClient");
+const {
+  NotificationAction,
+  NOTIFICATION_RULES,
+} = require("../../src/webhook/notificationRules");
+const {
+  NotificationState,
+  PROCESSED_NOTIFICATIONS_COLLECTION,
+} = require("../../src/utils/processedNotifications");
+const {DEAD_LETTER_COLLECTION} = require("../../src/utils/deadLetterQueue");
+const {
+  PENDING_NOTIFICATIONS_COLLECTION,
+  PendingNotificationState,
+} = require("../../src/utils/pendingNotifications");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN_AUTH = {uid: "admin_1", token: {uid: "admin_1", admin: true}};
+
+const STATUS_ENTITLEMENT = {
+  [SubscriptionStatus.ON_HOLD]: Entitlement.FREE,
+  [SubscriptionStatus.EXPIRED]: Entitlement.FREE,
+  [SubscriptionStatus.INACTIVE]: Entitlement.FREE,
+};
+
+/**
+ * 📋 규칙 표의 모든 notificationType/subtype 조합과 기대 결과
+ * @return {Array<object>} [{notificationType, subtype, expected}]
+ */
+function listRuleCases() {
+  return Object.entries(NOTIFICATION_RULES).flatMap(
+    ([notificationType, subtypeRules]) =>
+      Object.entries(subtypeRules).map(([subtype, rule]) => {
+        let result = "updated";
+        if (rule.action === NotificationAction.RECORD_ONLY) {
+          result = "recordOnly";
+        } else if (rule.action === NotificationAction.RENEWAL_EXTENSION) {
+          result = subtype === "SUMMARY" ?
+            "extensionSummary" : "extensionFailed";
+        } else if (rule.action === NotificationAction.CONSUMPTION_REQUEST) {
+          result = "consumptionNotConsented"; // 동의하지 않은 사용자
+        } else if (rule.familyMembersOnly) {
+          result = "noFamilyMembers"; // 구매자만 연결된 구독
+        }
+        const status = rule.status || SubscriptionStatus.ACTIVE;
+        return {
+          notificationType,
+          subtype: subtype === "NONE" ? undefined : subtype,
+          expected: {
+            result,
+            subscriptionStatus: status,
+            entitlement: STATUS_ENTITLEMENT[status] || Entitlement.PREMIUM,
+          },
+        };
+      }));
+}
+
+describe("integration: appStoreNotifications", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  const grantPromotion = functionsTest.wrap(adminGrantPromotion);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  /**
+   * 🧾 구매 후 syncPurchaseInfo까지 완료된 사용자
+   * @param {object} [overrides] - 트랜잭션 필드
+   * @return {Promise<object>} {user, transaction}
+   */
+  async function purchaseAndSync(overrides) {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server, overrides);
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+    return {user, transaction};
+  }
+
+  /**
+   * 📡 서명된 알림을 웹훅으로 전송
+   * @param {object} options - signer.buildNotification 옵션
+   * @return {Promise<object>} {status, body, notification, processed}
+   */
+  async function sendNotification(options) {
+    const notification = server.signer.buildNotification(options);
+    const response = await callWebhook(appStoreNotifications, {
+      body: {signedPayload: server.signer.sign(notification)},
+    });
+    const processed = await admin.firestore()
+      .collection(PROCESSED_NOTIFICATIONS_COLLECTION)
+      .doc(notification.notificationUUID).get();
+    return {...response, notification, processed: processed.data()};
+  }
+
+  describe("규칙 표의 모든 알림 유형", () => {
+    for (const {notificationType, subtype, expected} of listRuleCases()) {
+      it(`${notificationType} (${subtype || "-"}) → ${expected.result}`,
+        async () => {
+          const {user, transaction} = await purchaseAndSync();
+          const {status, processed} = await sendNotification({
+            notificationType,
+            subtype,
+            transaction,
+          });
+
+          assert.equal(status, 200);
+          assert.equal(processed.state, NotificationState.COMPLETED);
+          assert.equal(processed.outcome.result, expected.result);
+
+          if (expected.result === "updated") {
+            const stored = await getSubscriptionData(user.uid);
+            assert.equal(stored.subscriptionStatus,
+              expected.subscriptionStatus);
+            assert.equal(stored.entitlement, expected.entitlement);
+            assert.equal(stored.notificationType, notificationType);
+          }
+        });
+    }
+  });
+
+  it("TEST 알림 (트랜잭션 없음) → noTransactionInfo", async () => {
+    const {processed} = await sendNotification({
+      notificationType: NotificationTypeV2.TEST,
+    });
+    assert.equal(processed.outcome.result, "noTransactionInfo");
+  });
+
+  it("규칙에 없는 알림 → unhandled 기록", async () => {
+    const {transaction} = await purchaseAndSync();
+    const {notification, processed} = await sendNotification({
+      notificationType: "SOMETHING_NEW",
+      transaction,
+    });
+    assert.equal(processed.outcome.result, "unhandled");
+
+    const unhandled = await admin.firestore()
+      .collection("unhandledNotifications")
+      .doc(notification.notificationUUID).get();
+    assert.equal(unhandled.get("notificationType"), "SOMETHING_NEW");
+  });
+
+  it("REFUND → 거래 내역을 다시 검증하여 REFUNDED", async () => {
+    const {user, transaction} = await purchaseAndSync();
+    // 대역 서버의 거래 내역에도 환불이 반영되도록 같은 객체를 수정
+    transaction.revocationDate = Date.now();
+    transaction.revocationReason = 0;
+
+    const {processed} = await sendNotification({
+      notificationType: NotificationTypeV2.REFUND,
+      transaction,
+    });
+    assert.equal(processed.outcome.result, "updated");
+
+    const stored = await getSubscriptionData(user.uid);
+    assert.equal(stored.entitlement, Entitlement.FREE);
+    assert.equal(stored.subscriptionStatus, SubscriptionStatus.REFUNDED);
+  });
+
+  it("거래 내역 조회 실패 → historyFailed, dead-letter 보관", async () => {
+    const {transaction} = await purchaseAndSync();
+    const history = mock.method(iapClient, "getTransactionHistory",
+      async () => ({success: false, error: "Service unavailable"}));
+
+    try {
+      const {notification, processed} = await sendNotification({
+        notificationType: NotificationTypeV2.REFUND_REVERSED,
+        transaction,
+      });
+      assert.equal(processed.outcome.result, "historyFailed");
+
+      const deadLetter = await admin.firestore()
+        .collection(DEAD_LETTER_COLLECTION)
+        .doc(notification.notificationUUID).get();
+      assert.equal(deadLetter.get("reason"), "historyFailed");
+    } finally {
+      history.mock.restore();
+    }
+  });
+
+  it("연결되지 않은 구매 → parked, 동기화 시 적용", async () => {
+    const {transaction, signedTransaction} = purchase(server);
+    const {notification, processed} = await sendNotification({
+      notificationType: NotificationTypeV2.DID_CHANGE_RENEWAL_STATUS,
+      subtype: Subtype.AUTO_RENEW_DISABLED,
+      transaction,
+    });
+    assert.equal(processed.outcome.result, "parked");
+
+    const user = await createTestUser();
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+
+    const pending = await admin.firestore()
+      .collection(PENDING_NOTIFICATIONS_COLLECTION)
+      .doc(notification.notificationUUID).get();
+    assert.equal(pending.get("state"), PendingNotificationState.APPLIED);
+    assert.equal(pending.get("userId"), user.uid);
+    assert.equal((await getSubscriptionData(user.uid)).subscriptionStatus,
+      SubscriptionStatus.CANCELLED);
+  });
+
+  describe("유효한 프로모션 → 늦게 도착한 알림으로 덮어쓰지 않음", () => {
+    const cases = [
+      [NotificationTypeV2.EXPIRED, Subtype.VOLUNTARY],
+      [
+        NotificationTypeV2.DID_CHANGE_RENEWAL_STATUS,
+        Subtype.AUTO_RENEW_DISABLED,
+      ],
+    ];
+
+    for (const [notificationType, subtype] of cases) {
+      it(`${notificationType} (${subtype})`, async () => {
+        const purchaseDate = Date.now() - 40 * DAY_MS;
+        const {user, transaction} = await purchaseAndSync({
+          purchaseDate,
+          expiresDate: purchaseDate + 30 * DAY_MS,
+        });
+        await grantPromotion({
+          data: {userId: user.uid, days: 7, reason: "장애 보상"},
+          auth: ADMIN_AUTH,
+        });
+
+        const {processed} = await sendNotification({
+          notificationType,
+          subtype,
+          transaction,
+        });
+        assert.equal(processed.outcome.result, "preserved-promotion");
+
+        const stored = await getSubscriptionData(user.uid);
+        assert.equal(stored.entitlement, Entitlement.PREMIUM);
+        assert.equal(stored.subscriptionStatus, SubscriptionStatus.PROMOTION);
+        assert.equal(stored.lastUpdateSource, "adminPromotion");
+      });
+    }
+  });
+
+  it("같은 알림 재전송 → 이미 처리됨", async () => {
+    const {transaction} = await purchaseAndSync();
+    const notification = server.signer.buildNotification({
+      notificationType: NotificationTypeV2.DID_RENEW,
+      transaction,
+    });
+    const body = {signedPayload: server.signer.sign(notification)};
+
+    await callWebhook(appStoreNotifications, {body});
+    const retry = await callWebhook(appStoreNotifications, {body});
+    assert.deepEqual(retry, {status: 200, body: "OK. Already processed."});
+  });
+
+  describe("요청 검증", () => {
+    const cases = [
+      {name: "POST가 아님", method: "GET", body: {}, status: 405},
+      {name: "signedPayload 없음", body: {}, status: 400},
+      {name: "서명 오류", body: {signedPayload: "a.b.c"}, status: 401},
+    ];
+
+    for (const {name, method, body, status} of cases) {
+      it(`${name} → ${status}`, async () => {
+        const response =
+          await callWebhook(appStoreNotifications, {method, body});
+        assert.equal(response.status, status);
+      });
+    }
+  });
+});
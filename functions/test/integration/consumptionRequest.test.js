@@ -0,0 +1,168 @@
+// 📁 functions/test/integration/consumptionRequest.test.js
+// 🧪 CONSUMPTION_REQUEST 소비 정보 응답 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  callWebhook,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {
+  ConsumptionRequestReason,
+  NotificationTypeV2,
+  UserStatus,
+} = require("@apple/app-store-server-library");
+const {
+  appStoreNotifications,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {iapClient} = require("../../src/utils/appStoreServerClient");
+const {
+  PROCESSED_NOTIFICATIONS_COLLECTION,
+} = require("../../src/utils/processedNotifications");
+const {DEAD_LETTER_COLLECTION} = require("../../src/utils/deadLetterQueue");
+const {
+  CONSUMPTION_RESPONSE_WINDOW_MS,
+} = require("../../src/webhook/consumptionRequest");
+
+describe("integration: consumption request", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(async () => {
+    server.requests.length = 0;
+    await clearFirestore();
+  });
+
+  /**
+   * 🧾 구매 후 syncPurchaseInfo까지 완료된 사용자
+   * @param {object} [userFields] - 사용자 문서에 추가할 필드
+   * @return {Promise<object>} {user, transaction}
+   */
+  async function purchaseAndSync(userFields = {}) {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server);
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+    await admin.firestore().collection("users").doc(user.uid)
+      .set(userFields, {merge: true});
+    return {user, transaction};
+  }
+
+  /**
+   * 📡 CONSUMPTION_REQUEST 알림을 웹훅으로 전송
+   * @param {object} transaction - 환불 요청된 거래
+   * @param {object} [overrides] - 덮어쓸 알림 최상위 필드
+   * @return {Promise<object>} {notification, processed}
+   */
+  async function sendConsumptionRequest(transaction, overrides = {}) {
+    const notification = server.signer.buildNotification({
+      notificationType: NotificationTypeV2.CONSUMPTION_REQUEST,
+      transaction,
+      overrides,
+    });
+    notification.data.consumptionRequestReason =
+      ConsumptionRequestReason.UNINTENDED_PURCHASE;
+    await callWebhook(appStoreNotifications, {
+      body: {signedPayload: server.signer.sign(notification)},
+    });
+    const processed = await admin.firestore()
+      .collection(PROCESSED_NOTIFICATIONS_COLLECTION)
+      .doc(notification.notificationUUID).get();
+    return {notification, processed: processed.data()};
+  }
+
+  /**
+   * 📤 대역 서버가 받은 소비 정보 요청
+   * @param {string} transactionId - 거래 ID
+   * @return {object|undefined} 요청 본문
+   */
+  function findConsumptionRequest(transactionId) {
+    return server.requests.find((request) =>
+      request.path.endsWith("/transactions/consumption/" + transactionId))
+      ?.body;
+  }
+
+  /**
+   * 📜 알림에 대한 소비 정보 응답 감사 기록
+   * @param {string} notificationUUID - 알림 UUID
+   * @return {Promise<object|undefined>} 감사 기록
+   */
+  async function getConsumptionAudit(notificationUUID) {
+    const snapshot = await admin.firestore().collection("auditLogs")
+      .where("type", "==", "consumptionResponse")
+      .where("notificationUUID", "==", notificationUUID)
+      .get();
+    return snapshot.docs[0]?.data();
+  }
+
+  it("동의한 사용자 → 소비 정보 전송, 감사 기록", async () => {
+    const {transaction} = await purchaseAndSync({
+      consumptionDataConsent: true,
+      playTimeMinutes: 90,
+    });
+
+    const {notification, processed} = await sendConsumptionRequest(transaction);
+    assert.equal(processed.outcome.result, "consumptionSent");
+
+    const body = findConsumptionRequest(transaction.transactionId);
+    assert.equal(body.customerConsented, true);
+    assert.equal(body.userStatus, UserStatus.ACTIVE);
+
+    const audit = await getConsumptionAudit(notification.notificationUUID);
+    assert.equal(audit.action, "sent");
+    assert.equal(audit.consumptionRequestReason,
+      ConsumptionRequestReason.UNINTENDED_PURCHASE);
+  });
+
+  it("동의하지 않은 사용자 → 전송하지 않음", async () => {
+    const {transaction} = await purchaseAndSync();
+
+    const {notification, processed} = await sendConsumptionRequest(transaction);
+    assert.equal(processed.outcome.result, "consumptionNotConsented");
+    assert.equal(findConsumptionRequest(transaction.transactionId), undefined);
+
+    const audit = await getConsumptionAudit(notification.notificationUUID);
+    assert.equal(audit.sent, false);
+  });
+
+  it("응답 기한(12시간) 초과 → 전송하지 않음", async () => {
+    const {transaction} = await purchaseAndSync({consumptionDataConsent: true});
+
+    const {processed} = await sendConsumptionRequest(transaction, {
+      signedDate: Date.now() - CONSUMPTION_RESPONSE_WINDOW_MS - 1000,
+    });
+    assert.equal(processed.outcome.result, "consumptionWindowExpired");
+    assert.equal(findConsumptionRequest(transaction.transactionId), undefined);
+  });
+
+  it("전송 실패 → consumptionFailed, dead-letter 보관", async () => {
+    const {transaction} = await purchaseAndSync({consumptionDataConsent: true});
+    const send = mock.method(iapClient, "sendConsumptionData",
+      async () => ({success: false, error: "Service unavailable"}));
+
+    try {
+      const {notification, processed} =
+        await sendConsumptionRequest(transaction);
+      assert.equal(processed.outcome.result, "consumptionFailed");
+
+      const deadLetter = await admin.firestore()
+        .collection(DEAD_LETTER_COLLECTION)
+        .doc(notification.notificationUUID).get();
+      assert.equal(deadLetter.get("reason"), "consumptionFailed");
+    } finally {
+      send.mock.restore();
+    }
+  });
+});
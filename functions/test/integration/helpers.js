@@ -0,0 +1,180 @@
+// 📁 functions/test/integration/helpers.js
+// 🧪 통합 테스트 공통 설정 (Firestore/Auth 에뮬레이터 + Mock App Store)
+//
+// npm run test:integration 으로 실행하면 firebase emulators:exec가
+// FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST를 설정합니다.
+// (firebase CLI 필요: npm install -g firebase-tools)
+// 에뮬레이터 없이 실행하면 모든 통합 테스트는 건너뜁니다.
+const {test} = require("node:test");
+const crypto = require("crypto");
+const {Environment} = require("@apple/app-store-server-library");
+const {
+  MockAppStoreSigner,
+  createApiSigningKey,
+} = require("../mockAppStore/signer");
+const {MockAppStoreServer} = require("../mockAppStore/server");
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-pikabook";
+
+const SKIP_REASON = process.env.FIRESTORE_EMULATOR_HOST ? false :
+  "FIRESTORE_EMULATOR_HOST not set (npm run test:integration)";
+
+// 건너뛴 suite는 결과 요약에 집계되지 않으므로 파일마다 건너뜀을 한 건 기록
+if (SKIP_REASON) {
+  test("integration tests", {skip: SKIP_REASON}, () => {});
+}
+
+// 배포 시 CLI가 채워주는 파라미터 값을 테스트에서 직접 지정
+Object.assign(process.env, {
+  OWNERSHIP_CONFLICT_POLICY: "transfer",
+  SANDBOX_ENTITLEMENT_POLICY: "grant",
+});
+
+// firebase-functions-test는 src를 불러오기 전에 초기화해야 합니다.
+const functionsTest = require("firebase-functions-test")({
+  projectId: PROJECT_ID,
+});
+const admin = require("firebase-admin");
+const {iapClient} = require("../../src/utils/appStoreServerClient");
+
+/**
+ * 🧪 Mock App Store를 띄우고 iapClient가 이를 사용하도록 주입
+ * @return {Promise<object>} {signer, server}
+ */
+async function startMockAppStore() {
+  const signer = new MockAppStoreSigner();
+  const {privateKeyBase64, publicKeyPem} = createApiSigningKey();
+  const server = new MockAppStoreServer({
+    signer,
+    apiPublicKeyPem: publicKeyPem,
+  });
+  const baseUrl = await server.listen();
+
+  iapClient.configure({
+    keyId: "MOCKKEY123",
+    issuerId: "00000000-0000-0000-0000-000000000000",
+    bundleId: signer.bundleId,
+    privateKeyBase64,
+    environment: "production",
+    appAppleId: signer.appAppleId,
+    apiBaseUrl: baseUrl,
+    enableOnlineChecks: false,
+    rootCertificatesBase64: Array(3).fill(signer.rootCertificateBase64),
+  });
+
+  return {signer, server};
+}
+
+/**
+ * 🛑 Mock App Store 종료 및 iapClient 설정 복원
+ * @param {MockAppStoreServer} server - 실행 중인 대역 서버
+ * @return {Promise<void>}
+ */
+async function stopMockAppStore(server) {
+  iapClient.configure(null);
+  await server.close();
+  functionsTest.cleanup();
+}
+
+/**
+ * 🧹 에뮬레이터 Firestore 전체 삭제
+ * @return {Promise<void>}
+ */
+async function clearFirestore() {
+  const response = await fetch(
+    `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/` +
+    `${PROJECT_ID}/databases/(default)/documents`, {method: "DELETE"});
+  if (!response.ok) {
+    throw new Error("Failed to clear Firestore emulator: " + response.status);
+  }
+}
+
+/**
+ * 👤 테스트 사용자 생성 (Auth + users 문서)
+ * @param {object} [options] - 사용자 옵션
+ * @param {string} [options.email] - 이메일
+ * @param {object} [options.subscriptionData] - 초기 구독 데이터
+ * @return {Promise<object>} {uid, email, auth} - auth는 callable 요청용
+ */
+async function createTestUser({email, subscriptionData} = {}) {
+  const uid = "user_" + crypto.randomUUID().slice(0, 8);
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    await admin.auth().createUser({uid, ...(email && {email})});
+  }
+  await admin.firestore().collection("users").doc(uid).set({
+    ...(email && {email}),
+    ...(subscriptionData && {subscriptionData}),
+  });
+
+  return {uid, email, auth: {uid, token: {uid, ...(email && {email})}}};
+}
+
+/**
+ * 📄 사용자의 subscriptionData 조회
+ * @param {string} uid - 사용자 UID
+ * @return {Promise<object|null>} subscriptionData
+ */
+async function getSubscriptionData(uid) {
+  const snapshot = await admin.firestore().collection("users").doc(uid).get();
+  return snapshot.get("subscriptionData") || null;
+}
+
+/**
+ * 📡 웹훅 함수 호출 (onRequest 핸들러에 가짜 req/res 전달)
+ * @param {function} handler - appStoreNotifications
+ * @param {object} options - 요청 옵션
+ * @param {string} [options.method] - HTTP 메서드 (기본값 POST)
+ * @param {object} [options.body] - 요청 본문
+ * @return {Promise<object>} {status, body}
+ */
+function callWebhook(handler, {method = "POST", body = {}} = {}) {
+  return new Promise((resolve, reject) => {
+    const req = {
+      method,
+      body,
+      headers: {},
+      header: () => undefined,
+      get: () => undefined,
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send(payload) {
+        resolve({status: this.statusCode, body: payload});
+        return this;
+      },
+      on: () => {},
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+/**
+ * 🧾 Mock App Store에 구독을 등록하고 앱에서 받은 것처럼 서명된 트랜잭션 반환
+ * @param {MockAppStoreServer} server - 대역 서버
+ * @param {object} [overrides] - 트랜잭션 필드
+ * @return {object} {transaction, signedTransaction}
+ */
+function purchase(server, overrides = {}) {
+  const transaction = server.addTransaction(server.signer.buildTransaction({
+    environment: Environment.SANDBOX,
+    ...overrides,
+  }));
+  return {transaction, signedTransaction: server.signer.sign(transaction)};
+}
+
+module.exports = {
+  PROJECT_ID,
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  getSubscriptionData,
+  callWebhook,
+  purchase,
+};
@@ -0,0 +1,98 @@
+// 📁 functions/test/integration/notificationBackfill.test.js
+// 🧪 알림 내역 복구 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  getSubscriptionData,
+  callWebhook,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {
+  Environment,
+  NotificationTypeV2,
+  Subtype,
+} = require("@apple/app-store-server-library");
+const {SubscriptionStatus} = require("../../src/shared/constant");
+const {
+  appStoreNotifications,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {
+  NOTIFICATION_BACKFILL_COLLECTION,
+  backfillNotificationHistory,
+} = require("../../src/webhook/notificationBackfill");
+
+describe("integration: notification backfill", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  it("받지 못한 알림만 처리하고 재실행 시 건너뜀", async () => {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server);
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+
+    // 웹훅으로 받은 알림과 받지 못한 알림이 모두 내역에 있음
+    const delivered = server.addNotificationHistory(
+      server.signer.buildNotification({
+        notificationType: NotificationTypeV2.DID_RENEW,
+        transaction,
+      }), {sendAttemptResult: "SUCCESS"});
+    await callWebhook(appStoreNotifications, {
+      body: {signedPayload: server.signer.sign(delivered)},
+    });
+    const missed = server.addNotificationHistory(
+      server.signer.buildNotification({
+        notificationType: NotificationTypeV2.DID_CHANGE_RENEWAL_STATUS,
+        subtype: Subtype.AUTO_RENEW_DISABLED,
+        transaction,
+      }));
+
+    const range = {
+      startDate: Date.now() - 60 * 60 * 1000,
+      endDate: Date.now() + 60 * 1000,
+      environments: [Environment.SANDBOX],
+    };
+    const report = await backfillNotificationHistory(admin.firestore(), {
+      ...range,
+      trigger: "test",
+    });
+
+    assert.equal(report.fetched, 2);
+    assert.equal(report.processed, 1);
+    assert.equal(report.skipped, 1);
+    assert.deepEqual(report.results, {updated: 1});
+    assert.equal((await getSubscriptionData(user.uid)).subscriptionStatus,
+      SubscriptionStatus.CANCELLED);
+
+    const processed = await admin.firestore()
+      .collection("processedNotifications")
+      .doc(missed.notificationUUID).get();
+    assert.equal(processed.get("outcome.backfilledBy"), "test");
+
+    const rerun = await backfillNotificationHistory(admin.firestore(), {
+      ...range,
+      trigger: "test",
+    });
+    assert.equal(rerun.processed, 0);
+    assert.equal(rerun.skipped, 2);
+
+    const reports = await admin.firestore()
+      .collection(NOTIFICATION_BACKFILL_COLLECTION).get();
+    assert.equal(reports.size, 2);
+  });
+});
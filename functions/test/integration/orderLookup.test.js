@@ -0,0 +1,81 @@
+// 📁 functions/test/integration/orderLookup.test.js
+// 🧪 Apple Order ID로 고객 지원 조회 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  purchase,
+} = require("./helpers");
+const {SubscriptionStatus} = require("../../src/shared/constant");
+const {adminLookupUser, syncPurchaseInfo} = require("../../src/index");
+
+const ADMIN_AUTH = {uid: "admin_1", token: {uid: "admin_1", admin: true}};
+
+describe("integration: order lookup", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  const lookup = functionsTest.wrap(adminLookupUser);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  it("연결된 사용자 → 현재 상태 / 만료일 / 연결된 UID", async () => {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server);
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+    server.addOrder("MQ0RDER1", [transaction.transactionId]);
+
+    const result = await lookup({
+      data: {orderId: "MQ0RDER1"},
+      auth: ADMIN_AUTH,
+    });
+    assert.deepEqual(result.users.map((item) => item.uid), [user.uid]);
+
+    const [subscription] = result.orderSummary.subscriptions;
+    assert.equal(subscription.originalTransactionId,
+      transaction.originalTransactionId);
+    assert.deepEqual(subscription.linkedUserIds, [user.uid]);
+    assert.equal(subscription.subscriptionStatus, SubscriptionStatus.ACTIVE);
+    assert.equal(subscription.expiresDate, transaction.expiresDate);
+    assert.equal(subscription.statusSource, "subscriptionData");
+  });
+
+  it("연결되지 않은 환불 주문 → 주문 거래로 상태 / 환불 표시", async () => {
+    const {transaction} = purchase(server, {
+      revocationDate: Date.now(),
+      revocationReason: 1,
+    });
+    server.addOrder("MQ0RDER2", [transaction.transactionId]);
+
+    const result = await lookup({
+      data: {orderId: "MQ0RDER2"},
+      auth: ADMIN_AUTH,
+    });
+    assert.deepEqual(result.users, []);
+
+    const [subscription] = result.orderSummary.subscriptions;
+    assert.equal(subscription.statusSource, "order");
+    assert.equal(subscription.subscriptionStatus, SubscriptionStatus.REFUNDED);
+    assert.deepEqual(subscription.refunds, [{
+      transactionId: transaction.transactionId,
+      revocationDate: transaction.revocationDate,
+      revocationReason: 1,
+    }]);
+  });
+
+  it("알 수 없는 주문 → not-found", async () => {
+    await assert.rejects(
+      lookup({data: {orderId: "UNKNOWN"}, auth: ADMIN_AUTH}),
+      {code: "not-found"});
+  });
+});
@@ -0,0 +1,166 @@
+// 📁 functions/test/integration/promotionalOffer.test.js
+// 🧪 프로모션 오퍼 서명 발급 / 1회 사용 제한 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {OfferType} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../../src/shared/constant");
+const {
+  createPromotionalOfferSignature,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {
+  PROMOTIONAL_OFFERS_DOC,
+  PROMOTIONAL_OFFER_COLLECTION,
+  OfferEligibility,
+  PromotionalOfferState,
+} = require("../../src/utils/promotionalOffers");
+const {DEFAULT_PRODUCT_ID} = require("../mockAppStore/signer");
+
+const OFFER_ID = "winback_50";
+
+const lapsedSubscription = {
+  originalTransactionId: "2000000000000001",
+  productId: DEFAULT_PRODUCT_ID,
+  entitlement: Entitlement.FREE,
+  subscriptionStatus: SubscriptionStatus.EXPIRED,
+};
+
+describe("integration: promotional offers", {skip: SKIP_REASON}, () => {
+  const createSignature = functionsTest.wrap(createPromotionalOfferSignature);
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  let server;
+  let signer;
+
+  before(async () => {
+    ({server, signer} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await admin.firestore().doc(PROMOTIONAL_OFFERS_DOC).set({
+      [OFFER_ID]: {
+        eligibility: OfferEligibility.LAPSED_PREMIUM,
+        productIds: [DEFAULT_PRODUCT_ID],
+      },
+    });
+  });
+
+  /**
+   * 🎟️ 오퍼 서명 요청
+   * @param {object} user - createTestUser 결과
+   * @param {object} [data] - 요청 데이터 (기본값 OFFER_ID / 기본 상품)
+   * @return {Promise<object>} callable 응답
+   */
+  function requestOffer(user, data = {}) {
+    return createSignature({
+      data: {offerId: OFFER_ID, productId: DEFAULT_PRODUCT_ID, ...data},
+      auth: user.auth,
+    });
+  }
+
+  /**
+   * 📒 사용자 오퍼 발급 기록
+   * @param {string} uid - 사용자 UID
+   * @return {Promise<object|undefined>} 발급 기록
+   */
+  async function getOfferRecord(uid) {
+    const snapshot = await admin.firestore().collection("users").doc(uid)
+      .collection(PROMOTIONAL_OFFER_COLLECTION).doc(OFFER_ID).get();
+    return snapshot.data();
+  }
+
+  it("만료된 구독 사용자 → 검증 가능한 서명 발급", async () => {
+    const user = await createTestUser({subscriptionData: lapsedSubscription});
+
+    const result = await requestOffer(user);
+    assert.equal(result.success, true);
+    assert.equal(result.keyIdentifier, "MOCKKEY123");
+
+    // Apple 문서의 서명 대상 문자열 (U+2063 구분)
+    const payload = [
+      signer.bundleId,
+      result.keyIdentifier,
+      DEFAULT_PRODUCT_ID,
+      OFFER_ID,
+      result.appAccountToken,
+      result.nonce,
+      result.timestamp,
+    ].join("⁣");
+    assert.equal(crypto.verify("SHA256", Buffer.from(payload),
+      server.apiPublicKeyPem, Buffer.from(result.signature, "base64")), true);
+
+    const record = await getOfferRecord(user.uid);
+    assert.equal(record.state, PromotionalOfferState.ISSUED);
+    assert.equal(record.nonce, result.nonce);
+    assert.equal(record.issueCount, 1);
+  });
+
+  it("사용 전 재요청 → 새 nonce로 재발급", async () => {
+    const user = await createTestUser({subscriptionData: lapsedSubscription});
+    const first = await requestOffer(user);
+    const second = await requestOffer(user);
+
+    assert.notEqual(first.nonce, second.nonce);
+    assert.equal((await getOfferRecord(user.uid)).issueCount, 2);
+  });
+
+  it("구독 중인 사용자 → failed-precondition", async () => {
+    const user = await createTestUser({
+      subscriptionData: {
+        ...lapsedSubscription,
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+      },
+    });
+    await assert.rejects(requestOffer(user), {code: "failed-precondition"});
+    assert.equal(await getOfferRecord(user.uid), undefined);
+  });
+
+  it("등록되지 않은 오퍼 / 상품 → not-found / invalid-argument", async () => {
+    const user = await createTestUser({subscriptionData: lapsedSubscription});
+    await assert.rejects(requestOffer(user, {offerId: "unknown"}),
+      {code: "not-found"});
+    await assert.rejects(requestOffer(user, {productId: "other_product"}),
+      {code: "invalid-argument"});
+  });
+
+  it("오퍼로 구매 후 다시 만료 → 재발급 거부", async () => {
+    const user = await createTestUser({subscriptionData: lapsedSubscription});
+    await requestOffer(user);
+
+    const {transaction, signedTransaction} = purchase(server, {
+      offerType: OfferType.PROMOTIONAL_OFFER,
+      offerIdentifier: OFFER_ID,
+    });
+    await sync({
+      data: {jwsRepresentation: signedTransaction},
+      auth: user.auth,
+    });
+
+    const record = await getOfferRecord(user.uid);
+    assert.equal(record.state, PromotionalOfferState.REDEEMED);
+    assert.equal(record.redeemedTransactionId, transaction.transactionId);
+
+    // 오퍼 기간이 끝나 다시 만료되어도 같은 오퍼는 발급하지 않음
+    await admin.firestore().collection("users").doc(user.uid).update({
+      subscriptionData: {
+        ...lapsedSubscription,
+        originalTransactionId: transaction.originalTransactionId,
+      },
+    });
+    await assert.rejects(requestOffer(user), {code: "already-exists"});
+  });
+});
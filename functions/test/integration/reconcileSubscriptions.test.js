@@ -0,0 +1,116 @@
+// 📁 functions/test/integration/reconcileSubscriptions.test.js
+// 🧪 야간 구독 재확인 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  getSubscriptionData,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {Entitlement, SubscriptionStatus} = require("../../src/shared/constant");
+const {syncPurchaseInfo} = require("../../src/index");
+const {
+  RECONCILIATION_REPORT_COLLECTION,
+  reconcileExpiringSubscriptions,
+} = require("../../src/subscription/reconcileSubscriptions");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe("integration: reconcileSubscriptions", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  /**
+   * 🧾 구매 후 syncPurchaseInfo까지 완료된 사용자
+   * @param {object} [overrides] - 트랜잭션 필드
+   * @return {Promise<object>} {user, transaction}
+   */
+  async function purchaseAndSync(overrides) {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server, overrides);
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+    return {user, transaction};
+  }
+
+  it("만료 / 갱신 누락을 보정하고 보고서 저장", async () => {
+    const now = Date.now();
+
+    // 1) EXPIRED 알림 유실: Apple에서는 만료, 저장된 값은 PREMIUM
+    const expired = await purchaseAndSync({expiresDate: now + HOUR_MS});
+    expired.transaction.expiresDate = now - HOUR_MS;
+    await admin.firestore().collection("users").doc(expired.user.uid).update({
+      "subscriptionData.expiresDate": now - HOUR_MS,
+    });
+
+    // 2) DID_RENEW 알림 유실: Apple에는 다음 기간 거래가 있음
+    const renewed = await purchaseAndSync({expiresDate: now + HOUR_MS});
+    server.addTransaction(server.signer.buildTransaction({
+      originalTransactionId: renewed.transaction.originalTransactionId,
+      purchaseDate: now,
+      expiresDate: now + 30 * DAY_MS,
+    }));
+
+    // 3) 만료 임박이지만 Apple과 일치
+    const unchanged = await purchaseAndSync({expiresDate: now + HOUR_MS});
+
+    // 4) 만료일이 먼 사용자는 대상 아님
+    await purchaseAndSync();
+
+    // 5) Apple에 없는 거래
+    await createTestUser({subscriptionData: {
+      originalTransactionId: "9999999999",
+      entitlement: Entitlement.PREMIUM,
+      subscriptionStatus: SubscriptionStatus.ACTIVE,
+      expiresDate: now - DAY_MS,
+    }});
+
+    // 6) 이미 FREE로 반영된 과거 만료 사용자는 조회하지 않음
+    await createTestUser({subscriptionData: {
+      originalTransactionId: "8888888888",
+      entitlement: Entitlement.FREE,
+      subscriptionStatus: SubscriptionStatus.EXPIRED,
+      expiresDate: now - 365 * DAY_MS,
+    }});
+
+    const report = await reconcileExpiringSubscriptions(admin.firestore(), {
+      now,
+    });
+
+    assert.equal(report.scanned, 4);
+    assert.equal(report.candidates, 4);
+    assert.equal(report.fixed, 2);
+    assert.equal(report.unchanged, 1);
+    assert.equal(report.failed, 1);
+
+    const expiredData = await getSubscriptionData(expired.user.uid);
+    assert.equal(expiredData.entitlement, Entitlement.FREE);
+    assert.equal(expiredData.subscriptionStatus, SubscriptionStatus.EXPIRED);
+    assert.equal(expiredData.lastUpdateSource, "reconciliation");
+
+    const renewedData = await getSubscriptionData(renewed.user.uid);
+    assert.equal(renewedData.entitlement, Entitlement.PREMIUM);
+    assert.ok(renewedData.expiresDate > now + 29 * DAY_MS);
+
+    assert.equal((await getSubscriptionData(unchanged.user.uid)).entitlement,
+      Entitlement.PREMIUM);
+
+    const saved = await admin.firestore()
+      .collection(RECONCILIATION_REPORT_COLLECTION).doc(report.id).get();
+    assert.equal(saved.get("fixed"), 2);
+  });
+});
@@ -0,0 +1,211 @@
+// 📁 functions/test/integration/refundLedger.test.js
+// 🧪 환불 원장 / 환불 정책 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  getSubscriptionData,
+  callWebhook,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {
+  InAppOwnershipType,
+  NotificationTypeV2,
+} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../../src/shared/constant");
+const {
+  appStoreNotifications,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {iapClient} = require("../../src/utils/appStoreServerClient");
+const {REFUND_LEDGER_COLLECTION} = require("../../src/utils/refundLedger");
+const {RefundPolicyFlag} = require("../../src/utils/refundPolicy");
+const {
+  PROCESSED_NOTIFICATIONS_COLLECTION,
+} = require("../../src/utils/processedNotifications");
+
+describe("integration: refund ledger", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  /**
+   * 🧾 구매 후 syncPurchaseInfo까지 완료된 사용자
+   * @param {object} [overrides] - 트랜잭션 필드
+   * @return {Promise<object>} {user, transaction, result}
+   */
+  async function purchaseAndSync(overrides) {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server, overrides);
+    const result = await sync({
+      data: {jwsRepresentation: signedTransaction},
+      auth: user.auth,
+    });
+    return {user, transaction, result};
+  }
+
+  /**
+   * 📡 환불 관련 알림을 웹훅으로 전송
+   * @param {string} notificationType - REFUND | REFUND_REVERSED
+   * @param {object} transaction - 대상 트랜잭션
+   * @return {Promise<object>} processedNotifications 기록
+   */
+  async function sendRefundNotification(notificationType, transaction) {
+    const notification = server.signer.buildNotification({
+      notificationType,
+      transaction,
+    });
+    await callWebhook(appStoreNotifications, {
+      body: {signedPayload: server.signer.sign(notification)},
+    });
+    const processed = await admin.firestore()
+      .collection(PROCESSED_NOTIFICATIONS_COLLECTION)
+      .doc(notification.notificationUUID).get();
+    return processed.data();
+  }
+
+  /**
+   * 📒 사용자 환불 원장 항목과 refundStats
+   * @param {string} uid - 사용자 UID
+   * @param {string} transactionId - 거래 ID
+   * @return {Promise<object>} {entry, refundStats}
+   */
+  async function getLedger(uid, transactionId) {
+    const userRef = admin.firestore().collection("users").doc(uid);
+    const [entry, userDoc] = await Promise.all([
+      userRef.collection(REFUND_LEDGER_COLLECTION).doc(transactionId).get(),
+      userRef.get(),
+    ]);
+    return {entry: entry.data(), refundStats: userDoc.get("refundStats")};
+  }
+
+  it("REFUND → 환불 원장 기록, 환불 횟수 1", async () => {
+    const {user, transaction} = await purchaseAndSync();
+    transaction.revocationDate = Date.now();
+    transaction.revocationReason = 1;
+
+    const processed =
+      await sendRefundNotification(NotificationTypeV2.REFUND, transaction);
+    assert.equal(processed.outcome.refundLedger.synced, true);
+
+    const {entry, refundStats} = await getLedger(
+      user.uid, transaction.transactionId);
+    assert.equal(entry.productId, transaction.productId);
+    assert.equal(entry.revocationDate, transaction.revocationDate);
+    assert.equal(entry.revocationReason, 1);
+    assert.equal(entry.reversed, false);
+    assert.equal(refundStats.count, 1);
+    assert.equal(refundStats.lastRefundDate, transaction.revocationDate);
+  });
+
+  it("REFUND_REVERSED → 환불 취소 표시, 환불 횟수 0", async () => {
+    const {user, transaction} = await purchaseAndSync();
+    transaction.revocationDate = Date.now();
+    await sendRefundNotification(NotificationTypeV2.REFUND, transaction);
+
+    delete transaction.revocationDate;
+    await sendRefundNotification(
+      NotificationTypeV2.REFUND_REVERSED, transaction);
+
+    const {entry, refundStats} = await getLedger(
+      user.uid, transaction.transactionId);
+    assert.equal(entry.reversed, true);
+    assert.equal(refundStats.count, 0);
+  });
+
+  it("환불 내역 조회 실패 → 알림의 거래만 기록", async () => {
+    const {user, transaction} = await purchaseAndSync();
+    transaction.revocationDate = Date.now();
+    const refundHistory = mock.method(iapClient, "getRefundHistory",
+      async () => ({success: false, error: "Service unavailable"}));
+
+    try {
+      const processed =
+        await sendRefundNotification(NotificationTypeV2.REFUND, transaction);
+      assert.equal(processed.outcome.refundLedger.synced, false);
+
+      const {entry, refundStats} = await getLedger(
+        user.uid, transaction.transactionId);
+      assert.equal(entry.transactionId, transaction.transactionId);
+      assert.equal(refundStats.count, 1);
+    } finally {
+      refundHistory.mock.restore();
+    }
+  });
+
+  describe("noTrialAfterRefund 정책", () => {
+    before(() => {
+      process.env.REFUND_POLICY_FLAGS = RefundPolicyFlag.NO_TRIAL_AFTER_REFUND;
+    });
+
+    after(() => {
+      delete process.env.REFUND_POLICY_FLAGS;
+    });
+
+    it("환불 이력이 있으면 새 무료 체험은 FREE", async () => {
+      const {user, transaction} = await purchaseAndSync();
+      transaction.revocationDate = Date.now() - 1000;
+      await sendRefundNotification(NotificationTypeV2.REFUND, transaction);
+
+      const trial = purchase(server, {offerType: 1});
+      const result = await sync({
+        data: {jwsRepresentation: trial.signedTransaction},
+        auth: user.auth,
+      });
+      assert.equal(result.entitlement, Entitlement.FREE);
+      assert.equal(result.subscriptionStatus, SubscriptionStatus.INACTIVE);
+      assert.equal(
+        (await getSubscriptionData(user.uid)).refundPolicyDenied, true);
+    });
+
+    it("구매자의 환불 이력은 가족 공유 구성원에게 기록하지 않음", async () => {
+      const {user, transaction} = await purchaseAndSync();
+      const member = await createTestUser();
+      await sync({
+        data: {
+          jwsRepresentation: server.signer.sign({
+            ...transaction,
+            inAppOwnershipType: InAppOwnershipType.FAMILY_SHARED,
+          }),
+        },
+        auth: member.auth,
+      });
+
+      transaction.revocationDate = Date.now() - 1000;
+      await sendRefundNotification(NotificationTypeV2.REFUND, transaction);
+
+      assert.equal((await getLedger(user.uid, transaction.transactionId))
+        .refundStats.count, 1);
+      const memberLedger =
+        await getLedger(member.uid, transaction.transactionId);
+      assert.equal(memberLedger.entry, undefined);
+      assert.equal(memberLedger.refundStats, undefined);
+
+      // 구성원 본인의 무료 체험은 그대로 허용
+      const trial = purchase(server, {offerType: 1});
+      const result = await sync({
+        data: {jwsRepresentation: trial.signedTransaction},
+        auth: member.auth,
+      });
+      assert.equal(result.entitlement, Entitlement.TRIAL);
+    });
+
+    it("환불 이력이 없으면 TRIAL", async () => {
+      const {result} = await purchaseAndSync({offerType: 1});
+      assert.equal(result.entitlement, Entitlement.TRIAL);
+    });
+  });
+});
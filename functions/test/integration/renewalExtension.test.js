@@ -0,0 +1,130 @@
+// 📁 functions/test/integration/renewalExtension.test.js
+// 🧪 구독 갱신일 연장 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  callWebhook,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {
+  Environment,
+  NotificationTypeV2,
+  Subtype,
+} = require("@apple/app-store-server-library");
+const {
+  adminExtendRenewalDate,
+  adminExtendRenewalDateForAll,
+  adminGetRenewalExtensionStatus,
+  appStoreNotifications,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {
+  RENEWAL_EXTENSION_COLLECTION,
+  RenewalExtensionState,
+} = require("../../src/utils/renewalExtensions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN_AUTH = {uid: "admin_1", token: {uid: "admin_1", admin: true}};
+
+describe("integration: renewal extension", {skip: SKIP_REASON}, () => {
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  const extendOne = functionsTest.wrap(adminExtendRenewalDate);
+  const extendAll = functionsTest.wrap(adminExtendRenewalDateForAll);
+  const getStatus = functionsTest.wrap(adminGetRenewalExtensionStatus);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  /**
+   * 🧾 구매 후 syncPurchaseInfo까지 완료된 사용자
+   * @return {Promise<object>} {user, transaction}
+   */
+  async function purchaseAndSync() {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server);
+    await sync({data: {jwsRepresentation: signedTransaction}, auth: user.auth});
+    return {user, transaction};
+  }
+
+  it("사용자 한 명 연장 → 요청 기록", async () => {
+    const {user, transaction} = await purchaseAndSync();
+    const originalExpiresDate = transaction.expiresDate;
+
+    const result = await extendOne({
+      data: {userId: user.uid, days: 3, reasonCode: "SERVICE_ISSUE_OR_OUTAGE"},
+      auth: ADMIN_AUTH,
+    });
+    assert.equal(result.effectiveDate, originalExpiresDate + 3 * DAY_MS);
+
+    const record = await admin.firestore()
+      .collection(RENEWAL_EXTENSION_COLLECTION)
+      .doc(result.requestIdentifier).get();
+    assert.equal(record.get("state"), RenewalExtensionState.COMPLETED);
+    assert.equal(record.get("userId"), user.uid);
+    assert.equal(record.get("extendReasonCode"), 3);
+  });
+
+  it("관리자가 아니면 거부", async () => {
+    const {user} = await purchaseAndSync();
+    await assert.rejects(extendOne({
+      data: {userId: user.uid, days: 3, reasonCode: 3},
+      auth: user.auth,
+    }), {code: "permission-denied"});
+  });
+
+  it("전체 구독자 연장 → 상태 조회 / SUMMARY 알림으로 완료", async () => {
+    await purchaseAndSync();
+    await purchaseAndSync();
+
+    const {requestIdentifier} = await extendAll({
+      data: {
+        productId: server.signer.buildTransaction().productId,
+        days: 5,
+        reasonCode: "SERVICE_ISSUE_OR_OUTAGE",
+        environment: Environment.SANDBOX,
+      },
+      auth: ADMIN_AUTH,
+    });
+
+    const {extension} = await getStatus({
+      data: {requestIdentifier},
+      auth: ADMIN_AUTH,
+    });
+    assert.equal(extension.state, RenewalExtensionState.COMPLETED);
+    assert.equal(extension.succeededCount, 2);
+    assert.equal(extension.lastStatusSource, "poll");
+
+    const notification = server.signer.buildNotification({
+      notificationType: NotificationTypeV2.RENEWAL_EXTENSION,
+      subtype: Subtype.SUMMARY,
+      overrides: {
+        summary: {
+          requestIdentifier,
+          succeededCount: 2,
+          failedCount: 0,
+        },
+      },
+    });
+    const response = await callWebhook(appStoreNotifications, {
+      body: {signedPayload: server.signer.sign(notification)},
+    });
+    assert.equal(response.status, 200);
+
+    const record = await admin.firestore()
+      .collection(RENEWAL_EXTENSION_COLLECTION).doc(requestIdentifier).get();
+    assert.equal(record.get("lastStatusSource"), "webhook");
+  });
+});
@@ -0,0 +1,247 @@
+// 📁 functions/test/integration/subscription.test.js
+// 🧪 subCheckSubscriptionStatus / syncPurchaseInfo 통합 테스트 (에뮬레이터)
+const {describe, it, before, after, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKIP_REASON,
+  functionsTest,
+  startMockAppStore,
+  stopMockAppStore,
+  clearFirestore,
+  createTestUser,
+  getSubscriptionData,
+  purchase,
+} = require("./helpers");
+const admin = require("firebase-admin");
+const {Environment} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../../src/shared/constant");
+const {
+  adminGrantPromotion,
+  subCheckSubscriptionStatus,
+  syncPurchaseInfo,
+} = require("../../src/index");
+const {TEST_ACCOUNT_COLLECTION} = require("../../src/utils/testAccounts");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN_AUTH = {uid: "admin_1", token: {uid: "admin_1", admin: true}};
+
+describe("integration: subscription callables", {skip: SKIP_REASON}, () => {
+  const checkStatus = functionsTest.wrap(subCheckSubscriptionStatus);
+  const sync = functionsTest.wrap(syncPurchaseInfo);
+  const grantPromotion = functionsTest.wrap(adminGrantPromotion);
+  let server;
+
+  before(async () => {
+    ({server} = await startMockAppStore());
+  });
+
+  after(() => stopMockAppStore(server));
+
+  beforeEach(() => clearFirestore());
+
+  /**
+   * 🧾 구매 후 syncPurchaseInfo까지 완료된 사용자
+   * @param {object} [overrides] - 트랜잭션 필드
+   * @return {Promise<object>} {user, transaction, result}
+   */
+  async function purchaseAndSync(overrides) {
+    const user = await createTestUser();
+    const {transaction, signedTransaction} = purchase(server, overrides);
+    const result = await sync({
+      data: {jwsRepresentation: signedTransaction},
+      auth: user.auth,
+    });
+    return {user, transaction, result};
+  }
+
+  describe("syncPurchaseInfo", () => {
+    it("유효한 JWS → PREMIUM / ACTIVE, 인덱스 연결", async () => {
+      const {user, transaction, result} = await purchaseAndSync();
+
+      assert.equal(result.success, true);
+      assert.equal(result.entitlement, Entitlement.PREMIUM);
+      assert.equal(result.subscriptionStatus, SubscriptionStatus.ACTIVE);
+      assert.equal(result.ownership, "linked");
+
+      const stored = await getSubscriptionData(user.uid);
+      assert.equal(stored.originalTransactionId,
+        transaction.originalTransactionId);
+      assert.equal(stored.environment, Environment.SANDBOX);
+
+      const index = await admin.firestore().collection("transactions")
+        .doc(transaction.originalTransactionId).get();
+      assert.deepEqual(index.get("userIds"), [user.uid]);
+    });
+
+    it("이전 소유자 문서가 삭제됨 → 새 소유자로 이전", async () => {
+      const {transaction, signedTransaction} = purchase(server);
+      const previousOwner = await createTestUser();
+      await sync({
+        data: {jwsRepresentation: signedTransaction},
+        auth: previousOwner.auth,
+      });
+      await admin.firestore().collection("users").doc(previousOwner.uid)
+        .delete();
+
+      const newOwner = await createTestUser();
+      const result = await sync({
+        data: {jwsRepresentation: signedTransaction},
+        auth: newOwner.auth,
+      });
+      assert.equal(result.ownership, "transferred");
+
+      const index = await admin.firestore().collection("transactions")
+        .doc(transaction.originalTransactionId).get();
+      assert.deepEqual(index.get("userIds"), [newOwner.uid]);
+      const previousDoc = await admin.firestore().collection("users")
+        .doc(previousOwner.uid).get();
+      assert.equal(previousDoc.exists, false);
+    });
+
+    it("서명이 잘못된 JWS → invalid-argument", async () => {
+      const user = await createTestUser();
+      await assert.rejects(
+        sync({data: {jwsRepresentation: "not.a.jws"}, auth: user.auth}),
+        {code: "invalid-argument"});
+    });
+
+    it("신뢰하지 않는 CA로 서명한 JWS → invalid-argument", async () => {
+      const user = await createTestUser();
+      const {MockAppStoreSigner} = require("../mockAppStore/signer");
+      const forged = new MockAppStoreSigner().signTransaction();
+      await assert.rejects(
+        sync({data: {jwsRepresentation: forged}, auth: user.auth}),
+        {code: "invalid-argument"});
+    });
+
+    it("환불된 JWS → FREE / REFUNDED", async () => {
+      const {result} = await purchaseAndSync({revocationDate: Date.now()});
+      assert.equal(result.entitlement, Entitlement.FREE);
+      assert.equal(result.subscriptionStatus, SubscriptionStatus.REFUNDED);
+    });
+
+    it("무료 체험 JWS → TRIAL", async () => {
+      const {user, result} = await purchaseAndSync({offerType: 1});
+      assert.equal(result.entitlement, Entitlement.TRIAL);
+      assert.equal((await getSubscriptionData(user.uid)).hasUsedTrial, true);
+    });
+
+    it("만료된 JWS → FREE / EXPIRED", async () => {
+      const purchaseDate = Date.now() - 40 * DAY_MS;
+      const {result} = await purchaseAndSync({
+        purchaseDate,
+        expiresDate: purchaseDate + 30 * DAY_MS,
+      });
+      assert.equal(result.entitlement, Entitlement.FREE);
+      assert.equal(result.subscriptionStatus, SubscriptionStatus.EXPIRED);
+    });
+
+    it("유효한 프로모션 → 만료된 JWS로 덮어쓰지 않음", async () => {
+      const purchaseDate = Date.now() - 40 * DAY_MS;
+      const expired = {purchaseDate, expiresDate: purchaseDate + 30 * DAY_MS};
+      const {user} = await purchaseAndSync(expired);
+      await grantPromotion({
+        data: {userId: user.uid, days: 7, reason: "장애 보상"},
+        auth: ADMIN_AUTH,
+      });
+
+      const {signedTransaction} = purchase(server, expired);
+      const result = await sync({
+        data: {jwsRepresentation: signedTransaction},
+        auth: user.auth,
+      });
+      assert.equal(result.entitlement, Entitlement.PREMIUM);
+      assert.equal(result.subscriptionStatus, SubscriptionStatus.PROMOTION);
+
+      const stored = await getSubscriptionData(user.uid);
+      assert.equal(stored.subscriptionStatus, SubscriptionStatus.PROMOTION);
+      assert.equal(stored.lastUpdateSource, "adminPromotion");
+    });
+
+    it("인증 없음 → unauthenticated", async () => {
+      await assert.rejects(sync({data: {jwsRepresentation: "x"}}),
+        {code: "unauthenticated"});
+    });
+  });
+
+  describe("subCheckSubscriptionStatus", () => {
+    it("테스트 계정 → 시나리오 반환", async () => {
+      const email = `qa-${Date.now()}@pikabook.com`;
+      await admin.firestore().collection(TEST_ACCOUNT_COLLECTION).doc(email)
+        .set({
+          entitlement: Entitlement.TRIAL,
+          subscriptionStatus: SubscriptionStatus.CANCELLED,
+          expiresInDays: 3,
+        });
+      const user = await createTestUser({email});
+
+      const result = await checkStatus({data: {}, auth: user.auth});
+      assert.equal(result.dataSource, "test-account");
+      assert.equal(result.subscription.entitlement, Entitlement.TRIAL);
+      assert.ok(Math.abs(result.subscription.expiresDate -
+        (Date.now() + 3 * DAY_MS)) < 60 * 1000);
+    });
+
+    it("최근 데이터 → Firestore 캐시 반환", async () => {
+      const {user} = await purchaseAndSync();
+      const result = await checkStatus({data: {}, auth: user.auth});
+      assert.equal(result.dataSource, "firestore");
+      assert.equal(result.isStale, false);
+      assert.equal(result.subscription.entitlement, Entitlement.PREMIUM);
+    });
+
+    it("오래된 데이터 → App Store에서 갱신", async () => {
+      const {user, transaction} = await purchaseAndSync();
+
+      // 자동 갱신 해제 후 캐시 시각을 20분 전으로
+      server.findSubscription(Environment.SANDBOX,
+        transaction.originalTransactionId).renewalInfo =
+        server.signer.buildRenewalInfo(transaction, {autoRenewStatus: 0});
+      await admin.firestore().collection("users").doc(user.uid).update({
+        "subscriptionData.lastUpdatedAt":
+          admin.firestore.Timestamp.fromMillis(Date.now() - 20 * 60 * 1000),
+      });
+
+      const result = await checkStatus({data: {}, auth: user.auth});
+      assert.equal(result.dataSource, "app-store-api");
+      assert.equal(result.subscription.subscriptionStatus,
+        SubscriptionStatus.CANCELLED);
+      assert.equal(result.subscription.lastUpdateSource,
+        "checkSubscriptionStatus");
+    });
+
+    it("만료된 구독에 부여한 프로모션 → 갱신하지 않고 유지", async () => {
+      const purchaseDate = Date.now() - 40 * DAY_MS;
+      const {user} = await purchaseAndSync({
+        purchaseDate,
+        expiresDate: purchaseDate + 30 * DAY_MS,
+      });
+      await grantPromotion({
+        data: {userId: user.uid, days: 7, reason: "장애 보상"},
+        auth: ADMIN_AUTH,
+      });
+      await admin.firestore().collection("users").doc(user.uid).update({
+        "subscriptionData.lastUpdatedAt":
+          admin.firestore.Timestamp.fromMillis(Date.now() - 20 * 60 * 1000),
+      });
+
+      const result = await checkStatus({data: {}, auth: user.auth});
+      assert.equal(result.dataSource, "firestore");
+      assert.equal(result.subscription.entitlement, Entitlement.PREMIUM);
+      assert.equal(result.subscription.subscriptionStatus,
+        SubscriptionStatus.PROMOTION);
+
+      const stored = await getSubscriptionData(user.uid);
+      assert.equal(stored.entitlement, Entitlement.PREMIUM);
+      assert.equal(stored.lastUpdateSource, "adminPromotion");
+    });
+
+    it("구매 정보 없음 → UNVERIFIED", async () => {
+      const user = await createTestUser();
+      const result = await checkStatus({data: {}, auth: user.auth});
+      assert.equal(result.dataSource, "unverified-firestore");
+      assert.equal(result.subscription.subscriptionStatus,
+        SubscriptionStatus.UNVERIFIED);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// 📁 functions/test/mockAppStore.test.js
+// 🧪 로컬 App Store 대역(서명기 / Server API) 자체 테스트
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AppStoreServerAPIClient,
+  Environment,
+  SignedDataVerifier,
+  VerificationStatus,
+} = require("@apple/app-store-server-library");
+const {
+  MockAppStoreSigner,
+  createApiSigningKey,
+} = require("./mockAppStore/signer");
+const {MockAppStoreServer} = require("./mockAppStore/server");
+
+const signer = new MockAppStoreSigner();
+const rootCertificates = [Buffer.from(signer.rootCertificateBase64, "base64")];
+
+/**
+ * 🔐 테스트 CA를 신뢰하는 검증기 (온라인 검사 없음)
+ * @param {string} environment - Environment 값
+ * @return {SignedDataVerifier} 검증기
+ */
+function createVerifier(environment) {
+  return new SignedDataVerifier(rootCertificates, false, environment,
+    signer.bundleId, signer.appAppleId);
+}
+
+describe("MockAppStoreSigner", () => {
+  it("서명한 트랜잭션 / 갱신 정보 / 알림이 검증됨", async () => {
+    const verifier = createVerifier(Environment.SANDBOX);
+    const transaction = signer.buildTransaction();
+
+    const decodedTransaction =
+      await verifier.verifyAndDecodeTransaction(signer.sign(transaction));
+    assert.equal(decodedTransaction.transactionId, transaction.transactionId);
+
+    const decodedRenewalInfo = await verifier.verifyAndDecodeRenewalInfo(
+      signer.signRenewalInfo(transaction));
+    assert.equal(decodedRenewalInfo.autoRenewStatus, 1);
+
+    const decodedNotification = await verifier.verifyAndDecodeNotification(
+      signer.signNotification({notificationType: "DID_RENEW", transaction}));
+    assert.equal(decodedNotification.notificationType, "DID_RENEW");
+  });
+
+  it("다른 환경 검증기는 INVALID_ENVIRONMENT", async () => {
+    const verifier = createVerifier(Environment.PRODUCTION);
+    await assert.rejects(
+      verifier.verifyAndDecodeTransaction(signer.signTransaction()),
+      (error) => error.status === VerificationStatus.INVALID_ENVIRONMENT);
+  });
+
+  it("다른 CA로 서명하면 검증 실패", async () => {
+    const otherSigner = new MockAppStoreSigner();
+    await assert.rejects(createVerifier(Environment.SANDBOX)
+      .verifyAndDecodeTransaction(otherSigner.signTransaction()));
+  });
+});
+
+describe("MockAppStoreServer", () => {
+  const {privateKeyBase64, publicKeyPem} = createApiSigningKey();
+  const server = new MockAppStoreServer({
+    signer,
+    apiPublicKeyPem: publicKeyPem,
+    pageSize: 2,
+  });
+  let client;
+
+  before(async () => {
+    const baseUrl = await server.listen();
+    client = new AppStoreServerAPIClient(
+      Buffer.from(privateKeyBase64, "base64").toString("utf8"),
+      "MOCKKEY123", "00000000-0000-0000-0000-000000000000",
+      signer.bundleId, Environment.SANDBOX);
+    client.urlBase = `${baseUrl}/${Environment.SANDBOX}`;
+  });
+
+  after(() => server.close());
+
+  it("거래 내역을 페이지 단위로 반환", async () => {
+    const first = server.addTransaction(signer.buildTransaction());
+    for (let i = 1; i < 3; i++) {
+      server.addTransaction(signer.buildTransaction({
+        originalTransactionId: first.originalTransactionId,
+        purchaseDate: first.purchaseDate + i,
+      }));
+    }
+
+    const page = await client.getTransactionHistory(
+      first.originalTransactionId, null, {});
+    assert.equal(page.signedTransactions.length, 2);
+    assert.equal(page.hasMore, true);
+
+    const next = await client.getTransactionHistory(
+      first.originalTransactionId, page.revision, {});
+    assert.equal(next.signedTransactions.length, 1);
+    assert.equal(next.hasMore, false);
+  });
+
+  it("알림 내역을 기간 / 실패 여부로 걸러 페이지 단위로 반환", async () => {
+    const now = Date.now();
+    for (const sendAttemptResult of ["SUCCESS", "NO_RESPONSE", "TIMED_OUT"]) {
+      server.addNotificationHistory(signer.buildNotification({
+        notificationType: "DID_RENEW",
+        transaction: signer.buildTransaction(),
+      }), {sendAttemptResult});
+    }
+    const request = {startDate: now - 60 * 1000, endDate: now + 60 * 1000};
+
+    const page = await client.getNotificationHistory(null, request);
+    assert.equal(page.notificationHistory.length, 2);
+    assert.equal(page.hasMore, true);
+
+    const next = await client.getNotificationHistory(
+      page.paginationToken, request);
+    assert.equal(next.notificationHistory.length, 1);
+    assert.equal(next.hasMore, false);
+
+    const failures = await client.getNotificationHistory(null,
+      {...request, onlyFailures: true});
+    assert.equal(failures.notificationHistory.length, 2);
+  });
+
+  it("등록되지 않은 거래는 TRANSACTION_ID_NOT_FOUND", async () => {
+    await assert.rejects(client.getTransactionInfo("missing"),
+      (error) => error.apiError === 4040010);
+  });
+
+  it("다른 키로 서명한 토큰은 401", async () => {
+    const otherKey = createApiSigningKey().privateKeyBase64;
+    const otherClient = new AppStoreServerAPIClient(
+      Buffer.from(otherKey, "base64").toString("utf8"),
+      "MOCKKEY123", "00000000-0000-0000-0000-000000000000",
+      signer.bundleId, Environment.SANDBOX);
+    otherClient.urlBase = client.urlBase;
+    await assert.rejects(otherClient.getTransactionInfo("missing"),
+      (error) => error.httpStatusCode === 401);
+  });
+});
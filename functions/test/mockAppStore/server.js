@@ -0,0 +1,542 @@
+// 📁 functions/test/mockAppStore/server.js
+// 🧪 로컬 테스트용 App Store Server API 대역 (에뮬레이터 / 통합 테스트)
+//
+// InAppPurchaseClient가 사용하는 엔드포인트를 환경별 경로로 제공합니다.
+//   {baseUrl}/{Production|Sandbox}/inApps/...
+// APP_STORE_API_BASE_URL을 baseUrl로 설정하면 클라이언트가 이 서버를 호출합니다.
+// 등록되지 않은 거래는 Apple과 같은 오류 코드(4040010)로 응답하므로
+// 프로덕션 → 샌드박스 재시도도 그대로 재현됩니다.
+//
+// 단독 실행: node test/mockAppStore/server.js [port] [--write]
+//   --write: 에뮬레이터용 .secret.local / .env.local 파일 생성
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const {
+  APIError,
+  Environment,
+  OrderLookupStatus,
+  SendAttemptResult,
+  Status,
+} = require("@apple/app-store-server-library");
+const {MockAppStoreSigner, createApiSigningKey} = require("./signer");
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_PAGE_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 🧪 App Store Server API 대역 서버
+ *
+ * 거래는 환경별로 originalTransactionId 단위로 저장하며,
+ * 응답 시점에 signer로 서명하므로 signedDate는 항상 현재 시각입니다.
+ */
+class MockAppStoreServer {
+  /**
+   * @param {object} [options] - 서버 옵션
+   * @param {MockAppStoreSigner} [options.signer] - JWS 서명기
+   * @param {string} [options.apiPublicKeyPem] - Bearer 토큰 검증용 공개키
+   * @param {number} [options.pageSize] - 거래 내역 페이지 크기
+   */
+  constructor({
+    signer = new MockAppStoreSigner(),
+    apiPublicKeyPem = null,
+    pageSize = DEFAULT_PAGE_SIZE,
+  } = {}) {
+    this.signer = signer;
+    this.apiPublicKeyPem = apiPublicKeyPem;
+    this.pageSize = pageSize;
+    this.requests = []; // 테스트에서 호출 내역 확인용
+    this._subscriptions = {
+      [Environment.PRODUCTION]: new Map(),
+      [Environment.SANDBOX]: new Map(),
+    };
+    this._orders = new Map();
+    this._massExtensions = new Map();
+    this._notifications = {
+      [Environment.PRODUCTION]: [],
+      [Environment.SANDBOX]: [],
+    };
+    this._server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * ➕ 거래 등록 (같은 originalTransactionId면 갱신 거래로 추가)
+   * @param {object} transaction - 디코딩된 트랜잭션 (signer.buildTransaction)
+   * @param {object} [options] - 추가 옵션
+   * @param {object} [options.renewalInfo] - 디코딩된 갱신 정보
+   * @param {number} [options.status] - 구독 상태 (Status 값, 기본값 ACTIVE)
+   * @return {object} 등록된 트랜잭션
+   */
+  addTransaction(transaction, {renewalInfo, status = Status.ACTIVE} = {}) {
+    const subscriptions = this._subscriptions[transaction.environment];
+    const existing = subscriptions.get(transaction.originalTransactionId);
+    subscriptions.set(transaction.originalTransactionId, {
+      transactions: [...(existing?.transactions || []), transaction],
+      renewalInfo: renewalInfo || existing?.renewalInfo ||
+        this.signer.buildRenewalInfo(transaction),
+      status,
+    });
+    return transaction;
+  }
+
+  /**
+   * 🧾 주문 ID 등록 (Look Up Order ID 응답용)
+   * @param {string} orderId - 영수증 Order ID
+   * @param {Array<string>} transactionIds - 주문에 포함된 거래 ID 목록
+   */
+  addOrder(orderId, transactionIds) {
+    this._orders.set(orderId, transactionIds);
+  }
+
+  /**
+   * 📬 알림 내역 등록 (Get Notification History 응답용)
+   * 웹훅으로 전송하지 못한 알림을 재현할 때 사용합니다.
+   * @param {object} notification - signer.buildNotification 결과
+   * @param {object} [options] - 추가 옵션
+   * @param {string} [options.sendAttemptResult] - 전송 결과
+   *   (SendAttemptResult 값, 기본값 NO_RESPONSE)
+   * @return {object} 등록된 알림
+   */
+  addNotificationHistory(notification,
+    {sendAttemptResult = SendAttemptResult.NO_RESPONSE} = {}) {
+    this._notifications[notification.data.environment].push({
+      notification,
+      sendAttempts: [{
+        attemptDate: notification.signedDate,
+        sendAttemptResult,
+      }],
+    });
+    return notification;
+  }
+
+  /**
+   * 🔍 거래 ID(원본 또는 개별)로 구독 찾기
+   * @param {string} environment - Environment 값
+   * @param {string} transactionId - 거래 ID
+   * @return {object|null} 저장된 구독
+   */
+  findSubscription(environment, transactionId) {
+    const subscriptions = this._subscriptions[environment];
+    if (!subscriptions) return null;
+    if (subscriptions.has(transactionId)) {
+      return subscriptions.get(transactionId);
+    }
+    for (const subscription of subscriptions.values()) {
+      if (subscription.transactions.some(
+        (transaction) => transaction.transactionId === transactionId)) {
+        return subscription;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 🚀 서버 시작
+   * @param {number} [port] - 포트 (0이면 임의 포트)
+   * @return {Promise<string>} baseUrl
+   */
+  listen(port = 0) {
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve) => {
+      this._server.listen(port, "127.0.0.1", () => {
+        this.baseUrl = `http://127.0.0.1:${this._server.address().port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * 🛑 서버 종료
+   * @return {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (!this._server) return resolve();
+      this._server.close(() => resolve());
+    });
+  }
+
+  /**
+   * 📮 요청 처리
+   * @param {http.IncomingMessage} req - 요청
+   * @param {http.ServerResponse} res - 응답
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const body = await readJsonBody(req);
+    this.requests.push({method: req.method, path: url.pathname, body});
+
+    try {
+      // 🧪 테스트 보조 엔드포인트 (Apple API 아님)
+      if (url.pathname.startsWith("/__mock/")) {
+        return sendJson(res, 200, this._handleMockRoute(url.pathname, body));
+      }
+
+      if (!this._isAuthorized(req.headers.authorization)) {
+        return sendJson(res, 401, {});
+      }
+
+      const match = /^\/(Production|Sandbox)(\/inApps\/.*)$/
+        .exec(url.pathname);
+      if (!match) {
+        return sendJson(res, 404, {});
+      }
+      const [, environment, apiPath] = match;
+      const {statusCode, payload} =
+        this._handleApiRoute(environment, req.method, apiPath, url, body);
+      return sendJson(res, statusCode, payload);
+    } catch (error) {
+      console.error("❌ [MockAppStore] 요청 처리 실패:", error);
+      return sendJson(res, 500, {
+        errorCode: APIError.GENERAL_INTERNAL,
+        errorMessage: error.message,
+      });
+    }
+  }
+
+  /**
+   * 🔐 Bearer 토큰 확인 (공개키가 있으면 서명까지 검증)
+   * @param {string} authorization - Authorization 헤더
+   * @return {boolean} 인증 여부
+   */
+  _isAuthorized(authorization) {
+    const token = /^Bearer (.+)$/.exec(authorization || "")?.[1];
+    if (!token) return false;
+    if (!this.apiPublicKeyPem) return true;
+
+    try {
+      jwt.verify(token, this.apiPublicKeyPem, {algorithms: ["ES256"]});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 🍎 App Store Server API 엔드포인트
+   * @param {string} environment - Environment 값
+   * @param {string} method - HTTP 메서드
+   * @param {string} apiPath - /inApps/... 경로
+   * @param {URL} url - 요청 URL (쿼리 파라미터)
+   * @param {object} body - 요청 본문
+   * @return {object} {statusCode, payload}
+   */
+  _handleApiRoute(environment, method, apiPath, url, body) {
+    const notFound = {
+      statusCode: 404,
+      payload: {
+        errorCode: APIError.TRANSACTION_ID_NOT_FOUND,
+        errorMessage: "Transaction id not found.",
+      },
+    };
+    const common = {
+      environment,
+      bundleId: this.signer.bundleId,
+      appAppleId: this.signer.appAppleId,
+    };
+
+    let match;
+    if (method === "GET" &&
+        (match = /^\/inApps\/v[12]\/history\/([^/]+)$/.exec(apiPath))) {
+      const subscription = this.findSubscription(environment, match[1]);
+      if (!subscription) return notFound;
+
+      const start = parseInt(url.searchParams.get("revision")) || 0;
+      const page = subscription.transactions
+        .slice(start, start + this.pageSize);
+      const next = start + page.length;
+      return {statusCode: 200, payload: {
+        ...common,
+        revision: String(next),
+        hasMore: next < subscription.transactions.length,
+        signedTransactions: page.map((item) => this.signer.sign(item)),
+      }};
+    }
+
+    // 환불 내역은 revocationDate가 있는 거래만 (고객 단위 대신 구독 단위로 재현)
+    if (method === "GET" &&
+        (match = /^\/inApps\/v2\/refund\/lookup\/([^/]+)$/.exec(apiPath))) {
+      const subscription = this.findSubscription(environment, match[1]);
+      if (!subscription) return notFound;
+
+      const refunded = subscription.transactions
+        .filter((item) => item.revocationDate);
+      const start = parseInt(url.searchParams.get("revision")) || 0;
+      const page = refunded.slice(start, start + this.pageSize);
+      const next = start + page.length;
+      return {statusCode: 200, payload: {
+        revision: String(next),
+        hasMore: next < refunded.length,
+        signedTransactions: page.map((item) => this.signer.sign(item)),
+      }};
+    }
+
+    if (method === "GET" &&
+        (match = /^\/inApps\/v1\/transactions\/([^/]+)$/.exec(apiPath))) {
+      const subscription = this.findSubscription(environment, match[1]);
+      const transaction = subscription?.transactions.find(
+        (item) => item.transactionId === match[1]) ||
+        subscription?.transactions[subscription.transactions.length - 1];
+      if (!transaction) return notFound;
+
+      return {statusCode: 200, payload: {
+        signedTransactionInfo: this.signer.sign(transaction),
+      }};
+    }
+
+    if (method === "GET" &&
+        (match = /^\/inApps\/v1\/subscriptions\/([^/]+)$/.exec(apiPath))) {
+      const subscription = this.findSubscription(environment, match[1]);
+      if (!subscription) return notFound;
+
+      const lastTransaction =
+        subscription.transactions[subscription.transactions.length - 1];
+      return {statusCode: 200, payload: {
+        ...common,
+        data: [{
+          subscriptionGroupIdentifier:
+            lastTransaction.subscriptionGroupIdentifier,
+          lastTransactions: [{
+            status: subscription.status,
+            originalTransactionId: lastTransaction.originalTransactionId,
+            signedTransactionInfo: this.signer.sign(lastTransaction),
+            signedRenewalInfo: this.signer.sign(subscription.renewalInfo),
+          }],
+        }],
+      }};
+    }
+
+    if (method === "GET" &&
+        (match = /^\/inApps\/v1\/lookup\/([^/]+)$/.exec(apiPath))) {
+      const transactionIds = this._orders.get(match[1]);
+      const transactions = (transactionIds || [])
+        .map((id) => this.findSubscription(environment, id)?.transactions
+          .find((item) => item.transactionId === id))
+        .filter(Boolean);
+      return {statusCode: 200, payload: {
+        status: transactions.length > 0 ?
+          OrderLookupStatus.VALID : OrderLookupStatus.INVALID,
+        signedTransactions:
+          transactions.map((item) => this.signer.sign(item)),
+      }};
+    }
+
+    if (method === "PUT" && (match =
+        /^\/inApps\/v1\/subscriptions\/extend\/(\d+)$/.exec(apiPath))) {
+      const subscription = this.findSubscription(environment, match[1]);
+      if (!subscription) return notFound;
+
+      const lastTransaction =
+        subscription.transactions[subscription.transactions.length - 1];
+      lastTransaction.expiresDate += body.extendByDays * DAY_MS;
+      return {statusCode: 200, payload: {
+        originalTransactionId: lastTransaction.originalTransactionId,
+        webOrderLineItemId: lastTransaction.webOrderLineItemId,
+        success: true,
+        effectiveDate: lastTransaction.expiresDate,
+      }};
+    }
+
+    // 전송된 소비 정보는 requests에서 확인 (Apple처럼 동의 없으면 거부)
+    if (method === "PUT" && (match =
+        /^\/inApps\/v1\/transactions\/consumption\/(\d+)$/.exec(apiPath))) {
+      if (!this.findSubscription(environment, match[1])) return notFound;
+      if (body?.customerConsented !== true) {
+        return {statusCode: 400, payload: {
+          errorCode: APIError.INVALID_CUSTOMER_CONSENTED,
+          errorMessage: "Invalid request. The customer consented field " +
+            "is required and must indicate the customer consented.",
+        }};
+      }
+      return {statusCode: 202, payload: {}};
+    }
+
+    if (method === "POST" &&
+        apiPath === "/inApps/v1/subscriptions/extend/mass") {
+      // 요청 즉시 대상 구독을 연장하고 완료 상태로 기록
+      let succeededCount = 0;
+      for (const subscription of this._subscriptions[environment].values()) {
+        const lastTransaction =
+          subscription.transactions[subscription.transactions.length - 1];
+        if (lastTransaction.productId === body.productId &&
+            lastTransaction.expiresDate > Date.now()) {
+          lastTransaction.expiresDate += body.extendByDays * DAY_MS;
+          succeededCount++;
+        }
+      }
+      this._massExtensions.set(body.requestIdentifier, {
+        requestIdentifier: body.requestIdentifier,
+        complete: true,
+        completeDate: Date.now(),
+        succeededCount,
+        failedCount: 0,
+      });
+      return {statusCode: 200, payload: {
+        requestIdentifier: body.requestIdentifier,
+      }};
+    }
+
+    if (method === "GET" && (match =
+        /^\/inApps\/v1\/subscriptions\/extend\/mass\/[^/]+\/([^/]+)$/
+          .exec(apiPath))) {
+      const status = this._massExtensions.get(match[1]);
+      if (!status) return {statusCode: 404, payload: {}};
+      return {statusCode: 200, payload: status};
+    }
+
+    if (method === "POST" && apiPath === "/inApps/v1/notifications/history") {
+      const matches = this._notifications[environment].filter((item) =>
+        item.notification.signedDate >= body.startDate &&
+        item.notification.signedDate < body.endDate &&
+        (!body.onlyFailures || item.sendAttempts.some((attempt) =>
+          attempt.sendAttemptResult !== SendAttemptResult.SUCCESS)));
+
+      const start = parseInt(url.searchParams.get("paginationToken")) || 0;
+      const page = matches.slice(start, start + this.pageSize);
+      const next = start + page.length;
+      return {statusCode: 200, payload: {
+        notificationHistory: page.map((item) => ({
+          signedPayload: this.signer.sign(item.notification),
+          sendAttempts: item.sendAttempts,
+        })),
+        hasMore: next < matches.length,
+        paginationToken: String(next),
+      }};
+    }
+
+    return {statusCode: 404, payload: {}};
+  }
+
+  /**
+   * 🧪 테스트 보조 엔드포인트 (에뮬레이터에서 JWS를 받아 쓰기 위함)
+   * - POST /__mock/transactions {overrides, renewalInfo, status}
+   *   → 거래 등록 후 {transaction, signedTransaction}
+   * - POST /__mock/notifications {notificationType, subtype,
+   *   originalTransactionId, environment}
+   *   → 마지막 거래를 담은 {signedPayload}
+   * @param {string} pathname - 요청 경로
+   * @param {object} body - 요청 본문
+   * @return {object} 응답 본문
+   */
+  _handleMockRoute(pathname, body) {
+    if (pathname === "/__mock/transactions") {
+      const transaction = this.addTransaction(
+        this.signer.buildTransaction(body.overrides), {
+          renewalInfo: body.renewalInfo,
+          status: body.status,
+        });
+      return {transaction, signedTransaction: this.signer.sign(transaction)};
+    }
+
+    if (pathname === "/__mock/notifications") {
+      const environment = body.environment || Environment.SANDBOX;
+      const subscription =
+        this.findSubscription(environment, body.originalTransactionId);
+      const transaction = subscription?.transactions[
+        subscription.transactions.length - 1];
+      return {
+        signedPayload: this.signer.signNotification({
+          notificationType: body.notificationType,
+          subtype: body.subtype,
+          transaction,
+          renewalInfo: subscription?.renewalInfo,
+          environment,
+        }),
+      };
+    }
+
+    throw new Error("Unknown mock route: " + pathname);
+  }
+}
+
+/**
+ * 📥 JSON 요청 본문 읽기 (없으면 빈 객체)
+ * @param {http.IncomingMessage} req - 요청
+ * @return {Promise<object>} 파싱된 본문
+ */
+async function readJsonBody(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * 📤 JSON 응답
+ * @param {http.ServerResponse} res - 응답
+ * @param {number} statusCode - HTTP 상태 코드
+ * @param {object} payload - 응답 본문
+ */
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, {"Content-Type": "application/json"});
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * ⚙️ InAppPurchaseClient를 대역 서버/서명기로 향하게 하는 설정값
+ * (.secret.local의 시크릿과 .env.local의 파라미터)
+ * @param {MockAppStoreServer} server - 실행 중인 대역 서버
+ * @param {string} privateKeyBase64 - API 인증용 개인키
+ * @return {object} {secrets, params}
+ */
+function buildClientConfig(server, privateKeyBase64) {
+  const root = server.signer.rootCertificateBase64;
+  return {
+    secrets: {
+      APP_STORE_KEY_ID: "MOCKKEY123",
+      APP_STORE_ISSUER_ID: "00000000-0000-0000-0000-000000000000",
+      APP_STORE_BUNDLE_ID: server.signer.bundleId,
+      APP_STORE_PRIVATE_KEY_BASE64: privateKeyBase64,
+      APP_STORE_ENVIRONMENT: "sandbox",
+      APPLE_ROOT_CA_G1_BASE64: root,
+      APPLE_ROOT_CA_G2_BASE64: root,
+      APPLE_ROOT_CA_G3_BASE64: root,
+    },
+    params: {
+      APP_STORE_APP_APPLE_ID: String(server.signer.appAppleId),
+      APP_STORE_API_BASE_URL: server.baseUrl,
+      APP_STORE_ONLINE_CHECKS: "false",
+    },
+  };
+}
+
+/**
+ * 📝 KEY=VALUE 형식 문자열
+ * @param {object} values - 설정값
+ * @return {string} dotenv 형식
+ */
+function toDotenv(values) {
+  return Object.entries(values)
+    .map(([key, value]) => `${key}=${value}`).join("\n") + "\n";
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+  const {privateKeyBase64, publicKeyPem} = createApiSigningKey();
+  const server = new MockAppStoreServer({apiPublicKeyPem: publicKeyPem});
+
+  server.listen(port).then((baseUrl) => {
+    const {secrets, params} = buildClientConfig(server, privateKeyBase64);
+    console.log(`🧪 Mock App Store Server API: ${baseUrl}`);
+
+    if (process.argv.includes("--write")) {
+      const functionsDir = path.join(__dirname, "..", "..");
+      fs.writeFileSync(
+        path.join(functionsDir, ".secret.local"), toDotenv(secrets));
+      fs.writeFileSync(path.join(functionsDir, ".env.local"), toDotenv(params));
+      console.log("📝 .secret.local / .env.local 작성 완료 (에뮬레이터 재시작 필요)");
+    } else {
+      console.log("\n# .secret.local\n" + toDotenv(secrets));
+      console.log("# .env.local\n" + toDotenv(params));
+    }
+  });
+}
+
+module.exports = {
+  MockAppStoreServer,
+  buildClientConfig,
+};
@@ -0,0 +1,300 @@
+// 📁 functions/test/mockAppStore/signer.js
+// 🔏 로컬 테스트용 App Store 서명 도구 (가짜 루트 CA → 중간 CA → 리프)
+//
+// SignedDataVerifier가 요구하는 3단계 인증서 체인과 Apple 전용 확장(OID)을
+// 갖춘 인증서를 생성하고, 트랜잭션/갱신 정보/알림 페이로드를 ES256 JWS로 서명합니다.
+// 루트 인증서를 APPLE_ROOT_CA_G*_BASE64로 설정하고 온라인 검사(OCSP)를 끄면
+// InAppPurchaseClient가 실제 Apple 서명과 동일하게 검증합니다.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {KJUR, KEYUTIL} = require("jsrsasign");
+const {Environment} = require("@apple/app-store-server-library");
+
+// SignedDataVerifier가 확인하는 Apple 인증서 확장
+const APPLE_INTERMEDIATE_OID = "1.2.840.113635.100.6.2.1";
+const APPLE_LEAF_OID = "1.2.840.113635.100.6.11.1";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BUNDLE_ID = "com.pikabook.app";
+const DEFAULT_APP_APPLE_ID = 1234567890;
+const DEFAULT_PRODUCT_ID = "com.pikabook.premium.monthly";
+
+/**
+ * 📅 jsrsasign 인증서 날짜 형식 (YYYYMMDDHHmmssZ)
+ * @param {number} time - 시각 (ms)
+ * @return {string} GeneralizedTime 문자열
+ */
+function toCertificateTime(time) {
+  return new Date(time).toISOString().replace(/[-:T]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * 📜 인증서 하나 생성
+ * @param {object} options - 인증서 옵션
+ * @return {object} {pem, base64, keyPair}
+ */
+function issueCertificate({subject, issuer, keyPair, issuerKey, isCA, oid,
+  serial, validFrom, validTo}) {
+  const ext = [
+    {extname: "basicConstraints", critical: true, cA: isCA},
+    {extname: "keyUsage", critical: true,
+      names: isCA ? ["keyCertSign", "cRLSign"] : ["digitalSignature"]},
+  ];
+  if (oid) {
+    ext.push({extname: oid, extn: "0500"}); // 값은 NULL
+  }
+
+  const certificate = new KJUR.asn1.x509.Certificate({
+    version: 3,
+    serial: {int: serial},
+    issuer: {str: issuer},
+    subject: {str: subject},
+    notbefore: toCertificateTime(validFrom),
+    notafter: toCertificateTime(validTo),
+    sbjpubkey: keyPair.pubKeyObj,
+    ext,
+    sigalg: "SHA256withECDSA",
+    cakey: issuerKey,
+  });
+
+  const pem = certificate.getPEM();
+  const base64 = pem.replace(/-----[^-]+-----/g, "").replace(/\s/g, "");
+  return {pem, base64, keyPair};
+}
+
+/**
+ * 🏛️ 테스트용 루트 CA / 중간 CA / 리프 인증서 체인 생성
+ * @param {object} [options] - 생성 옵션
+ * @param {number} [options.validFrom] - 유효 기간 시작 (기본값 1년 전)
+ * @param {number} [options.validTo] - 유효 기간 종료 (기본값 10년 후)
+ * @return {object} {root, intermediate, leaf}
+ */
+function createTestCertificateChain({
+  validFrom = Date.now() - 365 * DAY_MS,
+  validTo = Date.now() + 10 * 365 * DAY_MS,
+} = {}) {
+  const rootKey = KEYUTIL.generateKeypair("EC", "secp256r1");
+  const intermediateKey = KEYUTIL.generateKeypair("EC", "secp256r1");
+  const leafKey = KEYUTIL.generateKeypair("EC", "secp256r1");
+
+  const rootName = "/CN=Pikabook Test Root CA/O=Pikabook Test";
+  const intermediateName =
+    "/CN=Pikabook Test WWDR Intermediate/O=Pikabook Test";
+
+  const root = issueCertificate({
+    subject: rootName, issuer: rootName, keyPair: rootKey,
+    issuerKey: rootKey.prvKeyObj, isCA: true, serial: 1, validFrom, validTo,
+  });
+  const intermediate = issueCertificate({
+    subject: intermediateName, issuer: rootName, keyPair: intermediateKey,
+    issuerKey: rootKey.prvKeyObj, isCA: true, oid: APPLE_INTERMEDIATE_OID,
+    serial: 2, validFrom, validTo,
+  });
+  const leaf = issueCertificate({
+    subject: "/CN=Pikabook Test App Store Signer/O=Pikabook Test",
+    issuer: intermediateName, keyPair: leafKey,
+    issuerKey: intermediateKey.prvKeyObj, isCA: false, oid: APPLE_LEAF_OID,
+    serial: 3, validFrom, validTo,
+  });
+
+  return {root, intermediate, leaf};
+}
+
+/**
+ * 🔑 App Store Server API 인증용 개인키 생성 (PKCS#8 PEM의 base64)
+ * APP_STORE_PRIVATE_KEY_BASE64 시크릿 형식과 동일합니다.
+ * @return {object} {privateKeyBase64, publicKeyPem}
+ */
+function createApiSigningKey() {
+  const {privateKey, publicKey} = crypto.generateKeyPairSync("ec", {
+    namedCurve: "prime256v1",
+  });
+  const privateKeyPem =
+    privateKey.export({type: "pkcs8", format: "pem"}).toString();
+  return {
+    privateKeyBase64: Buffer.from(privateKeyPem).toString("base64"),
+    publicKeyPem: publicKey.export({type: "spki", format: "pem"}).toString(),
+  };
+}
+
+/**
+ * 🔏 App Store 형식의 JWS 서명기
+ *
+ * build* 메서드는 디코딩된 페이로드를, sign* 메서드는 서명된 JWS를 반환합니다.
+ * 기본값은 월간 구독 트랜잭션이며 overrides로 필드를 바꿀 수 있습니다.
+ */
+class MockAppStoreSigner {
+  /**
+   * @param {object} [options] - 서명기 옵션
+   * @param {string} [options.bundleId] - 앱 번들 ID
+   * @param {number} [options.appAppleId] - 앱 Apple ID (프로덕션 검증용)
+   * @param {object} [options.chain] - createTestCertificateChain 결과
+   */
+  constructor({
+    bundleId = DEFAULT_BUNDLE_ID,
+    appAppleId = DEFAULT_APP_APPLE_ID,
+    chain = createTestCertificateChain(),
+  } = {}) {
+    this.bundleId = bundleId;
+    this.appAppleId = appAppleId;
+    this.chain = chain;
+    this._signingKey = KEYUTIL.getPEM(chain.leaf.keyPair.prvKeyObj,
+      "PKCS8PRV");
+    this._sequence = 0;
+  }
+
+  /**
+   * 🏛️ APPLE_ROOT_CA_G*_BASE64 시크릿에 넣을 루트 인증서 (DER의 base64)
+   * @return {string} base64 문자열
+   */
+  get rootCertificateBase64() {
+    return this.chain.root.base64;
+  }
+
+  /**
+   * ✍️ 페이로드를 x5c 헤더가 포함된 ES256 JWS로 서명
+   * @param {object} payload - 서명할 페이로드
+   * @return {string} JWS
+   */
+  sign(payload) {
+    return jwt.sign(payload, this._signingKey, {
+      algorithm: "ES256",
+      noTimestamp: true,
+      header: {
+        alg: "ES256",
+        x5c: [
+          this.chain.leaf.base64,
+          this.chain.intermediate.base64,
+          this.chain.root.base64,
+        ],
+      },
+    });
+  }
+
+  /**
+   * 🧾 트랜잭션 페이로드 생성 (JWSTransactionDecodedPayload 형식)
+   * @param {object} [overrides] - 덮어쓸 필드
+   * @return {object} 디코딩된 트랜잭션
+   */
+  buildTransaction(overrides = {}) {
+    const now = Date.now();
+    const transactionId = overrides.transactionId ||
+      `${now}${String(++this._sequence).padStart(4, "0")}`;
+    const purchaseDate = overrides.purchaseDate || now;
+
+    return {
+      transactionId,
+      originalTransactionId: transactionId,
+      webOrderLineItemId: `${transactionId}01`,
+      bundleId: this.bundleId,
+      productId: DEFAULT_PRODUCT_ID,
+      subscriptionGroupIdentifier: "21000000",
+      purchaseDate,
+      originalPurchaseDate: purchaseDate,
+      expiresDate: purchaseDate + 30 * DAY_MS,
+      quantity: 1,
+      type: "Auto-Renewable Subscription",
+      inAppOwnershipType: "PURCHASED",
+      signedDate: now,
+      environment: Environment.SANDBOX,
+      transactionReason: "PURCHASE",
+      storefront: "KOR",
+      storefrontId: "143466",
+      price: 4900000,
+      currency: "KRW",
+      ...overrides,
+    };
+  }
+
+  /**
+   * 🔄 갱신 정보 페이로드 생성 (JWSRenewalInfoDecodedPayload 형식)
+   * @param {object} transaction - 대상 트랜잭션 (buildTransaction 결과)
+   * @param {object} [overrides] - 덮어쓸 필드
+   * @return {object} 디코딩된 갱신 정보
+   */
+  buildRenewalInfo(transaction, overrides = {}) {
+    return {
+      originalTransactionId: transaction.originalTransactionId,
+      autoRenewProductId: transaction.productId,
+      productId: transaction.productId,
+      autoRenewStatus: 1,
+      signedDate: Date.now(),
+      environment: transaction.environment,
+      recentSubscriptionStartDate: transaction.purchaseDate,
+      renewalDate: transaction.expiresDate,
+      ...overrides,
+    };
+  }
+
+  /**
+   * 📡 알림 페이로드 생성 (ResponseBodyV2DecodedPayload 형식)
+   * @param {object} options - 알림 옵션
+   * @param {string} options.notificationType - 알림 유형
+   * @param {string} [options.subtype] - 알림 하위 유형
+   * @param {object} [options.transaction] - 포함할 트랜잭션 (디코딩된 형태)
+   * @param {object} [options.renewalInfo] - 포함할 갱신 정보 (디코딩된 형태)
+   * @param {string} [options.environment] - 알림 환경
+   * @param {object} [options.overrides] - 덮어쓸 최상위 필드
+   * @return {object} 디코딩된 알림
+   */
+  buildNotification({notificationType, subtype, transaction, renewalInfo,
+    environment = transaction?.environment || Environment.SANDBOX,
+    overrides = {}}) {
+    return {
+      notificationType,
+      ...(subtype && {subtype}),
+      notificationUUID: crypto.randomUUID(),
+      version: "2.0",
+      signedDate: Date.now(),
+      data: {
+        bundleId: this.bundleId,
+        appAppleId: this.appAppleId,
+        environment,
+        ...(transaction && {
+          signedTransactionInfo: this.sign(transaction),
+        }),
+        ...(renewalInfo && {signedRenewalInfo: this.sign(renewalInfo)}),
+        status: 1,
+      },
+      ...overrides,
+    };
+  }
+
+  /**
+   * ✍️ 트랜잭션 생성 후 서명
+   * @param {object} [overrides] - 덮어쓸 필드
+   * @return {string} signedTransaction JWS
+   */
+  signTransaction(overrides) {
+    return this.sign(this.buildTransaction(overrides));
+  }
+
+  /**
+   * ✍️ 갱신 정보 생성 후 서명
+   * @param {object} transaction - 대상 트랜잭션 (디코딩된 형태)
+   * @param {object} [overrides] - 덮어쓸 필드
+   * @return {string} signedRenewalInfo JWS
+   */
+  signRenewalInfo(transaction, overrides) {
+    return this.sign(this.buildRenewalInfo(transaction, overrides));
+  }
+
+  /**
+   * ✍️ 알림 생성 후 서명 (웹훅 요청 본문의 signedPayload)
+   * @param {object} options - buildNotification 옵션
+   * @return {string} signedPayload JWS
+   */
+  signNotification(options) {
+    return this.sign(this.buildNotification(options));
+  }
+}
+
+module.exports = {
+  DEFAULT_BUNDLE_ID,
+  DEFAULT_APP_APPLE_ID,
+  DEFAULT_PRODUCT_ID,
+  createTestCertificateChain,
+  createApiSigningKey,
+  MockAppStoreSigner,
+};
@@ -0,0 +1,36 @@
+// 📁 functions/test/notificationBackfill.test.js
+// 🧪 알림 내역 복구 기간 검증 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateBackfillRange,
+} = require("../src/webhook/notificationBackfill");
+
+const NOW = Date.parse("2025-06-01T00:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("validateBackfillRange", () => {
+  const cases = [
+    {name: "최근 하루", start: NOW - DAY_MS, end: NOW, error: null},
+    {name: "179일 전부터", start: NOW - 179 * DAY_MS, end: NOW, error: null},
+    {
+      name: "180일 초과",
+      start: NOW - 181 * DAY_MS,
+      end: NOW,
+      error: /within the last 180 days/,
+    },
+    {name: "시작 ≥ 종료", start: NOW, end: NOW, error: /before endDate/},
+    {name: "잘못된 날짜", start: NaN, end: NOW, error: /required/},
+  ];
+
+  for (const {name, start, end, error} of cases) {
+    it(name, () => {
+      const result = validateBackfillRange(start, end, NOW);
+      if (error) {
+        assert.match(result, error);
+      } else {
+        assert.equal(result, null);
+      }
+    });
+  }
+});
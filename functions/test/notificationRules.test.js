@@ -0,0 +1,167 @@
+// 📁 functions/test/notificationRules.test.js
+// 🧪 App Store 알림 유형별 상태 전이 테이블 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {NotificationTypeV2} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  NotificationAction,
+  getNotificationRule,
+  applyNotificationRule,
+} = require("../src/webhook/notificationRules");
+const {
+  resolveSubscriptionState,
+  summarizeTransactionHistory,
+} = require("../src/utils/subscriptionStateEngine");
+
+const NOW = Date.UTC(2025, 6, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const activeTransaction = {
+  transactionId: "2",
+  originalTransactionId: "1",
+  productId: "com.pikabook.premium.monthly",
+  expiresDate: NOW + 20 * DAY_MS,
+};
+const expiredTransaction = {...activeTransaction, expiresDate: NOW - DAY_MS};
+const revokedTransaction = {...activeTransaction, revocationDate: NOW};
+
+/**
+ * 알림 규칙을 적용한 최종 구독 정보 계산 (웹훅과 동일한 순서)
+ * @param {string} type - notificationType
+ * @param {string} subtype - subtype
+ * @param {object} transaction - 디코딩된 트랜잭션
+ * @param {object} [renewalInfo] - 디코딩된 갱신 정보
+ * @return {object} 구독 정보
+ */
+function runNotification(type, subtype, transaction, renewalInfo = null) {
+  const rule = getNotificationRule(type, subtype);
+  const baseInfo = rule.action === NotificationAction.APPLY_HISTORY ?
+    summarizeTransactionHistory([transaction], {renewalInfo, now: NOW}) :
+    resolveSubscriptionState({transaction, renewalInfo, now: NOW});
+  return applyNotificationRule(rule, baseInfo);
+}
+
+describe("notification rules", () => {
+  const cases = [
+    ["SUBSCRIBED", "INITIAL_BUY", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["SUBSCRIBED", "RESUBSCRIBE", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["DID_RENEW", undefined, activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["DID_RENEW", "BILLING_RECOVERY", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["DID_CHANGE_RENEWAL_STATUS", "AUTO_RENEW_DISABLED", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.CANCELLED],
+    ["DID_CHANGE_RENEWAL_STATUS", "AUTO_RENEW_ENABLED", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["DID_CHANGE_RENEWAL_STATUS", "AUTO_RENEW_DISABLED", expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.EXPIRED],
+    ["DID_CHANGE_RENEWAL_PREF", "UPGRADE", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["DID_CHANGE_RENEWAL_PREF", "DOWNGRADE", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.IN_UPGRADE],
+    ["DID_CHANGE_RENEWAL_PREF", undefined, activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["OFFER_REDEEMED", "INITIAL_BUY", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["OFFER_REDEEMED", "DOWNGRADE", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.IN_UPGRADE],
+    ["PRICE_INCREASE", "PENDING", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["PRICE_INCREASE", "ACCEPTED", activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["DID_FAIL_TO_RENEW", "GRACE_PERIOD", expiredTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.GRACE_PERIOD],
+    ["DID_FAIL_TO_RENEW", undefined, expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.ON_HOLD],
+    ["GRACE_PERIOD_EXPIRED", undefined, expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.ON_HOLD],
+    ["EXPIRED", "VOLUNTARY", expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.EXPIRED],
+    ["EXPIRED", "BILLING_RETRY", expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.EXPIRED],
+    ["EXPIRED", "PRICE_INCREASE", expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.EXPIRED],
+    ["EXPIRED", "PRODUCT_NOT_FOR_SALE", expiredTransaction,
+      Entitlement.FREE, SubscriptionStatus.EXPIRED],
+    ["REFUND", undefined, revokedTransaction,
+      Entitlement.FREE, SubscriptionStatus.REFUNDED],
+    ["REFUND_REVERSED", undefined, activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+    ["REVOKE", undefined, revokedTransaction,
+      Entitlement.FREE, SubscriptionStatus.INACTIVE],
+    ["RENEWAL_EXTENDED", undefined, activeTransaction,
+      Entitlement.PREMIUM, SubscriptionStatus.ACTIVE],
+  ];
+
+  for (const [type, subtype, transaction, entitlement, status] of cases) {
+    it(`${type}/${subtype || "-"} → ${entitlement} / ${status}`, () => {
+      const result = runNotification(type, subtype, transaction);
+      assert.equal(result.entitlement, entitlement);
+      assert.equal(result.subscriptionStatus, status);
+    });
+  }
+
+  const recordOnlyCases = [
+    ["REFUND_DECLINED", undefined],
+    ["TEST", undefined],
+    ["EXTERNAL_PURCHASE_TOKEN", "UNREPORTED"],
+    ["ONE_TIME_CHARGE", undefined],
+  ];
+
+  for (const [type, subtype] of recordOnlyCases) {
+    it(`${type}/${subtype || "-"} → 기록 전용`, () => {
+      const rule = getNotificationRule(type, subtype);
+      assert.equal(rule.action, NotificationAction.RECORD_ONLY);
+    });
+  }
+
+  it("CONSUMPTION_REQUEST → 소비 정보 응답", () => {
+    const rule = getNotificationRule("CONSUMPTION_REQUEST", undefined);
+    assert.equal(rule.action, NotificationAction.CONSUMPTION_REQUEST);
+  });
+
+  for (const subtype of ["SUMMARY", "FAILURE"]) {
+    it(`RENEWAL_EXTENSION/${subtype} → 갱신일 연장 기록`, () => {
+      const rule = getNotificationRule("RENEWAL_EXTENSION", subtype);
+      assert.equal(rule.action, NotificationAction.RENEWAL_EXTENSION);
+      assert.equal(rule.status, undefined);
+    });
+  }
+
+  it("모든 V2 notificationType에 규칙이 있다", () => {
+    for (const type of Object.values(NotificationTypeV2)) {
+      const hasRule = [undefined, "INITIAL_BUY", "PENDING", "VOLUNTARY",
+        "SUMMARY", "UNREPORTED", "AUTO_RENEW_ENABLED"]
+        .some((subtype) => getNotificationRule(type, subtype));
+      assert.ok(hasRule, type);
+    }
+  });
+
+  it("자동 갱신 해제 시 autoRenewEnabled를 false로 기록", () => {
+    const result = runNotification(
+      "DID_CHANGE_RENEWAL_STATUS", "AUTO_RENEW_DISABLED", activeTransaction);
+    assert.equal(result.autoRenewEnabled, false);
+  });
+
+  it("REVOKE는 가족 공유 구성원에게만 적용", () => {
+    assert.equal(getNotificationRule("REVOKE", undefined).familyMembersOnly,
+      true);
+  });
+
+  it("환불 / 환불 취소는 환불 원장을 동기화", () => {
+    assert.equal(getNotificationRule("REFUND", undefined).syncRefunds, true);
+    assert.equal(
+      getNotificationRule("REFUND_REVERSED", undefined).syncRefunds, true);
+    assert.equal(
+      getNotificationRule("REFUND_DECLINED", undefined).syncRefunds, undefined);
+  });
+
+  it("알 수 없는 유형/하위 유형은 규칙이 없다", () => {
+    assert.equal(getNotificationRule("SOMETHING_NEW", undefined), null);
+    assert.equal(getNotificationRule("EXPIRED", "SOMETHING_NEW"), null);
+    assert.equal(getNotificationRule("EXPIRED", undefined), null);
+  });
+});
@@ -0,0 +1,67 @@
+// 📁 functions/test/orderSummary.test.js
+// 🧪 Order ID 조회 결과 고객 지원용 요약 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {buildOrderSummary} = require("../src/admin/entitlementAdmin");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 1);
+
+const firstPeriod = {
+  transactionId: "1001",
+  originalTransactionId: "1000",
+  productId: "premium_monthly",
+  purchaseDate: NOW - 40 * DAY_MS,
+  expiresDate: NOW - 10 * DAY_MS,
+  environment: "Production",
+};
+const renewal = {
+  ...firstPeriod,
+  transactionId: "1002",
+  purchaseDate: NOW - 10 * DAY_MS,
+  expiresDate: NOW + 20 * DAY_MS,
+};
+
+describe("buildOrderSummary", () => {
+  it("연결된 사용자의 subscriptionData로 현재 상태 표시", () => {
+    const summary = buildOrderSummary("ORDER1", [firstPeriod, renewal],
+      {"1000": ["user_1"]}, [{
+        uid: "user_1",
+        subscriptionData: {
+          originalTransactionId: "1000",
+          entitlement: Entitlement.PREMIUM,
+          subscriptionStatus: SubscriptionStatus.CANCELLED,
+          expiresDate: renewal.expiresDate,
+        },
+      }], NOW);
+
+    assert.equal(summary.orderId, "ORDER1");
+    assert.equal(summary.subscriptions.length, 1);
+    const [subscription] = summary.subscriptions;
+    assert.deepEqual(subscription.linkedUserIds, ["user_1"]);
+    assert.equal(subscription.subscriptionStatus, SubscriptionStatus.CANCELLED);
+    assert.equal(subscription.expiresDate, renewal.expiresDate);
+    assert.equal(subscription.statusSource, "subscriptionData");
+  });
+
+  const cases = [
+    // [설명, 주문 거래, 기대 상태, 기대 환불 건수]
+    ["연결된 사용자가 없으면 최신 거래로 계산", [firstPeriod, renewal],
+      SubscriptionStatus.ACTIVE, 0],
+    ["환불된 거래는 refunds에 표시",
+      [firstPeriod, {...renewal, revocationDate: NOW, revocationReason: 0}],
+      SubscriptionStatus.REFUNDED, 1],
+  ];
+
+  for (const [name, transactions, expectedStatus, refundCount] of cases) {
+    it(name, () => {
+      const [subscription] = buildOrderSummary(
+        "ORDER1", transactions, {}, [], NOW).subscriptions;
+      assert.equal(subscription.statusSource, "order");
+      assert.equal(subscription.subscriptionStatus, expectedStatus);
+      assert.equal(subscription.refunds.length, refundCount);
+      assert.deepEqual(subscription.linkedUserIds, []);
+    });
+  }
+});
@@ -0,0 +1,49 @@
+// 📁 functions/test/promotionalOffers.test.js
+// 🧪 프로모션 오퍼 자격 확인 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  OfferEligibility,
+  evaluateOfferEligibility,
+} = require("../src/utils/promotionalOffers");
+
+const lapsed = {
+  originalTransactionId: "2000000000000001",
+  entitlement: Entitlement.FREE,
+  subscriptionStatus: SubscriptionStatus.EXPIRED,
+};
+const cancelled = {
+  ...lapsed,
+  entitlement: Entitlement.PREMIUM,
+  subscriptionStatus: SubscriptionStatus.CANCELLED,
+};
+const active = {
+  ...lapsed,
+  entitlement: Entitlement.PREMIUM,
+  subscriptionStatus: SubscriptionStatus.ACTIVE,
+};
+
+describe("evaluateOfferEligibility", () => {
+  const {LAPSED_PREMIUM, CANCELLED_PREMIUM} = OfferEligibility;
+  const cases = [
+    // [설명, subscriptionData, 자격 조건, 기대 eligible]
+    ["만료된 구독 → 윈백 대상", lapsed, LAPSED_PREMIUM, true],
+    ["구독 중 → 윈백 대상 아님", active, LAPSED_PREMIUM, false],
+    ["자동 갱신 끈 구독 → 윈백 대상 아님", cancelled, LAPSED_PREMIUM, false],
+    ["자동 갱신 끈 구독 → 리텐션 대상", cancelled, CANCELLED_PREMIUM, true],
+    ["만료된 구독 → 리텐션 대상 아님", lapsed, CANCELLED_PREMIUM, false],
+    ["구독 이력 없음", {...lapsed, originalTransactionId: null},
+      LAPSED_PREMIUM, false],
+    ["subscriptionData 없음", null, LAPSED_PREMIUM, false],
+    ["알 수 없는 자격 조건", lapsed, "everyone", false],
+  ];
+
+  for (const [name, subscriptionData, eligibility, expected] of cases) {
+    it(name, () => {
+      const result = evaluateOfferEligibility(subscriptionData, eligibility);
+      assert.equal(result.eligible, expected);
+      assert.equal(result.reason === null, expected);
+    });
+  }
+});
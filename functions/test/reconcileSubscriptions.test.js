@@ -0,0 +1,137 @@
+// 📁 functions/test/reconcileSubscriptions.test.js
+// 🧪 야간 구독 재확인 보조 함수 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  RECONCILE_ENTITLEMENTS,
+  detectDrift,
+  isReconcileCandidate,
+  runWithConcurrency,
+} = require("../src/subscription/reconcileSubscriptions");
+
+const premium = {
+  originalTransactionId: "1000",
+  entitlement: Entitlement.PREMIUM,
+  subscriptionStatus: SubscriptionStatus.ACTIVE,
+  expiresDate: 1000,
+};
+
+describe("detectDrift", () => {
+  const cases = [
+    {name: "변화 없음", after: {...premium}, expected: {}},
+    {
+      name: "만료 반영",
+      after: {
+        ...premium,
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.EXPIRED,
+      },
+      expected: {
+        entitlement: {from: Entitlement.PREMIUM, to: Entitlement.FREE},
+        subscriptionStatus: {
+          from: SubscriptionStatus.ACTIVE,
+          to: SubscriptionStatus.EXPIRED,
+        },
+      },
+    },
+    {
+      name: "갱신으로 만료일 연장",
+      after: {...premium, expiresDate: 2000},
+      expected: {expiresDate: {from: 1000, to: 2000}},
+    },
+  ];
+
+  for (const {name, after, expected} of cases) {
+    it(name, () => {
+      assert.deepEqual(detectDrift(premium, after), expected);
+    });
+  }
+});
+
+describe("isReconcileCandidate", () => {
+  const cases = [
+    {name: "App Store 구독 권한", data: premium, expected: true},
+    {
+      name: "이미 FREE",
+      data: {...premium, entitlement: Entitlement.FREE},
+      expected: false,
+    },
+    {
+      name: "originalTransactionId 없음 (프로모션)",
+      data: {entitlement: Entitlement.PREMIUM, expiresDate: 1000},
+      expected: false,
+    },
+    {
+      name: "기간 중인 프로모션 (App Store 구독 이력 있음)",
+      data: {
+        ...premium,
+        subscriptionStatus: SubscriptionStatus.PROMOTION,
+        expiresDate: Date.now() + 60 * 60 * 1000,
+      },
+      expected: false,
+    },
+    {
+      name: "기간이 끝난 프로모션",
+      data: {...premium, subscriptionStatus: SubscriptionStatus.PROMOTION},
+      expected: true,
+    },
+    {
+      name: "레거시 대문자 PREMIUM",
+      data: {...premium, entitlement: "PREMIUM"},
+      expected: true,
+    },
+    {
+      name: "레거시 대문자 FREE",
+      data: {...premium, entitlement: "FREE"},
+      expected: false,
+    },
+    {name: "구독 데이터 없음", data: undefined, expected: false},
+  ];
+
+  for (const {name, data, expected} of cases) {
+    it(name, () => {
+      assert.equal(isReconcileCandidate(data), expected);
+    });
+  }
+});
+
+describe("RECONCILE_ENTITLEMENTS", () => {
+  const cases = [
+    [Entitlement.TRIAL, true],
+    [Entitlement.PREMIUM, true],
+    ["TRIAL", true],
+    ["PREMIUM", true],
+    [Entitlement.FREE, false],
+    ["FREE", false],
+  ];
+
+  for (const [entitlement, expected] of cases) {
+    it(`${entitlement} 조회 ${expected ? "포함" : "제외"}`, () => {
+      assert.equal(RECONCILE_ENTITLEMENTS.includes(entitlement), expected);
+    });
+  }
+});
+
+describe("runWithConcurrency", () => {
+  it("동시 실행 수를 넘지 않고 모든 대상을 처리", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const done = [];
+
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      done.push(item);
+      running--;
+    });
+
+    assert.equal(maxRunning, 3);
+    assert.deepEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it("대상이 없으면 바로 종료", async () => {
+    await runWithConcurrency([], 3, async () => assert.fail());
+  });
+});
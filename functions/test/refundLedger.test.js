@@ -0,0 +1,52 @@
+// 📁 functions/test/refundLedger.test.js
+// 🧪 환불 원장 항목 / 통계 계산 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildRefundEntry,
+  summarizeRefunds,
+} = require("../src/utils/refundLedger");
+
+describe("buildRefundEntry", () => {
+  it("거래 / 상품 / 환불일 / 사유를 기록", () => {
+    const entry = buildRefundEntry({
+      transactionId: 2000000001,
+      originalTransactionId: 2000000000,
+      productId: "premium_monthly",
+      purchaseDate: 1000,
+      revocationDate: 2000,
+      revocationReason: 1,
+      environment: "Production",
+    }, "Sandbox");
+
+    assert.deepEqual(entry, {
+      transactionId: "2000000001",
+      originalTransactionId: "2000000000",
+      productId: "premium_monthly",
+      purchaseDate: 1000,
+      revocationDate: 2000,
+      revocationReason: 1,
+      environment: "Sandbox",
+      reversed: false,
+    });
+  });
+});
+
+describe("summarizeRefunds", () => {
+  const cases = [
+    // [설명, 원장 항목, 기대 {count, lastRefundDate}]
+    ["항목이 없으면 0건", [], {count: 0, lastRefundDate: null}],
+    ["가장 최근 환불일 사용",
+      [{revocationDate: 1000}, {revocationDate: 3000}],
+      {count: 2, lastRefundDate: 3000}],
+    ["환불 취소된 항목 제외",
+      [{revocationDate: 1000}, {revocationDate: 3000, reversed: true}],
+      {count: 1, lastRefundDate: 1000}],
+  ];
+
+  for (const [name, entries, expected] of cases) {
+    it(name, () => {
+      assert.deepEqual(summarizeRefunds(entries), expected);
+    });
+  }
+});
@@ -0,0 +1,70 @@
+// 📁 functions/test/refundPolicy.test.js
+// 🧪 환불 이력 기반 권한 정책 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  RefundPolicyFlag,
+  getRefundPolicyFlags,
+  applyRefundPolicy,
+} = require("../src/utils/refundPolicy");
+
+const REFUND_DATE = Date.UTC(2025, 0, 10);
+
+const trial = {
+  entitlement: Entitlement.TRIAL,
+  subscriptionStatus: SubscriptionStatus.ACTIVE,
+  purchaseDate: REFUND_DATE + 1000,
+};
+const premium = {...trial, entitlement: Entitlement.PREMIUM};
+const refunded = {count: 1, lastRefundDate: REFUND_DATE};
+const noTrial = [RefundPolicyFlag.NO_TRIAL_AFTER_REFUND];
+
+describe("applyRefundPolicy", () => {
+  const cases = [
+    // [설명, 구독 정보, refundStats, 플래그, 기대 entitlement]
+    ["환불 후 시작한 체험은 거부", trial, refunded, noTrial, Entitlement.FREE],
+    ["플래그가 꺼져 있으면 허용", trial, refunded, [], Entitlement.TRIAL],
+    ["환불 이력이 없으면 허용", trial, null, noTrial, Entitlement.TRIAL],
+    ["환불 취소로 0건이면 허용", trial, {count: 0, lastRefundDate: null},
+      noTrial, Entitlement.TRIAL],
+    ["환불 전에 시작한 체험은 허용",
+      {...trial, purchaseDate: REFUND_DATE - 1000}, refunded, noTrial,
+      Entitlement.TRIAL],
+    ["유료 구독은 허용", premium, refunded, noTrial, Entitlement.PREMIUM],
+  ];
+
+  for (const [name, info, refundStats, flags, expected] of cases) {
+    it(name, () => {
+      const result = applyRefundPolicy(info, refundStats, {flags});
+      assert.equal(result.entitlement, expected);
+    });
+  }
+
+  it("거부되면 INACTIVE로 표시", () => {
+    const result = applyRefundPolicy(trial, refunded, {flags: noTrial});
+    assert.equal(result.subscriptionStatus, SubscriptionStatus.INACTIVE);
+    assert.equal(result.refundPolicyDenied, true);
+  });
+
+  it("허용되면 이전 거부 표시 제거", () => {
+    const result = applyRefundPolicy({...trial, refundPolicyDenied: true},
+      refunded, {flags: []});
+    assert.equal(result.refundPolicyDenied, undefined);
+  });
+});
+
+describe("getRefundPolicyFlags", () => {
+  it("쉼표로 구분된 값 중 알려진 플래그만 사용", () => {
+    process.env.REFUND_POLICY_FLAGS = " noTrialAfterRefund , unknown";
+    try {
+      assert.deepEqual(getRefundPolicyFlags(), noTrial);
+    } finally {
+      delete process.env.REFUND_POLICY_FLAGS;
+    }
+  });
+
+  it("설정하지 않으면 빈 목록", () => {
+    assert.deepEqual(getRefundPolicyFlags(), []);
+  });
+});
@@ -0,0 +1,44 @@
+// 📁 functions/test/renewalExtensions.test.js
+// 🧪 구독 갱신일 연장 요청 검증 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {ExtendReasonCode} = require("@apple/app-store-server-library");
+const {
+  validateExtensionRequest,
+} = require("../src/utils/renewalExtensions");
+
+describe("validateExtensionRequest", () => {
+  const cases = [
+    {
+      name: "이름으로 사유 지정",
+      days: 7,
+      reasonCode: "SERVICE_ISSUE_OR_OUTAGE",
+      expected: {extendReasonCode: ExtendReasonCode.SERVICE_ISSUE_OR_OUTAGE},
+    },
+    {
+      name: "값으로 사유 지정",
+      days: 90,
+      reasonCode: 1,
+      expected: {extendReasonCode: ExtendReasonCode.CUSTOMER_SATISFACTION},
+    },
+    {name: "0일", days: 0, reasonCode: 3, error: /between 1 and 90/},
+    {name: "90일 초과", days: 91, reasonCode: 3, error: /between 1 and 90/},
+    {name: "정수 아님", days: 1.5, reasonCode: 3, error: /between 1 and 90/},
+    {name: "알 수 없는 사유", days: 7, reasonCode: 9, error: /reasonCode/},
+    {name: "숫자 문자열 사유", days: 7, reasonCode: "3", error: /reasonCode/},
+    {name: "사유 없음", days: 7, reasonCode: undefined, error: /reasonCode/},
+  ];
+
+  for (const {name, days, reasonCode, expected, error} of cases) {
+    it(name, () => {
+      const result = validateExtensionRequest(days, reasonCode);
+      if (error) {
+        assert.match(result.error, error);
+      } else {
+        assert.equal(result.error, null);
+        assert.equal(result.extendByDays, days);
+        assert.equal(result.extendReasonCode, expected.extendReasonCode);
+      }
+    });
+  }
+});
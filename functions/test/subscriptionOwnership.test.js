@@ -0,0 +1,45 @@
+// 📁 functions/test/subscriptionOwnership.test.js
+// 🧪 구독 소유권 충돌 정책 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  OwnershipConflictPolicy,
+  OwnershipDecision,
+  decideOwnership,
+} = require("../src/utils/subscriptionOwnership");
+
+describe("decideOwnership", () => {
+  const cases = [
+    [[], "alice", OwnershipConflictPolicy.REJECT, OwnershipDecision.LINKED],
+    [["alice"], "alice", OwnershipConflictPolicy.REJECT,
+      OwnershipDecision.OWNER],
+    [["alice", "bob"], "bob", OwnershipConflictPolicy.TRANSFER,
+      OwnershipDecision.OWNER],
+    [["alice"], "bob", OwnershipConflictPolicy.TRANSFER,
+      OwnershipDecision.TRANSFERRED],
+    [["alice"], "bob", OwnershipConflictPolicy.REJECT,
+      OwnershipDecision.REJECTED],
+    [["alice"], "bob", OwnershipConflictPolicy.SHARE,
+      OwnershipDecision.SHARED],
+  ];
+
+  for (const [owners, userId, policy, expected] of cases) {
+    it(`[${owners}] + ${userId} (${policy}) → ${expected}`, () => {
+      assert.equal(decideOwnership(owners, userId, policy), expected);
+    });
+  }
+
+  it("가족 공유 구성원은 정책과 무관하게 공유", () => {
+    assert.equal(
+      decideOwnership(["alice"], "bob", OwnershipConflictPolicy.REJECT,
+        {isFamilyMember: true}),
+      OwnershipDecision.SHARED);
+  });
+
+  it("구매자는 가족 공유 구성원과 충돌하지 않음", () => {
+    assert.equal(
+      decideOwnership(["bob"], "alice", OwnershipConflictPolicy.REJECT,
+        {familyMemberIds: ["bob"]}),
+      OwnershipDecision.LINKED);
+  });
+});
@@ -0,0 +1,419 @@
+// 📁 functions/test/subscriptionStateEngine.test.js
+// 🧪 구독 상태 엔진 테이블 기반 단위 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  resolveSubscriptionState,
+  summarizeTransactionHistory,
+  resolveSubscriptionType,
+  applyFamilySharedStatus,
+  isActivePromotion,
+  normalizeEntitlement,
+} = require("../src/utils/subscriptionStateEngine");
+
+const NOW = Date.UTC(2025, 6, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 테스트용 디코딩된 트랜잭션 생성
+ * @param {object} overrides - 덮어쓸 필드
+ * @return {object} 트랜잭션
+ */
+function makeTransaction(overrides = {}) {
+  return {
+    transactionId: "2000000000000002",
+    originalTransactionId: "2000000000000001",
+    productId: "com.pikabook.premium.monthly",
+    purchaseDate: NOW - DAY_MS,
+    originalPurchaseDate: NOW - DAY_MS,
+    expiresDate: NOW + 29 * DAY_MS,
+    environment: "Sandbox",
+    ...overrides,
+  };
+}
+
+describe("resolveSubscriptionState", () => {
+  const cases = [
+    {
+      name: "활성 월간 구독 → PREMIUM / ACTIVE",
+      input: {transaction: makeTransaction()},
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+        subscriptionType: "monthly",
+        autoRenewEnabled: true,
+      },
+    },
+    {
+      name: "무료 체험 (offerType 1) → TRIAL / ACTIVE",
+      input: {transaction: makeTransaction({offerType: 1})},
+      expected: {
+        entitlement: Entitlement.TRIAL,
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+        hasUsedTrial: true,
+      },
+    },
+    {
+      name: "업그레이드된 체험 트랜잭션은 체험이 아님",
+      input: {transaction: makeTransaction({offerType: 1, isUpgraded: true})},
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+        hasUsedTrial: undefined,
+      },
+    },
+    {
+      name: "만료된 구독 → FREE / EXPIRED",
+      input: {transaction: makeTransaction({expiresDate: NOW - DAY_MS})},
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.EXPIRED,
+        autoRenewEnabled: false,
+      },
+    },
+    {
+      name: "만료일 없음 → FREE / EXPIRED",
+      input: {transaction: makeTransaction({expiresDate: undefined})},
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.EXPIRED,
+        expirationDate: null,
+      },
+    },
+    {
+      name: "취소(환불)된 구독 → FREE / REFUNDED",
+      input: {transaction: makeTransaction({revocationDate: NOW - DAY_MS})},
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.REFUNDED,
+        revocationDate: NOW - DAY_MS,
+      },
+    },
+    {
+      name: "연간 상품 → yearly",
+      input: {
+        transaction: makeTransaction({
+          productId: "com.pikabook.premium.yearly",
+        }),
+      },
+      expected: {subscriptionType: "yearly"},
+    },
+    {
+      name: "Apple Status 유예 기간 → PREMIUM / GRACE_PERIOD",
+      input: {
+        transaction: makeTransaction({expiresDate: NOW - DAY_MS}),
+        appleStatus: 4,
+      },
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.GRACE_PERIOD,
+      },
+    },
+    {
+      name: "Apple Status 결제 재시도 → FREE / ON_HOLD",
+      input: {
+        transaction: makeTransaction({expiresDate: NOW - DAY_MS}),
+        appleStatus: 3,
+      },
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.ON_HOLD,
+      },
+    },
+    {
+      name: "Apple Status 취소됨 → FREE / REFUNDED",
+      input: {transaction: makeTransaction(), appleStatus: 5},
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.REFUNDED,
+      },
+    },
+    {
+      name: "갱신 정보의 autoRenewStatus가 우선",
+      input: {
+        transaction: makeTransaction(),
+        renewalInfo: {autoRenewStatus: 0},
+      },
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.CANCELLED,
+        autoRenewEnabled: false,
+      },
+    },
+    {
+      name: "자동 갱신 꺼진 체험 → TRIAL / CANCELLED",
+      input: {
+        transaction: makeTransaction({offerType: 1}),
+        renewalInfo: {autoRenewStatus: 0, expirationIntent: 1},
+      },
+      expected: {
+        entitlement: Entitlement.TRIAL,
+        subscriptionStatus: SubscriptionStatus.CANCELLED,
+        expirationIntent: 1,
+      },
+    },
+    {
+      name: "자동 갱신 켜짐 → ACTIVE, 다음 갱신 상품 기록",
+      input: {
+        transaction: makeTransaction(),
+        renewalInfo: {
+          autoRenewStatus: 1,
+          autoRenewProductId: "com.pikabook.premium.yearly",
+        },
+      },
+      expected: {
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+        autoRenewEnabled: true,
+        isInBillingRetryPeriod: false,
+        autoRenewProductId: "com.pikabook.premium.yearly",
+      },
+    },
+    {
+      name: "결제 재시도 + 유예 기간 → PREMIUM / GRACE_PERIOD",
+      input: {
+        transaction: makeTransaction({expiresDate: NOW - DAY_MS}),
+        renewalInfo: {
+          autoRenewStatus: 1,
+          isInBillingRetryPeriod: true,
+          gracePeriodExpiresDate: NOW + 5 * DAY_MS,
+        },
+      },
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.GRACE_PERIOD,
+        gracePeriodExpiresDate: NOW + 5 * DAY_MS,
+      },
+    },
+    {
+      name: "유예 기간 종료 후 결제 재시도 → FREE / ON_HOLD",
+      input: {
+        transaction: makeTransaction({expiresDate: NOW - 10 * DAY_MS}),
+        renewalInfo: {
+          autoRenewStatus: 1,
+          isInBillingRetryPeriod: true,
+          gracePeriodExpiresDate: NOW - DAY_MS,
+          expirationIntent: 2,
+        },
+      },
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.ON_HOLD,
+        isInBillingRetryPeriod: true,
+        expirationIntent: 2,
+      },
+    },
+    {
+      name: "결제 재시도 종료 후 만료 → FREE / EXPIRED",
+      input: {
+        transaction: makeTransaction({expiresDate: NOW - 70 * DAY_MS}),
+        renewalInfo: {
+          autoRenewStatus: 0,
+          isInBillingRetryPeriod: false,
+          expirationIntent: 2,
+        },
+      },
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.EXPIRED,
+        autoRenewEnabled: false,
+      },
+    },
+    {
+      name: "Apple Status 활성 + 자동 갱신 꺼짐 → CANCELLED",
+      input: {
+        transaction: makeTransaction(),
+        renewalInfo: {autoRenewStatus: 0},
+        appleStatus: 1,
+      },
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.CANCELLED,
+      },
+    },
+  ];
+
+  for (const {name, input, expected} of cases) {
+    it(name, () => {
+      const result = resolveSubscriptionState({now: NOW, ...input});
+      for (const [key, value] of Object.entries(expected)) {
+        assert.deepEqual(result[key], value, key);
+      }
+    });
+  }
+
+  it("트랜잭션 식별 필드를 그대로 옮긴다", () => {
+    const transaction = makeTransaction({appAccountToken: "token-uuid"});
+    const result = resolveSubscriptionState({transaction, now: NOW});
+
+    assert.equal(result.originalTransactionId, "2000000000000001");
+    assert.equal(result.lastTransactionId, "2000000000000002");
+    assert.equal(result.productId, "com.pikabook.premium.monthly");
+    assert.equal(result.expiresDate, NOW + 29 * DAY_MS);
+    assert.equal(result.expirationDate, String(NOW + 29 * DAY_MS));
+    assert.equal(result.appAccountToken, "token-uuid");
+    assert.equal(result.environment, "Sandbox");
+  });
+});
+
+describe("summarizeTransactionHistory", () => {
+  const cases = [
+    {
+      name: "빈 내역 → FREE / INACTIVE",
+      transactions: [],
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.INACTIVE,
+        hasUsedTrial: false,
+      },
+    },
+    {
+      name: "체험 후 유료 전환 → PREMIUM, hasUsedTrial",
+      transactions: [
+        makeTransaction({
+          transactionId: "1",
+          offerType: 1,
+          expiresDate: NOW - 20 * DAY_MS,
+        }),
+        makeTransaction({transactionId: "2"}),
+      ],
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+        hasUsedTrial: true,
+        lastTransactionId: "2",
+      },
+    },
+    {
+      name: "체험 중 → TRIAL",
+      transactions: [makeTransaction({offerType: 1})],
+      expected: {
+        entitlement: Entitlement.TRIAL,
+        subscriptionStatus: SubscriptionStatus.ACTIVE,
+        hasUsedTrial: true,
+      },
+    },
+    {
+      name: "가장 늦게 만료되는 트랜잭션 기준 (순서 무관)",
+      transactions: [
+        makeTransaction({transactionId: "2"}),
+        makeTransaction({transactionId: "1", expiresDate: NOW - DAY_MS}),
+      ],
+      expected: {
+        entitlement: Entitlement.PREMIUM,
+        lastTransactionId: "2",
+      },
+    },
+    {
+      name: "모두 만료 → FREE / EXPIRED",
+      transactions: [makeTransaction({expiresDate: NOW - DAY_MS})],
+      expected: {
+        entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.EXPIRED,
+        hasUsedTrial: false,
+      },
+    },
+    {
+      name: "가족 공유 트랜잭션 표시",
+      transactions: [
+        makeTransaction({inAppOwnershipType: "FAMILY_SHARED"}),
+      ],
+      expected: {hasFamilySharedSubscription: true},
+    },
+    {
+      name: "최초 구독일은 가장 이른 originalPurchaseDate",
+      transactions: [
+        makeTransaction({originalPurchaseDate: NOW - 10 * DAY_MS}),
+        makeTransaction({originalPurchaseDate: NOW - 40 * DAY_MS}),
+      ],
+      expected: {subscriptionStartDate: String(NOW - 40 * DAY_MS)},
+    },
+  ];
+
+  for (const {name, transactions, expected} of cases) {
+    it(name, () => {
+      const result = summarizeTransactionHistory(transactions, {now: NOW});
+      for (const [key, value] of Object.entries(expected)) {
+        assert.deepEqual(result[key], value, key);
+      }
+    });
+  }
+});
+
+describe("resolveSubscriptionType", () => {
+  const cases = [
+    ["com.pikabook.premium.monthly", "monthly"],
+    ["com.pikabook.premium.yearly", "yearly"],
+    ["com.pikabook.other", null],
+    [undefined, null],
+  ];
+
+  for (const [productId, expected] of cases) {
+    it(`${productId} → ${expected}`, () => {
+      assert.equal(resolveSubscriptionType(productId), expected);
+    });
+  }
+});
+
+describe("applyFamilySharedStatus", () => {
+  it("권한이 있으면 구성원은 FAMILY_SHARED / PREMIUM", () => {
+    const purchaser = resolveSubscriptionState({
+      transaction: makeTransaction({offerType: 1}),
+      now: NOW,
+    });
+    const member = applyFamilySharedStatus(purchaser);
+    assert.equal(member.entitlement, Entitlement.PREMIUM);
+    assert.equal(member.subscriptionStatus, SubscriptionStatus.FAMILY_SHARED);
+    assert.equal(member.hasUsedTrial, undefined);
+  });
+
+  it("권한이 없으면 구매자 상태를 그대로 사용", () => {
+    const purchaser = resolveSubscriptionState({
+      transaction: makeTransaction({expiresDate: NOW - DAY_MS}),
+      now: NOW,
+    });
+    const member = applyFamilySharedStatus(purchaser);
+    assert.equal(member.entitlement, Entitlement.FREE);
+    assert.equal(member.subscriptionStatus, SubscriptionStatus.EXPIRED);
+  });
+});
+
+describe("isActivePromotion", () => {
+  const promotion = {
+    originalTransactionId: "1000",
+    entitlement: Entitlement.PREMIUM,
+    subscriptionStatus: SubscriptionStatus.PROMOTION,
+    expiresDate: NOW + DAY_MS,
+  };
+  const cases = [
+    ["기간 중인 프로모션", promotion, true],
+    ["기간이 끝난 프로모션", {...promotion, expiresDate: NOW - DAY_MS}, false],
+    ["App Store 구독", {
+      ...promotion,
+      subscriptionStatus: SubscriptionStatus.ACTIVE,
+    }, false],
+    ["구독 데이터 없음", null, false],
+  ];
+
+  for (const [name, subscriptionData, expected] of cases) {
+    it(name, () => {
+      assert.equal(isActivePromotion(subscriptionData, NOW), expected);
+    });
+  }
+});
+
+describe("normalizeEntitlement", () => {
+  const cases = [
+    ["소문자 값 유지", Entitlement.TRIAL, Entitlement.TRIAL],
+    ["레거시 대문자 PREMIUM", "PREMIUM", Entitlement.PREMIUM],
+    ["레거시 대문자 FREE", "FREE", Entitlement.FREE],
+    ["알 수 없는 값 → FREE", "gold", Entitlement.FREE],
+    ["값 없음 → FREE", undefined, Entitlement.FREE],
+  ];
+
+  for (const [name, entitlement, expected] of cases) {
+    it(name, () => {
+      assert.equal(normalizeEntitlement(entitlement), expected);
+    });
+  }
+});
@@ -0,0 +1,111 @@
+// 📁 functions/test/testAccounts.test.js
+// 🧪 테스트 계정 시나리오 (상대 날짜 / 시계 / 알림 시뮬레이션) 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  NotificationTypeV2,
+  Subtype,
+} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {
+  DEFAULT_TEST_ACCOUNT_SCENARIOS,
+  buildTestAccountSubscription,
+  validateTestAccountScenario,
+  simulateTestAccountNotification,
+} = require("../src/utils/testAccounts");
+
+const NOW = Date.UTC(2025, 6, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const trialCancelled =
+  DEFAULT_TEST_ACCOUNT_SCENARIOS["trial-cancelled@pikabook.com"];
+
+describe("buildTestAccountSubscription", () => {
+  it("만료일은 현재 시각 기준 상대값", () => {
+    const result = buildTestAccountSubscription(
+      "trial-cancelled@pikabook.com", trialCancelled, NOW);
+    assert.equal(result.expiresDate, NOW + 3 * DAY_MS);
+    assert.equal(result.expirationDate, String(NOW + 3 * DAY_MS));
+    assert.equal(result.subscriptionStatus, SubscriptionStatus.CANCELLED);
+    assert.equal(result.testAccountType, "trial-cancelled");
+    assert.deepEqual(result.bannerMetadata, trialCancelled.bannerMetadata);
+  });
+
+  it("clockOffsetDays만큼 시나리오 시계 이동", () => {
+    const result = buildTestAccountSubscription("a@pikabook.com", {
+      ...trialCancelled,
+      clockOffsetDays: 10,
+    }, NOW);
+    assert.equal(result.scenarioNow, NOW + 10 * DAY_MS);
+    assert.equal(result.expiresDate, NOW + 13 * DAY_MS);
+  });
+
+  it("clockOverrideAt이 있으면 시각 고정", () => {
+    const fixedAt = Date.UTC(2030, 0, 1);
+    const result = buildTestAccountSubscription("a@pikabook.com", {
+      ...trialCancelled,
+      clockOverrideAt: new Date(fixedAt).toISOString(),
+    }, NOW);
+    assert.equal(result.expiresDate, fixedAt + 3 * DAY_MS);
+  });
+
+  it("유예 기간 종료일 계산", () => {
+    const result = buildTestAccountSubscription("premium-grace@pikabook.com",
+      DEFAULT_TEST_ACCOUNT_SCENARIOS["premium-grace@pikabook.com"], NOW);
+    assert.equal(result.expiresDate, NOW - 5 * DAY_MS);
+    assert.equal(result.gracePeriodExpiresDate, NOW + 11 * DAY_MS);
+  });
+});
+
+describe("validateTestAccountScenario", () => {
+  it("기본 시나리오는 모두 유효", () => {
+    for (const scenario of Object.values(DEFAULT_TEST_ACCOUNT_SCENARIOS)) {
+      assert.deepEqual(validateTestAccountScenario(scenario), []);
+    }
+  });
+
+  it("잘못된 값은 오류 목록 반환", () => {
+    const errors = validateTestAccountScenario({
+      entitlement: "gold",
+      subscriptionStatus: 99,
+      expiresInDays: "3",
+      clockOverrideAt: "not-a-date",
+    });
+    assert.equal(errors.length, 4);
+  });
+});
+
+describe("simulateTestAccountNotification", () => {
+  const cases = [
+    [NotificationTypeV2.DID_CHANGE_RENEWAL_STATUS,
+      Subtype.AUTO_RENEW_DISABLED,
+      DEFAULT_TEST_ACCOUNT_SCENARIOS["trial@pikabook.com"],
+      {subscriptionStatus: SubscriptionStatus.CANCELLED,
+        autoRenewEnabled: false}],
+    [NotificationTypeV2.EXPIRED, Subtype.VOLUNTARY, trialCancelled,
+      {entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.EXPIRED}],
+    [NotificationTypeV2.DID_RENEW, undefined,
+      DEFAULT_TEST_ACCOUNT_SCENARIOS["premium-grace@pikabook.com"],
+      {entitlement: Entitlement.PREMIUM,
+        subscriptionStatus: SubscriptionStatus.ACTIVE, expiresInDays: 30}],
+    [NotificationTypeV2.REFUND, undefined, trialCancelled,
+      {entitlement: Entitlement.FREE,
+        subscriptionStatus: SubscriptionStatus.REFUNDED}],
+  ];
+
+  for (const [type, subtype, scenario, expected] of cases) {
+    it(`${type}/${subtype || "-"}`, () => {
+      const {scenarioUpdates} =
+        simulateTestAccountNotification(scenario, type, subtype);
+      for (const [key, value] of Object.entries(expected)) {
+        assert.equal(scenarioUpdates[key], value, key);
+      }
+    });
+  }
+
+  it("알 수 없는 알림은 오류", () => {
+    assert.throws(() =>
+      simulateTestAccountNotification(trialCancelled, "UNKNOWN_TYPE"));
+  });
+});
@@ -0,0 +1,71 @@
+// 📁 functions/test/transactionHistory.test.js
+// 🧪 웹훅 Transaction History 분석 테스트
+// (analyzeTransactionHistory가 없는 iapClient.decodeJWS를 호출하던 회귀 방지)
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {OfferType} = require("@apple/app-store-server-library");
+const {Entitlement, SubscriptionStatus} = require("../src/shared/constant");
+const {iapClient} = require("../src/utils/appStoreServerClient");
+const {
+  analyzeTransactionHistory,
+} = require("../src/webhook/appStoreNotifications");
+const {
+  MockAppStoreSigner,
+  createApiSigningKey,
+} = require("./mockAppStore/signer");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("analyzeTransactionHistory", () => {
+  const signer = new MockAppStoreSigner();
+
+  // 실제 iapClient가 테스트 CA로 서명된 JWS를 검증/디코딩하도록 설정
+  before(() => {
+    iapClient.configure({
+      keyId: "MOCKKEY123",
+      issuerId: "00000000-0000-0000-0000-000000000000",
+      bundleId: signer.bundleId,
+      privateKeyBase64: createApiSigningKey().privateKeyBase64,
+      environment: "sandbox",
+      appAppleId: signer.appAppleId,
+      enableOnlineChecks: false,
+      rootCertificatesBase64: Array(3).fill(signer.rootCertificateBase64),
+    });
+  });
+
+  after(() => iapClient.configure(null));
+
+  it("서명된 거래 내역을 디코딩하여 최신 거래로 상태 결정", async () => {
+    const trialStart = Date.now() - 10 * DAY_MS;
+    const trial = signer.buildTransaction({
+      offerType: OfferType.INTRODUCTORY_OFFER,
+      purchaseDate: trialStart,
+      expiresDate: trialStart + 7 * DAY_MS,
+    });
+    const renewal = signer.buildTransaction({
+      originalTransactionId: trial.originalTransactionId,
+      purchaseDate: trialStart + 7 * DAY_MS,
+      originalPurchaseDate: trialStart,
+    });
+
+    const result = await analyzeTransactionHistory({
+      signedTransactions: [signer.sign(trial), signer.sign(renewal)],
+    }, null);
+
+    assert.equal(result.entitlement, Entitlement.PREMIUM);
+    assert.equal(result.subscriptionStatus, SubscriptionStatus.ACTIVE);
+    assert.equal(result.originalTransactionId, trial.originalTransactionId);
+    assert.equal(result.lastTransactionId, renewal.transactionId);
+    assert.equal(result.hasUsedTrial, true);
+  });
+
+  it("검증에 실패한 거래는 건너뜀", async () => {
+    const forged = new MockAppStoreSigner().signTransaction();
+    const result = await analyzeTransactionHistory({
+      signedTransactions: [forged],
+    }, null);
+
+    assert.equal(result.entitlement, Entitlement.FREE);
+    assert.equal(result.subscriptionStatus, SubscriptionStatus.INACTIVE);
+  });
+});
@@ -0,0 +1,107 @@
+// 📁 functions/test/usageQuota.test.js
+// 🧪 사용량 집계 기간 / 한도 계산 테스트
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {Entitlement, DEFAULT_PLAN_LIMITS} = require("../src/shared/constant");
+const {
+  resolveUsagePeriod,
+  evaluateQuota,
+} = require("../src/utils/usageQuota");
+
+const NOW = Date.UTC(2025, 6, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("resolveUsagePeriod", () => {
+  it("구독 중이면 purchaseDate ~ expiresDate", () => {
+    const period = resolveUsagePeriod({
+      entitlement: Entitlement.PREMIUM,
+      purchaseDate: NOW - 10 * DAY_MS,
+      expiresDate: NOW + 20 * DAY_MS,
+    }, NOW);
+    assert.equal(period.entitlement, Entitlement.PREMIUM);
+    assert.equal(period.periodStart, NOW - 10 * DAY_MS);
+    assert.equal(period.periodEnd, NOW + 20 * DAY_MS);
+  });
+
+  it("갱신되면 새 기간 키", () => {
+    const before = resolveUsagePeriod({
+      entitlement: Entitlement.PREMIUM,
+      purchaseDate: NOW - 10 * DAY_MS,
+      expiresDate: NOW + 20 * DAY_MS,
+    }, NOW);
+    const after = resolveUsagePeriod({
+      entitlement: Entitlement.PREMIUM,
+      purchaseDate: NOW + 20 * DAY_MS,
+      expiresDate: NOW + 50 * DAY_MS,
+    }, NOW + 21 * DAY_MS);
+    assert.notEqual(before.periodKey, after.periodKey);
+  });
+
+  it("유예 기간에는 기간이 초기화되지 않음", () => {
+    const period = resolveUsagePeriod({
+      entitlement: Entitlement.PREMIUM,
+      purchaseDate: NOW - 31 * DAY_MS,
+      expiresDate: NOW - DAY_MS,
+      gracePeriodExpiresDate: NOW + 5 * DAY_MS,
+    }, NOW);
+    assert.equal(period.entitlement, Entitlement.PREMIUM);
+    assert.equal(period.periodStart, NOW - 31 * DAY_MS);
+    assert.equal(period.periodEnd, NOW + 5 * DAY_MS);
+  });
+
+  it("만료된 프리미엄 데이터는 무료 기간으로 계산", () => {
+    const period = resolveUsagePeriod({
+      entitlement: Entitlement.PREMIUM,
+      purchaseDate: NOW - 40 * DAY_MS,
+      expiresDate: NOW - 10 * DAY_MS,
+    }, NOW);
+    assert.equal(period.entitlement, Entitlement.FREE);
+    assert.equal(period.periodStart, NOW - 10 * DAY_MS);
+    assert.equal(period.periodEnd, NOW + 20 * DAY_MS);
+  });
+
+  it("무료는 마지막 만료일 기준 30일 주기", () => {
+    const period = resolveUsagePeriod({
+      entitlement: Entitlement.FREE,
+      expiresDate: NOW - 45 * DAY_MS,
+    }, NOW);
+    assert.equal(period.periodStart, NOW - 15 * DAY_MS);
+    assert.equal(period.periodEnd, NOW + 15 * DAY_MS);
+  });
+
+  const legacyCases = [
+    // [설명, 저장된 entitlement, 기대 entitlement]
+    ["레거시 대문자 PREMIUM", "PREMIUM", Entitlement.PREMIUM],
+    ["레거시 대문자 FREE", "FREE", Entitlement.FREE],
+    ["알 수 없는 값 → FREE", "gold", Entitlement.FREE],
+  ];
+
+  for (const [name, entitlement, expected] of legacyCases) {
+    it(name, () => {
+      const period = resolveUsagePeriod({
+        entitlement,
+        purchaseDate: NOW - 10 * DAY_MS,
+        expiresDate: NOW + 20 * DAY_MS,
+      }, NOW);
+      assert.equal(period.entitlement, expected);
+      assert.ok(period.periodKey.startsWith(`${expected}:`));
+      assert.ok(DEFAULT_PLAN_LIMITS[period.entitlement]);
+    });
+  }
+});
+
+describe("evaluateQuota", () => {
+  const cases = [
+    [3, 0, 1, {allowed: true, remaining: 3}],
+    [3, 2, 1, {allowed: true, remaining: 1}],
+    [3, 3, 1, {allowed: false, remaining: 0}],
+    [30, 25, 10, {allowed: false, remaining: 5}],
+    [null, 999, 1, {allowed: true, remaining: null}],
+  ];
+
+  for (const [limit, used, amount, expected] of cases) {
+    it(`limit ${limit}, used ${used} + ${amount}`, () => {
+      assert.deepEqual(evaluateQuota(limit, used, amount), expected);
+    });
+  }
+});
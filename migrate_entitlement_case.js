@@ -0,0 +1,132 @@
+// 📁 migrate_entitlement_case.js
+// 🔤 레거시 대문자 entitlement 마이그레이션 스크립트 (일회성 실행)
+//
+// 초기 syncPurchaseInfo가 기록한 subscriptionData.entitlement의 대문자 값
+// ("FREE" / "TRIAL" / "PREMIUM")을 소문자 Entitlement 값으로 바꿉니다.
+// 마이그레이션 후 backfill_entitlement_claims.js를 실행해 claims도 맞춰주세요.
+
+const admin = require("firebase-admin");
+
+// ⚠️ 중요: 실제 서비스 계정 키 파일 경로로 수정해야 합니다
+// 또는 환경 변수 사용: process.env.GOOGLE_APPLICATION_CREDENTIALS
+if (!admin.apps.length) {
+  admin.initializeApp({
+    // credential: admin.credential.cert(serviceAccount), // 서비스 계정 키 파일 사용 시
+  });
+}
+
+const db = admin.firestore();
+
+// functions/src/shared/constant.js의 Entitlement를 대문자로 쓴 레거시 값
+const LEGACY_ENTITLEMENTS = ["FREE", "TRIAL", "PREMIUM"];
+
+// Firestore batch 한 번에 쓸 수 있는 최대 문서 수
+const BATCH_SIZE = 500;
+
+/**
+ * 📋 대문자 entitlement를 가진 사용자 문서 조회
+ * @return {Promise<Array>} 사용자 문서 목록
+ */
+async function collectLegacyUsers() {
+  const snapshot = await db.collection("users")
+    .where("subscriptionData.entitlement", "in", LEGACY_ENTITLEMENTS)
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * 🔤 entitlement 마이그레이션 실행
+ */
+async function migrateEntitlementCase() {
+  console.log("🚀 entitlement 마이그레이션 시작...");
+  console.log("⏰ 시작 시간:", new Date().toISOString());
+
+  const docs = await collectLegacyUsers();
+  if (docs.length === 0) {
+    console.log("🤷‍♀️ 마이그레이션할 사용자가 없습니다.");
+    return;
+  }
+
+  let updatedCount = 0;
+  let errorCount = 0;
+
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const chunk = docs.slice(i, i + BATCH_SIZE);
+    const batch = db.batch();
+    chunk.forEach((doc) => {
+      batch.update(doc.ref, {
+        "subscriptionData.entitlement":
+          doc.get("subscriptionData.entitlement").toLowerCase(),
+      });
+    });
+
+    try {
+      await batch.commit();
+      updatedCount += chunk.length;
+    } catch (error) {
+      errorCount += chunk.length;
+      console.error(`❌ ${i}번째부터 ${chunk.length}개 갱신 실패:`,
+        error.message);
+    }
+  }
+
+  console.log("\n" + "=".repeat(50));
+  console.log("✅ entitlement 마이그레이션 완료!");
+  console.log(`📊 갱신: ${updatedCount}개, 오류: ${errorCount}개`);
+  console.log("⏰ 완료 시간:", new Date().toISOString());
+  console.log("=".repeat(50));
+}
+
+/**
+ * 🔍 마이그레이션 미리보기 (실제 변경 없이 확인만)
+ */
+async function previewMigration() {
+  console.log("🔍 entitlement 마이그레이션 미리보기 시작...");
+
+  const docs = await collectLegacyUsers();
+
+  const byEntitlement = {};
+  docs.forEach((doc) => {
+    const entitlement = doc.get("subscriptionData.entitlement");
+    byEntitlement[entitlement] = (byEntitlement[entitlement] || 0) + 1;
+  });
+
+  console.log("\n" + "=".repeat(50));
+  console.log("🔍 마이그레이션 미리보기 결과:");
+  console.log(`🔤 대문자 entitlement 사용자: ${docs.length}개`);
+  Object.entries(byEntitlement).forEach(([entitlement, count]) => {
+    console.log(`   - ${entitlement}: ${count}개`);
+  });
+  console.log("=".repeat(50));
+}
+
+// 실행 방법 안내
+console.log("🔤 entitlement 마이그레이션 스크립트");
+console.log("📋 사용법:");
+console.log("   node migrate_entitlement_case.js preview  - 미리보기 (변경 없이 확인만)");
+console.log("   node migrate_entitlement_case.js migrate  - 실제 마이그레이션 실행");
+console.log("");
+
+// 명령행 인수 확인
+const command = process.argv[2];
+
+if (command === "preview") {
+  previewMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("미리보기 실패:", error);
+      process.exit(1);
+    });
+} else if (command === "migrate") {
+  migrateEntitlementCase()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("마이그레이션 실패:", error);
+      process.exit(1);
+    });
+} else {
+  console.log("❌ 올바른 명령어를 입력해주세요:");
+  console.log("   node migrate_entitlement_case.js preview");
+  console.log("   node migrate_entitlement_case.js migrate");
+  process.exit(1);
+}